@@ -14,11 +14,32 @@
  * console.log('Image URL:', result.image_url);
  */
 
-import axios, { type AxiosError } from 'axios';
-import { logger, buildFormData, createSpinner } from './utils.js';
-import { BASE_URL, MODEL_ENDPOINTS, EDIT_ENDPOINTS, CONTROL_ENDPOINTS, DEFAULT_POLL_INTERVAL, DEFAULT_TIMEOUT } from './config.js';
+import axios, { AxiosError } from 'axios';
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+import { logger, buildFormData, imageToBuffer, audioToBuffer, streamToBuffer, streamToDestination, attachSpinner, pause, parseRetryAfter, computeRetryDelay, isLocalhostUrl } from './utils.js';
+import { BASE_URL, MODEL_ENDPOINTS, EDIT_ENDPOINTS, CONTROL_ENDPOINTS, DEFAULT_POLL_INTERVAL, DEFAULT_TIMEOUT, DEFAULT_RETRY_OPTIONS, PRE_SEND_ERROR_CODES, BALANCE_ENDPOINT, REQUEST_TIMEOUT_MS, DEFAULT_BALANCE_CHECK_THRESHOLD, estimateCost, chooseUpscaler, getModelConstraints, getEditConstraints, getControlConstraints, getThreeDConstraints, getVideoConstraints, THREE_D_ENDPOINTS, AUDIO_ENDPOINTS, VIDEO_ENDPOINTS, VIDEO_RESULTS_ENDPOINT } from './config.js';
+import {
+  StabilityError,
+  StabilityAuthError,
+  StabilityModerationError,
+  StabilityRateLimitError,
+  StabilityValidationError,
+  StabilityPayloadTooLargeError,
+  StabilityServerError,
+  StabilityTimeoutError,
+  StabilityAbortError,
+  StabilityBudgetError,
+} from './errors.js';
+import { createFetchTransport } from './transport.js';
+import { CreditBudget } from './budget.js';
+import { createCacheStore, isDeterministic, requestFingerprint } from './cache.js';
+import { peekImageInfo } from './image.js';
+import { runExploration } from './explore.js';
+import { runPipeline } from './pipeline.js';
 import type {
   ImageResult,
+  ImageResponse,
   TaskResult,
   CreditsResult,
   WaitResultOptions,
@@ -26,6 +47,7 @@ import type {
   CoreParams,
   SD3Params,
   UpscaleParams,
+  UpscaleFastParams,
   EraseParams,
   InpaintParams,
   OutpaintParams,
@@ -37,43 +59,177 @@ import type {
   ControlStructureParams,
   ControlStyleParams,
   ControlStyleTransferParams,
+  ThreeDParams,
+  Model3DResult,
+  AudioParams,
+  AudioToAudioParams,
+  AudioResult,
+  VideoParams,
+  VideoResult,
+  ResultOptions,
   ErrorResponseData,
+  FormDataSource,
+  ImageInput,
+  EditConstraint,
+  RetryOptions,
+  RequestOptions,
+  StabilityApiOptions,
+  Logger,
+  HttpClient,
+  HttpRequestConfig,
+  HttpResponse,
+  PlannedCall,
+  BudgetCheckResult,
+  StabilityEventMap,
+  ProgressEvent,
+  ExploreGrid,
+  ExploreOptions,
+  ExploreResult,
+  PipelineStep,
+  PipelineOptions,
+  PipelineResult,
+  CacheStore,
+  CacheEntry,
+  InputFit,
+  FormDataFitOptions,
 } from './types/index.js';
 import type FormDataNode from 'form-data';
 
+/** Every event StabilityAPI emits (forwarded to the `onProgress` option) */
+const PROGRESS_EVENTS: Array<keyof StabilityEventMap> = [
+  'request:start',
+  'upload:progress',
+  'task:submitted',
+  'task:poll',
+  'task:complete',
+  'request:error',
+  'input:fit'
+];
+
+/**
+ * Error codes along an error's cause chain; fetch wraps socket errors such as
+ * ECONNREFUSED in a TypeError.
+ *
+ * @param error - Error from a failed request
+ * @returns Codes, outermost first
+ */
+function errorCodes(error: unknown): string[] {
+  const codes: string[] = [];
+  for (let current = error, depth = 0; current && typeof current === 'object' && depth < 5; depth++) {
+    const { code, cause } = current as { code?: unknown; cause?: unknown };
+    if (typeof code === 'string') {
+      codes.push(code);
+    }
+    current = cause;
+  }
+  return codes;
+}
+
+/** Result field holding the body of each binary response type (by content-type prefix) */
+const MEDIA_RESULT_FIELDS: Record<string, string> = {
+  image: 'image',
+  model: 'glb',
+  audio: 'audio',
+  video: 'video'
+};
+
+/**
+ * Whether a call asked for its image as a stream rather than a Buffer.
+ *
+ * @param options - Request options
+ * @returns True for `responseMode: 'stream'` or a `destination`
+ */
+function isStreamed(options: RequestOptions): boolean {
+  return options.responseMode === 'stream' || options.destination !== undefined;
+}
+
+/**
+ * Whether a response carries the finished image (or video), in any response mode.
+ *
+ * @param result - Decoded response
+ * @returns True for buffered, streamed and written results
+ */
+function isMediaResponse(result: object): boolean {
+  return Object.values(MEDIA_RESULT_FIELDS).some(field => field in result) || 'stream' in result || 'bytes' in result;
+}
+
 /**
  * Stability AI API Client
  */
-export class StabilityAPI {
+export class StabilityAPI extends EventEmitter<StabilityEventMap> {
   private apiKey: string;
   private baseUrl: string;
-  public logger = logger;
+  private httpClient: HttpClient;
+  private timeoutMs: number;
+  public logger: Logger;
+  public retryOptions: RetryOptions;
+  public budget: CreditBudget | null;
+  public cache: CacheStore | null;
+  public inputFit: InputFit;
 
   /**
    * Create a new Stability AI API client.
    *
-   * @param apiKey - Stability AI API key
-   * @param baseUrl - API base URL
-   * @param logLevel - Logging level (debug, info, warn, error)
+   * Accepts either an options object or the positional
+   * `(apiKey, baseUrl, logLevel, retryOptions)` arguments.
+   *
+   * @param options - Client options (or the API key, for the positional form)
+   * @param baseUrl - API base URL (positional form only)
+   * @param logLevel - Logging level (positional form only)
+   * @param retryOptions - Overrides for the retry policy (positional form only)
    *
    * @example
-   * const api = new StabilityAPI('sk-xxxxx');
+   * const api = new StabilityAPI({ apiKey: 'sk-xxxxx', timeoutMs: 60000 });
+   * const watched = new StabilityAPI({ onProgress: event => console.log(event.type) });
+   * const local = new StabilityAPI({ baseUrl: 'http://localhost:4010', allowInsecureLocalhost: true });
+   * const patient = new StabilityAPI('sk-xxxxx', undefined, 'info', { maxRetries: 5 });
    */
-  constructor(apiKey: string, baseUrl = BASE_URL, logLevel = 'info') {
-    // Validate base URL uses HTTPS
-    if (!baseUrl.startsWith('https://')) {
+  constructor(options?: StabilityApiOptions);
+  constructor(apiKey: string | null | undefined, baseUrl?: string, logLevel?: string, retryOptions?: Partial<RetryOptions>);
+  constructor(
+    options: StabilityApiOptions | string | null = {},
+    baseUrl = BASE_URL,
+    logLevel = 'info',
+    retryOptions: Partial<RetryOptions> = {}
+  ) {
+    super();
+    const opts: StabilityApiOptions = options !== null && typeof options === 'object'
+      ? options
+      : { apiKey: options as string, baseUrl, logLevel, retry: retryOptions };
+    const url = opts.baseUrl ?? BASE_URL;
+
+    // Validate base URL uses HTTPS (plain HTTP only for an opted-in localhost)
+    if (!url.startsWith('https://') && !(opts.allowInsecureLocalhost && isLocalhostUrl(url))) {
       throw new Error('Base URL must use HTTPS protocol for security');
     }
 
-    this.apiKey = apiKey;
-    this.baseUrl = baseUrl;
+    this.apiKey = opts.apiKey === undefined ? process.env.STABILITY_API_KEY ?? '' : opts.apiKey;
+    this.baseUrl = url;
+    this.retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...opts.retry };
+    this.timeoutMs = opts.timeoutMs ?? REQUEST_TIMEOUT_MS;
+    this.budget = opts.budget ? new CreditBudget(opts.budget) : null;
+    this.cache = opts.cache ? createCacheStore(opts.cache) : null;
+    this.inputFit = opts.inputFit ?? 'error';
+    this.httpClient = typeof opts.httpClient === 'function'
+      ? createFetchTransport(opts.httpClient)
+      : opts.httpClient ?? axios;
+
+    if (opts.logger) {
+      this.logger = opts.logger;
+    } else {
+      this.logger = logger;
+      // Set log level
+      logger.level = opts.logLevel ?? 'info';
+    }
 
-    // Set log level
-    if (logLevel) {
-      logger.level = logLevel;
+    const onProgress = opts.onProgress;
+    if (onProgress) {
+      for (const type of PROGRESS_EVENTS) {
+        this.on(type, (event: object) => onProgress({ type, ...event } as ProgressEvent));
+      }
     }
 
-    logger.info(`Initialized Stability AI API client with base URL: ${baseUrl}`);
+    this.logger.info(`Initialized Stability AI API client with base URL: ${this.baseUrl}`);
   }
 
   /**
@@ -126,204 +282,533 @@ export class StabilityAPI {
     return error.message;
   }
 
+  /**
+   * Check whether a failed request may be sent again.
+   * GET requests are idempotent. POSTs are billed once the server has them, so
+   * unless `retryPosts` is set they are only retried on 429 and on connection
+   * errors raised before anything was sent. Stream and Blob inputs are
+   * buffered before the first attempt, so every request body can be resent.
+   *
+   * @param method - HTTP method
+   * @param error - Error from the failed attempt
+   * @returns True if the request should be retried
+   */
+  private _isRetryable(method: string, error: unknown): boolean {
+    if (!axios.isAxiosError(error)) {
+      return false;
+    }
+
+    const unsafe = method !== 'GET' && !this.retryOptions.retryPosts;
+    if (error.response) {
+      const status = error.response.status;
+      return this.retryOptions.retryableStatuses.includes(status) && (!unsafe || status === 429);
+    }
+
+    // No response: connection reset/refused, DNS failure or timeout
+    if (!this.retryOptions.retryOnNetworkError || error.code === AxiosError.ERR_CANCELED) {
+      return false;
+    }
+    return !unsafe || errorCodes(error).some(code => PRE_SEND_ERROR_CODES.includes(code));
+  }
+
+  /**
+   * Map an endpoint path back to its credit table key.
+   *
+   * @param endpoint - API endpoint path
+   * @returns Operation key, or null for unbilled endpoints
+   */
+  private _operationFor(endpoint: string): string | null {
+    // All SD3.5 variants share one path; estimateCost() picks the variant from params.model
+    if (endpoint === MODEL_ENDPOINTS['sd3-large']) {
+      return 'sd3';
+    }
+    for (const table of [MODEL_ENDPOINTS, EDIT_ENDPOINTS, CONTROL_ENDPOINTS, THREE_D_ENDPOINTS, AUDIO_ENDPOINTS, VIDEO_ENDPOINTS] as Record<string, string>[]) {
+      const key = Object.keys(table).find(name => table[name] === endpoint);
+      if (key) {
+        return key;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Warn when an erase or inpaint call has no mask and its image has no
+   * alpha channel to act as one, so no area would be marked.
+   *
+   * @param operation - 'erase' or 'inpaint'
+   * @param image - Input image (URLs and streams are not checked)
+   */
+  private async _warnIfNothingMasked(operation: string, image: ImageInput): Promise<void> {
+    const info = await peekImageInfo(image);
+    if (info && !info.hasAlpha) {
+      this.logger.warn(`${operation}: no mask given and the ${info.format.toUpperCase()} input has no alpha channel, so no area is marked to ${operation}. Pass a mask or an image with transparent areas`);
+    }
+  }
+
+  /**
+   * Input image limits for an endpoint, as buildFormData() options.
+   *
+   * @param endpoint - API endpoint path
+   * @param mode - How images outside the limits are handled
+   * @param emit - Whether to emit `input:fit` events (first attempt only)
+   * @returns Fit options, or undefined for endpoints without image limits
+   */
+  private _fitOptionsFor(endpoint: string, mode: InputFit, emit: boolean): FormDataFitOptions | undefined {
+    const operation = this._operationFor(endpoint);
+    const constraints: Pick<EditConstraint, 'pixels' | 'requiresAspectRatio'> | null | undefined = operation
+      ? getEditConstraints(operation) ?? getControlConstraints(operation) ?? getThreeDConstraints(operation) ?? getModelConstraints(operation)
+      : null;
+    if (!constraints || (!constraints.pixels && !constraints.requiresAspectRatio)) {
+      return undefined;
+    }
+    return {
+      mode,
+      constraints: { pixels: constraints.pixels, requiresAspectRatio: constraints.requiresAspectRatio },
+      onFit: emit ? (field, report) => this.emit('input:fit', { endpoint, field, ...report }) : undefined
+    };
+  }
+
   /**
    * Make a multipart/form-data request to the Stability AI API.
+   * Seeded, buffered image requests are served from the response cache when
+   * one is configured; billable calls are checked against the credit budget before
+   * anything is sent.
    *
    * @param method - HTTP method (GET, POST)
    * @param endpoint - API endpoint path
-   * @param formData - Form data for POST requests
-   * @param options - Additional axios options
+   * @param form - Form fields and files for POST requests
+   * @param options - Extra headers, abort signal and per-request timeout
    * @returns API response data or image buffer
    */
   private async _makeFormDataRequest(
     method: string,
     endpoint: string,
-    formData: FormDataNode | null = null,
-    options: { headers?: Record<string, string> } = {}
+    form: FormDataSource | null = null,
+    options: RequestOptions & { headers?: Record<string, string> } = {}
   ): Promise<ImageResult | TaskResult | Record<string, unknown>> {
     this._verifyApiKey();
 
+    if (!this.cache || method !== 'POST' || !form || !isDeterministic(form.params) || isStreamed(options)) {
+      return await this._billedRequest(method, endpoint, form, options);
+    }
+
+    // Hash the image bytes, not their paths, and send the bytes that were hashed
+    const files: Record<string, Buffer | undefined> = {};
+    for (const [field, source] of Object.entries(form.files ?? {})) {
+      files[field] = source === undefined ? undefined : await imageToBuffer(source, options.signal);
+    }
+    const resolved: FormDataSource = { params: form.params, files };
+    const inputFit = options.inputFit ?? this.inputFit;
+    const fitted = this._fitOptionsFor(endpoint, inputFit, false) ? inputFit : undefined;
+    const key = requestFingerprint(`${this.baseUrl}${endpoint}`, form.params, files, fitted);
+
+    let cached: CacheEntry | undefined;
+    try {
+      cached = await this.cache.get(key);
+    } catch (error) {
+      // An unreadable cache is a miss, not a failed call
+      this.logger.warn(`Could not read cache for ${endpoint}: ${(error as Error).message}`);
+    }
+    if (cached) {
+      this.logger.info(`Served ${endpoint} from cache (${cached.image.length} bytes)`);
+      return { image: cached.image, seed: cached.seed, finish_reason: cached.finish_reason };
+    }
+
+    const result = await this._billedRequest(method, endpoint, resolved, options);
+    if ('image' in result && Buffer.isBuffer(result.image)) {
+      const operation = this._operationFor(endpoint);
+      const now = new Date().toISOString();
+      try {
+        await this.cache.set(key, {
+          image: result.image,
+          seed: result.seed as string | undefined,
+          finish_reason: result.finish_reason as string | undefined,
+          endpoint,
+          credits: operation ? estimateCost(operation, form.params) : 0,
+          createdAt: now,
+          lastUsedAt: now,
+          hits: 0
+        });
+      } catch (error) {
+        // A broken cache must never fail a call that already succeeded
+        this.logger.warn(`Could not cache response for ${endpoint}: ${(error as Error).message}`);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Send a request, charging billable calls to the credit budget.
+   *
+   * @param method - HTTP method (GET, POST)
+   * @param endpoint - API endpoint path
+   * @param form - Form fields and files for POST requests
+   * @param options - Extra headers, abort signal and per-request timeout
+   * @returns API response data or image buffer
+   */
+  private async _billedRequest(
+    method: string,
+    endpoint: string,
+    form: FormDataSource | null,
+    options: RequestOptions & { headers?: Record<string, string> }
+  ): Promise<ImageResult | TaskResult | Record<string, unknown>> {
+    const operation = this.budget && method === 'POST' ? this._operationFor(endpoint) : null;
+    if (!this.budget || !operation) {
+      return await this._requestWithRetry(method, endpoint, form, options);
+    }
+
+    const credits = estimateCost(operation, form?.params);
+    this.budget.reserve(credits, operation);
+    try {
+      const result = await this._requestWithRetry(method, endpoint, form, options);
+      this.budget.commit(credits);
+      this.logger.debug(`Charged ~${credits} credits for ${operation} (session total: ${this.budget.sessionSpent})`);
+      return result;
+    } catch (error) {
+      // Failed generations are not billed
+      this.budget.release(credits);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a request, retrying transient failures according to the client's retry policy.
+   * The form body is rebuilt from `form` for every attempt, streaming local files.
+   *
+   * @param method - HTTP method (GET, POST)
+   * @param endpoint - API endpoint path
+   * @param form - Form fields and files for POST requests
+   * @param options - Extra headers, abort signal and per-request timeout
+   * @returns API response data or image buffer
+   */
+  private async _requestWithRetry(
+    method: string,
+    endpoint: string,
+    form: FormDataSource | null,
+    options: RequestOptions & { headers?: Record<string, string> }
+  ): Promise<ImageResult | TaskResult | Record<string, unknown>> {
+    const { signal } = options;
+
+    // Streams and Blobs can only be read once, so read them before the first attempt,
+    // even without retries: validation and fitting need the whole image anyway.
+    // Paths and URLs are re-read by every attempt
+    if (form?.files) {
+      const files: Record<string, string | Buffer | undefined> = {};
+      for (const [field, source] of Object.entries(form.files)) {
+        files[field] = source === undefined || typeof source === 'string' ? source : await imageToBuffer(source, signal);
+      }
+      form = { params: form.params, files };
+    }
+
     const url = `${this.baseUrl}${endpoint}`;
+    const { maxRetries } = this.retryOptions;
 
     // Redact API key for logging
     const redactedKey = this._redactApiKey(this.apiKey);
-    logger.debug(`Making ${method} request to ${url} (API key: ${redactedKey})`);
+    this.logger.debug(`Making ${method} request to ${url} (API key: ${redactedKey})`);
 
-    try {
-      const headers: Record<string, string> = {
-        'authorization': `Bearer ${this.apiKey}`,
-        'accept': 'image/*', // Request image bytes directly
-        ...options.headers
-      };
+    for (let attempt = 0; ; attempt++) {
+      if (signal?.aborted) {
+        throw new StabilityAbortError(`Request to ${endpoint} aborted`, { endpoint, cause: signal.reason });
+      }
+
+      // A FormData stream is consumed by the first send, so build a fresh one per attempt
+      const fit = form ? this._fitOptionsFor(endpoint, options.inputFit ?? this.inputFit, attempt === 0) : undefined;
+      const formData = form ? await buildFormData(form.params, form.files, signal, fit) : null;
+
+      this.emit('request:start', { method, endpoint, attempt: attempt + 1 });
+      let result: ImageResult | TaskResult | Record<string, unknown>;
+      try {
+        result = await this._sendRequest(method, endpoint, url, formData, options, redactedKey);
+      } catch (error) {
+        const willRetry = attempt < maxRetries && this._isRetryable(method, error);
+        const requestError = this._toRequestError(error as AxiosError, endpoint, willRetry);
+        this.emit('request:error', { method, endpoint, attempt: attempt + 1, error: requestError, willRetry });
+
+        if (willRetry) {
+          const axiosError = error as AxiosError;
+          const retryAfterMs = parseRetryAfter(axiosError.response?.headers?.['retry-after'] as string | undefined);
+          const delayMs = computeRetryDelay(attempt + 1, this.retryOptions, retryAfterMs);
+          const reason = axiosError.response ? `HTTP ${axiosError.response.status}` : (axiosError.code || axiosError.message);
+          this.logger.warn(`Request to ${endpoint} failed (${reason}), retrying in ${(delayMs / 1000).toFixed(1)}s (retry ${attempt + 1}/${maxRetries})`);
+          await pause(delayMs / 1000, signal);
+          continue;
+        }
+        throw requestError;
+      }
 
-      // If formData provided, let it set its own content-type with boundary
-      if (formData && typeof formData.getHeaders === 'function') {
-        Object.assign(headers, formData.getHeaders());
+      // Async endpoints answer a POST with a task ID instead of an image
+      const taskId = (result as { id?: unknown }).id;
+      if (method === 'POST' && !('image' in result) && typeof taskId === 'string') {
+        this.emit('task:submitted', { taskId, endpoint });
       }
+      return result;
+    }
+  }
 
-      const axiosConfig: {
-        method: string;
-        url: string;
-        headers: Record<string, string>;
-        timeout: number;
-        maxRedirects: number;
-        data?: unknown;
-        responseType?: 'arraybuffer';
-      } = {
-        method,
-        url,
-        headers,
-        timeout: 30000, // 30 second timeout for API requests
-        maxRedirects: 5,
+  /**
+   * Send a single request attempt and decode the response.
+   *
+   * @param method - HTTP method (GET, POST)
+   * @param endpoint - API endpoint path (for progress events)
+   * @param url - Full request URL
+   * @param formData - Form data for POST requests
+   * @param options - Extra headers, abort signal and per-request timeout
+   * @param redactedKey - Redacted API key for logging
+   * @returns API response data or image buffer
+   */
+  private async _sendRequest(
+    method: string,
+    endpoint: string,
+    url: string,
+    formData: FormDataNode | null,
+    options: RequestOptions & { headers?: Record<string, string> },
+    redactedKey: string
+  ): Promise<ImageResult | TaskResult | Record<string, unknown>> {
+    const headers: Record<string, string> = {
+      'authorization': `Bearer ${this.apiKey}`,
+      'accept': 'image/*', // Request image bytes directly
+      ...options.headers
+    };
+
+    // If formData provided, let it set its own content-type with boundary
+    if (formData && typeof formData.getHeaders === 'function') {
+      Object.assign(headers, formData.getHeaders());
+    }
+
+    const axiosConfig: HttpRequestConfig = {
+      method,
+      url,
+      headers,
+      timeout: options.timeoutMs ?? this.timeoutMs,
+      maxRedirects: 5,
+      signal: options.signal,
+    };
+
+    // Add form data for POST requests
+    if (formData && method === 'POST') {
+      axiosConfig.data = formData;
+      axiosConfig.onUploadProgress = progress => {
+        this.emit('upload:progress', { endpoint, bytesSent: progress.loaded, totalBytes: progress.total });
       };
+    }
+
+    // For binary responses, we want arraybuffer (or a stream when the caller asked for one)
+    // 'image/*', 'audio/*' and '*/*' all expect binary data
+    const streamed = isStreamed(options);
+    if (headers['accept'] === 'image/*' || headers['accept'] === 'audio/*' || headers['accept'] === '*/*') {
+      axiosConfig.responseType = streamed ? 'stream' : 'arraybuffer';
+    }
+
+    this.logger.debug(`Request config: ${JSON.stringify({ method, url, headers: { ...headers, authorization: `Bearer ${redactedKey}` } })}`);
 
-      // Add form data for POST requests
-      if (formData && method === 'POST') {
-        axiosConfig.data = formData;
+    let response: HttpResponse;
+    try {
+      response = await this.httpClient.request(axiosConfig);
+    } catch (error) {
+      // Error bodies of streamed requests still arrive as streams; read them for the error details
+      const body = (error as AxiosError).response?.data;
+      if (axios.isAxiosError(error) && error.response && body instanceof Readable) {
+        error.response.data = await streamToBuffer(body, options.signal).catch(() => undefined);
       }
+      throw error;
+    }
 
-      // For binary responses, we want arraybuffer
-      // Both 'image/*' and '*/*' expect binary data
-      if (headers['accept'] === 'image/*' || headers['accept'] === '*/*') {
-        axiosConfig.responseType = 'arraybuffer';
+    this.logger.debug(`Response status: ${response.status}`);
+    this.logger.debug(`Response headers: ${JSON.stringify(response.headers)}`);
+
+    // Return the response based on type
+    const contentType = response.headers['content-type'] as string | undefined;
+    const finish_reason = response.headers['finish-reason'] as string | undefined;
+    const seed = response.headers['seed'] as string | undefined;
+    const mediaField = MEDIA_RESULT_FIELDS[contentType?.split('/')[0] ?? ''];
+    if (streamed && response.status === 200 && mediaField) {
+      // Streamed image: hand the body over, or pipe it to the destination.
+      // Custom transports may ignore responseType and buffer the body anyway
+      const stream = response.data instanceof Readable ? response.data : Readable.from([Buffer.from(response.data as ArrayBuffer)]);
+      if (options.destination === undefined) {
+        this.logger.info('Received image response (streaming)');
+        return { stream, contentType, finish_reason, seed };
       }
+      const bytes = await streamToDestination(stream, options.destination, options.signal);
+      const path = typeof options.destination === 'string' ? options.destination : undefined;
+      this.logger.info(`Received image response (${bytes} bytes written to ${path ?? 'stream'})`);
+      return { bytes, path, contentType, finish_reason, seed };
+    }
+    if (response.data instanceof Readable) {
+      // JSON bodies (task IDs, in-progress polls) are small; read them like an arraybuffer response
+      response.data = await streamToBuffer(response.data, options.signal);
+    }
 
-      logger.debug(`Request config: ${JSON.stringify({ method, url, headers: { ...headers, authorization: `Bearer ${redactedKey}` } })}`);
-
-      const response = await axios(axiosConfig);
-
-      logger.debug(`Response status: ${response.status}`);
-      logger.debug(`Response headers: ${JSON.stringify(response.headers)}`);
-
-      // Return the response based on type
-      const contentType = response.headers['content-type'] as string | undefined;
-      if (response.status === 200 && contentType?.startsWith('image/')) {
-        // Synchronous response with image
-        logger.info(`Received image response (${(response.data as ArrayBuffer).byteLength} bytes)`);
-        return {
-          image: Buffer.from(response.data as ArrayBuffer),
-          finish_reason: response.headers['finish-reason'] as string | undefined,
-          seed: response.headers['seed'] as string | undefined
-        };
-      } else if (response.status === 202) {
-        // Async response with task ID
-        logger.info('Received async task ID');
-        return response.data as TaskResult;
-      } else if (response.status === 200 && contentType?.includes('application/json')) {
-        // Async endpoint returning task ID with HTTP 200 (e.g., replace-background-and-relight)
-        // Parse JSON from arraybuffer if needed
-        let data = response.data;
-        if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
-          data = JSON.parse(Buffer.from(data as ArrayBuffer).toString('utf8'));
-        }
-        const dataObj = data as { id?: string };
-        if (dataObj.id) {
-          logger.info(`Received async task ID: ${dataObj.id}`);
-        }
-        return data as Record<string, unknown>;
-      } else {
-        // Other responses
-        return response.data as Record<string, unknown>;
+    if (response.status === 200 && mediaField === 'image') {
+      // Synchronous response with image
+      this.logger.info(`Received image response (${(response.data as ArrayBuffer).byteLength} bytes)`);
+      return {
+        image: Buffer.from(response.data as ArrayBuffer),
+        finish_reason,
+        seed
+      };
+    } else if (response.status === 200 && mediaField) {
+      // Other binary files (3D models) keep their content-type
+      this.logger.info(`Received ${contentType} response (${(response.data as ArrayBuffer).byteLength} bytes)`);
+      return {
+        [mediaField]: Buffer.from(response.data as ArrayBuffer),
+        contentType,
+        finish_reason,
+        seed
+      };
+    } else if (response.status === 202) {
+      // Async response with task ID (or an in-progress result poll, read as an arraybuffer)
+      this.logger.info('Received async task ID');
+      const data = response.data;
+      if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+        return JSON.parse(Buffer.from(data as ArrayBuffer).toString('utf8')) as TaskResult;
       }
-    } catch (error) {
-      const axiosError = error as AxiosError;
-      logger.error(`Request failed: ${axiosError.message}`);
-
-      // Handle specific error cases
-      if (axiosError.response) {
-        const status = axiosError.response.status;
-        let data = axiosError.response.data as Buffer | ErrorResponseData;
-
-        // Parse Buffer responses to JSON
-        if (Buffer.isBuffer(data)) {
-          try {
-            data = JSON.parse(data.toString('utf8')) as ErrorResponseData;
-          } catch (parseError) {
-            const parseErr = parseError as Error;
-            logger.error(`Failed to parse error response buffer: ${parseErr.message}`);
-          }
-        }
+      return data as TaskResult;
+    } else if (response.status === 200 && contentType?.includes('application/json')) {
+      // Async endpoint returning task ID with HTTP 200 (e.g., replace-background-and-relight)
+      // Parse JSON from arraybuffer if needed
+      let data = response.data;
+      if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+        data = JSON.parse(Buffer.from(data as ArrayBuffer).toString('utf8'));
+      }
+      const dataObj = data as { id?: string };
+      if (dataObj.id) {
+        this.logger.info(`Received async task ID: ${dataObj.id}`);
+      }
+      return data as Record<string, unknown>;
+    } else {
+      // Other responses
+      return response.data as Record<string, unknown>;
+    }
+  }
 
-        logger.error(`HTTP ${status}: ${JSON.stringify(data)}`);
-
-        if (status === 401) {
-          throw new Error('Authentication failed. Check your API key.');
-        } else if (status === 403) {
-          throw new Error('Content moderation flagged your request.');
-        } else if (status === 413) {
-          throw new Error('Request payload too large (max 10MB).');
-        } else if (status === 429) {
-          throw new Error('Rate limit exceeded. Please wait before retrying.');
-        } else if (status === 400) {
-          // Extract validation errors if available
-          const errorData = data as ErrorResponseData;
-          const errorMsg = errorData.errors ? errorData.errors.join(', ') : JSON.stringify(data);
-          throw new Error(`Invalid parameters: ${errorMsg}`);
-        }
+  /**
+   * Convert a failed request into the typed error thrown to callers.
+   *
+   * @param axiosError - Error from the failed attempt
+   * @param endpoint - API endpoint path that was called
+   * @param quiet - Skip error logging (for attempts that will be retried)
+   * @returns StabilityError subclass matching the failure
+   */
+  private _toRequestError(axiosError: AxiosError, endpoint: string, quiet = false): StabilityError {
+    const logError = (message: string) => {
+      if (!quiet) {
+        this.logger.error(message);
+      }
+    };
+    logError(`Request failed: ${axiosError.message}`);
+
+    if (!axiosError.response) {
+      const details = { endpoint, cause: axiosError };
+      if (axios.isCancel(axiosError)) {
+        return new StabilityAbortError(`Request to ${endpoint} aborted`, details);
+      }
+      if (axiosError.code === AxiosError.ECONNABORTED || axiosError.code === AxiosError.ETIMEDOUT) {
+        return new StabilityTimeoutError(this._sanitizeErrorMessage(axiosError), details);
+      }
+      return new StabilityError(this._sanitizeErrorMessage(axiosError), details);
+    }
+
+    const status = axiosError.response.status;
+    let data = axiosError.response.data as Buffer | ErrorResponseData | undefined;
+
+    // Parse Buffer responses to JSON
+    if (Buffer.isBuffer(data)) {
+      try {
+        data = JSON.parse(data.toString('utf8')) as ErrorResponseData;
+      } catch (parseError) {
+        const parseErr = parseError as Error;
+        logError(`Failed to parse error response buffer: ${parseErr.message}`);
+        data = undefined;
       }
+    }
 
-      // Throw sanitized error
-      throw new Error(this._sanitizeErrorMessage(axiosError));
+    logError(`HTTP ${status}: ${JSON.stringify(data)}`);
+
+    const errorData = data && typeof data === 'object' ? data as ErrorResponseData : undefined;
+    const headers = axiosError.response.headers ?? {};
+    const details = {
+      status,
+      data: errorData,
+      endpoint,
+      requestId: (headers['x-request-id'] as string | undefined) || errorData?.id,
+      cause: axiosError
+    };
+
+    if (status === 401) {
+      return new StabilityAuthError('Authentication failed. Check your API key.', details);
+    } else if (status === 403) {
+      return new StabilityModerationError('Content moderation flagged your request.', details);
+    } else if (status === 413) {
+      return new StabilityPayloadTooLargeError('Request payload too large (max 10MB).', details);
+    } else if (status === 429) {
+      return new StabilityRateLimitError('Rate limit exceeded. Please wait before retrying.', {
+        ...details,
+        retryAfterMs: parseRetryAfter(headers['retry-after'] as string | undefined)
+      });
+    } else if (status === 400 || status === 422) {
+      // Extract validation errors if available
+      const errorMsg = errorData?.errors ? errorData.errors.join(', ') : JSON.stringify(data);
+      return new StabilityValidationError(`Invalid parameters: ${errorMsg}`, details);
+    } else if (status >= 500) {
+      return new StabilityServerError(this._sanitizeErrorMessage(axiosError), details);
     }
+
+    // Sanitized error
+    return new StabilityError(this._sanitizeErrorMessage(axiosError), details);
   }
 
   /**
    * Poll for async task result.
    *
    * @param taskId - Task ID from async operation
-   * @param options - Polling options
-   * @returns Task result with image
+   * @param options - Polling options, results endpoint, abort signal, per-request timeout and response mode
+   * @returns Task result with image (or video, for image-to-video tasks)
    */
-  async waitForResult(taskId: string, {
-    pollInterval = DEFAULT_POLL_INTERVAL,
-    timeout = DEFAULT_TIMEOUT,
-    showSpinner = true
-  }: WaitResultOptions = {}): Promise<ImageResult> {
-    logger.info(`Polling for task ${taskId} (interval: ${pollInterval}s, timeout: ${timeout}s)`);
+  async waitForResult<O extends WaitResultOptions>(taskId: string, options: O = {} as O): Promise<ImageResponse<O>> {
+    const {
+      pollInterval = DEFAULT_POLL_INTERVAL,
+      timeout = DEFAULT_TIMEOUT,
+      showSpinner = false,
+      signal,
+      timeoutMs,
+      responseMode,
+      destination,
+      resultsEndpoint
+    }: WaitResultOptions = options;
+    this.logger.info(`Polling for task ${taskId} (interval: ${pollInterval}s, timeout: ${timeout}s)`);
 
     const startTime = Date.now();
-    const timeoutMs = timeout * 1000;
+    const deadlineMs = timeout * 1000;
     let attempt = 0;
-    let spinner: ReturnType<typeof createSpinner> | null = null;
-
-    if (showSpinner) {
-      spinner = createSpinner(`Waiting for upscale to complete (task: ${taskId})`);
-      spinner.start();
-    }
+    const detachSpinner = showSpinner ? attachSpinner(this, taskId) : null;
 
     try {
       while (true) {
         attempt++;
-        const elapsed = (Date.now() - startTime) / 1000;
+        const elapsedMs = Date.now() - startTime;
 
-        logger.debug(`Polling attempt ${attempt} (elapsed: ${elapsed.toFixed(1)}s)`);
+        this.logger.debug(`Polling attempt ${attempt} (elapsed: ${(elapsedMs / 1000).toFixed(1)}s)`);
+        this.emit('task:poll', { taskId, attempt, elapsedMs, timeoutMs: deadlineMs });
 
         try {
-          const result = await this.getResult(taskId);
+          const result = await this.getResult(taskId, { signal, timeoutMs, responseMode, destination, resultsEndpoint });
 
           // Check if task is complete (HTTP 200 with image)
-          if ('image' in result && result.image) {
-            if (spinner) {
-              spinner.stop(`✓ Upscale complete! (${elapsed.toFixed(1)}s)`);
-            }
-            logger.info(`Task ${taskId} completed after ${elapsed.toFixed(1)}s`);
-            return result as ImageResult;
+          if (isMediaResponse(result)) {
+            const totalMs = Date.now() - startTime;
+            this.logger.info(`Task ${taskId} completed after ${(totalMs / 1000).toFixed(1)}s`);
+            this.emit('task:complete', { taskId, attempts: attempt, elapsedMs: totalMs });
+            return result as ImageResponse<O>;
           }
 
           // If still in progress (HTTP 202), continue polling
-          logger.debug(`Task ${taskId} still in progress...`);
-          if (spinner) {
-            const timeLeft = Math.max(0, timeout - elapsed).toFixed(0);
-            spinner.update(`Processing... (${elapsed.toFixed(0)}s elapsed, ~${timeLeft}s remaining)`);
-          }
+          this.logger.debug(`Task ${taskId} still in progress...`);
         } catch (error) {
-          const err = error as Error;
           // Retry on transient errors
-          if (err.message.includes('rate limit') || err.message.includes('503') || err.message.includes('502')) {
-            logger.warn(`Transient error, will retry: ${err.message}`);
-            if (spinner) {
-              spinner.update(`Retrying after error...`);
-            }
+          if (error instanceof StabilityRateLimitError || error instanceof StabilityServerError) {
+            this.logger.warn(`Transient error, will retry: ${error.message}`);
           } else {
             // Permanent error, throw immediately
             throw error;
@@ -331,17 +816,17 @@ export class StabilityAPI {
         }
 
         // Check timeout
-        if ((Date.now() - startTime) >= timeoutMs) {
-          throw new Error(`Timeout waiting for task ${taskId} after ${timeout} seconds`);
+        if ((Date.now() - startTime) >= deadlineMs) {
+          throw new StabilityTimeoutError(`Timeout waiting for task ${taskId} after ${timeout} seconds`, {
+            endpoint: `${resultsEndpoint ?? MODEL_ENDPOINTS.results}/${taskId}`
+          });
         }
 
         // Wait before next poll
-        await new Promise(resolve => setTimeout(resolve, pollInterval * 1000));
+        await pause(pollInterval, signal);
       }
     } finally {
-      if (spinner) {
-        spinner.stop();
-      }
+      detachSpinner?.();
     }
   }
 
@@ -349,12 +834,15 @@ export class StabilityAPI {
    * Get result for a specific task ID.
    *
    * @param taskId - Task ID
+   * @param requestOptions - Results endpoint, abort signal, per-request timeout and response mode
    * @returns Task result
    */
-  async getResult(taskId: string): Promise<ImageResult | TaskResult | Record<string, unknown>> {
-    const endpoint = `${MODEL_ENDPOINTS.results}/${taskId}`;
+  async getResult(taskId: string, requestOptions: ResultOptions = {}): Promise<ImageResult | TaskResult | Record<string, unknown>> {
+    const { resultsEndpoint = MODEL_ENDPOINTS.results, ...options } = requestOptions;
+    const endpoint = `${resultsEndpoint}/${taskId}`;
     // Results endpoint requires accept: */* for binary response
     return await this._makeFormDataRequest('GET', endpoint, null, {
+      ...options,
       headers: { 'accept': '*/*' }
     });
   }
@@ -364,30 +852,28 @@ export class StabilityAPI {
    * Photorealistic model with 1 megapixel output.
    *
    * @param params - Generation parameters
+   * @param requestOptions - Abort signal, per-request timeout and response mode
    * @returns Generated image result
    *
    * @example
    * const result = await api.generateUltra({ prompt: 'a cat', aspect_ratio: '16:9' });
    */
-  async generateUltra(params: UltraParams): Promise<ImageResult> {
-    logger.info('Generating image with Stable Image Ultra');
+  async generateUltra<O extends RequestOptions>(params: UltraParams, requestOptions: O = {} as O): Promise<ImageResponse<O>> {
+    this.logger.info('Generating image with Stable Image Ultra');
 
-    const formData = await buildFormData(
-      {
+    const form: FormDataSource = {
+      params: {
         prompt: params.prompt,
         negative_prompt: params.negative_prompt,
         aspect_ratio: params.aspect_ratio || '1:1',
         seed: params.seed,
-        output_format: params.output_format || 'png'
+        output_format: params.output_format || 'png',
+        strength: params.strength
       },
-      params.image ? { image: params.image } : {}
-    );
+      files: params.image ? { image: params.image } : {}
+    };
 
-    if (params.strength !== undefined) {
-      formData.append('strength', String(params.strength));
-    }
-
-    return await this._makeFormDataRequest('POST', MODEL_ENDPOINTS['stable-image-ultra'], formData) as ImageResult;
+    return await this._makeFormDataRequest('POST', MODEL_ENDPOINTS['stable-image-ultra'], form, requestOptions) as ImageResponse<O>;
   }
 
   /**
@@ -395,161 +881,314 @@ export class StabilityAPI {
    * Fast and affordable SDXL successor.
    *
    * @param params - Generation parameters
+   * @param requestOptions - Abort signal, per-request timeout and response mode
    * @returns Generated image result
    *
    * @example
    * const result = await api.generateCore({ prompt: 'a dog', style_preset: 'photographic' });
    */
-  async generateCore(params: CoreParams): Promise<ImageResult> {
-    logger.info('Generating image with Stable Image Core');
+  async generateCore<O extends RequestOptions>(params: CoreParams, requestOptions: O = {} as O): Promise<ImageResponse<O>> {
+    this.logger.info('Generating image with Stable Image Core');
 
-    const formData = await buildFormData({
-      prompt: params.prompt,
-      negative_prompt: params.negative_prompt,
-      aspect_ratio: params.aspect_ratio || '1:1',
-      seed: params.seed,
-      output_format: params.output_format || 'png',
-      style_preset: params.style_preset
-    });
+    const form: FormDataSource = {
+      params: {
+        prompt: params.prompt,
+        negative_prompt: params.negative_prompt,
+        aspect_ratio: params.aspect_ratio || '1:1',
+        seed: params.seed,
+        output_format: params.output_format || 'png',
+        style_preset: params.style_preset
+      }
+    };
 
-    return await this._makeFormDataRequest('POST', MODEL_ENDPOINTS['stable-image-core'], formData) as ImageResult;
+    return await this._makeFormDataRequest('POST', MODEL_ENDPOINTS['stable-image-core'], form, requestOptions) as ImageResponse<O>;
   }
 
   /**
    * Generate image using Stable Diffusion 3.5.
+   * Passing `params.image` switches to image-to-image, which needs `strength`
+   * and ignores `aspect_ratio`.
    *
    * @param params - Generation parameters
+   * @param requestOptions - Abort signal, per-request timeout and response mode
    * @returns Generated image result
+   * @throws StabilityValidationError if an image is given without strength
    *
    * @example
    * const result = await api.generateSD3({ prompt: 'a bird', model: 'sd3.5-large-turbo' });
+   * const restyled = await api.generateSD3({ prompt: 'oil painting', image: './photo.jpg', strength: 0.6, cfg_scale: 5 });
    */
-  async generateSD3(params: SD3Params): Promise<ImageResult> {
-    logger.info(`Generating image with SD 3.5 (${params.model || 'sd3.5-large'})`);
+  async generateSD3<O extends RequestOptions>(params: SD3Params, requestOptions: O = {} as O): Promise<ImageResponse<O>> {
+    const imageToImage = params.image !== undefined;
+    if (imageToImage && params.strength === undefined) {
+      throw new StabilityValidationError('SD3.5 image-to-image requires strength (0-1)');
+    }
+    this.logger.info(`Generating image with SD 3.5 (${params.model || 'sd3.5-large'}, ${imageToImage ? 'image-to-image' : 'text-to-image'})`);
 
-    const formData = await buildFormData({
-      prompt: params.prompt,
-      model: params.model || 'sd3.5-large',
-      negative_prompt: params.negative_prompt,
-      aspect_ratio: params.aspect_ratio || '1:1',
-      seed: params.seed,
-      output_format: params.output_format || 'png'
-    });
+    const form: FormDataSource = {
+      params: {
+        prompt: params.prompt,
+        model: params.model || 'sd3.5-large',
+        mode: imageToImage ? 'image-to-image' : undefined,
+        negative_prompt: params.negative_prompt,
+        aspect_ratio: imageToImage ? undefined : params.aspect_ratio || '1:1',
+        strength: imageToImage ? params.strength : undefined,
+        cfg_scale: params.cfg_scale,
+        style_preset: params.style_preset,
+        seed: params.seed,
+        output_format: params.output_format || 'png'
+      },
+      files: imageToImage ? { image: params.image } : {}
+    };
 
-    return await this._makeFormDataRequest('POST', MODEL_ENDPOINTS['sd3-large'], formData) as ImageResult;
+    return await this._makeFormDataRequest('POST', MODEL_ENDPOINTS['sd3-large'], form, requestOptions) as ImageResponse<O>;
   }
 
   /**
    * Upscale image 4x using fast upscaler (~1 second).
+   * Inputs must have 1,024 to 1,048,576 pixels; local files and buffers are
+   * checked (or fitted, see `inputFit`) before upload.
    *
-   * @param imagePath - Path to input image or URL
-   * @param outputFormat - Output format
+   * @param image - Input image: path, URL, Buffer, Uint8Array, stream or Blob
+   * @param params - Output format, as a string or `{ output_format }`
+   * @param requestOptions - Abort signal, per-request timeout and response mode
    * @returns Upscaled image result
    *
    * @example
-   * const result = await api.upscaleFast('/path/to/image.png');
+   * const result = await api.upscaleFast('/path/to/image.png', { output_format: 'webp' });
    */
-  async upscaleFast(imagePath: string, outputFormat = 'png'): Promise<ImageResult> {
-    logger.info('Upscaling image with Fast Upscaler');
+  async upscaleFast<O extends RequestOptions>(image: ImageInput, params: string | UpscaleFastParams = 'png', requestOptions: O = {} as O): Promise<ImageResponse<O>> {
+    this.logger.info('Upscaling image with Fast Upscaler');
 
-    const formData = await buildFormData(
-      { output_format: outputFormat },
-      { image: imagePath }
-    );
+    const outputFormat = typeof params === 'string' ? params : params.output_format;
+    const form: FormDataSource = {
+      params: { output_format: outputFormat || 'png' },
+      files: { image }
+    };
 
-    return await this._makeFormDataRequest('POST', MODEL_ENDPOINTS['upscale-fast'], formData) as ImageResult;
+    return await this._makeFormDataRequest('POST', MODEL_ENDPOINTS['upscale-fast'], form, requestOptions) as ImageResponse<O>;
   }
 
   /**
    * Upscale image 20-40x to 4MP using conservative upscaler (minimal alteration).
    *
-   * @param imagePath - Path to input image or URL
+   * @param image - Input image: path, URL, Buffer, Uint8Array, stream or Blob
    * @param params - Additional parameters
+   * @param requestOptions - Abort signal, per-request timeout and response mode
    * @returns Upscaled image result
    *
    * @example
-   * const result = await api.upscaleConservative('/path/to/image.png', { prompt: 'enhance details' });
+   * const result = await api.upscaleConservative('/path/to/image.png', { prompt: 'enhance details', creativity: 0.25 });
+   *
+   * // Write a large result straight to disk instead of holding it in memory
+   * const { bytes, seed } = await api.upscaleConservative(image, {}, { destination: './upscaled.png' });
    */
-  async upscaleConservative(imagePath: string, params: UpscaleParams = {}): Promise<ImageResult> {
-    logger.info('Upscaling image with Conservative Upscaler');
+  async upscaleConservative<O extends RequestOptions>(image: ImageInput, params: UpscaleParams = {}, requestOptions: O = {} as O): Promise<ImageResponse<O>> {
+    this.logger.info('Upscaling image with Conservative Upscaler');
 
-    const formData = await buildFormData(
-      {
+    const form: FormDataSource = {
+      params: {
         prompt: params.prompt,
         negative_prompt: params.negative_prompt,
+        creativity: params.creativity,
         seed: params.seed,
         output_format: params.output_format || 'png'
       },
-      { image: imagePath }
-    );
+      files: { image }
+    };
 
-    return await this._makeFormDataRequest('POST', MODEL_ENDPOINTS['upscale-conservative'], formData) as ImageResult;
+    return await this._makeFormDataRequest('POST', MODEL_ENDPOINTS['upscale-conservative'], form, requestOptions) as ImageResponse<O>;
   }
 
   /**
    * Upscale image 20-40x with creative reimagining (asynchronous).
    *
-   * @param imagePath - Path to input image or URL
+   * @param image - Input image: path, URL, Buffer, Uint8Array, stream or Blob
    * @param params - Additional parameters
+   * @param requestOptions - Abort signal, per-request timeout and response mode
    * @returns Task object or final result if wait=true
    *
    * @example
-   * const result = await api.upscaleCreative('/path/to/image.png', { creativity: 0.4 });
+   * const result = await api.upscaleCreative('/path/to/image.png', { creativity: 0.4, style_preset: 'photographic' });
    */
-  async upscaleCreative(imagePath: string, params: UpscaleParams = {}): Promise<ImageResult | TaskResult> {
-    logger.info('Upscaling image with Creative Upscaler (async)');
+  async upscaleCreative<O extends RequestOptions>(image: ImageInput, params: UpscaleParams = {}, requestOptions: O = {} as O): Promise<ImageResponse<O> | TaskResult> {
+    this.logger.info('Upscaling image with Creative Upscaler (async)');
 
-    const formData = await buildFormData(
-      {
+    const form: FormDataSource = {
+      params: {
         prompt: params.prompt,
         negative_prompt: params.negative_prompt,
         creativity: params.creativity || 0.3,
+        style_preset: params.style_preset,
         seed: params.seed,
         output_format: params.output_format || 'png'
       },
-      { image: imagePath }
-    );
+      files: { image }
+    };
 
-    const task = await this._makeFormDataRequest('POST', MODEL_ENDPOINTS['upscale-creative'], formData);
+    const task = await this._makeFormDataRequest('POST', MODEL_ENDPOINTS['upscale-creative'], form, requestOptions);
 
     // If wait is enabled (default), poll for result
     const taskWithId = task as { id?: string };
     if (params.wait !== false && taskWithId.id) {
-      logger.info(`Got task ID: ${taskWithId.id}, waiting for result...`);
-      return await this.waitForResult(taskWithId.id);
+      this.logger.info(`Got task ID: ${taskWithId.id}, waiting for result...`);
+      return await this.waitForResult(taskWithId.id, requestOptions);
     }
 
     return task as TaskResult;
   }
 
+  /**
+   * Upscale an image to at least a target width, picking the upscaler from
+   * the input size and the scale needed: fast for up to 4x, otherwise
+   * conservative, or creative for large jumps from small inputs (see chooseUpscaler()).
+   * The output keeps the aspect ratio and may be wider than the target.
+   *
+   * @param image - Input image: local path, Buffer, Uint8Array or Blob (the size must be readable)
+   * @param targetWidth - Smallest acceptable output width in pixels
+   * @param params - Upscale parameters; the fast upscaler only uses output_format
+   * @param requestOptions - Abort signal, per-request timeout and response mode
+   * @returns Upscaled image result, or the task object if the creative upscaler runs with wait=false
+   * @throws Error if the input size cannot be read or no upscaler reaches the target
+   *
+   * @example
+   * const result = await api.upscaleTo('./thumbnail.png', 2048, { prompt: 'a mountain lake' });
+   */
+  async upscaleTo<O extends RequestOptions>(image: ImageInput, targetWidth: number, params: UpscaleParams = {}, requestOptions: O = {} as O): Promise<ImageResponse<O> | TaskResult> {
+    const info = await peekImageInfo(image);
+    if (!info) {
+      throw new Error('upscaleTo needs a PNG, JPEG or WebP image whose size can be read (local path, Buffer, Uint8Array or Blob)');
+    }
+
+    const plan = chooseUpscaler(info.width, info.height, targetWidth);
+    this.logger.info(`Upscaling ${info.width}x${info.height} to ${plan.width}x${plan.height} with ${plan.model}`);
+
+    switch (plan.model) {
+      case 'upscale-fast':
+        return await this.upscaleFast(image, { output_format: params.output_format }, requestOptions);
+      case 'upscale-conservative':
+        return await this.upscaleConservative(image, params, requestOptions);
+      case 'upscale-creative':
+        return await this.upscaleCreative(image, params, requestOptions);
+    }
+  }
+
   /**
    * Get user account credits balance.
    *
+   * @param requestOptions - Abort signal and per-request timeout
    * @returns Balance information with credits property
    *
    * @example
    * const balance = await api.getBalance();
    * console.log('Credits remaining:', balance.credits);
    */
-  async getBalance(): Promise<CreditsResult> {
-    this._verifyApiKey();
+  async getBalance(requestOptions: RequestOptions = {}): Promise<CreditsResult> {
+    const balance = await this._makeFormDataRequest('GET', BALANCE_ENDPOINT, null, {
+      ...requestOptions,
+      headers: { 'accept': 'application/json' }
+    }) as unknown as CreditsResult;
+
+    this.logger.info(`Account balance: ${balance.credits} credits`);
+    return balance;
+  }
 
-    try {
-      const response = await axios.get<CreditsResult>(`${this.baseUrl}/v1/user/balance`, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Accept': 'application/json'
-        },
-        timeout: 30000
-      });
+  /**
+   * Estimate the credit cost of a single call.
+   *
+   * @param operation - Operation key (e.g. 'stable-image-ultra', 'sd3', 'erase', 'sketch')
+   * @param params - Call parameters; `model` selects the SD3.5 variant for 'sd3'
+   * @returns Estimated credits
+   *
+   * @example
+   * api.estimateCost('sd3', { model: 'sd3.5-medium' }); // 3.5
+   */
+  estimateCost(operation: string, params: Record<string, unknown> = {}): number {
+    return estimateCost(operation, params);
+  }
 
-      logger.info(`Account balance: ${response.data.credits} credits`);
-      return response.data;
-    } catch (error) {
-      const axiosError = error as AxiosError;
-      logger.error(`Error fetching balance: ${this._sanitizeErrorMessage(axiosError)}`);
-      throw new Error(this._sanitizeErrorMessage(axiosError));
+  /**
+   * Check that a batch of calls fits the credit budget before starting it.
+   * Batches estimated at or above the balance-check threshold also verify
+   * the account balance, so a long run does not fail halfway through.
+   *
+   * @param calls - Planned calls
+   * @param requestOptions - Abort signal and per-request timeout for the balance check
+   * @returns Estimated batch cost and the balance, if it was checked
+   * @throws StabilityBudgetError if the batch exceeds the budget or the balance
+   *
+   * @example
+   * await api.checkBudget(prompts.map(prompt => ({ operation: 'stable-image-core', params: { prompt } })));
+   */
+  async checkBudget(calls: PlannedCall[], requestOptions: RequestOptions = {}): Promise<BudgetCheckResult> {
+    const estimatedCredits = calls.reduce((total, call) => total + estimateCost(call.operation, call.params), 0);
+    const label = `batch of ${calls.length} call(s)`;
+
+    this.budget?.assertAffordable(estimatedCredits, label);
+
+    const threshold = this.budget?.options.balanceCheckThreshold ?? DEFAULT_BALANCE_CHECK_THRESHOLD;
+    if (estimatedCredits < threshold) {
+      return { estimatedCredits, balance: null };
+    }
+
+    const { credits: balance } = await this.getBalance(requestOptions);
+    if (estimatedCredits > balance) {
+      throw new StabilityBudgetError(
+        `Insufficient credits: ${label} needs ~${estimatedCredits} credits but the account has ${balance}`,
+        { endpoint: BALANCE_ENDPOINT, estimatedCredits, remainingCredits: balance }
+      );
     }
+    return { estimatedCredits, balance };
+  }
+
+  /**
+   * Sweep seeds and parameter values for an operation.
+   * Every combination is run (refusing grids estimated above the credit cap)
+   * and saved into one folder with an HTML contact sheet labelling each
+   * image with its parameters and seed.
+   *
+   * @param operation - Operation key (e.g. 'sd3', 'sketch', 'upscale-creative')
+   * @param params - Parameters shared by every call, including input images
+   * @param grid - Values to sweep: a list, or { min, max, step } for numeric parameters
+   * @param options - Random seed count, credit cap, output directory and concurrency
+   * @returns Cells with their outcomes, and the folder and contact sheet paths
+   * @throws StabilityBudgetError if the grid exceeds the credit cap or the budget
+   *
+   * @example
+   * const result = await api.explore('stable-image-ultra', { prompt: 'a lighthouse', image: './photo.png' }, {
+   *   strength: { min: 0.2, max: 0.8, step: 0.2 }
+   * }, { seeds: 3, maxCredits: 100 });
+   * console.log(result.contactSheet);
+   */
+  async explore(
+    operation: string,
+    params: Record<string, unknown>,
+    grid: ExploreGrid,
+    options: ExploreOptions = {}
+  ): Promise<ExploreResult> {
+    return await runExploration(this, operation, params, grid, options);
+  }
+
+  /**
+   * Run operations in sequence, feeding each step's image to the next step's
+   * input image without writing intermediate files.
+   * The whole pipeline is validated and checked against the budget first.
+   *
+   * @param steps - Steps in order; the first supplies its own input image, if it takes one
+   * @param options - Intermediate handling, output directory and cancellation
+   * @returns Final image with every step's record and the combined provenance
+   * @throws Error if a step is invalid; the failing step's error if one fails
+   *
+   * @example
+   * const result = await api.pipeline([
+   *   { operation: 'stable-image-core', params: { prompt: 'a ceramic mug on a desk' } },
+   *   { operation: 'search-and-replace', params: { prompt: 'a glass mug', search_prompt: 'ceramic mug' } },
+   *   { operation: 'remove-background' },
+   *   { operation: 'upscale-conservative', params: { prompt: 'a glass mug' } }
+   * ], { keepIntermediates: true });
+   */
+  async pipeline(steps: PipelineStep[], options: PipelineOptions = {}): Promise<PipelineResult> {
+    return await runPipeline(this, steps, options);
   }
 
   // ==================== Edit Methods ====================
@@ -558,55 +1197,65 @@ export class StabilityAPI {
    * Erase objects from an image using a mask.
    * Removes unwanted objects like blemishes, items on desks, etc.
    *
-   * @param image - Path to input image or URL
+   * @param image - Input image: path, URL, Buffer, Uint8Array, stream or Blob
    * @param options - Erase options
+   * @param requestOptions - Abort signal, per-request timeout and response mode
    * @returns Erased image result with image buffer
    *
    * @example
    * const result = await api.erase('/path/to/photo.png', { mask: '/path/to/mask.png' });
    * const result = await api.erase('/path/to/photo-with-alpha.png'); // uses alpha channel
+   *
+   * // Mask drawn in memory, no file needed
+   * const mask = await createMask('/path/to/photo.png', { shapes: [{ type: 'rect', x: 100, y: 80, width: 200, height: 150 }] });
+   * const result = await api.erase('/path/to/photo.png', { mask });
    */
-  async erase(image: string, options: EraseParams = {}): Promise<ImageResult> {
-    logger.info('Erasing objects from image');
+  async erase<O extends RequestOptions>(image: ImageInput, options: EraseParams = {}, requestOptions: O = {} as O): Promise<ImageResponse<O>> {
+    this.logger.info('Erasing objects from image');
 
-    const fileInputs: Record<string, string | undefined> = { image };
+    const fileInputs: Record<string, ImageInput | undefined> = { image };
     if (options.mask) {
       fileInputs.mask = options.mask;
+    } else {
+      await this._warnIfNothingMasked('erase', image);
     }
 
-    const formData = await buildFormData(
-      {
+    const form: FormDataSource = {
+      params: {
         grow_mask: options.grow_mask,
         seed: options.seed,
         output_format: options.output_format || 'png'
       },
-      fileInputs
-    );
+      files: fileInputs
+    };
 
-    return await this._makeFormDataRequest('POST', EDIT_ENDPOINTS['erase'], formData) as ImageResult;
+    return await this._makeFormDataRequest('POST', EDIT_ENDPOINTS['erase'], form, requestOptions) as ImageResponse<O>;
   }
 
   /**
    * Inpaint (fill or replace) masked areas with prompt-guided content.
    *
-   * @param image - Path to input image or URL
+   * @param image - Input image: path, URL, Buffer, Uint8Array, stream or Blob
    * @param prompt - What to generate in masked area (1-10000 chars)
    * @param options - Inpaint options
+   * @param requestOptions - Abort signal, per-request timeout and response mode
    * @returns Inpainted image result with image buffer
    *
    * @example
    * const result = await api.inpaint('/path/to/photo.png', 'blue sky with clouds', { mask: '/path/to/mask.png' });
    */
-  async inpaint(image: string, prompt: string, options: InpaintParams = {}): Promise<ImageResult> {
-    logger.info('Inpainting image with prompt');
+  async inpaint<O extends RequestOptions>(image: ImageInput, prompt: string, options: InpaintParams = {}, requestOptions: O = {} as O): Promise<ImageResponse<O>> {
+    this.logger.info('Inpainting image with prompt');
 
-    const fileInputs: Record<string, string | undefined> = { image };
+    const fileInputs: Record<string, ImageInput | undefined> = { image };
     if (options.mask) {
       fileInputs.mask = options.mask;
+    } else {
+      await this._warnIfNothingMasked('inpaint', image);
     }
 
-    const formData = await buildFormData(
-      {
+    const form: FormDataSource = {
+      params: {
         prompt,
         negative_prompt: options.negative_prompt,
         grow_mask: options.grow_mask,
@@ -614,28 +1263,29 @@ export class StabilityAPI {
         output_format: options.output_format || 'png',
         style_preset: options.style_preset
       },
-      fileInputs
-    );
+      files: fileInputs
+    };
 
-    return await this._makeFormDataRequest('POST', EDIT_ENDPOINTS['inpaint'], formData) as ImageResult;
+    return await this._makeFormDataRequest('POST', EDIT_ENDPOINTS['inpaint'], form, requestOptions) as ImageResponse<O>;
   }
 
   /**
    * Outpaint (extend) image boundaries in any direction.
    *
-   * @param image - Path to input image or URL
+   * @param image - Input image: path, URL, Buffer, Uint8Array, stream or Blob
    * @param options - Outpaint options
+   * @param requestOptions - Abort signal, per-request timeout and response mode
    * @returns Outpainted image result with image buffer
    *
    * @example
    * const result = await api.outpaint('/path/to/photo.png', { left: 200, right: 200 });
    * const result = await api.outpaint('/path/to/photo.png', { up: 500, prompt: 'blue sky' });
    */
-  async outpaint(image: string, options: OutpaintParams = {}): Promise<ImageResult> {
-    logger.info('Outpainting image');
+  async outpaint<O extends RequestOptions>(image: ImageInput, options: OutpaintParams = {}, requestOptions: O = {} as O): Promise<ImageResponse<O>> {
+    this.logger.info('Outpainting image');
 
-    const formData = await buildFormData(
-      {
+    const form: FormDataSource = {
+      params: {
         left: options.left,
         right: options.right,
         up: options.up,
@@ -646,29 +1296,30 @@ export class StabilityAPI {
         output_format: options.output_format || 'png',
         style_preset: options.style_preset
       },
-      { image }
-    );
+      files: { image }
+    };
 
-    return await this._makeFormDataRequest('POST', EDIT_ENDPOINTS['outpaint'], formData) as ImageResult;
+    return await this._makeFormDataRequest('POST', EDIT_ENDPOINTS['outpaint'], form, requestOptions) as ImageResponse<O>;
   }
 
   /**
    * Search and replace objects using text prompts (no manual masking needed).
    *
-   * @param image - Path to input image or URL
+   * @param image - Input image: path, URL, Buffer, Uint8Array, stream or Blob
    * @param prompt - What to replace with (1-10000 chars)
    * @param searchPrompt - Short description of what to find
    * @param options - Search and replace options
+   * @param requestOptions - Abort signal, per-request timeout and response mode
    * @returns Modified image result with image buffer
    *
    * @example
    * const result = await api.searchAndReplace('/path/to/photo.png', 'golden retriever', 'cat');
    */
-  async searchAndReplace(image: string, prompt: string, searchPrompt: string, options: SearchAndReplaceParams = {}): Promise<ImageResult> {
-    logger.info(`Searching for "${searchPrompt}" and replacing with "${prompt}"`);
+  async searchAndReplace<O extends RequestOptions>(image: ImageInput, prompt: string, searchPrompt: string, options: SearchAndReplaceParams = {}, requestOptions: O = {} as O): Promise<ImageResponse<O>> {
+    this.logger.info(`Searching for "${searchPrompt}" and replacing with "${prompt}"`);
 
-    const formData = await buildFormData(
-      {
+    const form: FormDataSource = {
+      params: {
         prompt,
         search_prompt: searchPrompt,
         negative_prompt: options.negative_prompt,
@@ -677,29 +1328,30 @@ export class StabilityAPI {
         output_format: options.output_format || 'png',
         style_preset: options.style_preset
       },
-      { image }
-    );
+      files: { image }
+    };
 
-    return await this._makeFormDataRequest('POST', EDIT_ENDPOINTS['search-and-replace'], formData) as ImageResult;
+    return await this._makeFormDataRequest('POST', EDIT_ENDPOINTS['search-and-replace'], form, requestOptions) as ImageResponse<O>;
   }
 
   /**
    * Search and recolor objects using text prompts (no manual masking needed).
    *
-   * @param image - Path to input image or URL
+   * @param image - Input image: path, URL, Buffer, Uint8Array, stream or Blob
    * @param prompt - Desired color/appearance (1-10000 chars)
    * @param selectPrompt - Short description of what to find
    * @param options - Search and recolor options
+   * @param requestOptions - Abort signal, per-request timeout and response mode
    * @returns Recolored image result with image buffer
    *
    * @example
    * const result = await api.searchAndRecolor('/path/to/photo.png', 'bright red', 'car');
    */
-  async searchAndRecolor(image: string, prompt: string, selectPrompt: string, options: SearchAndRecolorParams = {}): Promise<ImageResult> {
-    logger.info(`Searching for "${selectPrompt}" and recoloring to "${prompt}"`);
+  async searchAndRecolor<O extends RequestOptions>(image: ImageInput, prompt: string, selectPrompt: string, options: SearchAndRecolorParams = {}, requestOptions: O = {} as O): Promise<ImageResponse<O>> {
+    this.logger.info(`Searching for "${selectPrompt}" and recoloring to "${prompt}"`);
 
-    const formData = await buildFormData(
-      {
+    const form: FormDataSource = {
+      params: {
         prompt,
         select_prompt: selectPrompt,
         negative_prompt: options.negative_prompt,
@@ -708,26 +1360,27 @@ export class StabilityAPI {
         output_format: options.output_format || 'png',
         style_preset: options.style_preset
       },
-      { image }
-    );
+      files: { image }
+    };
 
-    return await this._makeFormDataRequest('POST', EDIT_ENDPOINTS['search-and-recolor'], formData) as ImageResult;
+    return await this._makeFormDataRequest('POST', EDIT_ENDPOINTS['search-and-recolor'], form, requestOptions) as ImageResponse<O>;
   }
 
   /**
    * Remove background from image (automatic segmentation).
    * Returns image with transparent background.
    *
-   * @param image - Path to input image or URL
+   * @param image - Input image: path, URL, Buffer, Uint8Array, stream or Blob
    * @param options - Remove background options
+   * @param requestOptions - Abort signal, per-request timeout and response mode
    * @returns Image with transparent background
    *
    * @example
    * const result = await api.removeBackground('/path/to/photo.png');
    * const result = await api.removeBackground('/path/to/photo.jpg', { output_format: 'webp' });
    */
-  async removeBackground(image: string, options: RemoveBackgroundParams = {}): Promise<ImageResult> {
-    logger.info('Removing background from image');
+  async removeBackground<O extends RequestOptions>(image: ImageInput, options: RemoveBackgroundParams = {}, requestOptions: O = {} as O): Promise<ImageResponse<O>> {
+    this.logger.info('Removing background from image');
 
     // Remove background doesn't support jpeg (needs transparency)
     const outputFormat = options.output_format || 'png';
@@ -735,20 +1388,21 @@ export class StabilityAPI {
       throw new Error('Remove background does not support jpeg output format (requires transparency). Use png or webp.');
     }
 
-    const formData = await buildFormData(
-      { output_format: outputFormat },
-      { image }
-    );
+    const form: FormDataSource = {
+      params: { output_format: outputFormat },
+      files: { image }
+    };
 
-    return await this._makeFormDataRequest('POST', EDIT_ENDPOINTS['remove-background'], formData) as ImageResult;
+    return await this._makeFormDataRequest('POST', EDIT_ENDPOINTS['remove-background'], form, requestOptions) as ImageResponse<O>;
   }
 
   /**
    * Replace background and relight subject with AI-generated or reference imagery.
    * This is an ASYNCHRONOUS operation that returns a task ID.
    *
-   * @param subjectImage - Path to image with subject to keep
+   * @param subjectImage - Image with the subject to keep: path, URL, Buffer, Uint8Array, stream or Blob
    * @param options - Replace background options
+   * @param requestOptions - Abort signal, per-request timeout and response mode
    * @returns Task object or final result if wait=true
    *
    * @example
@@ -757,8 +1411,8 @@ export class StabilityAPI {
    *   light_source_direction: 'right'
    * });
    */
-  async replaceBackgroundAndRelight(subjectImage: string, options: ReplaceBackgroundParams = {}): Promise<ImageResult | TaskResult> {
-    logger.info('Replacing background and relighting subject (async)');
+  async replaceBackgroundAndRelight<O extends RequestOptions>(subjectImage: ImageInput, options: ReplaceBackgroundParams = {}, requestOptions: O = {} as O): Promise<ImageResponse<O> | TaskResult> {
+    this.logger.info('Replacing background and relighting subject (async)');
 
     // Validate either background_prompt or background_reference is provided
     if (!options.background_prompt && !options.background_reference) {
@@ -771,7 +1425,7 @@ export class StabilityAPI {
       throw new Error('light_source_strength requires either light_reference or light_source_direction');
     }
 
-    const fileInputs: Record<string, string | undefined> = { subject_image: subjectImage };
+    const fileInputs: Record<string, ImageInput | undefined> = { subject_image: subjectImage };
     if (options.background_reference) {
       fileInputs.background_reference = options.background_reference;
     }
@@ -779,8 +1433,8 @@ export class StabilityAPI {
       fileInputs.light_reference = options.light_reference;
     }
 
-    const formData = await buildFormData(
-      {
+    const form: FormDataSource = {
+      params: {
         background_prompt: options.background_prompt,
         foreground_prompt: options.foreground_prompt,
         negative_prompt: options.negative_prompt,
@@ -794,16 +1448,16 @@ export class StabilityAPI {
         seed: options.seed,
         output_format: options.output_format || 'png'
       },
-      fileInputs
-    );
+      files: fileInputs
+    };
 
-    const task = await this._makeFormDataRequest('POST', EDIT_ENDPOINTS['replace-background-and-relight'], formData);
+    const task = await this._makeFormDataRequest('POST', EDIT_ENDPOINTS['replace-background-and-relight'], form, requestOptions);
 
     // If wait is enabled (default), poll for result
     const taskWithId = task as { id?: string };
     if (options.wait !== false && taskWithId.id) {
-      logger.info(`Got task ID: ${taskWithId.id}, waiting for result...`);
-      return await this.waitForResult(taskWithId.id);
+      this.logger.info(`Got task ID: ${taskWithId.id}, waiting for result...`);
+      return await this.waitForResult(taskWithId.id, requestOptions);
     }
 
     return task as TaskResult;
@@ -816,20 +1470,21 @@ export class StabilityAPI {
    * Upgrades rough hand-drawn sketches to refined outputs with precise control.
    * For non-sketch images, it leverages contour lines and edges within the image.
    *
-   * @param image - Path to input sketch image or URL
+   * @param image - Sketch: path, URL, Buffer, Uint8Array, stream or Blob
    * @param prompt - What to generate from the sketch (1-10000 chars)
    * @param options - Control options
+   * @param requestOptions - Abort signal, per-request timeout and response mode
    * @returns Generated image result with image buffer
    *
    * @example
    * const result = await api.controlSketch('/path/to/sketch.png', 'a medieval castle on a hill');
    * const result = await api.controlSketch('/path/to/sketch.png', 'castle', { control_strength: 0.8 });
    */
-  async controlSketch(image: string, prompt: string, options: ControlSketchParams = {}): Promise<ImageResult> {
-    logger.info('Generating from sketch with Control: Sketch');
+  async controlSketch<O extends RequestOptions>(image: ImageInput, prompt: string, options: ControlSketchParams = {}, requestOptions: O = {} as O): Promise<ImageResponse<O>> {
+    this.logger.info('Generating from sketch with Control: Sketch');
 
-    const formData = await buildFormData(
-      {
+    const form: FormDataSource = {
+      params: {
         prompt,
         control_strength: options.control_strength,
         negative_prompt: options.negative_prompt,
@@ -837,10 +1492,10 @@ export class StabilityAPI {
         output_format: options.output_format || 'png',
         style_preset: options.style_preset
       },
-      { image }
-    );
+      files: { image }
+    };
 
-    return await this._makeFormDataRequest('POST', CONTROL_ENDPOINTS['sketch'], formData) as ImageResult;
+    return await this._makeFormDataRequest('POST', CONTROL_ENDPOINTS['sketch'], form, requestOptions) as ImageResponse<O>;
   }
 
   /**
@@ -848,20 +1503,21 @@ export class StabilityAPI {
    * Maintains the structural elements of an input image while generating new content.
    * Ideal for recreating scenes or rendering characters from models.
    *
-   * @param image - Path to input image or URL (structure reference)
+   * @param image - Structure reference: path, URL, Buffer, Uint8Array, stream or Blob
    * @param prompt - What to generate with the structure (1-10000 chars)
    * @param options - Control options
+   * @param requestOptions - Abort signal, per-request timeout and response mode
    * @returns Generated image result with image buffer
    *
    * @example
    * const result = await api.controlStructure('/path/to/statue.png', 'a shrub in an english garden');
    * const result = await api.controlStructure('/path/to/photo.jpg', 'oil painting style', { control_strength: 0.6 });
    */
-  async controlStructure(image: string, prompt: string, options: ControlStructureParams = {}): Promise<ImageResult> {
-    logger.info('Generating with structure preservation with Control: Structure');
+  async controlStructure<O extends RequestOptions>(image: ImageInput, prompt: string, options: ControlStructureParams = {}, requestOptions: O = {} as O): Promise<ImageResponse<O>> {
+    this.logger.info('Generating with structure preservation with Control: Structure');
 
-    const formData = await buildFormData(
-      {
+    const form: FormDataSource = {
+      params: {
         prompt,
         control_strength: options.control_strength,
         negative_prompt: options.negative_prompt,
@@ -869,10 +1525,10 @@ export class StabilityAPI {
         output_format: options.output_format || 'png',
         style_preset: options.style_preset
       },
-      { image }
-    );
+      files: { image }
+    };
 
-    return await this._makeFormDataRequest('POST', CONTROL_ENDPOINTS['structure'], formData) as ImageResult;
+    return await this._makeFormDataRequest('POST', CONTROL_ENDPOINTS['structure'], form, requestOptions) as ImageResponse<O>;
   }
 
   /**
@@ -880,20 +1536,21 @@ export class StabilityAPI {
    * Extracts stylistic elements from an input image and uses them to guide generation.
    * Creates a new image in the same style as the control image.
    *
-   * @param image - Path to style reference image or URL
+   * @param image - Style reference: path, URL, Buffer, Uint8Array, stream or Blob
    * @param prompt - What to generate with the style (1-10000 chars)
    * @param options - Control options
+   * @param requestOptions - Abort signal, per-request timeout and response mode
    * @returns Generated image result with image buffer
    *
    * @example
    * const result = await api.controlStyle('/path/to/style-ref.png', 'a majestic portrait of a chicken');
    * const result = await api.controlStyle('/path/to/art.jpg', 'landscape', { fidelity: 0.8, aspect_ratio: '16:9' });
    */
-  async controlStyle(image: string, prompt: string, options: ControlStyleParams = {}): Promise<ImageResult> {
-    logger.info('Generating with style guidance with Control: Style');
+  async controlStyle<O extends RequestOptions>(image: ImageInput, prompt: string, options: ControlStyleParams = {}, requestOptions: O = {} as O): Promise<ImageResponse<O>> {
+    this.logger.info('Generating with style guidance with Control: Style');
 
-    const formData = await buildFormData(
-      {
+    const form: FormDataSource = {
+      params: {
         prompt,
         fidelity: options.fidelity,
         aspect_ratio: options.aspect_ratio,
@@ -902,10 +1559,10 @@ export class StabilityAPI {
         output_format: options.output_format || 'png',
         style_preset: options.style_preset
       },
-      { image }
-    );
+      files: { image }
+    };
 
-    return await this._makeFormDataRequest('POST', CONTROL_ENDPOINTS['style'], formData) as ImageResult;
+    return await this._makeFormDataRequest('POST', CONTROL_ENDPOINTS['style'], form, requestOptions) as ImageResponse<O>;
   }
 
   /**
@@ -913,9 +1570,10 @@ export class StabilityAPI {
    * Transfers visual characteristics from a style image to a content image
    * while preserving the original composition.
    *
-   * @param initImage - Path to content image or URL (what to restyle)
-   * @param styleImage - Path to style reference image or URL
+   * @param initImage - Content image to restyle: path, URL, Buffer, Uint8Array, stream or Blob
+   * @param styleImage - Style reference: path, URL, Buffer, Uint8Array, stream or Blob
    * @param options - Style transfer options
+   * @param requestOptions - Abort signal, per-request timeout and response mode
    * @returns Style transferred image result with image buffer
    *
    * @example
@@ -925,11 +1583,11 @@ export class StabilityAPI {
    *   composition_fidelity: 0.95
    * });
    */
-  async controlStyleTransfer(initImage: string, styleImage: string, options: ControlStyleTransferParams = {}): Promise<ImageResult> {
-    logger.info('Transferring style between images with Control: Style Transfer');
+  async controlStyleTransfer<O extends RequestOptions>(initImage: ImageInput, styleImage: ImageInput, options: ControlStyleTransferParams = {}, requestOptions: O = {} as O): Promise<ImageResponse<O>> {
+    this.logger.info('Transferring style between images with Control: Style Transfer');
 
-    const formData = await buildFormData(
-      {
+    const form: FormDataSource = {
+      params: {
         prompt: options.prompt,
         negative_prompt: options.negative_prompt,
         style_strength: options.style_strength,
@@ -938,26 +1596,271 @@ export class StabilityAPI {
         seed: options.seed,
         output_format: options.output_format || 'png'
       },
-      { init_image: initImage, style_image: styleImage }
-    );
+      files: { init_image: initImage, style_image: styleImage }
+    };
+
+    return await this._makeFormDataRequest('POST', CONTROL_ENDPOINTS['style-transfer'], form, requestOptions) as ImageResponse<O>;
+  }
+
+  // ==================== 3D Methods ====================
+
+  /**
+   * Generate a textured 3D model from a single image.
+   * Stable Fast 3D is the default; SPAR3D (`model: 'stable-point-aware-3d'`)
+   * adds guidance, a seed and better handling of unseen back sides.
+   *
+   * @param image - Input image: path, URL, Buffer, Uint8Array, stream or Blob
+   * @param params - Model, texture resolution, foreground ratio, remesh and vertex count
+   * @param requestOptions - Abort signal, per-request timeout and response mode
+   * @returns Binary glTF (GLB) result
+   *
+   * @example
+   * const { glb } = await api.generate3D('./chair.png', { texture_resolution: 2048, remesh: 'quad' });
+   * await fs.writeFile('chair.glb', glb);
+   */
+  async generate3D<O extends RequestOptions>(image: ImageInput, params: ThreeDParams = {}, requestOptions: O = {} as O): Promise<ImageResponse<O, Model3DResult>> {
+    const model = params.model || 'stable-fast-3d';
+    this.logger.info(`Generating 3D model with ${model}`);
+
+    const pointAware = model === 'stable-point-aware-3d';
+    const form: FormDataSource = {
+      params: {
+        texture_resolution: params.texture_resolution,
+        foreground_ratio: params.foreground_ratio,
+        remesh: params.remesh,
+        // SPAR3D takes a target count with a type instead of a vertex count
+        ...(pointAware
+          ? {
+            target_type: params.vertex_count !== undefined ? 'vertex' : undefined,
+            target_count: params.vertex_count,
+            guidance_scale: params.guidance_scale,
+            seed: params.seed
+          }
+          : { vertex_count: params.vertex_count })
+      },
+      files: { image }
+    };
+
+    return await this._makeFormDataRequest('POST', THREE_D_ENDPOINTS[model], form, {
+      ...requestOptions,
+      headers: { 'accept': '*/*' }
+    }) as unknown as ImageResponse<O, Model3DResult>;
+  }
+
+  // ==================== Audio Methods ====================
+
+  /**
+   * Generate music or sound effects from a prompt with Stable Audio 2.
+   *
+   * @param params - Prompt, duration, steps, cfg_scale, seed and output format
+   * @param requestOptions - Abort signal, per-request timeout and response mode
+   * @returns Generated audio result
+   *
+   * @example
+   * const { audio } = await api.generateAudio({ prompt: 'lofi beat with warm piano', duration: 30 });
+   * await fs.writeFile('beat.mp3', audio);
+   */
+  async generateAudio<O extends RequestOptions>(params: AudioParams, requestOptions: O = {} as O): Promise<ImageResponse<O, AudioResult>> {
+    this.logger.info('Generating audio with Stable Audio 2');
+
+    const form: FormDataSource = {
+      params: {
+        prompt: params.prompt,
+        duration: params.duration,
+        steps: params.steps,
+        cfg_scale: params.cfg_scale,
+        seed: params.seed,
+        output_format: params.output_format || 'mp3'
+      }
+    };
+
+    return await this._makeFormDataRequest('POST', AUDIO_ENDPOINTS['text-to-audio'], form, {
+      ...requestOptions,
+      headers: { 'accept': 'audio/*' }
+    }) as unknown as ImageResponse<O, AudioResult>;
+  }
+
+  /**
+   * Transform an audio clip with a prompt using Stable Audio 2.
+   * The input is read and checked before upload, so files that are not WAV
+   * or MP3 fail without a request.
+   *
+   * @param audio - Input audio: path, URL, Buffer, Uint8Array, stream or Blob (WAV or MP3)
+   * @param params - Prompt, strength, duration, steps, cfg_scale, seed and output format
+   * @param requestOptions - Abort signal, per-request timeout and response mode
+   * @returns Generated audio result
+   * @throws Error if the input is not a WAV or MP3 file
+   *
+   * @example
+   * const { audio } = await api.audioToAudio('./demo.wav', { prompt: 'orchestral arrangement', strength: 0.7 });
+   */
+  async audioToAudio<O extends RequestOptions>(audio: ImageInput, params: AudioToAudioParams, requestOptions: O = {} as O): Promise<ImageResponse<O, AudioResult>> {
+    this.logger.info('Transforming audio with Stable Audio 2');
+
+    const form: FormDataSource = {
+      params: {
+        prompt: params.prompt,
+        strength: params.strength,
+        duration: params.duration,
+        steps: params.steps,
+        cfg_scale: params.cfg_scale,
+        seed: params.seed,
+        output_format: params.output_format || 'mp3'
+      },
+      files: { audio: await audioToBuffer(audio, requestOptions.signal) }
+    };
+
+    return await this._makeFormDataRequest('POST', AUDIO_ENDPOINTS['audio-to-audio'], form, {
+      ...requestOptions,
+      headers: { 'accept': 'audio/*' }
+    }) as unknown as ImageResponse<O, AudioResult>;
+  }
+
+  // ==================== Video Methods ====================
+
+  /**
+   * Animate an image into a short MP4 clip with Stable Video Diffusion (asynchronous).
+   * The image must be 1024x576, 576x1024 or 768x768; local files and buffers
+   * are checked before upload.
+   *
+   * @param image - Input image: path, URL, Buffer, Uint8Array, stream or Blob
+   * @param params - Seed, cfg_scale, motion_bucket_id and whether to wait
+   * @param requestOptions - Abort signal, per-request timeout and response mode
+   * @returns Video result, or the task object if wait=false
+   * @throws Error if the image is not one of the supported sizes
+   *
+   * @example
+   * const { video } = await api.generateVideo('./product.png', { motion_bucket_id: 180, seed: 42 });
+   * await fs.writeFile('product.mp4', video);
+   */
+  async generateVideo<O extends RequestOptions>(image: ImageInput, params: VideoParams = {}, requestOptions: O = {} as O): Promise<ImageResponse<O, VideoResult> | TaskResult> {
+    this.logger.info('Generating video with Stable Video Diffusion (async)');
+
+    const info = await peekImageInfo(image);
+    const { dimensions } = getVideoConstraints('image-to-video')!;
+    if (info && !dimensions.includes(`${info.width}x${info.height}`)) {
+      throw new Error(`Image-to-video needs a ${dimensions.join(', ')} image (got ${info.width}x${info.height})`);
+    }
+
+    const form: FormDataSource = {
+      params: {
+        seed: params.seed,
+        cfg_scale: params.cfg_scale,
+        motion_bucket_id: params.motion_bucket_id
+      },
+      files: { image }
+    };
+
+    const task = await this._makeFormDataRequest('POST', VIDEO_ENDPOINTS['image-to-video'], form, requestOptions);
+
+    // If wait is enabled (default), poll the video results endpoint
+    const taskWithId = task as { id?: string };
+    if (params.wait !== false && taskWithId.id) {
+      this.logger.info(`Got task ID: ${taskWithId.id}, waiting for video...`);
+      return await this.waitForResult(taskWithId.id, { ...requestOptions, resultsEndpoint: VIDEO_RESULTS_ENDPOINT }) as unknown as ImageResponse<O, VideoResult>;
+    }
 
-    return await this._makeFormDataRequest('POST', CONTROL_ENDPOINTS['style-transfer'], formData) as ImageResult;
+    return task as TaskResult;
   }
 }
 
 export default StabilityAPI;
 
+// Re-export error classes for consumer convenience
+export {
+  StabilityError,
+  StabilityAuthError,
+  StabilityModerationError,
+  StabilityRateLimitError,
+  StabilityValidationError,
+  StabilityPayloadTooLargeError,
+  StabilityServerError,
+  StabilityTimeoutError,
+  StabilityAbortError,
+  StabilityBudgetError,
+} from './errors.js';
+export type { StabilityErrorDetails } from './errors.js';
+export { createFetchTransport } from './transport.js';
+export { attachSpinner } from './utils.js';
+export { CreditBudget } from './budget.js';
+export { TaskStore } from './tasks.js';
+export { runOperation, submitOperation, validateOperation, operationForOutputDir, OPERATIONS } from './operations.js';
+export { runBatch, loadManifest, parseManifest } from './batch.js';
+export { buildImageMetadata, embedImageMetadata, tryEmbedImageMetadata, readImageMetadata } from './metadata.js';
+export { loadRunRecord, parseOverride, planRerun } from './rerun.js';
+export { planExploration, exploreParams, parseAxis, DEFAULT_EXPLORE_MAX_CREDITS } from './explore.js';
+export { loadPipeline, parsePipeline, validatePipeline, chainedInput, PIPELINE_MODEL } from './pipeline.js';
+export { readImageInfo, detectImageFormat, fitImage } from './image.js';
+export { detectAudioFormat } from './audio.js';
+export { createMask, parseMaskShapes, parseShapeSpec, MASK_SHAPE_FIELDS } from './masks.js';
+export { FileCacheStore, MemoryCacheStore, requestFingerprint, isDeterministic, DEFAULT_CACHE_DIR, DEFAULT_CACHE_TTL_MS, DEFAULT_CACHE_MAX_BYTES } from './cache.js';
+
 // Re-export types for consumer convenience
 export type {
   StabilityApiOptions,
   ImageResult,
+  ImageStreamResult,
+  ImageFileResult,
+  ImageResponse,
+  ResponseMode,
   TaskResult,
   CreditsResult,
   WaitResultOptions,
+  RequestOptions,
+  RetryOptions,
+  Logger,
+  HttpClient,
+  HttpRequestConfig,
+  HttpResponse,
+  FetchLike,
+  BudgetOptions,
+  PlannedCall,
+  BudgetCheckResult,
+  BatchJob,
+  BatchJobState,
+  BatchOptions,
+  BatchSummary,
+  TaskRecord,
+  ImageMetadata,
+  RerunOptions,
+  RerunPlan,
+  ExploreAxis,
+  ExploreGrid,
+  ExploreOptions,
+  ExploreCell,
+  ExplorePlan,
+  ExploreResult,
+  PipelineStep,
+  PipelineRecipe,
+  PipelineOptions,
+  PipelineStepRecord,
+  PipelineResult,
+  CacheOptions,
+  CacheEntry,
+  CacheStats,
+  CacheStore,
+  InputFit,
+  ImageInfo,
+  MaskShape,
+  MaskOptions,
+  ImageFitConstraints,
+  ImageFitReport,
+  StabilityEventMap,
+  ProgressEvent,
+  RequestStartEvent,
+  UploadProgressEvent,
+  TaskSubmittedEvent,
+  TaskPollEvent,
+  TaskCompleteEvent,
+  RequestErrorEvent,
+  InputFitEvent,
   UltraParams,
   CoreParams,
   SD3Params,
   UpscaleParams,
+  UpscaleFastParams,
+  UpscaleModel,
+  UpscalePlan,
   EraseParams,
   InpaintParams,
   OutpaintParams,
@@ -969,5 +1872,14 @@ export type {
   ControlStructureParams,
   ControlStyleParams,
   ControlStyleTransferParams,
+  ThreeDParams,
+  Model3DResult,
+  AudioFormat,
+  AudioParams,
+  AudioToAudioParams,
+  AudioResult,
+  VideoParams,
+  VideoResult,
+  ResultOptions,
   ValidationResult,
 } from './types/index.js';
@@ -0,0 +1,43 @@
+/**
+ * Input Audio
+ *
+ * Identifies WAV and MP3 files from their magic bytes, so audio-to-audio
+ * inputs in other formats fail locally instead of with a 400 after the
+ * upload, and uploads carry a filename and content-type matching their
+ * contents.
+ *
+ * @example
+ * import { detectAudioFormat } from './audio.js';
+ *
+ * detectAudioFormat(await fs.readFile('./loop.wav')); // 'wav'
+ * detectAudioFormat(await fs.readFile('./cover.png')); // null
+ */
+
+import type { AudioFormat } from './types/index.js';
+
+/** Upload content-type for each detectable format */
+export const AUDIO_CONTENT_TYPES: Record<AudioFormat, string> = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav'
+};
+
+/**
+ * Identify an audio format from its magic bytes.
+ *
+ * @param buffer - File bytes (the first 12 are enough)
+ * @returns Format, or null if the bytes are not a WAV or MP3 file
+ */
+export function detectAudioFormat(buffer: Buffer): AudioFormat | null {
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') {
+    return 'wav';
+  }
+  if (buffer.length >= 3 && buffer.toString('ascii', 0, 3) === 'ID3') {
+    return 'mp3';
+  }
+  // Bare MPEG audio frame: 11 sync bits, a defined version and layer (layer bits 00 are AAC/reserved)
+  if (buffer.length >= 2 && buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0 &&
+      (buffer[1] & 0x18) !== 0x08 && (buffer[1] & 0x06) !== 0) {
+    return 'mp3';
+  }
+  return null;
+}
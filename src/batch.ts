@@ -0,0 +1,292 @@
+/**
+ * Batch Runner
+ *
+ * Runs a manifest of generate, upscale, edit and control jobs with bounded
+ * concurrency. Each finished job is recorded in a state file so a re-run skips
+ * the jobs that already succeeded, and a summary report lists successes,
+ * failures and credits spent.
+ *
+ * Manifests are JSONL (one job per line) or YAML (a list of jobs, or a
+ * `jobs:` key holding one):
+ *
+ *   {"id": "cat", "operation": "stable-image-core", "params": {"prompt": "a cat"}}
+ *   {"operation": "upscale-fast", "params": {"image": "./cat.png"}}
+ *
+ * @example
+ * import { StabilityAPI, loadManifest, runBatch } from 'stability-ai-api';
+ *
+ * const api = new StabilityAPI();
+ * const jobs = await loadManifest('./jobs.jsonl');
+ * const summary = await runBatch(api, jobs, { concurrency: 4, statePath: './jobs.state.json' });
+ * console.log(`${summary.succeeded} succeeded, ${summary.failed} failed`);
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { parse as parseYaml } from 'yaml';
+import { estimateCost, getOutputDir } from './config.js';
+import { validateOperation, runOperation, outputDirFor } from './operations.js';
+import { buildImageMetadata, tryEmbedImageMetadata } from './metadata.js';
+import { writeToFile, promptToFilename } from './utils.js';
+import type { StabilityAPI } from './api.js';
+import type { BatchJob, BatchJobState, BatchOptions, BatchState, BatchSummary } from './types/index.js';
+
+/** Default number of jobs in flight at once */
+export const DEFAULT_BATCH_CONCURRENCY = 2;
+
+// Params that name input files, resolved against the manifest's directory
+const INPUT_PATH_PARAMS = ['image', 'mask', 'init_image', 'style_image', 'background_reference', 'light_reference'];
+
+/**
+ * Parse manifest text into jobs with resolved IDs.
+ * Jobs without an `id` get one derived from their operation and params, so
+ * IDs stay stable when the manifest is reordered; identical jobs are numbered.
+ *
+ * @param text - Manifest contents
+ * @param format - 'jsonl' or 'yaml'
+ * @returns Jobs in manifest order, each with an `id`
+ * @throws Error on malformed entries, duplicate IDs or invalid parameters
+ */
+export function parseManifest(text: string, format: 'jsonl' | 'yaml'): Array<BatchJob & { id: string }> {
+  let entries: unknown[];
+  if (format === 'yaml') {
+    const doc = parseYaml(text) as unknown;
+    const list = Array.isArray(doc) ? doc : (doc as { jobs?: unknown } | null)?.jobs;
+    if (!Array.isArray(list)) {
+      throw new Error('YAML manifest must be a list of jobs or have a top-level "jobs" list');
+    }
+    entries = list;
+  } else {
+    entries = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) {
+        return;
+      }
+      try {
+        entries.push(JSON.parse(trimmed));
+      } catch (error) {
+        throw new Error(`Invalid JSON on manifest line ${index + 1}: ${(error as Error).message}`);
+      }
+    });
+  }
+
+  const errors: string[] = [];
+  const seen = new Map<string, number>();
+  const jobs = entries.map((entry, index) => {
+    const job = entry as BatchJob;
+    const params = job?.params ?? {};
+    const label = job?.id ?? `#${index + 1}`;
+
+    if (!job || typeof job.operation !== 'string') {
+      errors.push(`Job ${label}: "operation" is required`);
+      return { ...job, id: label };
+    }
+    const validation = validateOperation(job.operation, params);
+    validation.errors.forEach(err => errors.push(`Job ${label}: ${err}`));
+
+    let id = job.id !== undefined ? String(job.id) : defaultJobId(job.operation, params);
+    const count = (seen.get(id) ?? 0) + 1;
+    seen.set(id, count);
+    if (count > 1) {
+      if (job.id !== undefined) {
+        errors.push(`Job ${label}: duplicate id`);
+      }
+      id = `${id}-${count}`;
+    }
+    return { id, operation: job.operation, params };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid manifest:\n  - ${errors.join('\n  - ')}`);
+  }
+  return jobs;
+}
+
+/**
+ * Read and parse a manifest file. `.yaml` and `.yml` files are parsed as
+ * YAML; anything else as JSONL. Relative input image paths are resolved
+ * against the manifest's directory, not the working directory.
+ *
+ * @param manifestPath - Path to the manifest
+ * @returns Jobs in manifest order, each with an `id`
+ */
+export async function loadManifest(manifestPath: string): Promise<Array<BatchJob & { id: string }>> {
+  const text = await fs.readFile(manifestPath, 'utf8');
+  const ext = path.extname(manifestPath).toLowerCase();
+  const jobs = parseManifest(text, ext === '.yaml' || ext === '.yml' ? 'yaml' : 'jsonl');
+
+  // IDs are derived before resolving, so they do not depend on where the manifest lives
+  const baseDir = path.dirname(path.resolve(manifestPath));
+  return jobs.map(job => ({ ...job, params: resolveInputPaths(job.params ?? {}, baseDir) }));
+}
+
+/**
+ * Resolve relative input file paths in job params against a directory.
+ * URLs and absolute paths are left as they are.
+ */
+function resolveInputPaths(params: Record<string, unknown>, baseDir: string): Record<string, unknown> {
+  const resolved = { ...params };
+  for (const key of INPUT_PATH_PARAMS) {
+    const value = resolved[key];
+    if (typeof value === 'string' && !/^(https?|data):/i.test(value) && !path.isAbsolute(value)) {
+      resolved[key] = path.resolve(baseDir, value);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Run batch jobs with bounded concurrency.
+ * A failed job is recorded and does not stop the others; jobs already marked
+ * as succeeded in the state file are skipped.
+ *
+ * @param api - Client to run the jobs with
+ * @param jobs - Jobs from loadManifest() or parseManifest()
+ * @param options - Concurrency, output, state and report settings
+ * @returns Summary of the run
+ */
+export async function runBatch(
+  api: StabilityAPI,
+  jobs: Array<BatchJob & { id: string }>,
+  options: BatchOptions = {}
+): Promise<BatchSummary> {
+  const startedAt = Date.now();
+  const concurrency = Math.max(1, options.concurrency ?? DEFAULT_BATCH_CONCURRENCY);
+  const outputDir = options.outputDir || getOutputDir();
+  const state = options.statePath ? await readState(options.statePath) : { jobs: {} };
+
+  const pending = jobs.filter(job => state.jobs[job.id]?.status !== 'succeeded');
+  const skipped = jobs.length - pending.length;
+  if (skipped > 0) {
+    api.logger.info(`Skipping ${skipped} job(s) completed by a previous run`);
+  }
+
+  // Refuse up front if the remaining jobs exceed the budget or the balance
+  await api.checkBudget(
+    pending.map(job => ({ operation: job.operation, params: job.params })),
+    { signal: options.signal }
+  );
+
+  const results = new Map<string, BatchJobState>();
+  let next = 0;
+  // Serialize state writes so concurrent jobs never interleave them
+  let saving = Promise.resolve();
+
+  const worker = async (): Promise<void> => {
+    while (next < pending.length && !options.signal?.aborted) {
+      const job = pending[next++];
+      const jobState = await runJob(api, job, outputDir, options);
+      results.set(job.id, jobState);
+      state.jobs[job.id] = jobState;
+      if (options.statePath) {
+        const statePath = options.statePath;
+        saving = saving.then(() => writeToFile(state, statePath, 'json'));
+        await saving;
+      }
+      options.onJobComplete?.(jobState);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+
+  const ordered = jobs
+    .map(job => results.get(job.id) ?? state.jobs[job.id])
+    .filter((jobState): jobState is BatchJobState => jobState !== undefined);
+  const ran = [...results.values()];
+  const summary: BatchSummary = {
+    total: jobs.length,
+    succeeded: ran.filter(jobState => jobState.status === 'succeeded').length,
+    failed: ran.filter(jobState => jobState.status === 'failed').length,
+    skipped,
+    credits: ran.reduce((total, jobState) => total + jobState.credits, 0),
+    durationMs: Date.now() - startedAt,
+    jobs: ordered
+  };
+
+  if (options.reportPath) {
+    await writeToFile(summary, options.reportPath, 'json');
+  }
+  return summary;
+}
+
+/**
+ * Run one job and save its image and metadata.
+ */
+async function runJob(
+  api: StabilityAPI,
+  job: BatchJob & { id: string },
+  outputDir: string,
+  options: BatchOptions
+): Promise<BatchJobState> {
+  const params = job.params ?? {};
+  try {
+    const result = await runOperation(api, job.operation, params, {
+      signal: options.signal,
+      pollInterval: options.pollInterval
+    });
+
+    const extension = (params.output_format as string) || 'png';
+    const baseName = path.join(outputDir, outputDirFor(job.operation), promptToFilename(job.id));
+    const output = `${baseName}.${extension}`;
+    const metadata = buildImageMetadata(job.operation, params, result);
+    const image = tryEmbedImageMetadata(result.image, metadata, error => {
+      api.logger.warn(`${job.id}: saving the image without embedded metadata: ${error.message}`);
+    });
+    await writeToFile(image, output, 'binary');
+    await writeToFile({
+      model: job.operation,
+      timestamp: metadata.timestamp,
+      parameters: params,
+      result: {
+        finish_reason: result.finish_reason,
+        seed: result.seed,
+        image_path: output
+      }
+    }, `${baseName}_metadata.json`, 'json');
+
+    api.logger.info(`✓ ${job.id}: ${output}`);
+    return {
+      id: job.id,
+      operation: job.operation,
+      status: 'succeeded',
+      credits: estimateCost(job.operation, params),
+      output,
+      seed: result.seed,
+      finishedAt: new Date().toISOString()
+    };
+  } catch (error) {
+    const message = (error as Error).message;
+    api.logger.error(`✗ ${job.id}: ${message}`);
+    return {
+      id: job.id,
+      operation: job.operation,
+      status: 'failed',
+      credits: 0,
+      error: message,
+      finishedAt: new Date().toISOString()
+    };
+  }
+}
+
+/**
+ * Derive a job ID from its operation and params.
+ */
+function defaultJobId(operation: string, params: Record<string, unknown>): string {
+  const hash = createHash('sha256').update(JSON.stringify({ operation, params })).digest('hex');
+  return `${operation}-${hash.slice(0, 8)}`;
+}
+
+/**
+ * Read a state file, treating a missing file as a fresh run.
+ */
+async function readState(statePath: string): Promise<BatchState> {
+  try {
+    return JSON.parse(await fs.readFile(statePath, 'utf8')) as BatchState;
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      return { jobs: {} };
+    }
+    throw new Error(`Cannot read batch state ${statePath}: ${(error as Error).message}`);
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Credit Budget
+ *
+ * Tracks credits spent by a StabilityAPI client and refuses calls that would
+ * exceed a per-session or per-day cap. Daily spend is kept in a small JSON
+ * ledger so the cap holds across processes.
+ *
+ * @example
+ * const api = new StabilityAPI({ budget: { session: 50, daily: 200 } });
+ *
+ * await api.generateUltra({ prompt: 'a cat' }); // 8 credits, recorded
+ * console.log(api.budget?.remaining());          // 42
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import { StabilityBudgetError } from './errors.js';
+import type { BudgetOptions } from './types/index.js';
+
+/**
+ * Default location of the daily spend ledger.
+ */
+export const DEFAULT_LEDGER_PATH = join(homedir(), '.stability', 'usage.json');
+
+/**
+ * Local calendar date as YYYY-MM-DD.
+ *
+ * @param date - Date to format
+ * @returns Ledger key for the date
+ */
+function dayKey(date = new Date()): string {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Session and daily credit budget.
+ */
+export class CreditBudget {
+  readonly options: BudgetOptions;
+  private spent = 0;
+  private pending = 0;
+
+  /**
+   * @param options - Budget caps and ledger location
+   */
+  constructor(options: BudgetOptions) {
+    this.options = options;
+  }
+
+  /**
+   * Credits spent by this client so far.
+   */
+  get sessionSpent(): number {
+    return this.spent;
+  }
+
+  /**
+   * Credits spent today across all processes sharing the ledger.
+   *
+   * @returns Today's spend (0 if the ledger is missing or unreadable)
+   */
+  spentToday(): number {
+    return this._readLedger()[dayKey()] ?? 0;
+  }
+
+  /**
+   * Credits that can still be spent under the session and daily caps,
+   * excluding calls currently in flight.
+   *
+   * @returns Remaining credits (Infinity when no cap is set)
+   */
+  remaining(): number {
+    let remaining = Infinity;
+    if (this.options.session !== undefined) {
+      remaining = Math.min(remaining, this.options.session - this.spent - this.pending);
+    }
+    if (this.options.daily !== undefined) {
+      remaining = Math.min(remaining, this.options.daily - this.spentToday() - this.pending);
+    }
+    return Math.max(0, remaining);
+  }
+
+  /**
+   * Throw if spending `credits` would exceed a cap.
+   *
+   * @param credits - Estimated credits
+   * @param label - Operation or batch description for the error message
+   * @throws StabilityBudgetError if the budget would be exceeded
+   */
+  assertAffordable(credits: number, label: string): void {
+    const remaining = this.remaining();
+    if (credits > remaining) {
+      throw new StabilityBudgetError(
+        `Budget exceeded: ${label} needs ~${credits} credits but only ${remaining} remain`,
+        { estimatedCredits: credits, remainingCredits: remaining }
+      );
+    }
+  }
+
+  /**
+   * Reserve credits for a call about to be sent.
+   * Reservations count against the budget until committed or released,
+   * so concurrent calls cannot overshoot it.
+   *
+   * @param credits - Estimated credits
+   * @param label - Operation description for the error message
+   * @throws StabilityBudgetError if the budget would be exceeded
+   */
+  reserve(credits: number, label: string): void {
+    this.assertAffordable(credits, label);
+    this.pending += credits;
+  }
+
+  /**
+   * Record a reserved call as spent.
+   *
+   * @param credits - Credits reserved for the call
+   */
+  commit(credits: number): void {
+    this.pending -= credits;
+    this.spent += credits;
+    if (this.options.daily !== undefined) {
+      const ledger = this._readLedger();
+      const today = dayKey();
+      // Only today's entry matters; older days are dropped
+      this._writeLedger({ [today]: (ledger[today] ?? 0) + credits });
+    }
+  }
+
+  /**
+   * Drop a reservation for a call that failed (failed calls are not billed).
+   *
+   * @param credits - Credits reserved for the call
+   */
+  release(credits: number): void {
+    this.pending -= credits;
+  }
+
+  private get ledgerPath(): string {
+    return this.options.ledgerPath ?? DEFAULT_LEDGER_PATH;
+  }
+
+  private _readLedger(): Record<string, number> {
+    try {
+      return JSON.parse(readFileSync(this.ledgerPath, 'utf8')) as Record<string, number>;
+    } catch {
+      return {};
+    }
+  }
+
+  private _writeLedger(ledger: Record<string, number>): void {
+    mkdirSync(dirname(this.ledgerPath), { recursive: true });
+    writeFileSync(this.ledgerPath, JSON.stringify(ledger, null, 2));
+  }
+}
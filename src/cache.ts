@@ -0,0 +1,329 @@
+/**
+ * Response Cache
+ *
+ * Content-addressed cache for image responses. A request is identified by a
+ * fingerprint of its endpoint, text fields and input image bytes, so a seeded
+ * call repeated with the same inputs is served from the cache instead of
+ * spending credits again. Unseeded calls (seed missing or 0) are random and
+ * never cached.
+ *
+ * Two backends are provided: FileCacheStore (one image file and one JSON
+ * sidecar per entry, shared across processes) and MemoryCacheStore (per
+ * client, mainly for tests). Both expire entries after a TTL and evict the
+ * least recently used entries above a size limit.
+ *
+ * @example
+ * const api = new StabilityAPI({ cache: { ttlMs: 24 * 60 * 60 * 1000 } });
+ *
+ * await api.generateCore({ prompt: 'a cat', seed: 42 }); // API call, cached
+ * await api.generateCore({ prompt: 'a cat', seed: 42 }); // served from the cache
+ */
+
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import { homedir } from 'os';
+import { join } from 'path';
+import type { CacheEntry, CacheOptions, CacheStats, CacheStore, InputFit } from './types/index.js';
+
+/**
+ * Default cache directory.
+ */
+export const DEFAULT_CACHE_DIR = join(homedir(), '.stability', 'cache');
+
+/**
+ * Default entry lifetime (7 days).
+ */
+export const DEFAULT_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Default total size limit for cached images (500 MB).
+ */
+export const DEFAULT_CACHE_MAX_BYTES = 500 * 1024 * 1024;
+
+/**
+ * Size and lifetime limits shared by the cache stores.
+ */
+interface CacheLimits {
+  /** Entries older than this are discarded, in milliseconds */
+  ttlMs?: number;
+  /** Least recently used entries are evicted above this total size */
+  maxBytes?: number;
+}
+
+/**
+ * Whether a request's parameters make its response reproducible.
+ *
+ * @param params - Text fields of the request
+ * @returns True when an explicit non-zero seed is set
+ */
+export function isDeterministic(params: Record<string, unknown>): boolean {
+  const seed = Number(params.seed);
+  return Number.isFinite(seed) && seed > 0;
+}
+
+/**
+ * Compute the cache key for a request.
+ * Fields are hashed as they are sent (stringified, null/undefined dropped,
+ * key order ignored); files by the SHA-256 of their bytes. The input fit
+ * mode is part of the key because it changes the bytes actually uploaded.
+ *
+ * @param url - Full request URL
+ * @param params - Text fields
+ * @param files - File fields as Buffers
+ * @param inputFit - Fit mode applied to the files, for endpoints with image limits
+ * @returns Hex SHA-256 fingerprint
+ */
+export function requestFingerprint(
+  url: string,
+  params: Record<string, unknown>,
+  files: Record<string, Buffer | undefined> = {},
+  inputFit?: InputFit
+): string {
+  const fields = Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== null)
+    .sort()
+    .map(key => [key, String(params[key])]);
+  const images = Object.keys(files)
+    .filter(key => files[key])
+    .sort()
+    .map(key => [key, createHash('sha256').update(files[key] as Buffer).digest('hex')]);
+
+  return createHash('sha256').update(JSON.stringify({ url, fields, images, inputFit })).digest('hex');
+}
+
+/**
+ * Whether an entry has outlived the TTL.
+ */
+function isExpired(entry: Pick<CacheEntry, 'createdAt'>, ttlMs: number, now = Date.now()): boolean {
+  return now - Date.parse(entry.createdAt) > ttlMs;
+}
+
+/**
+ * In-memory cache store. Entries are lost when the process exits.
+ */
+export class MemoryCacheStore implements CacheStore {
+  private entries = new Map<string, CacheEntry>();
+  private ttlMs: number;
+  private maxBytes: number;
+
+  /**
+   * @param limits - Entry lifetime and total size limit
+   */
+  constructor(limits: CacheLimits = {}) {
+    this.ttlMs = limits.ttlMs ?? DEFAULT_CACHE_TTL_MS;
+    this.maxBytes = limits.maxBytes ?? DEFAULT_CACHE_MAX_BYTES;
+  }
+
+  async get(key: string): Promise<CacheEntry | undefined> {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (isExpired(entry, this.ttlMs)) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    entry.hits++;
+    entry.lastUsedAt = new Date().toISOString();
+    // Map iteration order doubles as recency order for eviction
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key: string, entry: CacheEntry): Promise<void> {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    let bytes = 0;
+    for (const cached of this.entries.values()) {
+      bytes += cached.image.length;
+    }
+    for (const [oldest, cached] of this.entries) {
+      if (bytes <= this.maxBytes) {
+        break;
+      }
+      this.entries.delete(oldest);
+      bytes -= cached.image.length;
+    }
+  }
+
+  async clear(): Promise<number> {
+    const count = this.entries.size;
+    this.entries.clear();
+    return count;
+  }
+
+  async stats(): Promise<CacheStats> {
+    const stats: CacheStats = { entries: 0, bytes: 0, hits: 0, creditsSaved: 0, location: 'memory' };
+    for (const [key, entry] of this.entries) {
+      if (isExpired(entry, this.ttlMs)) {
+        this.entries.delete(key);
+        continue;
+      }
+      stats.entries++;
+      stats.bytes += entry.image.length;
+      stats.hits += entry.hits;
+      stats.creditsSaved += entry.hits * entry.credits;
+    }
+    return stats;
+  }
+}
+
+/**
+ * Entry metadata stored next to each cached image.
+ */
+type CacheRecord = Omit<CacheEntry, 'image'> & { bytes: number };
+
+/**
+ * Filesystem cache store: `<key>.bin` holds the image and `<key>.json` its
+ * metadata. Expired entries are removed lazily and on every write.
+ */
+export class FileCacheStore implements CacheStore {
+  readonly dir: string;
+  private ttlMs: number;
+  private maxBytes: number;
+
+  /**
+   * @param dir - Cache directory (default: STABILITY_CACHE_DIR or ~/.stability/cache)
+   * @param limits - Entry lifetime and total size limit
+   */
+  constructor(dir?: string, limits: CacheLimits = {}) {
+    this.dir = dir || process.env.STABILITY_CACHE_DIR || DEFAULT_CACHE_DIR;
+    this.ttlMs = limits.ttlMs ?? DEFAULT_CACHE_TTL_MS;
+    this.maxBytes = limits.maxBytes ?? DEFAULT_CACHE_MAX_BYTES;
+  }
+
+  async get(key: string): Promise<CacheEntry | undefined> {
+    const record = await this._readRecord(key);
+    if (!record) {
+      return undefined;
+    }
+    if (isExpired(record, this.ttlMs)) {
+      await this._remove(key);
+      return undefined;
+    }
+
+    let image: Buffer;
+    try {
+      image = await fs.readFile(this._path(key, 'bin'));
+    } catch {
+      // Sidecar without its image: drop the orphan
+      await this._remove(key);
+      return undefined;
+    }
+
+    record.hits++;
+    record.lastUsedAt = new Date().toISOString();
+    try {
+      await fs.writeFile(this._path(key, 'json'), JSON.stringify(record, null, 2));
+    } catch {
+      // Hit counts are only statistics; a read-only cache still serves its entries
+    }
+
+    const { bytes: _bytes, ...entry } = record;
+    return { ...entry, image };
+  }
+
+  async set(key: string, entry: CacheEntry): Promise<void> {
+    await fs.mkdir(this.dir, { recursive: true });
+    const { image, ...rest } = entry;
+    const record: CacheRecord = { ...rest, bytes: image.length };
+
+    // Image first, so a reader never finds metadata without its image
+    await fs.writeFile(this._path(key, 'bin'), image);
+    await fs.writeFile(this._path(key, 'json'), JSON.stringify(record, null, 2));
+    await this._prune();
+  }
+
+  async clear(): Promise<number> {
+    const keys = await this._keys();
+    await Promise.all(keys.map(key => this._remove(key)));
+    return keys.length;
+  }
+
+  async stats(): Promise<CacheStats> {
+    const stats: CacheStats = { entries: 0, bytes: 0, hits: 0, creditsSaved: 0, location: this.dir };
+    for (const { record } of await this._prune()) {
+      stats.entries++;
+      stats.bytes += record.bytes;
+      stats.hits += record.hits;
+      stats.creditsSaved += record.hits * record.credits;
+    }
+    return stats;
+  }
+
+  /**
+   * Remove expired entries, then evict least recently used ones until the
+   * total size fits maxBytes.
+   *
+   * @returns Remaining entries
+   */
+  private async _prune(): Promise<Array<{ key: string; record: CacheRecord }>> {
+    const now = Date.now();
+    const live: Array<{ key: string; record: CacheRecord }> = [];
+    for (const key of await this._keys()) {
+      const record = await this._readRecord(key);
+      if (!record || isExpired(record, this.ttlMs, now)) {
+        await this._remove(key);
+      } else {
+        live.push({ key, record });
+      }
+    }
+
+    live.sort((a, b) => Date.parse(a.record.lastUsedAt) - Date.parse(b.record.lastUsedAt));
+    let bytes = live.reduce((total, { record }) => total + record.bytes, 0);
+    while (bytes > this.maxBytes && live.length > 0) {
+      const { key, record } = live.shift() as { key: string; record: CacheRecord };
+      await this._remove(key);
+      bytes -= record.bytes;
+    }
+    return live;
+  }
+
+  /**
+   * Keys of all entries with a metadata sidecar.
+   */
+  private async _keys(): Promise<string[]> {
+    try {
+      const names = await fs.readdir(this.dir);
+      return names.filter(name => /^[0-9a-f]{64}\.json$/.test(name)).map(name => name.slice(0, -'.json'.length));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  private async _readRecord(key: string): Promise<CacheRecord | undefined> {
+    try {
+      return JSON.parse(await fs.readFile(this._path(key, 'json'), 'utf8')) as CacheRecord;
+    } catch {
+      return undefined;
+    }
+  }
+
+  private async _remove(key: string): Promise<void> {
+    await fs.rm(this._path(key, 'json'), { force: true });
+    await fs.rm(this._path(key, 'bin'), { force: true });
+  }
+
+  private _path(key: string, ext: 'bin' | 'json'): string {
+    return join(this.dir, `${key}.${ext}`);
+  }
+}
+
+/**
+ * Create the store described by a client's cache option.
+ *
+ * @param options - `true` for the default filesystem store, or cache options
+ * @returns Store to use
+ */
+export function createCacheStore(options: true | CacheOptions): CacheStore {
+  if (options === true) {
+    return new FileCacheStore();
+  }
+  return options.store ?? new FileCacheStore(options.dir, { ttlMs: options.ttlMs, maxBytes: options.maxBytes });
+}
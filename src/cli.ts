@@ -9,23 +9,64 @@
  * Usage:
  *   sai generate ultra --prompt "a cat"
  *   sai generate core --prompt "landscape" --style-preset photographic
+ *   sai generate sd3 --prompt "oil painting" --image ./photo.jpg --strength 0.6
  *   sai upscale fast --image ./photo.jpg
+ *   sai --dry-run generate ultra --prompt "a cat"
+ *   sai upscale creative --image ./photo.jpg --no-wait
+ *   sai tasks fetch <id>
+ *   sai batch run jobs.jsonl --concurrency 4
+ *   sai pipeline run recipe.yaml --keep-intermediates
+ *   sai inspect ./photo.png
+ *   sai mask ./photo.png --ellipse 512,400,120,80 --feather 8
+ *   sai rerun ./photo_metadata.json --set aspect_ratio=16:9
+ *   sai explore sd3 --prompt "a cat" --vary style_preset=anime,photographic --seeds 4
+ *   sai --cache generate core --prompt "a cat" --seed 42
+ *   sai cache stats
+ *   sai --input-fit downscale edit remove-bg --image ./large-photo.png
+ *   sai serve --port 8080 --cors-origin http://localhost:5173
+ *   sai 3d fast --image ./chair.png --texture-resolution 2048 --remesh quad
+ *   sai audio generate --prompt "lofi beat with warm piano" --duration 30
+ *   sai audio transform --audio ./demo.wav --prompt "orchestral arrangement" --strength 0.7
+ *   sai video --image ./product.png --motion-bucket-id 180 --no-wait
+ *   sai mock-server --port 4010
  *
  * Models:
  *   Generate:
  *     ultra        Stable Image Ultra - Photorealistic, 1MP output
  *     core         Stable Image Core - Fast, affordable, SDXL successor
- *     sd3          Stable Diffusion 3.5 - Large, Medium, or Turbo variants
+ *     sd3          Stable Diffusion 3.5 - Large, Turbo, Medium or Flash; text- or image-to-image
  *
  *   Upscale:
  *     fast         Fast 4x upscaler (~1 second)
  *     conservative Conservative 20-40x upscaler (minimal alteration)
  *     creative     Creative 20-40x upscaler (reimagining, async)
+ *
+ *   3D:
+ *     fast         Stable Fast 3D - Textured GLB from one image in seconds
+ *     point-aware  Stable Point Aware 3D (SPAR3D) - Better unseen sides, seeded
+ *
+ *   Audio:
+ *     generate     Stable Audio 2 - Music and sound effects from a prompt
+ *     transform    Stable Audio 2 - Rework a WAV or MP3 clip with a prompt
+ *
+ *   Video:
+ *     video        Stable Video Diffusion - Short MP4 clip from one image (async)
  */
 
 import { Command } from 'commander';
-import { StabilityAPI } from './api.js';
-import { getStabilityApiKey, validateModelParams, validateEditParams, validateControlParams, getOutputDir, STYLE_PRESETS, ASPECT_RATIOS } from './config.js';
+import { StabilityAPI, StabilityError, StabilityTimeoutError, StabilityAbortError } from './api.js';
+import { startMockServer, parseFaultSpec } from './mock.js';
+import { startProxyServer, DEFAULT_SERVE_PORT, DEFAULT_RATE_LIMIT } from './serve.js';
+import { loadManifest, runBatch, DEFAULT_BATCH_CONCURRENCY } from './batch.js';
+import { TaskStore } from './tasks.js';
+import { buildImageMetadata, tryEmbedImageMetadata, readImageMetadata } from './metadata.js';
+import { runOperation, outputDirFor } from './operations.js';
+import { loadRunRecord, parseOverride, planRerun } from './rerun.js';
+import { planExploration, parseAxis, DEFAULT_EXPLORE_MAX_CREDITS } from './explore.js';
+import { loadPipeline } from './pipeline.js';
+import { FileCacheStore } from './cache.js';
+import { createMask, parseMaskShapes, parseShapeSpec } from './masks.js';
+import { getStabilityApiKey, getBaseUrl, isCacheEnabled, INPUT_FIT_MODES, validateModelParams, validateEditParams, validateControlParams, validateThreeDParams, validateAudioParams, validateVideoParams, VIDEO_ENDPOINTS, VIDEO_RESULTS_ENDPOINT, getOutputDir, estimateCost, STYLE_PRESETS, ASPECT_RATIOS } from './config.js';
 import {
   writeToFile,
   ensureDirectory,
@@ -33,13 +74,14 @@ import {
   generateTimestampedFilename,
   createSpinner,
   setLogLevel,
+  isLocalhostUrl,
   logger
 } from './utils.js';
 import path from 'path';
 import { existsSync, readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import type { ImageResult } from './types/index.js';
+import type { ImageResult, TaskResult, TaskRecord, InputFit, MaskShape, BudgetOptions, Model3DResult, ThreeDEndpointKey, ThreeDParams, AudioEndpointKey, AudioFormat, AudioResult, AudioToAudioParams, VideoParams, VideoResult } from './types/index.js';
 
 // Dynamically read version from package.json to prevent drift
 const __filename = fileURLToPath(import.meta.url);
@@ -50,8 +92,14 @@ const pkg = JSON.parse(readFileSync(pkgPath, 'utf8')) as { version: string };
 
 interface GlobalOptions {
   apiKey?: string;
+  baseUrl?: string;
   outputDir?: string;
   logLevel: string;
+  dryRun?: boolean;
+  cache?: boolean;
+  inputFit?: string;
+  budget?: number;
+  dailyBudget?: number;
 }
 
 interface GenerateOptions {
@@ -64,6 +112,7 @@ interface GenerateOptions {
   strength?: number;
   stylePreset?: string;
   model?: string;
+  cfgScale?: number;
 }
 
 interface UpscaleOptions {
@@ -73,6 +122,8 @@ interface UpscaleOptions {
   seed?: number;
   outputFormat: string;
   creativity?: number;
+  stylePreset?: string;
+  wait?: boolean;
 }
 
 interface EditOptions {
@@ -98,10 +149,80 @@ interface EditOptions {
   backgroundDepth?: number;
   keepOriginalBg?: boolean;
   lightDirection?: string;
+  wait?: boolean;
   lightReference?: string;
   lightStrength?: number;
 }
 
+interface MockServerOptions {
+  port: number;
+  host: string;
+  polls: number;
+  credits: number;
+  fault: string[];
+}
+
+interface ServeOptions {
+  port: number;
+  host: string;
+  rateLimit: number;
+  corsOrigin?: string;
+  trustProxy?: boolean;
+}
+
+interface TasksListOptions {
+  status?: string;
+}
+
+interface TasksFetchOptions {
+  wait?: boolean;
+}
+
+interface ExploreCommandOptions {
+  prompt?: string;
+  image?: string;
+  set: string[];
+  vary: string[];
+  seeds?: number;
+  maxCredits: number;
+  concurrency: number;
+}
+
+interface RerunCommandOptions {
+  set: string[];
+  newSeed?: boolean;
+}
+
+interface InspectOptions {
+  json?: boolean;
+}
+
+interface MaskCommandOptions {
+  rect: string[];
+  ellipse: string[];
+  polygon: string[];
+  shapes?: string;
+  fromAlpha?: boolean;
+  dilate?: number;
+  feather?: number;
+  invert?: boolean;
+  output?: string;
+}
+
+interface BatchRunOptions {
+  concurrency: number;
+  state?: string;
+  report?: string;
+}
+
+interface CacheCommandOptions {
+  dir?: string;
+}
+
+interface PipelineRunOptions {
+  keepIntermediates?: boolean;
+}
+
 interface ControlOptions {
   image?: string;
   initImage?: string;
@@ -119,6 +240,35 @@ interface ControlOptions {
   stylePreset?: string;
 }
 
+interface ThreeDOptions {
+  image: string;
+  textureResolution?: number;
+  foregroundRatio?: number;
+  remesh?: string;
+  vertexCount?: number;
+  guidanceScale?: number;
+  seed?: number;
+}
+
+interface AudioOptions {
+  prompt: string;
+  audio?: string;
+  duration?: number;
+  steps?: number;
+  cfgScale?: number;
+  strength?: number;
+  seed?: number;
+  outputFormat: AudioFormat;
+}
+
+interface VideoOptions {
+  image: string;
+  seed?: number;
+  cfgScale?: number;
+  motionBucketId?: number;
+  wait?: boolean;
+}
+
 /**
  * Display usage examples.
  */
@@ -180,6 +330,7 @@ UPSCALE COMMANDS
    $ sai upscale conservative \\
        --image ./photo.jpg \\
        --prompt "enhance details and sharpness" \\
+       --creativity 0.25 \\
        --output-format png
 
 9. Creative Upscale - Reimagining with creativity control
@@ -187,6 +338,7 @@ UPSCALE COMMANDS
        --image ./sketch.jpg \\
        --prompt "photorealistic rendering" \\
        --creativity 0.35 \\
+       --style-preset photographic \\
        --output-format png
 
 10. Creative Upscale - Maximum creativity
@@ -243,6 +395,76 @@ UTILITY COMMANDS
 18. Check account credits
     $ sai credits
 
+19. Estimate cost without spending credits
+    $ sai --dry-run generate sd3 \\
+        --prompt "a red car" --prompt "a blue car" \\
+        --model sd3.5-medium
+
+20. Run a job manifest, 4 at a time (re-run to resume)
+    $ sai batch run ./jobs.jsonl --concurrency 4
+
+21. Submit a creative upscale without waiting, fetch it later
+    $ sai upscale creative --image ./photo.jpg --no-wait
+    $ sai tasks list
+    $ sai tasks fetch 3f2a9c
+
+22. Show the prompt, seed and parameters embedded in a saved image
+    $ sai inspect ./datasets/stability/stable-image-core/2025-01-01_12-00-00-000_a_cat.png
+
+23. Regenerate a saved image, changing one parameter (or the seed)
+    $ sai rerun ./datasets/stability/sd3/2025-01-01_12-00-00-000_a_cat_metadata.json \\
+        --set aspect_ratio=16:9
+    $ sai rerun ./cat.png --new-seed
+
+24. Compare 3 seeds across control strengths on a contact sheet
+    $ sai explore sketch \\
+        --image ./sketch.png --prompt "medieval castle" \\
+        --vary control_strength=0.3:0.9:0.2 --seeds 3
+
+25. Generate, edit, cut out and upscale in one run from a recipe
+    $ sai pipeline run product-shot.yaml --keep-intermediates
+
+26. Serve a REST proxy for a front-end dev server (the key stays server-side)
+    $ sai serve --port 8080 --cors-origin http://localhost:5173
+
+27. Reuse responses for repeated seeded calls instead of paying again
+    $ sai --cache generate core --prompt "a cat" --seed 42
+    $ sai cache stats
+    $ sai cache clear
+
+28. Shrink or pad input images to the endpoint's pixel and aspect-ratio limits
+    $ sai --input-fit downscale edit remove-bg --image ./large-photo.png
+    $ sai --input-fit pad control sketch --image ./panorama.png --prompt "a castle"
+
+29. Draw a mask matching a photo's size, then erase the masked area
+    $ sai mask ./photo.png --ellipse 512,400,120,80 --dilate 4 --feather 8
+    $ sai edit erase --image ./photo.png --mask ./photo_mask.png
+
+30. Stable Diffusion 3.5 - Image-to-image with a style preset
+    $ sai generate sd3 \\
+        --prompt "oil painting of a harbour" \\
+        --image ./photo.jpg \\
+        --strength 0.6 \\
+        --cfg-scale 5 \\
+        --style-preset analog-film
+
+31. Turn a product photo into a textured 3D model (.glb)
+    $ sai 3d fast --image ./chair.png --texture-resolution 2048 --remesh quad
+    $ sai 3d point-aware --image ./chair.png --guidance-scale 4 --seed 42
+
+32. Stable Audio - Generate a soundtrack, then rework an existing clip
+    $ sai audio generate --prompt "lofi beat with warm piano" --duration 30
+    $ sai audio transform \\
+        --audio ./demo.wav \\
+        --prompt "orchestral arrangement" \\
+        --strength 0.7 \\
+        --output-format wav
+
+33. Animate a product photo into a short MP4 (1024x576, 576x1024 or 768x768 input)
+    $ sai video --image ./product.png --motion-bucket-id 180 --seed 42
+    $ sai video --image ./product.png --no-wait
+    $ sai tasks fetch <id> --wait
+
 AUTHENTICATION OPTIONS:
 
 A. CLI flag (highest priority)
@@ -271,8 +493,15 @@ program
   .description('Stability AI image generation and upscaling CLI')
   .version(pkg.version)
   .option('--api-key <key>', 'Stability AI API key (overrides env var)')
+  .option('--base-url <url>', 'API base URL, e.g. http://localhost:4010 for sai mock-server (or set STABILITY_BASE_URL)')
   .option('--output-dir <dir>', 'Output directory for generated images')
   .option('--log-level <level>', 'Log level (debug, info, warn, error)', 'info')
+  .option('--dry-run', 'Print the estimated credit cost without calling the API')
+  .option('--cache', 'Serve repeated seeded calls from the response cache (or set STABILITY_CACHE=1)')
+  .option('--no-cache', 'Always call the API, even when STABILITY_CACHE is set')
+  .option('--input-fit <mode>', `Input images outside endpoint limits: ${INPUT_FIT_MODES.join(', ')} (default: error)`)
+  .option('--budget <credits>', 'Refuse calls once this run would spend more than this many credits', parseFloat)
+  .option('--daily-budget <credits>', 'Refuse calls once today\'s spend (shared across runs) would exceed this many credits', parseFloat)
   .option('--examples', 'Show usage examples and exit');
 
 /**
@@ -322,11 +551,15 @@ generateCmd
   .command('sd3')
   .description('Generate with Stable Diffusion 3.5')
   .option('-p, --prompt <text...>', 'Text prompt(s) - can specify multiple', [])
-  .option('-m, --model <name>', 'SD3 model (sd3.5-large, sd3.5-medium, sd3.5-large-turbo)', 'sd3.5-large')
+  .option('-m, --model <name>', 'SD3 model (sd3.5-large, sd3.5-large-turbo, sd3.5-medium, sd3.5-flash)', 'sd3.5-large')
   .option('-n, --negative-prompt <text>', 'Negative prompt')
-  .option('-a, --aspect-ratio <ratio>', 'Aspect ratio', '1:1')
+  .option('-a, --aspect-ratio <ratio>', 'Aspect ratio (text-to-image only)', '1:1')
   .option('-s, --seed <number>', 'Random seed', parseInt)
   .option('-f, --output-format <format>', 'Output format (jpeg, png, webp)', 'png')
+  .option('-i, --image <path>', 'Input image for image-to-image')
+  .option('--strength <number>', 'Strength for image-to-image (0-1, required with --image)', parseFloat)
+  .option('--cfg-scale <number>', 'Prompt adherence (1-10; 1-2 for turbo and flash)', parseFloat)
+  .option('--style-preset <style>', 'Style preset (photographic, anime, etc.)')
   .action(async (options: GenerateOptions, command: Command) => {
     await handleGenerateCommand('sd3', options, command.optsWithGlobals() as GlobalOptions);
   });
@@ -359,6 +592,7 @@ upscaleCmd
   .requiredOption('-i, --image <path>', 'Input image path')
   .option('-p, --prompt <text>', 'Enhancement prompt')
   .option('-n, --negative-prompt <text>', 'Negative prompt')
+  .option('-c, --creativity <number>', 'Creativity level (0.2-0.5, API default 0.35)', parseFloat)
   .option('-s, --seed <number>', 'Random seed', parseInt)
   .option('-f, --output-format <format>', 'Output format', 'png')
   .action(async (options: UpscaleOptions, command: Command) => {
@@ -375,8 +609,10 @@ upscaleCmd
   .option('-p, --prompt <text>', 'Enhancement prompt')
   .option('-n, --negative-prompt <text>', 'Negative prompt')
   .option('-c, --creativity <number>', 'Creativity level (0.1-0.5)', parseFloat, 0.3)
+  .option('--style-preset <preset>', 'Style preset (e.g. photographic, anime, cinematic)')
   .option('-s, --seed <number>', 'Random seed', parseInt)
   .option('-f, --output-format <format>', 'Output format', 'png')
+  .option('--no-wait', 'Submit and exit; fetch later with sai tasks fetch <id>')
   .action(async (options: UpscaleOptions, command: Command) => {
     await handleUpscaleCommand('upscale-creative', options, command.optsWithGlobals() as GlobalOptions);
   });
@@ -391,6 +627,201 @@ program
     await handleCreditsCommand(command.optsWithGlobals() as GlobalOptions);
   });
 
+/**
+ * Explore command - Sweep seeds and parameter values into a contact sheet
+ */
+program
+  .command('explore <operation>')
+  .description('Run every combination of seeds and parameter values and build an HTML contact sheet')
+  .option('-p, --prompt <text>', 'Text prompt shared by every cell')
+  .option('--image <path>', 'Input image shared by every cell')
+  .option('--set <key=value...>', 'Other fixed parameter (e.g. model=sd3.5-medium)', [])
+  .option('--vary <name=values...>', 'Parameter to sweep: name=min:max:step or name=a,b,c', [])
+  .option('--seeds <number>', 'Random seeds to try for every combination', (value: string) => parseInt(value, 10))
+  .option('--max-credits <number>', 'Refuse grids estimated above this many credits', parseFloat, DEFAULT_EXPLORE_MAX_CREDITS)
+  .option('--concurrency <number>', 'Calls in flight at once', (value: string) => parseInt(value, 10), DEFAULT_BATCH_CONCURRENCY)
+  .action(async (operation: string, options: ExploreCommandOptions, command: Command) => {
+    await handleExploreCommand(operation, options, command.optsWithGlobals() as GlobalOptions);
+  });
+
+/**
+ * Rerun command - Regenerate an image from its saved metadata
+ */
+program
+  .command('rerun <metadata>')
+  .description('Regenerate an image from its _metadata.json file (or an image with embedded metadata)')
+  .option('--set <key=value...>', 'Override a parameter (e.g. aspect_ratio=16:9); an empty value removes it', [])
+  .option('--new-seed', 'Use a new random seed instead of the recorded one')
+  .action(async (metadata: string, options: RerunCommandOptions, command: Command) => {
+    await handleRerunCommand(metadata, options, command.optsWithGlobals() as GlobalOptions);
+  });
+
+/**
+ * Inspect command - Read metadata embedded in a saved image
+ */
+program
+  .command('inspect <image>')
+  .description('Show the generation metadata embedded in a PNG, WebP or JPEG image')
+  .option('--json', 'Print the metadata as JSON')
+  .action(async (image: string, options: InspectOptions, command: Command) => {
+    await handleInspectCommand(image, options, command.optsWithGlobals() as GlobalOptions);
+  });
+
+/**
+ * Mask command - Draw an erase/inpaint mask sized to an image
+ */
+program
+  .command('mask <image>')
+  .description('Create a PNG mask (white = area to edit) the size of an image, for edit erase and inpaint')
+  .option('--rect <x,y,width,height...>', 'Rectangle to mark, in image pixels', [])
+  .option('--ellipse <cx,cy,rx,ry...>', 'Ellipse to mark, by centre and radii', [])
+  .option('--polygon <json...>', 'Polygon to mark as JSON points, e.g. [[0,0],[100,0],[50,80]]', [])
+  .option('--shapes <file>', 'JSON file with an array of shapes ({ "type": "rect", "x": 0, ... })')
+  .option('--from-alpha', "Mark the image's transparent areas (PNG only)")
+  .option('--dilate <pixels>', 'Grow the marked area', (value: string) => parseInt(value, 10))
+  .option('--feather <pixels>', 'Soften the mask edges', (value: string) => parseInt(value, 10))
+  .option('--invert', 'Swap marked and unmarked areas')
+  .option('-o, --output <path>', 'Mask file (default: <image>_mask.png next to the image)')
+  .action(async (image: string, options: MaskCommandOptions, command: Command) => {
+    await handleMaskCommand(image, options, command.optsWithGlobals() as GlobalOptions);
+  });
+
+/**
+ * Tasks command with subcommands - Track async operations
+ */
+const tasksCmd = program
+  .command('tasks')
+  .description('Track async tasks (creative upscale, replace background)');
+
+/**
+ * Tasks List subcommand
+ */
+tasksCmd
+  .command('list')
+  .description('List recorded async tasks, newest first')
+  .option('--status <status>', 'Only show tasks with this status (pending, completed, failed)')
+  .action(async (options: TasksListOptions, command: Command) => {
+    await handleTasksListCommand(options, command.optsWithGlobals() as GlobalOptions);
+  });
+
+/**
+ * Tasks Status subcommand
+ */
+tasksCmd
+  .command('status <id>')
+  .description('Check whether a task has finished (ID prefixes are accepted)')
+  .action(async (id: string, _options: unknown, command: Command) => {
+    await handleTasksStatusCommand(id, command.optsWithGlobals() as GlobalOptions);
+  });
+
+/**
+ * Tasks Fetch subcommand
+ */
+tasksCmd
+  .command('fetch <id>')
+  .description('Download and save a finished task result (ID prefixes are accepted)')
+  .option('--wait', 'Poll until the task finishes instead of exiting when it is still in progress')
+  .action(async (id: string, options: TasksFetchOptions, command: Command) => {
+    await handleTasksFetchCommand(id, options, command.optsWithGlobals() as GlobalOptions);
+  });
+
+/**
+ * Batch command with subcommands
+ */
+const batchCmd = program
+  .command('batch')
+  .description('Run many operations from a manifest file');
+
+/**
+ * Batch Run subcommand
+ */
+batchCmd
+  .command('run <manifest>')
+  .description('Run a JSONL or YAML job manifest, skipping jobs completed by a previous run')
+  .option('--concurrency <number>', 'Jobs in flight at once', (value: string) => parseInt(value, 10), DEFAULT_BATCH_CONCURRENCY)
+  .option('--state <path>', 'State file for resume (default: <manifest>.state.json)')
+  .option('--report <path>', 'Summary report (default: <manifest>.report.json)')
+  .action(async (manifest: string, options: BatchRunOptions, command: Command) => {
+    await handleBatchRunCommand(manifest, options, command.optsWithGlobals() as GlobalOptions);
+  });
+
+/**
+ * Pipeline command with subcommands
+ */
+const pipelineCmd = program
+  .command('pipeline')
+  .description('Chain operations, feeding each step\'s image to the next');
+
+/**
+ * Pipeline Run subcommand
+ */
+pipelineCmd
+  .command('run <recipe>')
+  .description('Run a YAML or JSON pipeline recipe and save the final image with its provenance')
+  .option('--keep-intermediates', 'Also save the image produced by each step')
+  .action(async (recipe: string, options: PipelineRunOptions, command: Command) => {
+    await handlePipelineRunCommand(recipe, options, command.optsWithGlobals() as GlobalOptions);
+  });
+
+/**
+ * Cache command with subcommands - Inspect and empty the response cache
+ */
+const cacheCmd = program
+  .command('cache')
+  .description('Manage the response cache used by --cache');
+
+/**
+ * Cache Stats subcommand
+ */
+cacheCmd
+  .command('stats')
+  .description('Show cached entries, size, hits and credits saved')
+  .option('--dir <dir>', 'Cache directory (default: STABILITY_CACHE_DIR or ~/.stability/cache)')
+  .action(async (options: CacheCommandOptions, command: Command) => {
+    await handleCacheStatsCommand(options, command.optsWithGlobals() as GlobalOptions);
+  });
+
+/**
+ * Cache Clear subcommand
+ */
+cacheCmd
+  .command('clear')
+  .description('Delete every cached response')
+  .option('--dir <dir>', 'Cache directory (default: STABILITY_CACHE_DIR or ~/.stability/cache)')
+  .action(async (options: CacheCommandOptions, command: Command) => {
+    await handleCacheClearCommand(options, command.optsWithGlobals() as GlobalOptions);
+  });
+
+/**
+ * Serve command - REST proxy that keeps the API key server-side
+ */
+program
+  .command('serve')
+  .description('Start a local REST proxy so browser apps can call Stability AI without the API key')
+  .option('--port <number>', 'Port to listen on', (value: string) => parseInt(value, 10), DEFAULT_SERVE_PORT)
+  .option('--host <host>', 'Host to bind', '127.0.0.1')
+  .option('--rate-limit <number>', 'Requests per client per minute (0 disables)', (value: string) => parseInt(value, 10), DEFAULT_RATE_LIMIT.max)
+  .option('--cors-origin <origin>', 'Browser origin allowed to call the proxy (* allows any)')
+  .option('--trust-proxy', 'Identify clients by X-Forwarded-For (only behind a trusted reverse proxy)')
+  .action(async (options: ServeOptions, command: Command) => {
+    await handleServeCommand(options, command.optsWithGlobals() as GlobalOptions);
+  });
+
+/**
+ * Mock server command - Local stand-in for the Stability AI API
+ */
+program
+  .command('mock-server')
+  .description('Start a local mock Stability AI server for offline testing')
+  .option('--port <number>', 'Port to listen on', (value: string) => parseInt(value, 10), 4010)
+  .option('--host <host>', 'Host to bind', '127.0.0.1')
+  .option('--polls <number>', 'In-progress polls before async tasks complete', (value: string) => parseInt(value, 10), 2)
+  .option('--credits <number>', 'Credits reported by the balance endpoint', parseFloat, 100)
+  .option('--fault <spec...>', 'Inject faults as status[:times[:path]] (e.g. 503:2, 429:1:/v1/user/balance)', [])
+  .action(async (options: MockServerOptions, command: Command) => {
+    await handleMockServerCommand(options, command.optsWithGlobals() as GlobalOptions);
+  });
+
 /**
  * Edit command with subcommands
  */
@@ -518,6 +949,7 @@ editCmd
   .option('--light-strength <number>', 'Light intensity (0-1, requires light-reference or light-direction)', parseFloat)
   .option('-s, --seed <number>', 'Random seed (0-4294967294)', parseInt)
   .option('-f, --output-format <format>', 'Output format (jpeg, png, webp)', 'png')
+  .option('--no-wait', 'Submit and exit; fetch later with sai tasks fetch <id>')
   .action(async (options: EditOptions, command: Command) => {
     await handleEditCommand('replace-background-and-relight', options, command.optsWithGlobals() as GlobalOptions);
   });
@@ -622,6 +1054,136 @@ controlCmd
     showControlExamples();
   });
 
+/**
+ * 3D command with subcommands
+ */
+const threeDCmd = program
+  .command('3d')
+  .description('Generate textured 3D models (GLB) from a single image');
+
+/**
+ * Stable Fast 3D subcommand
+ */
+threeDCmd
+  .command('fast')
+  .description('Stable Fast 3D - textured GLB in seconds (10 credits)')
+  .requiredOption('-i, --image <path>', 'Input image of the object')
+  .option('--texture-resolution <pixels>', 'Texture resolution (512, 1024, 2048)', parseInt)
+  .option('--foreground-ratio <number>', 'Padding around the object (0.1-1)', parseFloat)
+  .option('--remesh <mode>', 'Remesh algorithm (none, triangle, quad)')
+  .option('--vertex-count <number>', 'Target vertex count (-1 for no limit, up to 20000)', parseInt)
+  .action(async (options: ThreeDOptions, command: Command) => {
+    await handle3DCommand('stable-fast-3d', options, command.optsWithGlobals() as GlobalOptions);
+  });
+
+/**
+ * Stable Point Aware 3D subcommand
+ */
+threeDCmd
+  .command('point-aware')
+  .description('Stable Point Aware 3D - better back sides, seeded (4 credits)')
+  .requiredOption('-i, --image <path>', 'Input image of the object')
+  .option('--texture-resolution <pixels>', 'Texture resolution (512, 1024, 2048)', parseInt)
+  .option('--foreground-ratio <number>', 'Padding around the object (1-2)', parseFloat)
+  .option('--remesh <mode>', 'Remesh algorithm (none, triangle, quad)')
+  .option('--vertex-count <number>', 'Target vertex count (100-20000)', parseInt)
+  .option('--guidance-scale <number>', 'How closely to follow the input image (1-10)', parseFloat)
+  .option('-s, --seed <number>', 'Random seed (0-4294967294)', parseInt)
+  .action(async (options: ThreeDOptions, command: Command) => {
+    await handle3DCommand('stable-point-aware-3d', options, command.optsWithGlobals() as GlobalOptions);
+  });
+
+/**
+ * Audio command with subcommands
+ */
+const audioCmd = program
+  .command('audio')
+  .description('Generate music and sound effects with Stable Audio 2');
+
+/**
+ * Text-to-audio subcommand
+ */
+audioCmd
+  .command('generate')
+  .description('Generate audio from a prompt (20 credits)')
+  .requiredOption('-p, --prompt <text>', 'What to generate (genre, instruments, mood, BPM)')
+  .option('-d, --duration <seconds>', 'Length in seconds (1-190)', parseFloat)
+  .option('--steps <number>', 'Sampling steps (30-100)', parseInt)
+  .option('--cfg-scale <number>', 'How strictly to follow the prompt (1-25)', parseFloat)
+  .option('-s, --seed <number>', 'Random seed (0-4294967294)', parseInt)
+  .option('-f, --output-format <format>', 'Output format (mp3, wav)', 'mp3')
+  .action(async (options: AudioOptions, command: Command) => {
+    await handleAudioCommand('text-to-audio', options, command.optsWithGlobals() as GlobalOptions);
+  });
+
+/**
+ * Audio-to-audio subcommand
+ */
+audioCmd
+  .command('transform')
+  .description('Rework a WAV or MP3 clip with a prompt (20 credits)')
+  .requiredOption('-a, --audio <path>', 'Input audio file (WAV or MP3)')
+  .requiredOption('-p, --prompt <text>', 'What the audio should become')
+  .option('--strength <number>', 'How much the input changes (0-1)', parseFloat)
+  .option('-d, --duration <seconds>', 'Length in seconds (1-190)', parseFloat)
+  .option('--steps <number>', 'Sampling steps (30-100)', parseInt)
+  .option('--cfg-scale <number>', 'How strictly to follow the prompt (1-25)', parseFloat)
+  .option('-s, --seed <number>', 'Random seed (0-4294967294)', parseInt)
+  .option('-f, --output-format <format>', 'Output format (mp3, wav)', 'mp3')
+  .action(async (options: AudioOptions, command: Command) => {
+    await handleAudioCommand('audio-to-audio', options, command.optsWithGlobals() as GlobalOptions);
+  });
+
+/**
+ * Image-to-video command
+ */
+program
+  .command('video')
+  .description('Animate an image into a short MP4 with Stable Video Diffusion (20 credits, async)')
+  .requiredOption('-i, --image <path>', 'Input image (1024x576, 576x1024 or 768x768)')
+  .option('--cfg-scale <number>', 'How strictly to stick to the input image (0-10)', parseFloat)
+  .option('--motion-bucket-id <number>', 'Amount of motion (1-255, higher moves more)', parseInt)
+  .option('-s, --seed <number>', 'Random seed (0-4294967294)', parseInt)
+  .option('--no-wait', 'Submit and exit; fetch later with "sai tasks fetch <id>"')
+  .action(async (options: VideoOptions, command: Command) => {
+    await handleVideoCommand(options, command.optsWithGlobals() as GlobalOptions);
+  });
+
+/**
+ * Build generate parameters for one prompt from CLI options
+ */
+function buildGenerateParams(model: string, prompt: string, options: GenerateOptions): Record<string, unknown> {
+  const params: Record<string, unknown> = {
+    prompt,
+    negative_prompt: options.negativePrompt,
+    aspect_ratio: options.aspectRatio,
+    seed: options.seed,
+    output_format: options.outputFormat
+  };
+
+  // Add model-specific parameters
+  if (model === 'stable-image-ultra' && options.image) {
+    params.image = options.image;
+    params.strength = options.strength;
+  }
+  if (model === 'stable-image-core' && options.stylePreset) {
+    params.style_preset = options.stylePreset;
+  }
+  if (model === 'sd3') {
+    params.model = options.model;
+    params.cfg_scale = options.cfgScale;
+    params.style_preset = options.stylePreset;
+    if (options.image) {
+      // Image-to-image keeps the input's shape
+      params.image = options.image;
+      delete params.aspect_ratio;
+    }
+    params.strength = options.strength;
+  }
+
+  return params;
+}
+
 /**
  * Handle generate command execution
  */
@@ -630,12 +1192,6 @@ async function handleGenerateCommand(model: string, options: GenerateOptions, gl
     // Set log level
     setLogLevel(globalOptions.logLevel);
 
-    // Get API key
-    const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
-
-    // Initialize API client
-    const api = new StabilityAPI(apiKey, undefined, globalOptions.logLevel);
-
     // Ensure prompts array is not empty
     const prompts = options.prompt;
     if (!Array.isArray(prompts) || prompts.length === 0) {
@@ -643,6 +1199,33 @@ async function handleGenerateCommand(model: string, options: GenerateOptions, gl
       process.exit(1);
     }
 
+    // Validate every prompt's parameters before estimating or calling the API
+    const paramSets = prompts.map(prompt => buildGenerateParams(model, prompt, options));
+    for (const params of paramSets) {
+      const validation = validateModelParams(model, params);
+      if (!validation.valid) {
+        logger.error('Parameter validation failed:');
+        validation.errors.forEach(err => logger.error(`  - ${err}`));
+        process.exit(1);
+      }
+    }
+
+    if (globalOptions.dryRun) {
+      printCostEstimate(model, paramSets[0], prompts.length);
+      return;
+    }
+
+    // Get API key
+    const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
+
+    // Initialize API client
+    const api = createClient(apiKey, globalOptions);
+
+    // Make sure the account can cover the whole batch before starting it
+    if (prompts.length > 1) {
+      await api.checkBudget(prompts.map(prompt => ({ operation: model, params: { prompt, model: options.model } })));
+    }
+
     // Process each prompt
     const total = prompts.length;
     for (let index = 0; index < prompts.length; index++) {
@@ -655,34 +1238,9 @@ async function handleGenerateCommand(model: string, options: GenerateOptions, gl
       logger.info(`Prompt: "${prompt}"`);
       logger.info('='.repeat(60));
 
-      // Build parameters
-      const params: Record<string, unknown> = {
-        prompt,
-        negative_prompt: options.negativePrompt,
-        aspect_ratio: options.aspectRatio,
-        seed: options.seed,
-        output_format: options.outputFormat
-      };
-
-      // Add model-specific parameters
+      const params = paramSets[index];
       if (model === 'stable-image-ultra' && options.image) {
         logger.info('Converting input image for image-to-image...');
-        params.image = options.image;
-        params.strength = options.strength;
-      }
-      if (model === 'stable-image-core' && options.stylePreset) {
-        params.style_preset = options.stylePreset;
-      }
-      if (model === 'sd3') {
-        params.model = options.model;
-      }
-
-      // Validate parameters
-      const validation = validateModelParams(model, params);
-      if (!validation.valid) {
-        logger.error('Parameter validation failed:');
-        validation.errors.forEach(err => logger.error(`  - ${err}`));
-        process.exit(1);
       }
 
       logger.info('Submitting generation request...');
@@ -747,12 +1305,6 @@ async function handleUpscaleCommand(model: string, options: UpscaleOptions, glob
       process.exit(1);
     }
 
-    // Get API key
-    const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
-
-    // Initialize API client
-    const api = new StabilityAPI(apiKey, undefined, globalOptions.logLevel);
-
     logger.info('='.repeat(60));
     logger.info('Starting image upscale');
     logger.info(`Model: ${model}`);
@@ -767,9 +1319,12 @@ async function handleUpscaleCommand(model: string, options: UpscaleOptions, glob
       output_format: options.outputFormat || 'png'
     };
 
-    if (model === 'upscale-creative') {
+    if (model !== 'upscale-fast') {
       params.creativity = options.creativity;
     }
+    if (model === 'upscale-creative') {
+      params.style_preset = options.stylePreset;
+    }
 
     // Validate parameters
     const validation = validateModelParams(model, params);
@@ -779,10 +1334,24 @@ async function handleUpscaleCommand(model: string, options: UpscaleOptions, glob
       process.exit(1);
     }
 
+    if (globalOptions.dryRun) {
+      printCostEstimate(model, params);
+      return;
+    }
+
+    // Get API key
+    const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
+
+    // Initialize API client
+    const api = createClient(apiKey, globalOptions);
+
     logger.info('Submitting upscale request...');
 
+    const promptText = options.prompt || path.basename(options.image, path.extname(options.image));
+
     try {
       let result: ImageResult;
+      let taskId: string | undefined;
 
       // Creative upscale has its own spinner in waitForResult, others need CLI spinner
       const isCreative = model === 'upscale-creative';
@@ -795,11 +1364,22 @@ async function handleUpscaleCommand(model: string, options: UpscaleOptions, glob
       try {
         // Call appropriate API method
         if (model === 'upscale-fast') {
-          result = await api.upscaleFast(options.image, params.output_format as string);
+          result = await api.upscaleFast(options.image, { output_format: params.output_format as string });
         } else if (model === 'upscale-conservative') {
           result = await api.upscaleConservative(options.image, params);
         } else if (model === 'upscale-creative') {
-          result = await api.upscaleCreative(options.image, params) as ImageResult;
+          const task = await api.upscaleCreative(options.image, { ...params, wait: false });
+          const tracked = await trackAsyncTask(api, task, {
+            operation: model,
+            model,
+            params: { ...params, image: options.image },
+            outputDir: globalOptions.outputDir,
+            outputName: promptText
+          }, options.wait !== false);
+          if (!tracked) {
+            return;
+          }
+          ({ result, taskId } = tracked);
         } else {
           throw new Error(`Unknown model: ${model}`);
         }
@@ -817,8 +1397,10 @@ async function handleUpscaleCommand(model: string, options: UpscaleOptions, glob
       }
 
       // Save image
-      const promptText = options.prompt || path.basename(options.image, path.extname(options.image));
-      await saveImageResult(result, promptText, model, params, globalOptions.outputDir);
+      const imagePath = await saveImageResult(result, promptText, model, { ...params, image: options.image }, globalOptions.outputDir);
+      if (taskId) {
+        markTaskCompleted(taskId, imagePath);
+      }
 
       logger.info('='.repeat(60));
       logger.info('✓ Upscale complete!');
@@ -840,7 +1422,55 @@ async function handleUpscaleCommand(model: string, options: UpscaleOptions, glob
 }
 
 /**
- * Save image result to disk with metadata
+ * Create the API client for a command, with the response cache when enabled
+ * by --cache (or STABILITY_CACHE) and not disabled by --no-cache, and the
+ * --input-fit mode
+ */
+function createClient(apiKey: string, globalOptions: GlobalOptions): StabilityAPI {
+  const cache = globalOptions.cache ?? isCacheEnabled();
+  const inputFit = globalOptions.inputFit as InputFit | undefined;
+  if (inputFit !== undefined && !INPUT_FIT_MODES.includes(inputFit)) {
+    throw new Error(`Invalid --input-fit "${inputFit}". Valid modes: ${INPUT_FIT_MODES.join(', ')}`);
+  }
+  const budget: BudgetOptions = {};
+  for (const [flag, key] of [['--budget', 'budget'], ['--daily-budget', 'dailyBudget']] as const) {
+    const value = globalOptions[key];
+    if (value !== undefined && !(value > 0)) {
+      throw new Error(`Invalid ${flag} "${value}". Expected a positive number of credits`);
+    }
+  }
+  if (globalOptions.budget !== undefined) budget.session = globalOptions.budget;
+  if (globalOptions.dailyBudget !== undefined) budget.daily = globalOptions.dailyBudget;
+  // Plain HTTP is only accepted for a loopback address such as a local mock server
+  const baseUrl = globalOptions.baseUrl ?? getBaseUrl();
+  return new StabilityAPI({
+    apiKey,
+    baseUrl,
+    allowInsecureLocalhost: isLocalhostUrl(baseUrl),
+    logLevel: globalOptions.logLevel,
+    cache,
+    inputFit,
+    budget: Object.keys(budget).length > 0 ? budget : undefined
+  });
+}
+
+/**
+ * Print the estimated credit cost of a command for --dry-run
+ */
+function printCostEstimate(operation: string, params: Record<string, unknown>, count = 1): void {
+  const perCall = estimateCost(operation, params);
+  logger.info('='.repeat(60));
+  logger.info('Dry run - no API calls made');
+  logger.info(`Operation: ${operation}`);
+  if (count > 1) {
+    logger.info(`Calls: ${count} x ~${perCall} credits`);
+  }
+  logger.info(`Estimated cost: ~${perCall * count} credits`);
+  logger.info('='.repeat(60));
+}
+
+/**
+ * Save image result to disk with metadata, returning the image path
  */
 async function saveImageResult(
   result: ImageResult,
@@ -848,7 +1478,7 @@ async function saveImageResult(
   model: string,
   params: Record<string, unknown>,
   outputDir?: string
-): Promise<void> {
+): Promise<string> {
   // Determine output directory
   const baseDir = outputDir || getOutputDir();
   const modelDir = path.join(baseDir, model);
@@ -862,9 +1492,13 @@ async function saveImageResult(
   const filename = generateTimestampedFilename(baseName, extension);
   const imagePath = path.join(modelDir, filename);
 
-  // Save image
+  // Save image with the generation metadata embedded, so it survives being copied away from the sidecar
+  const embedded = buildImageMetadata(model, params, result);
   if (result.image) {
-    await writeToFile(result.image, imagePath);
+    const image = tryEmbedImageMetadata(result.image, embedded, error => {
+      logger.warn(`Saving the image without embedded metadata: ${error.message}`);
+    });
+    await writeToFile(image, imagePath, 'binary');
     logger.info(`✓ Image saved: ${imagePath}`);
   }
 
@@ -874,7 +1508,7 @@ async function saveImageResult(
 
   const metadata = {
     model,
-    timestamp: new Date().toISOString(),
+    timestamp: embedded.timestamp,
     parameters: params,
     result: {
       finish_reason: result.finish_reason,
@@ -885,58 +1519,828 @@ async function saveImageResult(
 
   await writeToFile(metadata, metadataPath);
   logger.info(`✓ Metadata saved: ${metadataPath}`);
+
+  return imagePath;
 }
 
 /**
- * Handle credits command execution
+ * Save a non-image result (3D model, audio or video) to disk with metadata, returning the file path
  */
-async function handleCreditsCommand(globalOptions: GlobalOptions): Promise<void> {
-  try {
-    // Set log level
-    setLogLevel(globalOptions.logLevel);
-
-    // Get API key
-    const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
-
-    // Initialize API client
-    const api = new StabilityAPI(apiKey, undefined, globalOptions.logLevel);
-
-    logger.info('Fetching account credits...');
+async function saveFileResult(
+  file: { data: Buffer; extension: string; kind: 'model' | 'audio' | 'video' },
+  result: { finish_reason?: string; seed?: string },
+  name: string,
+  model: string,
+  params: Record<string, unknown>,
+  outputDir?: string
+): Promise<string> {
+  const modelDir = path.join(outputDir || getOutputDir(), model);
+  await ensureDirectory(modelDir);
 
-    // Get balance
-    const balance = await api.getBalance();
+  const filename = generateTimestampedFilename(promptToFilename(name), file.extension);
+  const filePath = path.join(modelDir, filename);
+  await writeToFile(file.data, filePath, 'binary');
+  const label = { model: 'Model', audio: 'Audio', video: 'Video' }[file.kind];
+  logger.info(`✓ ${label} saved: ${filePath}`);
 
-    logger.info('='.repeat(60));
+  const metadataPath = path.join(modelDir, filename.replace(`.${file.extension}`, '_metadata.json'));
+  const metadata = {
+    model,
+    timestamp: new Date().toISOString(),
+    parameters: params,
+    result: {
+      finish_reason: result.finish_reason,
+      seed: result.seed,
+      [`${file.kind}_path`]: filePath
+    }
+  };
+
+  await writeToFile(metadata, metadataPath);
+  logger.info(`✓ Metadata saved: ${metadataPath}`);
+
+  return filePath;
+}
+
+/**
+ * Record a submitted async task and, unless --no-wait was given, wait for it.
+ * Returns null when the caller should exit without a result.
+ */
+async function trackAsyncTask<R extends object = ImageResult>(
+  api: StabilityAPI,
+  task: R | TaskResult,
+  record: Omit<TaskRecord, 'id' | 'submittedAt' | 'status'>,
+  wait: boolean
+): Promise<{ result: R; taskId?: string } | null> {
+  // Some responses complete synchronously; nothing to track
+  if (!('id' in task) || !task.id) {
+    return { result: task as R };
+  }
+
+  const store = new TaskStore();
+  store.add({ ...record, id: task.id, submittedAt: new Date().toISOString(), status: 'pending' });
+  logger.info(`Task submitted: ${task.id}`);
+
+  if (!wait) {
+    logger.info(`Fetch the result later with: sai tasks fetch ${task.id}`);
+    return null;
+  }
+
+  try {
+    const result = await api.waitForResult(task.id, { showSpinner: true, resultsEndpoint: resultsEndpointFor(record.operation) });
+    return { result: result as unknown as R, taskId: task.id };
+  } catch (error) {
+    // Timeouts, cancellations and network failures leave the task fetchable
+    if (isTaskFailure(error)) {
+      store.update(task.id, { status: 'failed', completedAt: new Date().toISOString(), error: (error as Error).message });
+    } else {
+      logger.warn(`Task ${task.id} is still recorded; retry with: sai tasks fetch ${task.id}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Results endpoint for a tracked operation; video tasks are polled on their own endpoint
+ */
+function resultsEndpointFor(operation: string | undefined): string | undefined {
+  return operation !== undefined && Object.hasOwn(VIDEO_ENDPOINTS, operation) ? VIDEO_RESULTS_ENDPOINT : undefined;
+}
+
+/**
+ * Whether a polling error means the task itself failed (a 4xx from the results endpoint)
+ */
+function isTaskFailure(error: unknown): boolean {
+  return error instanceof StabilityError &&
+    !(error instanceof StabilityTimeoutError || error instanceof StabilityAbortError) &&
+    error.status !== undefined && error.status >= 400 && error.status < 500 && error.status !== 429;
+}
+
+/**
+ * Mark a tracked task as fetched and saved
+ */
+function markTaskCompleted(taskId: string, imagePath: string): void {
+  new TaskStore().update(taskId, { status: 'completed', completedAt: new Date().toISOString(), output: imagePath });
+}
+
+/**
+ * Handle credits command execution
+ */
+async function handleCreditsCommand(globalOptions: GlobalOptions): Promise<void> {
+  try {
+    // Set log level
+    setLogLevel(globalOptions.logLevel);
+
+    // Get API key
+    const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
+
+    // Initialize API client
+    const api = createClient(apiKey, globalOptions);
+
+    logger.info('Fetching account credits...');
+
+    // Get balance
+    const balance = await api.getBalance();
+
+    logger.info('='.repeat(60));
     logger.info('Account Credits:');
     logger.info(`  Credits: ${balance.credits.toFixed(4)}`);
     logger.info('='.repeat(60));
 
   } catch (error) {
     const err = error as Error;
-    logger.error(`Failed to fetch credits: ${err.message}`);
+    logger.error(`Failed to fetch credits: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle cache stats command execution
+ */
+async function handleCacheStatsCommand(options: CacheCommandOptions, globalOptions: GlobalOptions): Promise<void> {
+  try {
+    // Set log level
+    setLogLevel(globalOptions.logLevel);
+
+    const stats = await new FileCacheStore(options.dir).stats();
+
+    logger.info('='.repeat(60));
+    logger.info('Response Cache:');
+    logger.info(`  Location: ${stats.location}`);
+    logger.info(`  Entries: ${stats.entries}`);
+    logger.info(`  Size: ${(stats.bytes / (1024 * 1024)).toFixed(1)} MB`);
+    logger.info(`  Hits: ${stats.hits}`);
+    logger.info(`  Credits saved: ~${stats.creditsSaved}`);
+    logger.info('='.repeat(60));
+
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`\n✗ Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle cache clear command execution
+ */
+async function handleCacheClearCommand(options: CacheCommandOptions, globalOptions: GlobalOptions): Promise<void> {
+  try {
+    // Set log level
+    setLogLevel(globalOptions.logLevel);
+
+    const store = new FileCacheStore(options.dir);
+    const removed = await store.clear();
+    logger.info(`✓ Removed ${removed} cached response${removed === 1 ? '' : 's'} from ${store.dir}`);
+
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`\n✗ Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle explore command execution
+ */
+async function handleExploreCommand(operation: string, options: ExploreCommandOptions, globalOptions: GlobalOptions): Promise<void> {
+  try {
+    // Set log level
+    setLogLevel(globalOptions.logLevel);
+
+    if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+      logger.error('Error: --concurrency must be a positive integer');
+      process.exit(1);
+    }
+
+    const params: Record<string, unknown> = Object.fromEntries(options.set.map(parseOverride));
+    if (options.prompt !== undefined) {
+      params.prompt = options.prompt;
+    }
+    if (options.image !== undefined) {
+      params.image = options.image;
+    }
+    const grid = Object.fromEntries(options.vary.map(parseAxis));
+    const plan = planExploration(operation, params, grid, { seeds: options.seeds, maxCredits: options.maxCredits });
+
+    logger.info('='.repeat(60));
+    logger.info(`Exploring: ${operation}`);
+    for (const [name, axis] of Object.entries(grid)) {
+      logger.info(`Vary: ${name} = ${Array.isArray(axis) ? axis.join(', ') : `${axis.min} to ${axis.max} step ${axis.step}`}`);
+    }
+    if (options.seeds) {
+      logger.info(`Seeds: ${options.seeds} per combination`);
+    }
+    logger.info(`Cells: ${plan.cells.length}, estimated cost: ~${plan.credits} credits (cap ${options.maxCredits})`);
+    logger.info('='.repeat(60));
+
+    if (globalOptions.dryRun) {
+      logger.info('Dry run - no API calls made');
+      return;
+    }
+
+    // Get API key
+    const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
+
+    // Initialize API client
+    const api = createClient(apiKey, globalOptions);
+
+    // Ctrl+C stops scheduling new cells; the contact sheet still covers finished ones
+    const controller = new AbortController();
+    process.once('SIGINT', () => {
+      logger.warn('Stopping exploration after in-flight calls are cancelled...');
+      controller.abort();
+    });
+
+    const result = await api.explore(operation, params, grid, {
+      seeds: options.seeds,
+      maxCredits: options.maxCredits,
+      outputDir: globalOptions.outputDir,
+      concurrency: options.concurrency,
+      signal: controller.signal
+    });
+
+    logger.info('='.repeat(60));
+    logger.info(`Exploration complete: ${result.succeeded} succeeded, ${result.failed} failed`);
+    logger.info(`✓ Contact sheet: ${result.contactSheet}`);
+    logger.info('='.repeat(60));
+
+    if (result.failed > 0 || controller.signal.aborted) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`\n✗ Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle rerun command execution
+ */
+async function handleRerunCommand(metadataPath: string, options: RerunCommandOptions, globalOptions: GlobalOptions): Promise<void> {
+  try {
+    // Set log level
+    setLogLevel(globalOptions.logLevel);
+
+    if (!existsSync(metadataPath)) {
+      logger.error(`Error: Metadata file not found: ${metadataPath}`);
+      process.exit(1);
+    }
+
+    const record = await loadRunRecord(metadataPath);
+    const overrides = Object.fromEntries(options.set.map(parseOverride));
+    const { operation, params } = planRerun(record, { overrides, newSeed: options.newSeed });
+
+    logger.info('='.repeat(60));
+    logger.info(`Rerunning: ${operation}`);
+    logger.info(`From: ${metadataPath}`);
+    if (params.prompt) {
+      logger.info(`Prompt: "${params.prompt}"`);
+    }
+    if (params.seed !== undefined) {
+      logger.info(`Seed: ${params.seed}`);
+    }
+    for (const [key, value] of Object.entries(overrides)) {
+      logger.info(`Override: ${key}=${value === undefined ? '(removed)' : JSON.stringify(value)}`);
+    }
+    logger.info('='.repeat(60));
+
+    if (globalOptions.dryRun) {
+      printCostEstimate(operation, params);
+      return;
+    }
+
+    // Get API key
+    const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
+
+    // Initialize API client
+    const api = createClient(apiKey, globalOptions);
+
+    let result: ImageResult;
+    const spinner = createSpinner(`${operation}...`);
+    spinner.start();
+    try {
+      result = await runOperation(api, operation, params);
+      spinner.stop(`✓ ${operation} completed successfully`);
+    } catch (error) {
+      spinner.stop();
+      throw error;
+    }
+
+    const input = (params.image ?? params.init_image) as string | undefined;
+    const promptText = (params.prompt as string) || (input ? path.basename(input, path.extname(input)) : operation);
+    await saveImageResult(result, promptText, outputDirFor(operation), params, globalOptions.outputDir);
+
+    logger.info('='.repeat(60));
+    logger.info('✓ Rerun complete!');
+    logger.info('='.repeat(60));
+
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`\n✗ Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle inspect command execution
+ */
+async function handleInspectCommand(image: string, options: InspectOptions, globalOptions: GlobalOptions): Promise<void> {
+  try {
+    // Set log level
+    setLogLevel(globalOptions.logLevel);
+
+    if (!existsSync(image)) {
+      logger.error(`Error: Image file not found: ${image}`);
+      process.exit(1);
+    }
+
+    const metadata = await readImageMetadata(image);
+    if (!metadata) {
+      logger.info(`No generation metadata embedded in ${image}`);
+      return;
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(metadata, null, 2));
+      return;
+    }
+
+    logger.info('='.repeat(60));
+    logger.info(`Model: ${metadata.model}`);
+    logger.info(`Generated: ${metadata.timestamp}`);
+    if (metadata.prompt) {
+      logger.info(`Prompt: ${metadata.prompt}`);
+    }
+    if (metadata.negative_prompt) {
+      logger.info(`Negative prompt: ${metadata.negative_prompt}`);
+    }
+    if (metadata.seed) {
+      logger.info(`Seed: ${metadata.seed}`);
+    }
+    if (metadata.finish_reason) {
+      logger.info(`Finish reason: ${metadata.finish_reason}`);
+    }
+    logger.info('Parameters:');
+    for (const [key, value] of Object.entries(metadata.parameters)) {
+      logger.info(`  ${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    }
+    logger.info('='.repeat(60));
+
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`\n✗ Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle mask command execution
+ */
+async function handleMaskCommand(image: string, options: MaskCommandOptions, globalOptions: GlobalOptions): Promise<void> {
+  try {
+    // Set log level
+    setLogLevel(globalOptions.logLevel);
+
+    const shapes: MaskShape[] = [
+      ...options.rect.map(spec => parseShapeSpec('rect', spec)),
+      ...options.ellipse.map(spec => parseShapeSpec('ellipse', spec)),
+      ...options.polygon.map(spec => parseShapeSpec('polygon', spec))
+    ];
+    if (options.shapes) {
+      shapes.push(...parseMaskShapes(JSON.parse(readFileSync(options.shapes, 'utf8'))));
+    }
+
+    const mask = await createMask(image, {
+      shapes,
+      fromAlpha: options.fromAlpha,
+      dilate: options.dilate,
+      feather: options.feather,
+      invert: options.invert
+    });
+
+    // URL sources get their mask in the current directory
+    const parsed = path.parse(image);
+    const dir = /^https?:\/\//.test(image) ? '.' : parsed.dir;
+    const output = options.output ?? path.join(dir, `${parsed.name}_mask.png`);
+    await writeToFile(mask, output);
+    logger.info(`✓ Mask saved: ${output}`);
+
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`\n✗ Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle mock-server command execution
+ */
+async function handleMockServerCommand(options: MockServerOptions, globalOptions: GlobalOptions): Promise<void> {
+  try {
+    // Set log level
+    setLogLevel(globalOptions.logLevel);
+
+    const faults = options.fault.map(parseFaultSpec);
+    const server = await startMockServer({
+      port: options.port,
+      host: options.host,
+      pollsUntilComplete: options.polls,
+      credits: options.credits,
+      faults
+    });
+
+    logger.info('='.repeat(60));
+    logger.info(`Mock Stability AI server listening on ${server.url}`);
+    logger.info(`  Async tasks complete after ${options.polls} poll(s)`);
+    for (const fault of faults) {
+      logger.info(`  Fault: HTTP ${fault.status} on ${fault.path ?? 'all paths'} (${fault.times ?? 'unlimited'} time(s))`);
+    }
+    logger.info('');
+    logger.info('Point a client at it with:');
+    logger.info(`  sai --api-key test-key --base-url ${server.url} generate core --prompt "a cat"`);
+    logger.info(`  new StabilityAPI({ apiKey: 'test-key', baseUrl: '${server.url}', allowInsecureLocalhost: true })`);
+    logger.info('Press Ctrl+C to stop');
+    logger.info('='.repeat(60));
+
+    process.once('SIGINT', () => {
+      logger.info('Stopping mock server...');
+      server.close().finally(() => process.exit(0));
+    });
+
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`Failed to start mock server: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle serve command execution
+ */
+async function handleServeCommand(options: ServeOptions, globalOptions: GlobalOptions): Promise<void> {
+  try {
+    // Set log level
+    setLogLevel(globalOptions.logLevel);
+
+    if (!Number.isInteger(options.rateLimit) || options.rateLimit < 0) {
+      logger.error('Error: --rate-limit must be a non-negative integer');
+      process.exit(1);
+    }
+
+    // Get API key
+    const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
+
+    // Initialize API client
+    const api = createClient(apiKey, globalOptions);
+
+    const server = await startProxyServer(api, {
+      port: options.port,
+      host: options.host,
+      rateLimit: options.rateLimit > 0 ? { max: options.rateLimit, windowMs: 60_000 } : false,
+      corsOrigin: options.corsOrigin,
+      trustProxy: options.trustProxy
+    });
+
+    logger.info('='.repeat(60));
+    logger.info(`Stability AI proxy listening on ${server.url}`);
+    logger.info(`  Rate limit: ${options.rateLimit > 0 ? `${options.rateLimit} requests per client per minute` : 'off'}`);
+    logger.info(`  CORS origin: ${options.corsOrigin ?? 'none (same-origin and server-side callers only)'}`);
+    logger.info('');
+    logger.info('Routes:');
+    logger.info('  POST /v1/<operation>   (e.g. /v1/stable-image-core, /v1/erase, /v1/sketch)');
+    logger.info('  GET  /v1/results/<id>');
+    logger.info('  GET  /v1/operations');
+    logger.info('  GET  /v1/balance');
+    logger.info('Press Ctrl+C to stop');
+    logger.info('='.repeat(60));
+
+    process.once('SIGINT', () => {
+      logger.info('Stopping proxy server...');
+      server.close().finally(() => process.exit(0));
+    });
+
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`Failed to start proxy server: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle tasks list command execution
+ */
+async function handleTasksListCommand(options: TasksListOptions, globalOptions: GlobalOptions): Promise<void> {
+  try {
+    // Set log level
+    setLogLevel(globalOptions.logLevel);
+
+    const store = new TaskStore();
+    const tasks = store.list().filter(task => !options.status || task.status === options.status);
+
+    if (tasks.length === 0) {
+      logger.info(`No tasks recorded in ${store.storePath}`);
+      return;
+    }
+
+    logger.info('='.repeat(60));
+    for (const task of tasks) {
+      logger.info(`${task.id.slice(0, 12)}  ${task.status.padEnd(9)}  ${task.operation.padEnd(30)}  ${task.submittedAt}`);
+      if (task.output) {
+        logger.info(`  → ${task.output}`);
+      }
+      if (task.error) {
+        logger.info(`  ✗ ${task.error}`);
+      }
+    }
+    logger.info('='.repeat(60));
+    logger.info(`${tasks.length} task(s)`);
+
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`\n✗ Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle tasks status command execution
+ */
+async function handleTasksStatusCommand(id: string, globalOptions: GlobalOptions): Promise<void> {
+  try {
+    // Set log level
+    setLogLevel(globalOptions.logLevel);
+
+    const store = new TaskStore();
+    const record = store.get(id);
+    const taskId = record?.id ?? id;
+
+    if (record) {
+      logger.info(`Task: ${record.id}`);
+      logger.info(`Operation: ${record.operation}`);
+      logger.info(`Submitted: ${record.submittedAt}`);
+    }
+
+    // Completed and failed tasks are final; only pending ones need the API
+    if (record && record.status !== 'pending') {
+      logger.info(`Status: ${record.status}${record.output ? ` (${record.output})` : ''}${record.error ? ` - ${record.error}` : ''}`);
+      return;
+    }
+
+    // Get API key
+    const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
+
+    // Initialize API client
+    const api = createClient(apiKey, globalOptions);
+
+    try {
+      const result = await api.getResult(taskId, { resultsEndpoint: resultsEndpointFor(record?.operation) });
+      if (('image' in result && result.image) || ('video' in result && result.video)) {
+        logger.info(`Status: ready - fetch it with: sai tasks fetch ${taskId}`);
+      } else {
+        logger.info('Status: in progress');
+      }
+    } catch (error) {
+      if (record && isTaskFailure(error)) {
+        store.update(record.id, { status: 'failed', completedAt: new Date().toISOString(), error: (error as Error).message });
+      }
+      throw error;
+    }
+
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`\n✗ Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle tasks fetch command execution
+ */
+async function handleTasksFetchCommand(id: string, options: TasksFetchOptions, globalOptions: GlobalOptions): Promise<void> {
+  try {
+    // Set log level
+    setLogLevel(globalOptions.logLevel);
+
+    const store = new TaskStore();
+    const record = store.get(id);
+    const taskId = record?.id ?? id;
+    if (!record) {
+      logger.warn(`Task ${id} is not in ${store.storePath}; saving under "results"`);
+    }
+
+    // Get API key
+    const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
+
+    // Initialize API client
+    const api = createClient(apiKey, globalOptions);
+
+    const resultsEndpoint = resultsEndpointFor(record?.operation);
+    let result: ImageResult | VideoResult;
+    try {
+      if (options.wait) {
+        result = await api.waitForResult(taskId, { showSpinner: true, resultsEndpoint }) as ImageResult | VideoResult;
+      } else {
+        const response = await api.getResult(taskId, { resultsEndpoint });
+        if (!('image' in response && response.image) && !('video' in response && response.video)) {
+          logger.info(`Task ${taskId} is still in progress; try again later or use --wait`);
+          return;
+        }
+        result = response as ImageResult | VideoResult;
+      }
+    } catch (error) {
+      if (record && isTaskFailure(error)) {
+        store.update(record.id, { status: 'failed', completedAt: new Date().toISOString(), error: (error as Error).message });
+      }
+      throw error;
+    }
+
+    const outputPath = 'video' in result
+      ? await saveFileResult(
+        { data: result.video, extension: 'mp4', kind: 'video' },
+        result,
+        record?.outputName ?? taskId,
+        record?.model ?? 'results',
+        record?.params ?? {},
+        globalOptions.outputDir || record?.outputDir
+      )
+      : await saveImageResult(
+        result,
+        record?.outputName ?? taskId,
+        record?.model ?? 'results',
+        record?.params ?? {},
+        globalOptions.outputDir || record?.outputDir
+      );
+    if (record) {
+      markTaskCompleted(record.id, outputPath);
+    }
+
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`\n✗ Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle batch run command execution
+ */
+async function handleBatchRunCommand(manifest: string, options: BatchRunOptions, globalOptions: GlobalOptions): Promise<void> {
+  try {
+    // Set log level
+    setLogLevel(globalOptions.logLevel);
+
+    if (!existsSync(manifest)) {
+      logger.error(`Error: Manifest file not found: ${manifest}`);
+      process.exit(1);
+    }
+    if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+      logger.error('Error: --concurrency must be a positive integer');
+      process.exit(1);
+    }
+
+    const jobs = await loadManifest(manifest);
+    const base = manifest.slice(0, manifest.length - path.extname(manifest).length);
+    const statePath = options.state || `${base}.state.json`;
+    const reportPath = options.report || `${base}.report.json`;
+
+    if (globalOptions.dryRun) {
+      const credits = jobs.reduce((total, job) => total + estimateCost(job.operation, job.params), 0);
+      logger.info('='.repeat(60));
+      logger.info('Dry run - no API calls made');
+      logger.info(`Jobs: ${jobs.length}`);
+      logger.info(`Estimated cost: ~${credits} credits (before skipping completed jobs)`);
+      logger.info('='.repeat(60));
+      return;
+    }
+
+    // Get API key
+    const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
+
+    // Initialize API client
+    const api = createClient(apiKey, globalOptions);
+
+    logger.info('='.repeat(60));
+    logger.info(`Starting batch: ${manifest}`);
+    logger.info(`Jobs: ${jobs.length}, concurrency: ${options.concurrency}`);
+    logger.info(`State: ${statePath}`);
+    logger.info('='.repeat(60));
+
+    // Ctrl+C stops scheduling new jobs; completed ones stay recorded for resume
+    const controller = new AbortController();
+    process.once('SIGINT', () => {
+      logger.warn('Stopping batch after in-flight jobs are cancelled...');
+      controller.abort();
+    });
+
+    const summary = await runBatch(api, jobs, {
+      concurrency: options.concurrency,
+      outputDir: globalOptions.outputDir,
+      statePath,
+      reportPath,
+      signal: controller.signal
+    });
+
+    logger.info('='.repeat(60));
+    logger.info(`Batch complete: ${summary.succeeded} succeeded, ${summary.failed} failed, ${summary.skipped} skipped`);
+    logger.info(`Estimated credits spent: ~${summary.credits}`);
+    for (const job of summary.jobs.filter(job => job.status === 'failed')) {
+      logger.error(`  ✗ ${job.id}: ${job.error}`);
+    }
+    const notStarted = summary.total - summary.succeeded - summary.failed - summary.skipped;
+    if (notStarted > 0) {
+      logger.warn(`${notStarted} job(s) not started; re-run to continue`);
+    }
+    logger.info(`✓ Report saved: ${reportPath}`);
+    logger.info('='.repeat(60));
+
+    if (summary.failed > 0 || controller.signal.aborted) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`\n✗ Error: ${err.message}`);
     process.exit(1);
   }
 }
 
 /**
- * Handle edit command execution
+ * Handle pipeline run command execution
  */
-async function handleEditCommand(operation: string, options: EditOptions, globalOptions: GlobalOptions): Promise<void> {
+async function handlePipelineRunCommand(recipePath: string, options: PipelineRunOptions, globalOptions: GlobalOptions): Promise<void> {
   try {
     // Set log level
     setLogLevel(globalOptions.logLevel);
 
-    // Validate input image exists
-    if (!existsSync(options.image)) {
-      logger.error(`Error: Image file not found: ${options.image}`);
+    if (!existsSync(recipePath)) {
+      logger.error(`Error: Recipe file not found: ${recipePath}`);
       process.exit(1);
     }
 
+    const recipe = await loadPipeline(recipePath);
+    const credits = recipe.steps.reduce((total, step) => total + estimateCost(step.operation, step.params), 0);
+
+    logger.info('='.repeat(60));
+    logger.info(`Pipeline: ${recipe.name}`);
+    recipe.steps.forEach((step, index) => logger.info(`  ${index + 1}. ${step.id} (${step.operation})`));
+    logger.info(`Estimated cost: ~${credits} credits`);
+    logger.info('='.repeat(60));
+
+    if (globalOptions.dryRun) {
+      logger.info('Dry run - no API calls made');
+      return;
+    }
+
     // Get API key
     const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
 
     // Initialize API client
-    const api = new StabilityAPI(apiKey, undefined, globalOptions.logLevel);
+    const api = createClient(apiKey, globalOptions);
+
+    // Ctrl+C cancels the step in flight; nothing is saved for an unfinished pipeline
+    const controller = new AbortController();
+    process.once('SIGINT', () => {
+      logger.warn('Cancelling pipeline...');
+      controller.abort();
+    });
+
+    const result = await api.pipeline(recipe.steps, {
+      name: recipe.name,
+      keepIntermediates: options.keepIntermediates,
+      outputDir: globalOptions.outputDir || getOutputDir(),
+      signal: controller.signal
+    });
+
+    logger.info('='.repeat(60));
+    logger.info(`Pipeline complete: ${result.steps.length} step(s), ~${result.credits} credits`);
+    for (const step of result.steps.filter(step => step.output && step.output !== result.output)) {
+      logger.info(`  ${step.id}: ${step.output}`);
+    }
+    logger.info(`✓ Image saved: ${result.output}`);
+    logger.info(`✓ Provenance saved: ${path.join(result.directory as string, 'pipeline.json')}`);
+    logger.info('='.repeat(60));
+
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`\n✗ Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle edit command execution
+ */
+async function handleEditCommand(operation: string, options: EditOptions, globalOptions: GlobalOptions): Promise<void> {
+  try {
+    // Set log level
+    setLogLevel(globalOptions.logLevel);
+
+    // Validate input image exists
+    if (!existsSync(options.image)) {
+      logger.error(`Error: Image file not found: ${options.image}`);
+      process.exit(1);
+    }
 
     logger.info('='.repeat(60));
     logger.info(`Starting edit operation: ${operation}`);
@@ -954,10 +2358,25 @@ async function handleEditCommand(operation: string, options: EditOptions, global
       process.exit(1);
     }
 
+    if (globalOptions.dryRun) {
+      printCostEstimate(operation, params);
+      return;
+    }
+
+    // Get API key
+    const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
+
+    // Initialize API client
+    const api = createClient(apiKey, globalOptions);
+
     logger.info('Submitting edit request...');
 
+    const promptText = (params.prompt as string) || path.basename(options.image, path.extname(options.image));
+    const modelName = `edit-${operation.replace(/-and-/g, '-')}`;
+
     try {
       let result: ImageResult;
+      let taskId: string | undefined;
 
       // Replace-bg is async with its own spinner, others need CLI spinner
       const isAsync = operation === 'replace-background-and-relight';
@@ -988,9 +2407,21 @@ async function handleEditCommand(operation: string, options: EditOptions, global
           case 'remove-background':
             result = await api.removeBackground(options.image, params);
             break;
-          case 'replace-background-and-relight':
-            result = await api.replaceBackgroundAndRelight(options.image, params) as ImageResult;
+          case 'replace-background-and-relight': {
+            const task = await api.replaceBackgroundAndRelight(options.image, { ...params, wait: false });
+            const tracked = await trackAsyncTask(api, task, {
+              operation,
+              model: modelName,
+              params: { ...params, image: options.image },
+              outputDir: globalOptions.outputDir,
+              outputName: promptText
+            }, options.wait !== false);
+            if (!tracked) {
+              return;
+            }
+            ({ result, taskId } = tracked);
             break;
+          }
           default:
             throw new Error(`Unknown edit operation: ${operation}`);
         }
@@ -1008,9 +2439,10 @@ async function handleEditCommand(operation: string, options: EditOptions, global
       }
 
       // Save image
-      const promptText = (params.prompt as string) || path.basename(options.image, path.extname(options.image));
-      const modelName = `edit-${operation.replace(/-and-/g, '-')}`;
-      await saveImageResult(result, promptText, modelName, params, globalOptions.outputDir);
+      const imagePath = await saveImageResult(result, promptText, modelName, { ...params, image: options.image }, globalOptions.outputDir);
+      if (taskId) {
+        markTaskCompleted(taskId, imagePath);
+      }
 
       logger.info('='.repeat(60));
       logger.info(`✓ Edit operation complete!`);
@@ -1218,12 +2650,6 @@ async function handleControlCommand(operation: string, options: ControlOptions,
       }
     }
 
-    // Get API key
-    const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
-
-    // Initialize API client
-    const api = new StabilityAPI(apiKey, undefined, globalOptions.logLevel);
-
     logger.info('='.repeat(60));
     logger.info(`Starting control operation: ${operation}`);
     if (operation === 'style-transfer') {
@@ -1248,6 +2674,17 @@ async function handleControlCommand(operation: string, options: ControlOptions,
       process.exit(1);
     }
 
+    if (globalOptions.dryRun) {
+      printCostEstimate(operation, params);
+      return;
+    }
+
+    // Get API key
+    const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
+
+    // Initialize API client
+    const api = createClient(apiKey, globalOptions);
+
     logger.info('Submitting control request...');
 
     try {
@@ -1283,7 +2720,10 @@ async function handleControlCommand(operation: string, options: ControlOptions,
       // Save image
       const promptText = (params.prompt as string) || `control-${operation}`;
       const modelName = `control-${operation}`;
-      await saveImageResult(result, promptText, modelName, params, globalOptions.outputDir);
+      const inputs = operation === 'style-transfer'
+        ? { init_image: options.initImage, style_image: options.styleImage }
+        : { image: options.image };
+      await saveImageResult(result, promptText, modelName, { ...params, ...inputs }, globalOptions.outputDir);
 
       logger.info('='.repeat(60));
       logger.info(`✓ Control operation complete!`);
@@ -1304,6 +2744,229 @@ async function handleControlCommand(operation: string, options: ControlOptions,
   }
 }
 
+/**
+ * Handle 3D command execution
+ */
+async function handle3DCommand(model: ThreeDEndpointKey, options: ThreeDOptions, globalOptions: GlobalOptions): Promise<void> {
+  try {
+    // Set log level
+    setLogLevel(globalOptions.logLevel);
+
+    if (!existsSync(options.image)) {
+      logger.error(`Error: Image file not found: ${options.image}`);
+      process.exit(1);
+    }
+
+    logger.info('='.repeat(60));
+    logger.info(`Starting 3D generation: ${model}`);
+    logger.info(`Input: ${options.image}`);
+    logger.info('='.repeat(60));
+
+    const params: ThreeDParams = {};
+    if (options.textureResolution !== undefined) params.texture_resolution = options.textureResolution;
+    if (options.foregroundRatio !== undefined) params.foreground_ratio = options.foregroundRatio;
+    if (options.remesh) params.remesh = options.remesh;
+    if (options.vertexCount !== undefined) params.vertex_count = options.vertexCount;
+    if (options.guidanceScale !== undefined) params.guidance_scale = options.guidanceScale;
+    if (options.seed !== undefined) params.seed = options.seed;
+
+    // Validate parameters
+    const validation = validateThreeDParams(model, { ...params });
+    if (!validation.valid) {
+      logger.error('Parameter validation failed:');
+      validation.errors.forEach(err => logger.error(`  - ${err}`));
+      process.exit(1);
+    }
+
+    if (globalOptions.dryRun) {
+      printCostEstimate(model, { ...params });
+      return;
+    }
+
+    // Get API key
+    const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
+
+    // Initialize API client
+    const api = createClient(apiKey, globalOptions);
+
+    const spinner = createSpinner(`Generating 3D model with ${model}...`);
+    spinner.start();
+
+    let result: Model3DResult;
+    try {
+      result = await api.generate3D(options.image, { ...params, model });
+      spinner.stop(`✓ 3D model generated (${result.glb.length} bytes)`);
+    } catch (error) {
+      spinner.stop();
+      throw error;
+    }
+
+    const name = path.basename(options.image, path.extname(options.image));
+    const file = { data: result.glb, extension: 'glb', kind: 'model' } as const;
+    await saveFileResult(file, result, name, model, { ...params, image: options.image }, globalOptions.outputDir);
+
+    logger.info('='.repeat(60));
+    logger.info('✓ 3D generation complete!');
+    logger.info('='.repeat(60));
+
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`\n✗ Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle audio command execution
+ */
+async function handleAudioCommand(operation: AudioEndpointKey, options: AudioOptions, globalOptions: GlobalOptions): Promise<void> {
+  try {
+    // Set log level
+    setLogLevel(globalOptions.logLevel);
+
+    if (options.audio && !existsSync(options.audio)) {
+      logger.error(`Error: Audio file not found: ${options.audio}`);
+      process.exit(1);
+    }
+
+    logger.info('='.repeat(60));
+    logger.info(`Starting audio generation: ${operation}`);
+    if (options.audio) {
+      logger.info(`Input: ${options.audio}`);
+    }
+    logger.info(`Prompt: "${options.prompt}"`);
+    logger.info('='.repeat(60));
+
+    const params: AudioToAudioParams = { prompt: options.prompt, output_format: options.outputFormat };
+    if (options.duration !== undefined) params.duration = options.duration;
+    if (options.steps !== undefined) params.steps = options.steps;
+    if (options.cfgScale !== undefined) params.cfg_scale = options.cfgScale;
+    if (options.strength !== undefined) params.strength = options.strength;
+    if (options.seed !== undefined) params.seed = options.seed;
+
+    // Validate parameters
+    const validation = validateAudioParams(operation, { ...params });
+    if (!validation.valid) {
+      logger.error('Parameter validation failed:');
+      validation.errors.forEach(err => logger.error(`  - ${err}`));
+      process.exit(1);
+    }
+
+    if (globalOptions.dryRun) {
+      printCostEstimate(operation, { ...params });
+      return;
+    }
+
+    // Get API key
+    const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
+
+    // Initialize API client
+    const api = createClient(apiKey, globalOptions);
+
+    const spinner = createSpinner(`Generating audio (${operation})...`);
+    spinner.start();
+
+    let result: AudioResult;
+    try {
+      result = options.audio
+        ? await api.audioToAudio(options.audio, params)
+        : await api.generateAudio(params);
+      spinner.stop(`✓ Audio generated (${result.audio.length} bytes)`);
+    } catch (error) {
+      spinner.stop();
+      throw error;
+    }
+
+    const file = { data: result.audio, extension: options.outputFormat, kind: 'audio' } as const;
+    const inputs = options.audio ? { audio: options.audio } : {};
+    await saveFileResult(file, result, options.prompt, 'stable-audio-2', { ...params, ...inputs }, globalOptions.outputDir);
+
+    logger.info('='.repeat(60));
+    logger.info('✓ Audio generation complete!');
+    logger.info('='.repeat(60));
+
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`\n✗ Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle video command execution
+ */
+async function handleVideoCommand(options: VideoOptions, globalOptions: GlobalOptions): Promise<void> {
+  try {
+    // Set log level
+    setLogLevel(globalOptions.logLevel);
+
+    if (!existsSync(options.image)) {
+      logger.error(`Error: Image file not found: ${options.image}`);
+      process.exit(1);
+    }
+
+    logger.info('='.repeat(60));
+    logger.info('Starting video generation: image-to-video');
+    logger.info(`Input: ${options.image}`);
+    logger.info('='.repeat(60));
+
+    const params: VideoParams = {};
+    if (options.seed !== undefined) params.seed = options.seed;
+    if (options.cfgScale !== undefined) params.cfg_scale = options.cfgScale;
+    if (options.motionBucketId !== undefined) params.motion_bucket_id = options.motionBucketId;
+
+    // Validate parameters
+    const validation = validateVideoParams('image-to-video', { ...params });
+    if (!validation.valid) {
+      logger.error('Parameter validation failed:');
+      validation.errors.forEach(err => logger.error(`  - ${err}`));
+      process.exit(1);
+    }
+
+    if (globalOptions.dryRun) {
+      printCostEstimate('image-to-video', { ...params });
+      return;
+    }
+
+    // Get API key
+    const apiKey = getStabilityApiKey(globalOptions.apiKey || null);
+
+    // Initialize API client
+    const api = createClient(apiKey, globalOptions);
+
+    logger.info('Submitting video request...');
+
+    const name = path.basename(options.image, path.extname(options.image));
+    const task = await api.generateVideo(options.image, { ...params, wait: false });
+    const tracked = await trackAsyncTask<VideoResult>(api, task, {
+      operation: 'image-to-video',
+      model: 'stable-video-diffusion',
+      params: { ...params, image: options.image },
+      outputDir: globalOptions.outputDir,
+      outputName: name
+    }, options.wait !== false);
+    if (!tracked) {
+      return;
+    }
+
+    logger.info(`✓ Video generated (${tracked.result.video.length} bytes)`);
+    const file = { data: tracked.result.video, extension: 'mp4', kind: 'video' } as const;
+    const videoPath = await saveFileResult(file, tracked.result, name, 'stable-video-diffusion', { ...params, image: options.image }, globalOptions.outputDir);
+    if (tracked.taskId) {
+      markTaskCompleted(tracked.taskId, videoPath);
+    }
+
+    logger.info('='.repeat(60));
+    logger.info('✓ Video generation complete!');
+    logger.info('='.repeat(60));
+
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`\n✗ Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
 /**
  * Build control parameters from CLI options
  */
@@ -23,10 +23,26 @@ import type {
   ModelEndpoints,
   EditEndpoints,
   ControlEndpoints,
+  ModelCredits,
+  EditCredits,
+  ControlCredits,
   ModelConstraints,
   EditConstraints,
   ControlConstraints,
+  ThreeDEndpoints,
+  ThreeDCredits,
+  ThreeDConstraints,
+  AudioEndpoints,
+  AudioCredits,
+  AudioConstraints,
+  VideoEndpoints,
+  VideoCredits,
+  VideoConstraints,
+  UpscaleModel,
+  UpscalePlan,
   ValidationResult,
+  RetryOptions,
+  InputFit,
 } from './types/index.js';
 
 // Load environment variables in priority order:
@@ -46,6 +62,21 @@ export const BASE_URL = 'https://api.stability.ai';
 export const DEFAULT_POLL_INTERVAL = 10; // seconds (Stability AI recommends 10s)
 export const DEFAULT_TIMEOUT = 300; // seconds (5 minutes)
 export const MAX_RETRIES = 3;
+export const REQUEST_TIMEOUT_MS = 30000; // milliseconds per request attempt
+
+// Default retry policy for transient failures (1s -> 2s -> 4s, capped at 30s)
+export const DEFAULT_RETRY_OPTIONS: RetryOptions = {
+  maxRetries: MAX_RETRIES,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  jitter: true,
+  retryableStatuses: [429, 500, 502, 503, 504],
+  retryOnNetworkError: true,
+  retryPosts: false
+};
+
+// Connection errors raised before a request reaches the server, so a POST can be resent safely
+export const PRE_SEND_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
 
 // Model endpoints
 export const MODEL_ENDPOINTS: ModelEndpoints = {
@@ -55,6 +86,7 @@ export const MODEL_ENDPOINTS: ModelEndpoints = {
   'sd3-large': '/v2beta/stable-image/generate/sd3',
   'sd3-medium': '/v2beta/stable-image/generate/sd3',
   'sd3-large-turbo': '/v2beta/stable-image/generate/sd3',
+  'sd3-flash': '/v2beta/stable-image/generate/sd3',
 
   // Upscale endpoints
   'upscale-fast': '/v2beta/stable-image/upscale/fast', // synchronous
@@ -65,12 +97,39 @@ export const MODEL_ENDPOINTS: ModelEndpoints = {
   'results': '/v2beta/results'
 };
 
+// Credits per call for model endpoints
+export const MODEL_CREDITS: ModelCredits = {
+  'stable-image-ultra': 8,
+  'stable-image-core': 3,
+  'sd3-large': 6.5,
+  'sd3-medium': 3.5,
+  'sd3-large-turbo': 4,
+  'sd3-flash': 2.5,
+  'upscale-fast': 2,
+  'upscale-conservative': 40,
+  'upscale-creative': 60
+};
+
+// SD3.5 model parameter -> MODEL_ENDPOINTS/MODEL_CREDITS key
+export const SD3_MODEL_KEYS: Record<string, 'sd3-large' | 'sd3-medium' | 'sd3-large-turbo' | 'sd3-flash'> = {
+  'sd3.5-large': 'sd3-large',
+  'sd3.5-medium': 'sd3-medium',
+  'sd3.5-large-turbo': 'sd3-large-turbo',
+  'sd3.5-flash': 'sd3-flash'
+};
+
+// Account balance endpoint (JSON response)
+export const BALANCE_ENDPOINT = '/v1/user/balance';
+
 // Valid aspect ratios for generate endpoints
 export const ASPECT_RATIOS = ['21:9', '16:9', '3:2', '5:4', '1:1', '4:5', '2:3', '9:16', '9:21'];
 
 // Valid output formats
 export const OUTPUT_FORMATS = ['jpeg', 'png', 'webp'];
 
+// Valid audio output formats
+export const AUDIO_OUTPUT_FORMATS = ['mp3', 'wav'];
+
 // Valid style presets (all 17 available in API)
 export const STYLE_PRESETS = [
   'enhance', 'anime', 'photographic', 'digital-art', 'comic-book',
@@ -90,6 +149,23 @@ export const EDIT_ENDPOINTS: EditEndpoints = {
   'replace-background-and-relight': '/v2beta/stable-image/edit/replace-background-and-relight' // async!
 };
 
+// Credits per call for edit endpoints
+export const EDIT_CREDITS: EditCredits = {
+  'erase': 5,
+  'inpaint': 5,
+  'outpaint': 4,
+  'search-and-replace': 5,
+  'search-and-recolor': 5,
+  'remove-background': 5,
+  'replace-background-and-relight': 8
+};
+
+// Handling of input images outside an endpoint's pixel or aspect-ratio limits
+export const INPUT_FIT_MODES: InputFit[] = ['error', 'downscale', 'pad', 'crop'];
+
+// Widest allowed input aspect ratio where constraints set requiresAspectRatio (1:2.5 to 2.5:1)
+export const MAX_INPUT_ASPECT_RATIO = 2.5;
+
 // Edit operation constraints
 export const EDIT_CONSTRAINTS: EditConstraints = {
   'erase': {
@@ -160,6 +236,17 @@ export const CONTROL_ENDPOINTS: ControlEndpoints = {
   'style-transfer': '/v2beta/stable-image/control/style-transfer'
 };
 
+// Credits per call for control endpoints
+export const CONTROL_CREDITS: ControlCredits = {
+  'sketch': 5,
+  'structure': 5,
+  'style': 5,
+  'style-transfer': 8
+};
+
+// Batches estimated at or above this many credits check the account balance first
+export const DEFAULT_BALANCE_CHECK_THRESHOLD = 50;
+
 // Control operation constraints
 export const CONTROL_CONSTRAINTS: ControlConstraints = {
   'sketch': {
@@ -202,6 +289,94 @@ export const CONTROL_CONSTRAINTS: ControlConstraints = {
   }
 };
 
+// 3D endpoints (synchronous, return a binary glTF model)
+export const THREE_D_ENDPOINTS: ThreeDEndpoints = {
+  'stable-fast-3d': '/v2beta/3d/stable-fast-3d',
+  'stable-point-aware-3d': '/v2beta/3d/stable-point-aware-3d'
+};
+
+// Credits per call for 3D endpoints
+export const THREE_D_CREDITS: ThreeDCredits = {
+  'stable-fast-3d': 10,
+  'stable-point-aware-3d': 4
+};
+
+// 3D operation constraints
+export const THREE_D_CONSTRAINTS: ThreeDConstraints = {
+  'stable-fast-3d': {
+    textureResolutions: [512, 1024, 2048],
+    foreground_ratio: { min: 0.1, max: 1, default: 0.85 },
+    remeshModes: ['none', 'triangle', 'quad'],
+    vertex_count: { min: -1, max: 20000, default: -1 }, // -1 = no limit
+    pixels: { min: 4096, max: 4194304 }
+  },
+  'stable-point-aware-3d': {
+    textureResolutions: [512, 1024, 2048],
+    foreground_ratio: { min: 1, max: 2, default: 1.3 },
+    remeshModes: ['none', 'triangle', 'quad'],
+    vertex_count: { min: 100, max: 20000, default: 1000 },
+    guidance_scale: { min: 1, max: 10, default: 3 },
+    seed: { min: 0, max: 4294967294 },
+    pixels: { min: 4096, max: 4194304 }
+  }
+};
+
+// Audio endpoints (Stable Audio 2, synchronous, return MP3 or WAV)
+export const AUDIO_ENDPOINTS: AudioEndpoints = {
+  'text-to-audio': '/v2beta/audio/stable-audio-2/text-to-audio',
+  'audio-to-audio': '/v2beta/audio/stable-audio-2/audio-to-audio'
+};
+
+// Credits per call for audio endpoints
+export const AUDIO_CREDITS: AudioCredits = {
+  'text-to-audio': 20,
+  'audio-to-audio': 20
+};
+
+// Audio operation constraints
+export const AUDIO_CONSTRAINTS: AudioConstraints = {
+  'text-to-audio': {
+    promptMaxLength: 10000,
+    duration: { min: 1, max: 190, default: 190 },
+    steps: { min: 30, max: 100, default: 50 },
+    cfg_scale: { min: 1, max: 25, default: 7 },
+    seed: { min: 0, max: 4294967294 },
+    outputFormats: AUDIO_OUTPUT_FORMATS
+  },
+  'audio-to-audio': {
+    promptMaxLength: 10000,
+    duration: { min: 1, max: 190, default: 190 },
+    steps: { min: 30, max: 100, default: 50 },
+    cfg_scale: { min: 1, max: 25, default: 7 },
+    strength: { min: 0, max: 1, default: 1 },
+    seed: { min: 0, max: 4294967294 },
+    outputFormats: AUDIO_OUTPUT_FORMATS
+  }
+};
+
+// Video endpoints (asynchronous: submit returns a task ID, results are polled)
+export const VIDEO_ENDPOINTS: VideoEndpoints = {
+  'image-to-video': '/v2beta/image-to-video'
+};
+
+// Video task results (mp4 when complete, 202 while in progress)
+export const VIDEO_RESULTS_ENDPOINT = '/v2beta/image-to-video/result';
+
+// Credits per call for video endpoints
+export const VIDEO_CREDITS: VideoCredits = {
+  'image-to-video': 20
+};
+
+// Video operation constraints
+export const VIDEO_CONSTRAINTS: VideoConstraints = {
+  'image-to-video': {
+    dimensions: ['1024x576', '576x1024', '768x768'],
+    cfg_scale: { min: 0, max: 10, default: 1.8 },
+    motion_bucket_id: { min: 1, max: 255, default: 127 },
+    seed: { min: 0, max: 4294967294 }
+  }
+};
+
 // Model parameter constraints
 export const MODEL_CONSTRAINTS: ModelConstraints = {
   'stable-image-ultra': {
@@ -224,26 +399,46 @@ export const MODEL_CONSTRAINTS: ModelConstraints = {
     aspectRatios: ASPECT_RATIOS,
     outputFormats: OUTPUT_FORMATS,
     seed: { min: 0, max: 4294967294 },
-    models: ['sd3.5-large', 'sd3.5-medium', 'sd3.5-large-turbo'],
+    models: ['sd3.5-large', 'sd3.5-large-turbo', 'sd3.5-medium', 'sd3.5-flash'],
+    strength: { min: 0, max: 1 }, // for image-to-image
+    // Distilled turbo and flash variants only work with low guidance
+    cfg_scale: {
+      'sd3.5-large': { min: 1, max: 10, default: 4 },
+      'sd3.5-medium': { min: 1, max: 10, default: 4 },
+      'sd3.5-large-turbo': { min: 1, max: 2, default: 1 },
+      'sd3.5-flash': { min: 1, max: 2, default: 1 }
+    },
     stylePresets: STYLE_PRESETS
   },
   'upscale-fast': {
-    outputFormats: OUTPUT_FORMATS
+    outputFormats: OUTPUT_FORMATS,
+    pixels: { min: 1024, max: 1048576 },
+    output: { scale: 4 }
   },
   'upscale-conservative': {
     promptMaxLength: 10000,
     outputFormats: OUTPUT_FORMATS,
-    seed: { min: 0, max: 4294967294 }
+    seed: { min: 0, max: 4294967294 },
+    creativity: { min: 0.2, max: 0.5 },
+    pixels: { min: 4096, max: 9437184 },
+    requiresAspectRatio: true,
+    output: { pixels: 4194304 }
   },
   'upscale-creative': {
     promptMaxLength: 10000,
     outputFormats: OUTPUT_FORMATS,
     seed: { min: 0, max: 4294967294 },
     creativity: { min: 0.1, max: 0.5 },
-    stylePresets: STYLE_PRESETS
+    stylePresets: STYLE_PRESETS,
+    pixels: { min: 4096, max: 1048576 },
+    output: { pixels: 4194304 }
   }
 };
 
+// Scale factor above which upscaleTo() prefers the creative upscaler for inputs it accepts:
+// small, low-detail images need detail invented rather than preserved
+export const CREATIVE_UPSCALE_MIN_SCALE = 8;
+
 /**
  * Retrieve Stability AI API key from environment variables or CLI flag.
  *
@@ -307,6 +502,24 @@ export function getOutputDir(): string {
   return process.env.STABILITY_OUTPUT_DIR || 'datasets/stability';
 }
 
+/**
+ * Get the API base URL, e.g. a local `sai mock-server`, from environment or default.
+ *
+ * @returns Base URL from STABILITY_BASE_URL, or the Stability AI API
+ */
+export function getBaseUrl(): string {
+  return process.env.STABILITY_BASE_URL || BASE_URL;
+}
+
+/**
+ * Whether the CLI caches seeded responses when neither --cache nor --no-cache is given.
+ *
+ * @returns True if STABILITY_CACHE is "1" or "true"
+ */
+export function isCacheEnabled(): boolean {
+  return ['1', 'true'].includes((process.env.STABILITY_CACHE || '').toLowerCase());
+}
+
 /**
  * Get the polling interval from environment or default.
  *
@@ -363,6 +576,15 @@ interface ValidationParams {
   style_strength?: number;
   composition_fidelity?: number;
   change_strength?: number;
+  cfg_scale?: number;
+  texture_resolution?: number;
+  foreground_ratio?: number;
+  remesh?: string;
+  vertex_count?: number;
+  guidance_scale?: number;
+  duration?: number;
+  steps?: number;
+  motion_bucket_id?: number;
   [key: string]: unknown;
 }
 
@@ -441,7 +663,7 @@ export function validateModelParams(model: string, params: ValidationParams): Va
     }
   }
 
-  // Validate creativity (for creative upscale)
+  // Validate creativity (for conservative and creative upscale)
   if (params.creativity !== undefined && constraints.creativity) {
     const { min, max } = constraints.creativity;
     if (params.creativity < min || params.creativity > max) {
@@ -458,6 +680,24 @@ export function validateModelParams(model: string, params: ValidationParams): Va
     }
   }
 
+  // Validate cfg_scale against the range of the chosen variant (for SD3)
+  if (params.cfg_scale !== undefined && constraints.cfg_scale) {
+    const variant = params.model || constraints.models?.[0] || '';
+    const range = constraints.cfg_scale[variant];
+    if (range && (params.cfg_scale < range.min || params.cfg_scale > range.max)) {
+      errors.push(`cfg_scale must be between ${range.min} and ${range.max} for ${variant}`);
+    }
+  }
+
+  // SD3 image-to-image needs a strength, which text-to-image does not take
+  if (model === 'sd3') {
+    if (params.image !== undefined && params.strength === undefined) {
+      errors.push('strength is required for sd3 image-to-image');
+    } else if (params.image === undefined && params.strength !== undefined) {
+      errors.push('strength only applies to sd3 image-to-image (pass an image)');
+    }
+  }
+
   // Validate style_preset
   if (params.style_preset && constraints.stylePresets) {
     if (!constraints.stylePresets.includes(params.style_preset)) {
@@ -473,6 +713,57 @@ export function validateModelParams(model: string, params: ValidationParams): Va
   };
 }
 
+/**
+ * Pick the upscaler that reaches a target width from an input size.
+ * Fast (4x) is used when it is enough; larger factors go to the 4MP
+ * upscalers, creative for big jumps from inputs it accepts and conservative
+ * otherwise. The output keeps the input's aspect ratio and may be wider than
+ * the target.
+ *
+ * @param width - Input width in pixels
+ * @param height - Input height in pixels
+ * @param targetWidth - Smallest acceptable output width in pixels
+ * @returns Chosen upscaler and its output size
+ * @throws Error if the target is not wider than the input or no upscaler reaches it
+ *
+ * @example
+ * chooseUpscaler(512, 512, 1600);  // { model: 'upscale-fast', width: 2048, height: 2048 }
+ * chooseUpscaler(256, 256, 2048);  // { model: 'upscale-conservative', width: 2048, height: 2048 }
+ */
+export function chooseUpscaler(width: number, height: number, targetWidth: number): UpscalePlan {
+  if (!Number.isFinite(targetWidth) || targetWidth <= width) {
+    throw new Error(`Target width must be greater than the input width (${width}px)`);
+  }
+
+  const inputPixels = width * height;
+  const fits = (model: UpscaleModel): boolean => {
+    const { pixels } = MODEL_CONSTRAINTS[model];
+    return !pixels || (inputPixels >= pixels.min && inputPixels <= pixels.max);
+  };
+  const outputOf = (model: UpscaleModel): UpscalePlan => {
+    const output = MODEL_CONSTRAINTS[model].output!;
+    const scale = 'scale' in output ? output.scale : Math.sqrt(output.pixels / inputPixels);
+    return { model, width: Math.floor(width * scale), height: Math.floor(height * scale) };
+  };
+
+  const fast = outputOf('upscale-fast');
+  if (fast.width >= targetWidth && fits('upscale-fast')) {
+    return fast;
+  }
+
+  const preferred: UpscaleModel[] = targetWidth / width > CREATIVE_UPSCALE_MIN_SCALE
+    ? ['upscale-creative', 'upscale-conservative']
+    : ['upscale-conservative', 'upscale-creative'];
+  for (const model of preferred) {
+    const plan = outputOf(model);
+    if (plan.width >= targetWidth && fits(model)) {
+      return plan;
+    }
+  }
+
+  throw new Error(`No upscaler reaches ${targetWidth}px wide from a ${width}x${height} image (4MP upscalers output ${outputOf('upscale-conservative').width}px wide)`);
+}
+
 /**
  * Get model constraints for a specific model.
  *
@@ -823,3 +1114,219 @@ export function validateControlParams(operation: string, params: ValidationParam
     errors
   };
 }
+
+/**
+ * Get 3D constraints for a specific model.
+ *
+ * @param model - 3D model key (stable-fast-3d, stable-point-aware-3d)
+ * @returns 3D constraints or null if model not found
+ */
+export function getThreeDConstraints(model: string): ThreeDConstraints[string] | null {
+  return THREE_D_CONSTRAINTS[model] || null;
+}
+
+/**
+ * Validate image-to-3D parameters against constraints.
+ * Pre-flight validation to catch errors before making API calls and wasting credits.
+ *
+ * @param model - 3D model (stable-fast-3d, stable-point-aware-3d)
+ * @param params - Parameters to validate
+ * @returns Validation result { valid: boolean, errors: string[] }
+ *
+ * @example
+ * const validation = validateThreeDParams('stable-fast-3d', { texture_resolution: 2048, remesh: 'quad' });
+ * if (!validation.valid) {
+ *   console.error('Validation errors:', validation.errors);
+ * }
+ */
+export function validateThreeDParams(model: string, params: ValidationParams): ValidationResult {
+  const errors: string[] = [];
+  const constraints = THREE_D_CONSTRAINTS[model];
+
+  if (!constraints) {
+    errors.push(`Unknown 3D model: ${model}. Valid models: ${Object.keys(THREE_D_CONSTRAINTS).join(', ')}`);
+    return { valid: false, errors };
+  }
+
+  // Validate texture_resolution
+  if (params.texture_resolution !== undefined && !constraints.textureResolutions.includes(params.texture_resolution)) {
+    errors.push(
+      `Invalid texture_resolution "${params.texture_resolution}" for ${model}. Valid resolutions: ${constraints.textureResolutions.join(', ')}`
+    );
+  }
+
+  // Validate remesh
+  if (params.remesh !== undefined && !constraints.remeshModes.includes(params.remesh)) {
+    errors.push(`Invalid remesh "${params.remesh}" for ${model}. Valid modes: ${constraints.remeshModes.join(', ')}`);
+  }
+
+  // Validate ranges
+  for (const field of ['foreground_ratio', 'vertex_count', 'guidance_scale', 'seed'] as const) {
+    const value = params[field];
+    if (value === undefined) {
+      continue;
+    }
+    const range = constraints[field];
+    if (!range) {
+      errors.push(`${field} is not supported by ${model}`);
+    } else if (value < range.min || value > range.max) {
+      errors.push(`${field} must be between ${range.min} and ${range.max} for ${model}`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Get audio constraints for a specific operation.
+ *
+ * @param operation - Audio operation key (text-to-audio, audio-to-audio)
+ * @returns Audio constraints or null if operation not found
+ */
+export function getAudioConstraints(operation: string): AudioConstraints[string] | null {
+  return AUDIO_CONSTRAINTS[operation] || null;
+}
+
+/**
+ * Validate Stable Audio parameters against constraints.
+ * Pre-flight validation to catch errors before making API calls and wasting credits.
+ *
+ * @param operation - Audio operation (text-to-audio, audio-to-audio)
+ * @param params - Parameters to validate
+ * @returns Validation result { valid: boolean, errors: string[] }
+ *
+ * @example
+ * const validation = validateAudioParams('text-to-audio', { prompt: 'lofi beat', duration: 30 });
+ * if (!validation.valid) {
+ *   console.error('Validation errors:', validation.errors);
+ * }
+ */
+export function validateAudioParams(operation: string, params: ValidationParams): ValidationResult {
+  const errors: string[] = [];
+  const constraints = AUDIO_CONSTRAINTS[operation];
+
+  if (!constraints) {
+    errors.push(`Unknown audio operation: ${operation}. Valid operations: ${Object.keys(AUDIO_CONSTRAINTS).join(', ')}`);
+    return { valid: false, errors };
+  }
+
+  // Validate prompt
+  if (!params.prompt) {
+    errors.push(`Prompt is required for ${operation}`);
+  } else if (params.prompt.length > constraints.promptMaxLength) {
+    errors.push(`Prompt exceeds maximum length of ${constraints.promptMaxLength} characters for ${operation}`);
+  }
+
+  // Validate output_format
+  if (params.output_format && !constraints.outputFormats.includes(params.output_format)) {
+    errors.push(
+      `Invalid output_format "${params.output_format}" for ${operation}. Valid formats: ${constraints.outputFormats.join(', ')}`
+    );
+  }
+
+  // Validate ranges
+  for (const field of ['duration', 'steps', 'cfg_scale', 'strength', 'seed'] as const) {
+    const value = params[field];
+    if (value === undefined) {
+      continue;
+    }
+    const range = constraints[field];
+    if (!range) {
+      errors.push(`${field} is not supported by ${operation}`);
+    } else if (value < range.min || value > range.max) {
+      errors.push(`${field} must be between ${range.min} and ${range.max} for ${operation}`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Get video constraints for a specific operation.
+ *
+ * @param operation - Video operation key (image-to-video)
+ * @returns Video constraints or null if operation not found
+ */
+export function getVideoConstraints(operation: string): VideoConstraints[string] | null {
+  return VIDEO_CONSTRAINTS[operation] || null;
+}
+
+/**
+ * Validate image-to-video parameters against constraints.
+ * Pre-flight validation to catch errors before making API calls and wasting credits.
+ * The input image size is checked by generateVideo() itself.
+ *
+ * @param operation - Video operation (image-to-video)
+ * @param params - Parameters to validate
+ * @returns Validation result { valid: boolean, errors: string[] }
+ *
+ * @example
+ * const validation = validateVideoParams('image-to-video', { cfg_scale: 2.5, motion_bucket_id: 180 });
+ * if (!validation.valid) {
+ *   console.error('Validation errors:', validation.errors);
+ * }
+ */
+export function validateVideoParams(operation: string, params: ValidationParams): ValidationResult {
+  const errors: string[] = [];
+  const constraints = VIDEO_CONSTRAINTS[operation];
+
+  if (!constraints) {
+    errors.push(`Unknown video operation: ${operation}. Valid operations: ${Object.keys(VIDEO_CONSTRAINTS).join(', ')}`);
+    return { valid: false, errors };
+  }
+
+  // Validate ranges
+  for (const field of ['cfg_scale', 'motion_bucket_id', 'seed'] as const) {
+    const value = params[field];
+    if (value !== undefined && (value < constraints[field].min || value > constraints[field].max)) {
+      errors.push(`${field} must be between ${constraints[field].min} and ${constraints[field].max} for ${operation}`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Estimate the credit cost of a single API call.
+ * Uses the per-endpoint credit tables (MODEL_CREDITS, EDIT_CREDITS, CONTROL_CREDITS, THREE_D_CREDITS, AUDIO_CREDITS, VIDEO_CREDITS).
+ *
+ * @param operation - Operation key (e.g. 'stable-image-ultra', 'sd3', 'erase', 'sketch')
+ * @param params - Call parameters; `model` selects the SD3.5 variant for 'sd3'
+ * @returns Estimated credits
+ * @throws Error if the operation or SD3.5 model is unknown
+ *
+ * @example
+ * estimateCost('stable-image-core');                     // 3
+ * estimateCost('sd3', { model: 'sd3.5-large-turbo' });   // 4
+ */
+export function estimateCost(operation: string, params: Record<string, unknown> = {}): number {
+  if (operation === 'sd3') {
+    const model = (params.model as string | undefined) || 'sd3.5-large';
+    const key = SD3_MODEL_KEYS[model];
+    if (!key) {
+      throw new Error(`Unknown SD3 model: ${model}`);
+    }
+    return MODEL_CREDITS[key];
+  }
+
+  const credits = (MODEL_CREDITS as Record<string, number>)[operation]
+    ?? (EDIT_CREDITS as Record<string, number>)[operation]
+    ?? (CONTROL_CREDITS as Record<string, number>)[operation]
+    ?? (THREE_D_CREDITS as Record<string, number>)[operation]
+    ?? (AUDIO_CREDITS as Record<string, number>)[operation]
+    ?? (VIDEO_CREDITS as Record<string, number>)[operation];
+
+  if (credits === undefined) {
+    throw new Error(`Unknown operation: ${operation}`);
+  }
+  return credits;
+}
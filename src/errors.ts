@@ -0,0 +1,157 @@
+/**
+ * Stability AI API Error Classes
+ *
+ * Typed errors thrown by StabilityAPI so callers can branch with `instanceof`
+ * instead of matching on error message text.
+ *
+ * @example
+ * import { StabilityAPI, StabilityRateLimitError, StabilityModerationError } from 'stability-ai-api';
+ *
+ * try {
+ *   await api.generateCore({ prompt: 'a cat' });
+ * } catch (error) {
+ *   if (error instanceof StabilityRateLimitError) {
+ *     console.log(`Rate limited, retry in ${error.retryAfterMs}ms`);
+ *   } else if (error instanceof StabilityModerationError) {
+ *     console.log('Prompt was flagged:', error.data?.errors);
+ *   }
+ * }
+ */
+
+import type { ErrorResponseData } from './types/index.js';
+
+/**
+ * Details attached to every Stability error.
+ */
+export interface StabilityErrorDetails {
+  /** HTTP status code (undefined for client-side/network failures) */
+  status?: number;
+  /** Parsed error response body */
+  data?: ErrorResponseData;
+  /** API endpoint path that was called */
+  endpoint?: string;
+  /** Request ID from the x-request-id header or the error body */
+  requestId?: string;
+  /** Underlying error */
+  cause?: unknown;
+}
+
+/**
+ * Base class for all errors raised by the Stability AI client.
+ */
+export class StabilityError extends Error {
+  readonly status?: number;
+  readonly data?: ErrorResponseData;
+  readonly endpoint?: string;
+  readonly requestId?: string;
+
+  constructor(message: string, details: StabilityErrorDetails = {}) {
+    super(message, details.cause !== undefined ? { cause: details.cause } : undefined);
+    this.name = 'StabilityError';
+    this.status = details.status;
+    this.data = details.data;
+    this.endpoint = details.endpoint;
+    this.requestId = details.requestId;
+  }
+}
+
+/**
+ * HTTP 401 - missing or invalid API key.
+ */
+export class StabilityAuthError extends StabilityError {
+  constructor(message: string, details: StabilityErrorDetails = {}) {
+    super(message, details);
+    this.name = 'StabilityAuthError';
+  }
+}
+
+/**
+ * HTTP 403 - request flagged by content moderation.
+ */
+export class StabilityModerationError extends StabilityError {
+  constructor(message: string, details: StabilityErrorDetails = {}) {
+    super(message, details);
+    this.name = 'StabilityModerationError';
+  }
+}
+
+/**
+ * HTTP 429 - rate limit exceeded.
+ */
+export class StabilityRateLimitError extends StabilityError {
+  /** Server-requested delay from the Retry-After header, if any */
+  readonly retryAfterMs: number | null;
+
+  constructor(message: string, details: StabilityErrorDetails & { retryAfterMs?: number | null } = {}) {
+    super(message, details);
+    this.name = 'StabilityRateLimitError';
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+/**
+ * HTTP 400/422 - invalid parameters.
+ */
+export class StabilityValidationError extends StabilityError {
+  constructor(message: string, details: StabilityErrorDetails = {}) {
+    super(message, details);
+    this.name = 'StabilityValidationError';
+  }
+}
+
+/**
+ * HTTP 413 - request payload too large.
+ */
+export class StabilityPayloadTooLargeError extends StabilityError {
+  constructor(message: string, details: StabilityErrorDetails = {}) {
+    super(message, details);
+    this.name = 'StabilityPayloadTooLargeError';
+  }
+}
+
+/**
+ * HTTP 5xx - server-side failure.
+ */
+export class StabilityServerError extends StabilityError {
+  constructor(message: string, details: StabilityErrorDetails = {}) {
+    super(message, details);
+    this.name = 'StabilityServerError';
+  }
+}
+
+/**
+ * Request or polling timed out.
+ */
+export class StabilityTimeoutError extends StabilityError {
+  constructor(message: string, details: StabilityErrorDetails = {}) {
+    super(message, details);
+    this.name = 'StabilityTimeoutError';
+  }
+}
+
+/**
+ * Request, download or polling cancelled through an AbortSignal.
+ */
+export class StabilityAbortError extends StabilityError {
+  constructor(message: string, details: StabilityErrorDetails = {}) {
+    super(message, details);
+    this.name = 'StabilityAbortError';
+  }
+}
+
+/**
+ * Call refused because it would exceed the client's credit budget or the account balance.
+ */
+export class StabilityBudgetError extends StabilityError {
+  /** Estimated credits for the refused call or batch */
+  readonly estimatedCredits: number;
+  /** Credits left under the budget (or account balance) */
+  readonly remainingCredits: number;
+
+  constructor(message: string, details: StabilityErrorDetails & { estimatedCredits: number; remainingCredits: number }) {
+    super(message, details);
+    this.name = 'StabilityBudgetError';
+    this.estimatedCredits = details.estimatedCredits;
+    this.remainingCredits = details.remainingCredits;
+  }
+}
@@ -0,0 +1,344 @@
+/**
+ * Parameter Exploration
+ *
+ * Sweeps seeds and parameter values for one operation: every combination of
+ * the given values is run within a credit cap, saved into one folder, and laid
+ * out on an HTML contact sheet that labels each image with its parameters and
+ * seed. Any numeric or enum parameter in the operation's constraints table
+ * can be swept.
+ *
+ * @example
+ * const api = new StabilityAPI();
+ * const result = await api.explore('sketch', { image: './sketch.png', prompt: 'a castle' }, {
+ *   control_strength: { min: 0.3, max: 0.9, step: 0.2 },
+ *   style_preset: ['fantasy-art', 'photographic']
+ * }, { seeds: 2, maxCredits: 100 });
+ * console.log(`Open ${result.contactSheet}`);
+ */
+
+import path from 'path';
+import { MODEL_CONSTRAINTS, EDIT_CONSTRAINTS, CONTROL_CONSTRAINTS, estimateCost, getOutputDir } from './config.js';
+import { StabilityBudgetError } from './errors.js';
+import { OPERATIONS, validateOperation } from './operations.js';
+import { runBatch } from './batch.js';
+import { writeToFile, randomNumber, binaryReplacer } from './utils.js';
+import type { StabilityAPI } from './api.js';
+import type {
+  RangeConstraint,
+  ExploreAxis,
+  ExploreGrid,
+  ExploreOptions,
+  ExploreCell,
+  ExplorePlan,
+  ExploreResult
+} from './types/index.js';
+
+/** Credit cap applied when explore() is given none */
+export const DEFAULT_EXPLORE_MAX_CREDITS = 100;
+
+// Guards against ranges with tiny steps expanding into huge grids
+const MAX_EXPLORE_CELLS = 1000;
+
+// Constraint keys that list allowed values, and the parameter each applies to
+const ENUM_CONSTRAINTS: Record<string, string> = {
+  aspectRatios: 'aspect_ratio',
+  stylePresets: 'style_preset',
+  models: 'model',
+  outputFormats: 'output_format',
+  light_source_directions: 'light_source_direction'
+};
+
+// Range constraints shared by several parameters
+const RANGE_ALIASES: Record<string, string[]> = {
+  direction: ['left', 'right', 'up', 'down']
+};
+
+/**
+ * Parameters that can be swept for an operation, read from its constraints.
+ *
+ * @param operation - Operation key
+ * @returns Range for each numeric parameter and allowed values for each enum parameter
+ * @throws Error if the operation is unknown
+ */
+export function exploreParams(operation: string): Record<string, RangeConstraint | string[]> {
+  const constraints = (MODEL_CONSTRAINTS[operation] ?? EDIT_CONSTRAINTS[operation] ?? CONTROL_CONSTRAINTS[operation]) as
+    Record<string, unknown> | undefined;
+  if (!constraints) {
+    throw new Error(`Unknown operation: ${operation}`);
+  }
+
+  const sweepable: Record<string, RangeConstraint | string[]> = {};
+  for (const [key, value] of Object.entries(constraints)) {
+    if (key in ENUM_CONSTRAINTS && Array.isArray(value)) {
+      sweepable[ENUM_CONSTRAINTS[key]] = value as string[];
+    } else if (key !== 'pixels' && isRange(value)) {
+      for (const name of RANGE_ALIASES[key] ?? [key]) {
+        sweepable[name] = value;
+      }
+    }
+  }
+  return sweepable;
+}
+
+/**
+ * Parse a `name=values` axis. `min:max:step` gives a numeric range; anything
+ * else is a comma-separated list whose items are parsed as JSON where
+ * possible (so numbers stay numbers).
+ *
+ * @param spec - Axis such as 'strength=0.2:0.8:0.2' or 'style_preset=anime,photographic'
+ * @returns Parameter name and axis
+ * @throws Error if the spec has no name or no values
+ */
+export function parseAxis(spec: string): [string, ExploreAxis] {
+  const index = spec.indexOf('=');
+  const name = index === -1 ? '' : spec.slice(0, index).trim();
+  const raw = spec.slice(index + 1).trim();
+  if (!name || !raw) {
+    throw new Error(`Invalid axis "${spec}" (expected name=min:max:step or name=a,b,c)`);
+  }
+
+  const range = raw.split(':');
+  if (range.length === 3 && range.every(part => part.trim() !== '' && Number.isFinite(Number(part)))) {
+    const [min, max, step] = range.map(Number);
+    return [name, { min, max, step }];
+  }
+  return [name, raw.split(',').map(item => parseListItem(item.trim()))];
+}
+
+/**
+ * Expand a grid into cells, validate every cell and enforce the credit cap.
+ * No API calls are made.
+ *
+ * @param operation - Operation key
+ * @param params - Parameters shared by every cell, including input images
+ * @param grid - Values to sweep by parameter name
+ * @param options - Seed count and credit cap
+ * @returns Cells in grid order (last parameter, then seed, varying fastest) and their estimated cost
+ * @throws Error for unknown operations, unsweepable parameters or invalid cells
+ * @throws StabilityBudgetError if the estimate exceeds the credit cap
+ */
+export function planExploration(
+  operation: string,
+  params: Record<string, unknown>,
+  grid: ExploreGrid,
+  options: Pick<ExploreOptions, 'seeds' | 'maxCredits'> = {}
+): ExplorePlan {
+  if (!OPERATIONS.includes(operation)) {
+    throw new Error(`Unknown operation: ${operation}`);
+  }
+  const sweepable = exploreParams(operation);
+
+  const axes: Array<[string, unknown[]]> = Object.entries(grid).map(([name, axis]) => {
+    if (!(name in sweepable)) {
+      throw new Error(`${name} cannot be varied for ${operation} (choose from: ${Object.keys(sweepable).join(', ')})`);
+    }
+    return [name, axisValues(name, axis)];
+  });
+
+  if (options.seeds !== undefined) {
+    const seedRange = sweepable.seed;
+    if (!Number.isInteger(options.seeds) || options.seeds < 1) {
+      throw new Error('seeds must be a positive integer');
+    }
+    if (!isRange(seedRange)) {
+      throw new Error(`${operation} does not take a seed`);
+    }
+    if ('seed' in grid) {
+      throw new Error('Give either a number of seeds or a seed axis, not both');
+    }
+    // The same seeds are used for every combination so cells compare like for like
+    axes.push(['seed', Array.from({ length: options.seeds }, () => randomNumber(seedRange.min, seedRange.max))]);
+  }
+
+  if (axes.length === 0) {
+    throw new Error('Nothing to explore: vary at least one parameter or ask for seeds');
+  }
+  const size = axes.reduce((total, [, values]) => total * values.length, 1);
+  if (size > MAX_EXPLORE_CELLS) {
+    throw new Error(`Exploration has ${size} cells (max ${MAX_EXPLORE_CELLS}); narrow the grid`);
+  }
+
+  let combinations: Array<Record<string, unknown>> = [{}];
+  for (const [name, values] of axes) {
+    combinations = combinations.flatMap(combination => values.map(value => ({ ...combination, [name]: value })));
+  }
+  const cells: ExploreCell[] = combinations.map((values, index) => ({
+    id: `cell-${String(index + 1).padStart(3, '0')}`,
+    values,
+    params: { ...params, ...values }
+  }));
+
+  const errors = new Set<string>();
+  for (const cell of cells) {
+    validateOperation(operation, cell.params).errors.forEach(error => errors.add(error));
+  }
+  if (errors.size > 0) {
+    throw new Error(`Invalid exploration:\n  - ${[...errors].join('\n  - ')}`);
+  }
+
+  const credits = cells.reduce((total, cell) => total + estimateCost(operation, cell.params), 0);
+  const maxCredits = options.maxCredits ?? DEFAULT_EXPLORE_MAX_CREDITS;
+  if (credits > maxCredits) {
+    throw new StabilityBudgetError(
+      `Exploration of ${cells.length} cells needs ~${credits} credits but the cap is ${maxCredits}; narrow the grid or raise the cap`,
+      { estimatedCredits: credits, remainingCredits: maxCredits }
+    );
+  }
+  return { operation, cells, credits };
+}
+
+/**
+ * Run every cell of an exploration and write the contact sheet.
+ * Failed cells are recorded and do not stop the others.
+ *
+ * @param api - Client to run the cells with
+ * @param operation - Operation key
+ * @param params - Parameters shared by every cell, including input images
+ * @param grid - Values to sweep by parameter name
+ * @param options - Seeds, credit cap, output and concurrency settings
+ * @returns Cells with their outcomes, and the folder and contact sheet paths
+ */
+export async function runExploration(
+  api: StabilityAPI,
+  operation: string,
+  params: Record<string, unknown>,
+  grid: ExploreGrid,
+  options: ExploreOptions = {}
+): Promise<ExploreResult> {
+  const plan = planExploration(operation, params, grid, options);
+
+  // Same timestamp format as generateTimestampedFilename()
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').split('Z')[0];
+  const directory = path.join(options.outputDir || getOutputDir(), 'explore', `${stamp}_${operation}`);
+  const cellsById = new Map(plan.cells.map(cell => [cell.id, cell]));
+
+  await runBatch(api, plan.cells.map(cell => ({ id: cell.id, operation, params: cell.params })), {
+    concurrency: options.concurrency,
+    outputDir: directory,
+    pollInterval: options.pollInterval,
+    signal: options.signal,
+    onJobComplete: state => {
+      const cell = cellsById.get(state.id);
+      if (cell) {
+        Object.assign(cell, { status: state.status, output: state.output, seed: state.seed, error: state.error });
+        options.onCellComplete?.(cell);
+      }
+    }
+  });
+
+  const contactSheet = path.join(directory, 'index.html');
+  await writeToFile(renderContactSheet(plan, params, Object.keys(grid), directory), contactSheet, 'txt');
+  await writeToFile({ operation, params, grid, credits: plan.credits, cells: plan.cells }, path.join(directory, 'explore.json'), 'json');
+
+  return {
+    ...plan,
+    directory,
+    contactSheet,
+    succeeded: plan.cells.filter(cell => cell.status === 'succeeded').length,
+    failed: plan.cells.filter(cell => cell.status === 'failed').length
+  };
+}
+
+/**
+ * Values of one axis, with range steps rounded so 0.1 + 0.2 reads as 0.3.
+ */
+function axisValues(name: string, axis: ExploreAxis): unknown[] {
+  if (Array.isArray(axis)) {
+    if (axis.length === 0) {
+      throw new Error(`No values given for ${name}`);
+    }
+    return axis;
+  }
+  const { min, max, step } = axis;
+  if (!(step > 0) || !(max >= min)) {
+    throw new Error(`Invalid range for ${name}: expected min <= max and step > 0`);
+  }
+  const count = Math.floor((max - min) / step + 1e-9) + 1;
+  if (count > MAX_EXPLORE_CELLS) {
+    throw new Error(`Range for ${name} has ${count} values (max ${MAX_EXPLORE_CELLS}); use a larger step`);
+  }
+  return Array.from({ length: count }, (_, index) => Number((min + index * step).toFixed(10)));
+}
+
+function isRange(value: unknown): value is RangeConstraint {
+  return typeof value === 'object' && value !== null && typeof (value as RangeConstraint).min === 'number'
+    && typeof (value as RangeConstraint).max === 'number';
+}
+
+function parseListItem(item: string): string | number | boolean {
+  try {
+    return JSON.parse(item) as string | number | boolean;
+  } catch {
+    return item;
+  }
+}
+
+/**
+ * Lay the cells out in a grid with one column per value of the last swept
+ * parameter (or seed), so each row compares a single setting.
+ */
+function renderContactSheet(plan: ExplorePlan, params: Record<string, unknown>, swept: string[], directory: string): string {
+  const axes = Object.keys(plan.cells[0]?.values ?? {});
+  const lastAxis = axes[axes.length - 1];
+  const columns = new Set(plan.cells.map(cell => JSON.stringify(cell.values[lastAxis]))).size;
+
+  const fixed = Object.entries(params)
+    .filter(([key, value]) => key !== 'prompt' && !swept.includes(key) && value !== undefined)
+    .map(([key, value]) => `${escapeHtml(key)} = ${escapeHtml(formatValue(value))}`)
+    .join(' · ');
+
+  const figures = plan.cells.map(cell => {
+    const labels = Object.entries(cell.values).map(([key, value]) => `${escapeHtml(key)} = ${escapeHtml(formatValue(value))}`);
+    if (!('seed' in cell.values) && cell.seed) {
+      labels.push(`seed = ${escapeHtml(cell.seed)}`);
+    }
+    let body: string;
+    if (cell.output) {
+      const src = escapeHtml(path.relative(directory, cell.output).split(path.sep).join('/'));
+      body = `<a href="${src}"><img src="${src}" alt="${cell.id}" loading="lazy"></a>`;
+    } else {
+      body = `<div class="missing">${cell.error ? `Failed: ${escapeHtml(cell.error)}` : 'Not run'}</div>`;
+    }
+    return `    <figure>${body}<figcaption><strong>${cell.id}</strong><br>${labels.join('<br>')}</figcaption></figure>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Explore: ${escapeHtml(plan.operation)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 24px; background: #111; color: #eee; }
+    header p { color: #aaa; margin: 4px 0; }
+    .grid { display: grid; grid-template-columns: repeat(${Math.max(columns, 1)}, minmax(160px, 1fr)); gap: 16px; margin-top: 24px; }
+    figure { margin: 0; background: #1c1c1c; border-radius: 6px; overflow: hidden; }
+    figure img { display: block; width: 100%; height: auto; }
+    figcaption { padding: 8px; font-size: 12px; line-height: 1.5; }
+    .missing { padding: 24px 8px; color: #f77; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(plan.operation)}</h1>
+${typeof params.prompt === 'string' ? `    <p>Prompt: ${escapeHtml(params.prompt)}</p>\n` : ''}${fixed ? `    <p>Fixed: ${fixed}</p>\n` : ''}    <p>${plan.cells.length} cells · ~${plan.credits} credits</p>
+  </header>
+  <div class="grid">
+${figures.join('\n')}
+  </div>
+</body>
+</html>
+`;
+}
+
+function formatValue(value: unknown): string {
+  const recorded = binaryReplacer.call({ value }, 'value', value);
+  return typeof recorded === 'string' ? recorded : JSON.stringify(recorded, binaryReplacer);
+}
+
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,472 @@
+/**
+ * Input Images
+ *
+ * Reads input image headers (PNG, JPEG, WebP and GIF: dimensions, colour
+ * type, alpha, animation) and fits images to an endpoint's pixel and
+ * aspect-ratio limits before upload, so oversized, extreme-ratio, GIF or
+ * animated inputs fail (or are fixed) locally instead of with a 400 after the
+ * upload. Only PNG inputs can be resized, padded or cropped; other formats
+ * are checked but never re-encoded.
+ *
+ * @example
+ * import { readImageInfo, fitImage } from './image.js';
+ *
+ * readImageInfo(buffer);
+ * // { format: 'png', width: 4000, height: 3000, colorType: 'rgb', hasAlpha: false, animated: false }
+ *
+ * const { image, report } = fitImage(buffer, getEditConstraints('remove-background'), 'downscale');
+ * console.log(report?.changes); // ['downscaled 4000x3000 to 2364x1773']
+ */
+
+import fs from 'fs/promises';
+import { openSync, readSync, closeSync } from 'fs';
+import { decodePng, encodePng } from './png.js';
+import type { RgbaImage } from './png.js';
+import { MAX_INPUT_ASPECT_RATIO } from './config.js';
+import type { InputFit, ImageInfo, ImageInput, ImageFitConstraints, ImageFitReport } from './types/index.js';
+
+/** Bytes read from local files when only the header is needed */
+const HEADER_BYTES = 64 * 1024;
+
+// PNG colour type numbers
+const PNG_COLOR_TYPES: Record<number, string> = { 0: 'grayscale', 2: 'rgb', 3: 'indexed', 4: 'grayscale-alpha', 6: 'rgba' };
+
+/** Upload content-type for each detectable format */
+export const IMAGE_CONTENT_TYPES: Record<ImageInfo['format'], string> = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif'
+};
+
+// JPEG component counts
+const JPEG_COLOR_TYPES: Record<number, string> = { 1: 'grayscale', 3: 'ycbcr', 4: 'cmyk' };
+
+/**
+ * Identify an image format from its magic bytes.
+ *
+ * @param buffer - File bytes (the first 12 are enough)
+ * @returns Format, or null if the bytes are not a PNG, JPEG, WebP or GIF
+ */
+export function detectImageFormat(buffer: Buffer): ImageInfo['format'] | null {
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x89504E47) {
+    return 'png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('ascii', 0, 6))) {
+    return 'gif';
+  }
+  return null;
+}
+
+/**
+ * Read the format, dimensions, colour type, alpha and animation of a PNG,
+ * JPEG, WebP or GIF from its header, without decoding pixels.
+ *
+ * @param buffer - Image file bytes (a header prefix is usually enough)
+ * @returns Header information, or null for other formats or unreadable headers
+ */
+export function readImageInfo(buffer: Buffer): ImageInfo | null {
+  switch (detectImageFormat(buffer)) {
+    case 'png':
+      return readPngInfo(buffer);
+    case 'jpeg':
+      return readJpegInfo(buffer);
+    case 'webp':
+      return readWebpInfo(buffer);
+    case 'gif':
+      return buffer.length < 10 ? null : {
+        format: 'gif',
+        width: buffer.readUInt16LE(6),
+        height: buffer.readUInt16LE(8),
+        colorType: 'indexed',
+        hasAlpha: false,
+        // Looping animations carry a NETSCAPE2.0 application extension
+        animated: buffer.includes('NETSCAPE2.0')
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read header information from an image input without consuming it: Buffers,
+ * byte arrays and Blobs are read in place, local files only up to their header.
+ * URLs are not fetched and streams are not touched.
+ *
+ * @param source - Image input
+ * @returns Header information, or null for URLs, streams, unreadable files and other formats
+ */
+export async function peekImageInfo(source: ImageInput): Promise<ImageInfo | null> {
+  if (source instanceof Uint8Array) {
+    return readImageInfo(Buffer.from(source.buffer, source.byteOffset, source.byteLength));
+  }
+  if (source instanceof Blob) {
+    return readImageInfo(Buffer.from(await source.slice(0, HEADER_BYTES).arrayBuffer()));
+  }
+  if (typeof source !== 'string' || source.startsWith('http://') || source.startsWith('https://')) {
+    return null;
+  }
+  try {
+    return readImageInfo(await readFileHeader(source));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the first bytes of a local file, enough for readImageInfo().
+ *
+ * @param filepath - Local file path
+ * @returns Up to 64KB from the start of the file
+ * @throws The underlying fs error (ENOENT, EACCES, ...)
+ */
+export async function readFileHeader(filepath: string): Promise<Buffer> {
+  const handle = await fs.open(filepath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_BYTES), 0, HEADER_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Synchronous readFileHeader(), for synchronous validators.
+ *
+ * @param filepath - Local file path
+ * @returns Up to 64KB from the start of the file
+ * @throws The underlying fs error (ENOENT, EACCES, ...)
+ */
+export function readFileHeaderSync(filepath: string): Buffer {
+  const fd = openSync(filepath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEADER_BYTES);
+    return buffer.subarray(0, readSync(fd, buffer, 0, HEADER_BYTES, 0));
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Reasons the API would refuse an image regardless of its size (GIF or animated input).
+ *
+ * @param info - Header information
+ * @returns Error messages, empty if the image is acceptable
+ */
+export function unsupportedImageReasons(info: Pick<ImageInfo, 'format' | 'animated'>): string[] {
+  if (info.format === 'gif') {
+    return ['GIF images are not supported; use PNG, JPEG or WebP'];
+  }
+  if (info.animated) {
+    return [`Animated ${info.format.toUpperCase()} images are not supported; use a single frame`];
+  }
+  return [];
+}
+
+/**
+ * IHDR fields plus tRNS (transparency) and acTL (APNG animation) chunks seen before the image data.
+ */
+function readPngInfo(buffer: Buffer): ImageInfo | null {
+  if (buffer.length < 33 || buffer.toString('ascii', 12, 16) !== 'IHDR') {
+    return null;
+  }
+  const colorType = buffer[25];
+  const info: ImageInfo = {
+    format: 'png',
+    width: buffer.readUInt32BE(16),
+    height: buffer.readUInt32BE(20),
+    colorType: PNG_COLOR_TYPES[colorType] ?? `unknown (${colorType})`,
+    hasAlpha: colorType === 4 || colorType === 6,
+    animated: false
+  };
+
+  let offset = 33;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    if (type === 'IDAT' || type === 'IEND') {
+      break;
+    }
+    if (type === 'tRNS') {
+      info.hasAlpha = true;
+    } else if (type === 'acTL') {
+      info.animated = buffer.readUInt32BE(offset + 8) > 1;
+    }
+    offset += 12 + length;
+  }
+  return info;
+}
+
+/**
+ * Find the frame header (SOFn marker) of a JPEG.
+ */
+function readJpegInfo(buffer: Buffer): ImageInfo | null {
+  let offset = 2;
+  while (offset + 10 <= buffer.length) {
+    if (buffer[offset] !== 0xFF) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xFF) {
+      // Fill byte before a marker
+      offset++;
+      continue;
+    }
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      const components = buffer[offset + 9];
+      return {
+        format: 'jpeg',
+        width: buffer.readUInt16BE(offset + 7),
+        height: buffer.readUInt16BE(offset + 5),
+        colorType: JPEG_COLOR_TYPES[components] ?? `${components} components`,
+        hasAlpha: false,
+        animated: false
+      };
+    }
+    // Markers without a length field
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD9)) {
+      offset += 2;
+      continue;
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * Read the canvas size and flags from the first chunk of a WebP (lossy, lossless or extended).
+ */
+function readWebpInfo(buffer: Buffer): ImageInfo | null {
+  if (buffer.length < 30) {
+    return null;
+  }
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ' && buffer[23] === 0x9D && buffer[24] === 0x01 && buffer[25] === 0x2A) {
+    return {
+      format: 'webp',
+      width: buffer.readUInt16LE(26) & 0x3FFF,
+      height: buffer.readUInt16LE(28) & 0x3FFF,
+      colorType: 'rgb',
+      hasAlpha: false,
+      animated: false
+    };
+  }
+  if (chunk === 'VP8L' && buffer[20] === 0x2F) {
+    const bits = buffer.readUInt32LE(21);
+    const hasAlpha = ((bits >>> 28) & 1) === 1;
+    return {
+      format: 'webp',
+      width: (bits & 0x3FFF) + 1,
+      height: ((bits >>> 14) & 0x3FFF) + 1,
+      colorType: hasAlpha ? 'rgba' : 'rgb',
+      hasAlpha,
+      animated: false
+    };
+  }
+  if (chunk === 'VP8X') {
+    const flags = buffer[20];
+    const hasAlpha = (flags & 0x10) !== 0;
+    return {
+      format: 'webp',
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1,
+      colorType: hasAlpha ? 'rgba' : 'rgb',
+      hasAlpha,
+      animated: (flags & 0x02) !== 0
+    };
+  }
+  return null;
+}
+
+/**
+ * Check an image header against endpoint limits without decoding pixels.
+ * Lets callers stream files that need no changes instead of loading them.
+ *
+ * @param info - Header information
+ * @param constraints - Pixel and aspect-ratio limits of the endpoint
+ * @param mode - How to handle images outside the limits
+ * @returns True if fitImage() would resize, pad or crop the image
+ * @throws Error if the image is outside the limits and the mode cannot fix it
+ */
+export function checkImageFit(info: ImageInfo, constraints: ImageFitConstraints, mode: InputFit): boolean {
+  const unsupported = unsupportedImageReasons(info);
+  if (unsupported.length > 0) {
+    throw new Error(unsupported[0]);
+  }
+
+  const { width, height } = info;
+  const maxPixels = constraints.pixels?.max ?? Infinity;
+  if (constraints.pixels && width * height < constraints.pixels.min) {
+    throw new Error(`Input image is ${width}x${height} (${width * height} pixels); at least ${constraints.pixels.min} pixels are required`);
+  }
+
+  const problems: string[] = [];
+  const badRatio = constraints.requiresAspectRatio === true && !ratioAllowed(width, height);
+  if (badRatio) {
+    problems.push(`aspect ratio must be between 1:${MAX_INPUT_ASPECT_RATIO} and ${MAX_INPUT_ASPECT_RATIO}:1`);
+  }
+  if (width * height > maxPixels) {
+    problems.push(`at most ${maxPixels} pixels are allowed`);
+  }
+  if (problems.length === 0) {
+    return false;
+  }
+
+  const message = `Input image is ${width}x${height} (${width * height} pixels): ${problems.join('; ')}`;
+  if (mode === 'error') {
+    throw new Error(`${message}. Set inputFit to ${badRatio ? "'pad' or 'crop'" : "'downscale'"} to fix it automatically`);
+  }
+  if (badRatio && mode === 'downscale') {
+    throw new Error(`${message}. Downscaling keeps the aspect ratio; set inputFit to 'pad' or 'crop'`);
+  }
+  if (info.format !== 'png') {
+    throw new Error(`${message}. Only PNG inputs can be resized before upload; convert or resize the ${info.format.toUpperCase()} first`);
+  }
+  return true;
+}
+
+/**
+ * Check an input image against endpoint limits and, depending on the mode,
+ * downscale it or pad/crop it to an allowed aspect ratio.
+ * Images whose header cannot be read are passed through unchanged; GIF and
+ * animated images are refused in every mode.
+ *
+ * @param image - Image file bytes
+ * @param constraints - Pixel and aspect-ratio limits of the endpoint
+ * @param mode - How to handle images outside the limits
+ * @returns The image to upload and what changed (null if nothing did)
+ * @throws Error if the image is outside the limits and the mode cannot fix it
+ */
+export function fitImage(
+  image: Buffer,
+  constraints: ImageFitConstraints,
+  mode: InputFit
+): { image: Buffer; report: ImageFitReport | null } {
+  const info = readImageInfo(image);
+  if (!info || !checkImageFit(info, constraints, mode)) {
+    return { image, report: null };
+  }
+
+  const { width, height } = info;
+  const dimensions = `${width}x${height}`;
+  const maxPixels = constraints.pixels?.max ?? Infinity;
+  const badRatio = constraints.requiresAspectRatio === true && !ratioAllowed(width, height);
+
+  const decoded = decodePng(image);
+  const changes: string[] = [];
+  let pixels: RgbaImage = decoded;
+
+  if (badRatio) {
+    const target = ratioTarget(width, height, mode === 'pad');
+    pixels = mode === 'pad' ? pad(pixels, target.width, target.height) : crop(pixels, target.width, target.height);
+    changes.push(`${mode === 'pad' ? 'padded' : 'cropped'} ${dimensions} to ${target.width}x${target.height}`);
+  }
+
+  if (pixels.width * pixels.height > maxPixels) {
+    const scale = Math.sqrt(maxPixels / (pixels.width * pixels.height));
+    let targetWidth = Math.max(1, Math.floor(pixels.width * scale));
+    let targetHeight = Math.max(1, Math.floor(pixels.height * scale));
+    // Rounding must not push a ratio that was just fixed back out of range
+    if (constraints.requiresAspectRatio && !ratioAllowed(targetWidth, targetHeight)) {
+      if (targetWidth > targetHeight) {
+        targetWidth = Math.floor(targetHeight * MAX_INPUT_ASPECT_RATIO);
+      } else {
+        targetHeight = Math.floor(targetWidth * MAX_INPUT_ASPECT_RATIO);
+      }
+    }
+    changes.push(`downscaled ${pixels.width}x${pixels.height} to ${targetWidth}x${targetHeight}`);
+    pixels = downscale(pixels, targetWidth, targetHeight);
+  }
+
+  return {
+    // Padding adds transparent borders only when the source already had alpha
+    image: encodePng(pixels, { alpha: decoded.hasAlpha }),
+    report: { from: { width, height }, to: { width: pixels.width, height: pixels.height }, changes }
+  };
+}
+
+/**
+ * Whether width:height lies within the allowed aspect-ratio range.
+ */
+function ratioAllowed(width: number, height: number): boolean {
+  return width <= height * MAX_INPUT_ASPECT_RATIO && height <= width * MAX_INPUT_ASPECT_RATIO;
+}
+
+/**
+ * Nearest allowed size, grown (pad) or shrunk (crop) along one side.
+ */
+function ratioTarget(width: number, height: number, grow: boolean): { width: number; height: number } {
+  if (width > height) {
+    return grow
+      ? { width, height: Math.ceil(width / MAX_INPUT_ASPECT_RATIO) }
+      : { width: Math.floor(height * MAX_INPUT_ASPECT_RATIO), height };
+  }
+  return grow
+    ? { width: Math.ceil(height / MAX_INPUT_ASPECT_RATIO), height }
+    : { width, height: Math.floor(width * MAX_INPUT_ASPECT_RATIO) };
+}
+
+/**
+ * Centre the image on a larger canvas of zero (transparent black) pixels.
+ */
+function pad(image: RgbaImage, width: number, height: number): RgbaImage {
+  const data = Buffer.alloc(width * height * 4);
+  const left = Math.floor((width - image.width) / 2);
+  const top = Math.floor((height - image.height) / 2);
+  for (let y = 0; y < image.height; y++) {
+    image.data.copy(data, ((top + y) * width + left) * 4, y * image.width * 4, (y + 1) * image.width * 4);
+  }
+  return { width, height, data };
+}
+
+/**
+ * Cut the centre region of the given size out of the image.
+ */
+function crop(image: RgbaImage, width: number, height: number): RgbaImage {
+  const data = Buffer.alloc(width * height * 4);
+  const left = Math.floor((image.width - width) / 2);
+  const top = Math.floor((image.height - height) / 2);
+  for (let y = 0; y < height; y++) {
+    const start = ((top + y) * image.width + left) * 4;
+    image.data.copy(data, y * width * 4, start, start + width * 4);
+  }
+  return { width, height, data };
+}
+
+/**
+ * Shrink by averaging the source pixels that fall into each target pixel.
+ */
+function downscale(image: RgbaImage, width: number, height: number): RgbaImage {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const top = Math.floor(y * image.height / height);
+    const bottom = Math.max(top + 1, Math.floor((y + 1) * image.height / height));
+    for (let x = 0; x < width; x++) {
+      const left = Math.floor(x * image.width / width);
+      const right = Math.max(left + 1, Math.floor((x + 1) * image.width / width));
+      const sum = [0, 0, 0, 0];
+      for (let sy = top; sy < bottom; sy++) {
+        for (let sx = left; sx < right; sx++) {
+          const from = (sy * image.width + sx) * 4;
+          sum[0] += image.data[from];
+          sum[1] += image.data[from + 1];
+          sum[2] += image.data[from + 2];
+          sum[3] += image.data[from + 3];
+        }
+      }
+      const count = (bottom - top) * (right - left);
+      const to = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) {
+        data[to + c] = Math.round(sum[c] / count);
+      }
+    }
+  }
+  return { width, height, data };
+}
@@ -0,0 +1,484 @@
+/**
+ * Image Metadata
+ *
+ * Embeds generation metadata (prompt, model, seed, parameters, ...) into PNG,
+ * WebP and JPEG files so it stays with the image when the sidecar JSON does
+ * not, and reads it back. PNG files get iTXt chunks; WebP and JPEG files get
+ * an XMP packet. Pixel data is copied through untouched.
+ *
+ * @example
+ * import { buildImageMetadata, embedImageMetadata, readImageMetadata } from 'stability-ai-api';
+ *
+ * const result = await api.generateCore({ prompt: 'a cat', seed: 42 });
+ * const metadata = buildImageMetadata('stable-image-core', { prompt: 'a cat', seed: 42 }, result);
+ * await fs.writeFile('cat.png', embedImageMetadata(result.image, metadata));
+ *
+ * const embedded = await readImageMetadata('cat.png');
+ * console.log(embedded?.prompt, embedded?.seed); // 'a cat' '42'
+ */
+
+import fs from 'fs/promises';
+import { createHash } from 'crypto';
+import { inflateSync } from 'zlib';
+import { PNG_SIGNATURE, isPng, pngChunk, readPngChunks } from './png.js';
+import { binaryReplacer } from './utils.js';
+import type { ImageMetadata, ImageResult } from './types/index.js';
+
+/** PNG text keyword and XMP creator tool the metadata is written under */
+export const METADATA_KEYWORD = 'stability-ai-api';
+
+const XMP_NAMESPACE = 'https://github.com/aself101/stability-ai-api/ns/1.0/';
+const JPEG_XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+const JPEG_EXTENDED_XMP_HEADER = Buffer.from('http://ns.adobe.com/xmp/extension/\0', 'latin1');
+// The JPEG segment length field is 16 bits and counts itself
+const MAX_JPEG_SEGMENT = 0xFFFF - 2;
+// Extended XMP segments carry a 32-character GUID, the full length and the chunk offset
+const MAX_EXTENDED_XMP_CHUNK = MAX_JPEG_SEGMENT - JPEG_EXTENDED_XMP_HEADER.length - 32 - 8;
+
+// The full prompt is in the metadata JSON; the XMP description is only a preview for other viewers
+const MAX_XMP_DESCRIPTION = 1000;
+
+// PNG text chunks replaced on every embed
+const PNG_TEXT_TYPES = ['tEXt', 'iTXt', 'zTXt'];
+const PNG_OWN_KEYWORDS = [METADATA_KEYWORD, 'Description', 'Software'];
+
+// VP8X feature flags
+const WEBP_ALPHA_FLAG = 0x10;
+const WEBP_XMP_FLAG = 0x04;
+
+/**
+ * Build the metadata record for a generated image.
+ *
+ * @param model - Model or operation that produced the image
+ * @param params - Request parameters
+ * @param result - Seed and finish reason from the response
+ * @returns Metadata ready for embedImageMetadata()
+ */
+export function buildImageMetadata(
+  model: string,
+  params: Record<string, unknown>,
+  result: Pick<ImageResult, 'seed' | 'finish_reason'>
+): ImageMetadata {
+  return {
+    model,
+    timestamp: new Date().toISOString(),
+    prompt: typeof params.prompt === 'string' ? params.prompt : undefined,
+    negative_prompt: typeof params.negative_prompt === 'string' ? params.negative_prompt : undefined,
+    seed: result.seed,
+    finish_reason: result.finish_reason,
+    parameters: params
+  };
+}
+
+/**
+ * Embed metadata into a PNG, WebP or JPEG image.
+ * Metadata embedded by an earlier call is replaced. Other formats are
+ * returned unchanged.
+ *
+ * @param image - Image file bytes
+ * @param metadata - Metadata to embed
+ * @returns New image bytes with the metadata
+ * @throws Error if the image is malformed
+ */
+export function embedImageMetadata(image: Buffer, metadata: ImageMetadata): Buffer {
+  const json = JSON.stringify(metadata, binaryReplacer);
+  if (isPng(image)) {
+    return embedPng(image, metadata, json);
+  }
+  if (isWebp(image)) {
+    return embedWebp(image, buildXmp(metadata, json));
+  }
+  if (isJpeg(image)) {
+    return embedJpeg(image, metadata, json);
+  }
+  return image;
+}
+
+/**
+ * Embed metadata like embedImageMetadata(), but never throw: if the image
+ * cannot be parsed, `onError` is called and the bytes are returned unchanged,
+ * so an image that was already paid for can still be saved.
+ *
+ * @param image - Image file bytes
+ * @param metadata - Metadata to embed
+ * @param onError - Called with the reason the metadata was not embedded
+ * @returns Image bytes with the metadata, or the original bytes
+ */
+export function tryEmbedImageMetadata(image: Buffer, metadata: ImageMetadata, onError: (error: Error) => void): Buffer {
+  try {
+    return embedImageMetadata(image, metadata);
+  } catch (error) {
+    onError(error as Error);
+    return image;
+  }
+}
+
+/**
+ * Read metadata embedded by embedImageMetadata().
+ *
+ * @param input - Image path or file bytes
+ * @returns Embedded metadata, or null if the image carries none
+ * @throws Error if the image is not PNG, WebP or JPEG, or the metadata is corrupt
+ */
+export async function readImageMetadata(input: string | Buffer): Promise<ImageMetadata | null> {
+  const image = typeof input === 'string' ? await fs.readFile(input) : input;
+
+  let json: string | null;
+  if (isPng(image)) {
+    json = readPngText(image)[METADATA_KEYWORD] ?? null;
+  } else if (isWebp(image)) {
+    const xmp = readRiffChunks(image).find(chunk => chunk.type === 'XMP ');
+    json = xmp ? metadataFromXmp(xmp.data.toString('utf8')) : null;
+  } else if (isJpeg(image)) {
+    json = readJpegXmp(image);
+  } else {
+    throw new Error('Unsupported image format (expected PNG, WebP or JPEG)');
+  }
+
+  if (json === null) {
+    return null;
+  }
+  try {
+    return JSON.parse(json) as ImageMetadata;
+  } catch {
+    throw new Error('Embedded metadata is not valid JSON');
+  }
+}
+
+// ==================== PNG ====================
+
+function embedPng(image: Buffer, metadata: ImageMetadata, json: string): Buffer {
+  const chunks = readPngChunks(image);
+  const text = [
+    pngChunk('iTXt', iTxtData(METADATA_KEYWORD, json)),
+    ...(metadata.prompt ? [pngChunk('iTXt', iTxtData('Description', metadata.prompt))] : []),
+    pngChunk('tEXt', Buffer.from(`Software\0${METADATA_KEYWORD}`, 'latin1'))
+  ];
+
+  const parts: Buffer[] = [PNG_SIGNATURE];
+  for (const chunk of chunks) {
+    if (PNG_TEXT_TYPES.includes(chunk.type) && PNG_OWN_KEYWORDS.includes(textKeyword(chunk.data))) {
+      continue;
+    }
+    // Text chunks may go anywhere after IHDR; placing them last keeps IDAT untouched
+    if (chunk.type === 'IEND') {
+      parts.push(...text);
+    }
+    parts.push(image.subarray(chunk.start, chunk.end));
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Encode an uncompressed iTXt chunk body with no language tag.
+ */
+function iTxtData(keyword: string, text: string): Buffer {
+  // keyword, NUL, compression flag, compression method, empty language tag + NUL, empty translated keyword + NUL
+  return Buffer.concat([Buffer.from(keyword, 'latin1'), Buffer.from([0, 0, 0, 0, 0]), Buffer.from(text, 'utf8')]);
+}
+
+function textKeyword(data: Buffer): string {
+  const end = data.indexOf(0);
+  return data.toString('latin1', 0, end === -1 ? data.length : end);
+}
+
+/**
+ * Collect tEXt, zTXt and iTXt entries by keyword.
+ */
+function readPngText(image: Buffer): Record<string, string> {
+  const entries: Record<string, string> = {};
+  for (const chunk of readPngChunks(image)) {
+    const keywordEnd = chunk.data.indexOf(0);
+    if (!PNG_TEXT_TYPES.includes(chunk.type) || keywordEnd === -1) {
+      continue;
+    }
+    const keyword = chunk.data.toString('latin1', 0, keywordEnd);
+    const rest = chunk.data.subarray(keywordEnd + 1);
+
+    if (chunk.type === 'tEXt') {
+      entries[keyword] = rest.toString('latin1');
+    } else if (chunk.type === 'zTXt') {
+      entries[keyword] = inflateSync(rest.subarray(1)).toString('latin1');
+    } else {
+      const compressed = rest[0] === 1;
+      const languageEnd = rest.indexOf(0, 2);
+      const translatedEnd = rest.indexOf(0, languageEnd + 1);
+      if (languageEnd === -1 || translatedEnd === -1) {
+        continue;
+      }
+      const text = rest.subarray(translatedEnd + 1);
+      entries[keyword] = (compressed ? inflateSync(text) : text).toString('utf8');
+    }
+  }
+  return entries;
+}
+
+// ==================== WebP ====================
+
+interface RiffChunk {
+  type: string;
+  data: Buffer;
+  /** Offset of the chunk header in the file */
+  start: number;
+  /** Offset just past the chunk, including padding */
+  end: number;
+}
+
+function isWebp(image: Buffer): boolean {
+  return image.length >= 12 && image.toString('ascii', 0, 4) === 'RIFF' && image.toString('ascii', 8, 12) === 'WEBP';
+}
+
+function readRiffChunks(image: Buffer): RiffChunk[] {
+  const chunks: RiffChunk[] = [];
+  let offset = 12;
+  while (offset + 8 <= image.length) {
+    const type = image.toString('ascii', offset, offset + 4);
+    const size = image.readUInt32LE(offset + 4);
+    const dataEnd = offset + 8 + size;
+    if (dataEnd > image.length) {
+      throw new Error(`Truncated WebP chunk: ${type.trim()}`);
+    }
+    // Chunks are padded to an even size
+    const end = Math.min(dataEnd + (size & 1), image.length);
+    chunks.push({ type, data: image.subarray(offset + 8, dataEnd), start: offset, end });
+    offset = end;
+  }
+  return chunks;
+}
+
+function riffChunk(type: string, data: Buffer): Buffer {
+  const header = Buffer.alloc(8);
+  header.write(type, 0, 'ascii');
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([header, data, Buffer.alloc(data.length & 1)]);
+}
+
+/**
+ * Add an XMP chunk, converting simple (VP8/VP8L) files to the extended
+ * VP8X layout that metadata chunks require.
+ */
+function embedWebp(image: Buffer, xmp: Buffer): Buffer {
+  const chunks = readRiffChunks(image).filter(chunk => chunk.type !== 'XMP ');
+  const [first] = chunks;
+  if (!first) {
+    throw new Error('WebP file has no image data');
+  }
+
+  let features: Buffer;
+  let rest: RiffChunk[];
+  if (first.type === 'VP8X') {
+    features = Buffer.from(first.data);
+    features[0] |= WEBP_XMP_FLAG;
+    rest = chunks.slice(1);
+  } else {
+    const { width, height, alpha } = webpBitstreamInfo(first);
+    features = Buffer.alloc(10);
+    features[0] = WEBP_XMP_FLAG | (alpha ? WEBP_ALPHA_FLAG : 0);
+    features.writeUIntLE(width - 1, 4, 3);
+    features.writeUIntLE(height - 1, 7, 3);
+    rest = chunks;
+  }
+
+  // XMP belongs after the image data
+  const body = Buffer.concat([
+    Buffer.from('WEBP', 'ascii'),
+    riffChunk('VP8X', features),
+    ...rest.map(chunk => image.subarray(chunk.start, chunk.end)),
+    riffChunk('XMP ', xmp)
+  ]);
+  const header = Buffer.alloc(8);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Canvas size and alpha of a simple-format WebP bitstream.
+ */
+function webpBitstreamInfo(chunk: RiffChunk): { width: number; height: number; alpha: boolean } {
+  const { data } = chunk;
+  if (chunk.type === 'VP8 ' && data.length >= 10 && data[3] === 0x9D && data[4] === 0x01 && data[5] === 0x2A) {
+    return { width: data.readUInt16LE(6) & 0x3FFF, height: data.readUInt16LE(8) & 0x3FFF, alpha: false };
+  }
+  if (chunk.type === 'VP8L' && data.length >= 5 && data[0] === 0x2F) {
+    const bits = data.readUInt32LE(1);
+    return { width: (bits & 0x3FFF) + 1, height: ((bits >>> 14) & 0x3FFF) + 1, alpha: ((bits >>> 28) & 1) === 1 };
+  }
+  throw new Error(`Unsupported WebP bitstream: ${chunk.type.trim()}`);
+}
+
+// ==================== JPEG ====================
+
+interface JpegSegment {
+  marker: number;
+  /** Segment payload, excluding marker and length */
+  data: Buffer;
+  start: number;
+  end: number;
+}
+
+function isJpeg(image: Buffer): boolean {
+  return image.length >= 3 && image[0] === 0xFF && image[1] === 0xD8 && image[2] === 0xFF;
+}
+
+/**
+ * Read the APPn segments that follow the SOI marker.
+ */
+function readJpegAppSegments(image: Buffer): JpegSegment[] {
+  const segments: JpegSegment[] = [];
+  let offset = 2;
+  while (offset + 4 <= image.length && image[offset] === 0xFF) {
+    const marker = image[offset + 1];
+    if (marker < 0xE0 || marker > 0xEF) {
+      break;
+    }
+    const end = offset + 2 + image.readUInt16BE(offset + 2);
+    if (end > image.length) {
+      throw new Error('Truncated JPEG segment');
+    }
+    segments.push({ marker, data: image.subarray(offset + 4, end), start: offset, end });
+    offset = end;
+  }
+  return segments;
+}
+
+function isApp1With(header: Buffer): (segment: JpegSegment) => boolean {
+  return segment => segment.marker === 0xE1 && segment.data.subarray(0, header.length).equals(header);
+}
+
+const isXmpSegment = isApp1With(JPEG_XMP_HEADER);
+const isExtendedXmpSegment = isApp1With(JPEG_EXTENDED_XMP_HEADER);
+
+function app1Segment(payload: Buffer): Buffer {
+  const header = Buffer.from([0xFF, 0xE1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Insert XMP APP1 segments after the existing APPn segments (so JFIF and
+ * EXIF stay first), replacing any earlier XMP. Metadata too large for one
+ * segment goes into Extended XMP segments that the main packet points to.
+ */
+function embedJpeg(image: Buffer, metadata: ImageMetadata, json: string): Buffer {
+  const main = Buffer.concat([JPEG_XMP_HEADER, buildXmp(metadata, json)]);
+  let xmp = [main];
+  if (main.length > MAX_JPEG_SEGMENT) {
+    const extended = buildExtendedXmp(json);
+    const guid = createHash('md5').update(extended).digest('hex').toUpperCase();
+    xmp = [Buffer.concat([JPEG_XMP_HEADER, buildXmp(metadata, null, guid)])];
+    for (let offset = 0; offset < extended.length; offset += MAX_EXTENDED_XMP_CHUNK) {
+      const position = Buffer.alloc(8);
+      position.writeUInt32BE(extended.length, 0);
+      position.writeUInt32BE(offset, 4);
+      xmp.push(Buffer.concat([
+        JPEG_EXTENDED_XMP_HEADER,
+        Buffer.from(guid, 'latin1'),
+        position,
+        extended.subarray(offset, offset + MAX_EXTENDED_XMP_CHUNK)
+      ]));
+    }
+  }
+
+  const segments = readJpegAppSegments(image);
+  const appEnd = segments.length > 0 ? segments[segments.length - 1].end : 2;
+  return Buffer.concat([
+    image.subarray(0, 2),
+    ...segments
+      .filter(segment => !isXmpSegment(segment) && !isExtendedXmpSegment(segment))
+      .map(segment => image.subarray(segment.start, segment.end)),
+    ...xmp.map(app1Segment),
+    image.subarray(appEnd)
+  ]);
+}
+
+/**
+ * Read the metadata JSON from the main XMP segment, or from the Extended XMP
+ * segments it points to.
+ */
+function readJpegXmp(image: Buffer): string | null {
+  const segments = readJpegAppSegments(image);
+  const main = segments.find(isXmpSegment);
+  if (!main) {
+    return null;
+  }
+  const xmp = main.data.subarray(JPEG_XMP_HEADER.length).toString('utf8');
+  const guid = /xmpNote:HasExtendedXMP="([0-9A-F]{32})"/.exec(xmp)?.[1];
+  if (!guid) {
+    return metadataFromXmp(xmp);
+  }
+
+  const chunks = segments
+    .filter(isExtendedXmpSegment)
+    .map(segment => segment.data.subarray(JPEG_EXTENDED_XMP_HEADER.length))
+    .filter(data => data.toString('latin1', 0, 32) === guid)
+    .map(data => ({ offset: data.readUInt32BE(36), data: data.subarray(40) }))
+    .sort((a, b) => a.offset - b.offset);
+  return metadataFromXmp(Buffer.concat(chunks.map(chunk => chunk.data)).toString('utf8'));
+}
+
+// ==================== XMP ====================
+
+/**
+ * Build the main XMP packet. With `extendedGuid`, the metadata JSON is left
+ * out and the packet points to the Extended XMP holding it instead.
+ */
+function buildXmp(metadata: ImageMetadata, json: string | null, extendedGuid?: string): Buffer {
+  const prompt = metadata.prompt && metadata.prompt.length > MAX_XMP_DESCRIPTION
+    ? `${metadata.prompt.slice(0, MAX_XMP_DESCRIPTION)}…`
+    : metadata.prompt;
+  const description = prompt
+    ? [`   <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(prompt)}</rdf:li></rdf:Alt></dc:description>`]
+    : [];
+  return Buffer.from([
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    `  <rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:xmpNote="http://ns.adobe.com/xmp/note/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:sai="${XMP_NAMESPACE}"${extendedGuid ? ` xmpNote:HasExtendedXMP="${extendedGuid}"` : ''}>`,
+    `   <xmp:CreatorTool>${METADATA_KEYWORD}</xmp:CreatorTool>`,
+    `   <xmp:CreateDate>${escapeXml(metadata.timestamp)}</xmp:CreateDate>`,
+    ...description,
+    ...(json === null ? [] : [`   <sai:metadata>${escapeXml(json)}</sai:metadata>`]),
+    '  </rdf:Description>',
+    ' </rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>'
+  ].join('\n'), 'utf8');
+}
+
+/**
+ * Build the Extended XMP holding the metadata JSON (no packet wrapper).
+ */
+function buildExtendedXmp(json: string): Buffer {
+  return Buffer.from([
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    `  <rdf:Description rdf:about="" xmlns:sai="${XMP_NAMESPACE}">`,
+    `   <sai:metadata>${escapeXml(json)}</sai:metadata>`,
+    '  </rdf:Description>',
+    ' </rdf:RDF>',
+    '</x:xmpmeta>'
+  ].join('\n'), 'utf8');
+}
+
+function metadataFromXmp(xmp: string): string | null {
+  const match = /<sai:metadata>([\s\S]*?)<\/sai:metadata>/.exec(xmp);
+  return match ? unescapeXml(match[1]) : null;
+}
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unescapeXml(text: string): string {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
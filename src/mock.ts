@@ -0,0 +1,452 @@
+/**
+ * Mock Stability AI Server
+ *
+ * Local HTTP stand-in for the Stability AI REST API, for offline tests and demos.
+ * Implements every generate, upscale, edit, control, 3D, audio and video
+ * endpoint plus results polling and account balance, returning deterministic
+ * placeholder PNGs (and minimal GLB, MP3, WAV or MP4 files for 3D, audio and
+ * video).
+ *
+ * @example
+ * import { StabilityAPI } from 'stability-ai-api';
+ * import { startMockServer } from 'stability-ai-api/mock';
+ *
+ * const server = await startMockServer({ pollsUntilComplete: 1 });
+ * const api = new StabilityAPI({ apiKey: 'test-key', baseUrl: server.url, allowInsecureLocalhost: true });
+ *
+ * const result = await api.generateCore({ prompt: 'a cat', seed: 42 });
+ * console.log(result.seed); // '42'
+ *
+ * await server.close();
+ */
+
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { deflateSync } from 'zlib';
+import type { AddressInfo } from 'net';
+import { MODEL_ENDPOINTS, EDIT_ENDPOINTS, CONTROL_ENDPOINTS, THREE_D_ENDPOINTS, AUDIO_ENDPOINTS, VIDEO_ENDPOINTS, VIDEO_RESULTS_ENDPOINT, BALANCE_ENDPOINT } from './config.js';
+import { PNG_SIGNATURE, pngChunk } from './png.js';
+import { parseMultipart, readBody } from './multipart.js';
+
+/**
+ * Fault injected into matching requests.
+ */
+export interface MockFault {
+  /** HTTP status to return (e.g. 400, 403, 429, 500, 503) */
+  status: number;
+  /** Only fail requests to this path (default: every path) */
+  path?: string;
+  /** Number of requests to fail before the fault is used up (default: unlimited) */
+  times?: number;
+  /** Retry-After header value in seconds (429 and 503 only) */
+  retryAfter?: number;
+}
+
+/**
+ * Options for startMockServer.
+ */
+export interface MockServerOptions {
+  /** Port to listen on (default: 0, a random free port) */
+  port?: number;
+  /** Host to bind (default: 127.0.0.1) */
+  host?: string;
+  /** Number of 202 "in-progress" polls before an async task completes (default: 2) */
+  pollsUntilComplete?: number;
+  /** Credits reported by the balance endpoint (default: 100) */
+  credits?: number;
+  /** Faults to inject, checked in order */
+  faults?: MockFault[];
+}
+
+/**
+ * Request received by the mock server.
+ */
+export interface MockRequestRecord {
+  method: string;
+  path: string;
+  /** Text fields from the multipart body */
+  fields: Record<string, string>;
+  /** Names of file fields in the multipart body */
+  files: string[];
+}
+
+/**
+ * Running mock server handle.
+ */
+export interface MockServer {
+  /** Base URL to pass to StabilityAPI (e.g. http://127.0.0.1:4010) */
+  url: string;
+  /** Port the server is listening on */
+  port: number;
+  /** Requests received so far, oldest first */
+  requests: MockRequestRecord[];
+  /** Replace the active faults */
+  setFaults(faults: MockFault[]): void;
+  /** Stop listening and drop pending tasks */
+  close(): Promise<void>;
+}
+
+// Endpoints that answer with a task ID instead of an image
+const ASYNC_PATHS = new Set([
+  MODEL_ENDPOINTS['upscale-creative'],
+  EDIT_ENDPOINTS['replace-background-and-relight'],
+  VIDEO_ENDPOINTS['image-to-video']
+]);
+
+// Every image endpoint the real API exposes
+const IMAGE_PATHS = new Set([
+  ...Object.entries(MODEL_ENDPOINTS).filter(([key]) => key !== 'results').map(([, value]) => value),
+  ...Object.values(EDIT_ENDPOINTS),
+  ...Object.values(CONTROL_ENDPOINTS)
+]);
+
+// Endpoints that answer with a binary glTF model
+const MODEL_PATHS = new Set(Object.values(THREE_D_ENDPOINTS));
+
+// Endpoints that answer with MP3 or WAV audio
+const AUDIO_PATHS = new Set(Object.values(AUDIO_ENDPOINTS));
+
+// Endpoints whose tasks finish as an MP4 on the video results endpoint
+const VIDEO_PATHS = new Set(Object.values(VIDEO_ENDPOINTS));
+
+const FAULT_MESSAGES: Record<number, { name: string; message: string }> = {
+  400: { name: 'bad_request', message: 'Injected validation failure' },
+  401: { name: 'unauthorized', message: 'Injected authentication failure' },
+  403: { name: 'content_moderation', message: 'Your request was flagged by our content moderation system' },
+  404: { name: 'not_found', message: 'Not found' },
+  413: { name: 'payload_too_large', message: 'Injected payload size failure' },
+  429: { name: 'rate_limit_exceeded', message: 'You have exceeded the rate limit' },
+  500: { name: 'internal_error', message: 'Injected server failure' }
+};
+
+// ==================== PNG Encoding ====================
+
+/**
+ * Encode a solid-colour RGB PNG whose colour is derived from the seed.
+ *
+ * @param seed - Generation seed
+ * @param size - Width and height in pixels
+ * @returns PNG file bytes
+ */
+export function placeholderPng(seed: number, size = 64): Buffer {
+  const rgb = [(seed >>> 16) & 0xFF, (seed >>> 8) & 0xFF, seed & 0xFF];
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // colour type: RGB
+
+  // Each scanline: filter byte (0 = none) followed by RGB triples
+  const row = Buffer.alloc(1 + size * 3);
+  for (let x = 0; x < size; x++) {
+    row.set(rgb, 1 + x * 3);
+  }
+  const pixels = Buffer.concat(Array.from({ length: size }, () => row));
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(pixels)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Encode a minimal binary glTF (GLB) file: the 12-byte header and one JSON
+ * chunk naming the seed, padded to 4 bytes as the format requires.
+ *
+ * @param seed - Generation seed
+ * @returns GLB file bytes
+ */
+export function placeholderGlb(seed: number): Buffer {
+  const text = JSON.stringify({ asset: { version: '2.0', generator: `mock seed ${seed}` } });
+  const json = Buffer.alloc(Math.ceil(text.length / 4) * 4, 0x20);
+  json.write(text);
+
+  const header = Buffer.alloc(20);
+  header.write('glTF', 0);
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(header.length + json.length, 8);
+  header.writeUInt32LE(json.length, 12);
+  header.write('JSON', 16);
+  return Buffer.concat([header, json]);
+}
+
+/**
+ * Encode a short silent clip with the seed in its first bytes of audio data:
+ * a 0.1 second 8 kHz mono 16-bit WAV, or one 128 kbps MPEG-1 Layer III frame
+ * behind an empty ID3v2 tag.
+ *
+ * @param seed - Generation seed
+ * @param format - 'mp3' or 'wav'
+ * @returns Audio file bytes
+ */
+export function placeholderAudio(seed: number, format: 'mp3' | 'wav' = 'mp3'): Buffer {
+  if (format === 'wav') {
+    const samples = Buffer.alloc(1600);
+    samples.writeUInt32LE(seed >>> 0, 0);
+
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + samples.length, 4);
+    header.write('WAVEfmt ', 8);
+    header.writeUInt32LE(16, 16); // fmt chunk size
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // mono
+    header.writeUInt32LE(8000, 24); // sample rate
+    header.writeUInt32LE(16000, 28); // byte rate
+    header.writeUInt16LE(2, 32); // block align
+    header.writeUInt16LE(16, 34); // bits per sample
+    header.write('data', 36);
+    header.writeUInt32LE(samples.length, 40);
+    return Buffer.concat([header, samples]);
+  }
+
+  const id3 = Buffer.from([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 0]);
+  const frame = Buffer.alloc(417);
+  frame.writeUInt32BE(0xFFFB9064, 0); // MPEG-1 Layer III, 128 kbps, 44.1 kHz
+  frame.writeUInt32BE(seed >>> 0, 36);
+  return Buffer.concat([id3, frame]);
+}
+
+/**
+ * Encode a minimal MP4 file: an `ftyp` box followed by a `free` box holding
+ * the seed. Enough for content sniffing, not for playback.
+ *
+ * @param seed - Generation seed
+ * @returns MP4 file bytes
+ */
+export function placeholderMp4(seed: number): Buffer {
+  const ftyp = Buffer.alloc(24);
+  ftyp.writeUInt32BE(ftyp.length, 0);
+  ftyp.write('ftypisom', 4);
+  ftyp.writeUInt32BE(0x200, 12); // minor version
+  ftyp.write('isomavc1', 16);
+
+  const free = Buffer.alloc(12);
+  free.writeUInt32BE(free.length, 0);
+  free.write('free', 4);
+  free.writeUInt32BE(seed >>> 0, 8);
+  return Buffer.concat([ftyp, free]);
+}
+
+// ==================== Request Parsing ====================
+
+/**
+ * Derive a deterministic seed from the request when none was given.
+ *
+ * @param fields - Text fields from the request
+ * @returns Seed in the API's 0-4294967294 range
+ */
+function deriveSeed(fields: Record<string, string>): number {
+  if (fields.seed !== undefined && fields.seed !== '' && Number(fields.seed) > 0) {
+    return Number(fields.seed);
+  }
+  // FNV-1a over the prompt keeps identical requests producing identical images
+  let hash = 0x811C9DC5;
+  for (const char of fields.prompt ?? '') {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 0x01000193) >>> 0;
+  }
+  return hash % 4294967295;
+}
+
+// ==================== Server ====================
+
+/**
+ * Start a mock Stability AI server.
+ *
+ * @param options - Server options
+ * @returns Running server handle
+ *
+ * @example
+ * const server = await startMockServer({
+ *   faults: [{ status: 503, times: 2 }] // first two requests fail, then succeed
+ * });
+ */
+export async function startMockServer(options: MockServerOptions = {}): Promise<MockServer> {
+  const {
+    port = 0,
+    host = '127.0.0.1',
+    pollsUntilComplete = 2,
+    credits = 100
+  } = options;
+
+  let faults = (options.faults ?? []).map(fault => ({ ...fault }));
+  const tasks = new Map<string, { polls: number; seed: number; video: boolean }>();
+  const requests: MockRequestRecord[] = [];
+
+  const sendJson = (res: http.ServerResponse, status: number, body: unknown, headers: Record<string, string> = {}) => {
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  const sendError = (res: http.ServerResponse, status: number, message?: string, headers: Record<string, string> = {}) => {
+    const fallback = FAULT_MESSAGES[status] ?? FAULT_MESSAGES[status >= 500 ? 500 : 400];
+    const id = randomUUID().replace(/-/g, '');
+    sendJson(res, status, { id, name: fallback.name, errors: [message ?? fallback.message] }, { 'x-request-id': id, ...headers });
+  };
+
+  const sendImage = (res: http.ServerResponse, seed: number) => {
+    res.writeHead(200, {
+      'content-type': 'image/png',
+      'finish-reason': 'SUCCESS',
+      'seed': String(seed)
+    });
+    res.end(placeholderPng(seed));
+  };
+
+  const sendModel = (res: http.ServerResponse, seed: number) => {
+    res.writeHead(200, {
+      'content-type': 'model/gltf-binary',
+      'finish-reason': 'SUCCESS',
+      'seed': String(seed)
+    });
+    res.end(placeholderGlb(seed));
+  };
+
+  const sendAudio = (res: http.ServerResponse, seed: number, format: string) => {
+    const wav = format === 'wav';
+    res.writeHead(200, {
+      'content-type': wav ? 'audio/wav' : 'audio/mpeg',
+      'finish-reason': 'SUCCESS',
+      'seed': String(seed)
+    });
+    res.end(placeholderAudio(seed, wav ? 'wav' : 'mp3'));
+  };
+
+  const sendVideo = (res: http.ServerResponse, seed: number) => {
+    res.writeHead(200, {
+      'content-type': 'video/mp4',
+      'finish-reason': 'SUCCESS',
+      'seed': String(seed)
+    });
+    res.end(placeholderMp4(seed));
+  };
+
+  const handle = async (req: http.IncomingMessage, res: http.ServerResponse) => {
+    const method = req.method ?? 'GET';
+    const path = new URL(req.url ?? '/', 'http://localhost').pathname;
+    const body = await readBody(req);
+    const contentType = req.headers['content-type'] ?? '';
+    const { fields, files } = contentType.startsWith('multipart/form-data')
+      ? parseMultipart(body, contentType)
+      : { fields: {}, files: {} };
+    requests.push({ method, path, fields, files: Object.keys(files) });
+
+    if (!req.headers.authorization?.startsWith('Bearer ')) {
+      sendError(res, 401, 'Missing Authorization header');
+      return;
+    }
+
+    const fault = faults.find(f => (f.path === undefined || f.path === path) && (f.times === undefined || f.times > 0));
+    if (fault) {
+      if (fault.times !== undefined) {
+        fault.times--;
+      }
+      const headers: Record<string, string> = fault.retryAfter !== undefined && (fault.status === 429 || fault.status === 503)
+        ? { 'retry-after': String(fault.retryAfter) }
+        : {};
+      sendError(res, fault.status, undefined, headers);
+      return;
+    }
+
+    if (method === 'GET' && path === BALANCE_ENDPOINT) {
+      sendJson(res, 200, { credits });
+      return;
+    }
+
+    const resultsPrefix = [MODEL_ENDPOINTS.results, VIDEO_RESULTS_ENDPOINT].find(prefix => path.startsWith(`${prefix}/`));
+    if (method === 'GET' && resultsPrefix) {
+      const id = path.slice(resultsPrefix.length + 1);
+      const task = tasks.get(id);
+      // Video tasks are only served from the video results endpoint, and vice versa
+      if (!task || task.video !== (resultsPrefix === VIDEO_RESULTS_ENDPOINT)) {
+        sendError(res, 404, `Task ${id} not found`);
+      } else if (task.polls < pollsUntilComplete) {
+        task.polls++;
+        sendJson(res, 202, { id, status: 'in-progress' });
+      } else if (task.video) {
+        sendVideo(res, task.seed);
+      } else {
+        sendImage(res, task.seed);
+      }
+      return;
+    }
+
+    if (method === 'POST' && (IMAGE_PATHS.has(path) || MODEL_PATHS.has(path) || AUDIO_PATHS.has(path) || VIDEO_PATHS.has(path))) {
+      if (!contentType.startsWith('multipart/form-data')) {
+        sendError(res, 400, 'Request body must be multipart/form-data');
+        return;
+      }
+      const seed = deriveSeed(fields);
+      if (ASYNC_PATHS.has(path)) {
+        const id = randomUUID().replace(/-/g, '');
+        tasks.set(id, { polls: 0, seed, video: VIDEO_PATHS.has(path) });
+        sendJson(res, 200, { id });
+      } else if (MODEL_PATHS.has(path)) {
+        sendModel(res, seed);
+      } else if (AUDIO_PATHS.has(path)) {
+        sendAudio(res, seed, fields.output_format);
+      } else {
+        sendImage(res, seed);
+      }
+      return;
+    }
+
+    sendError(res, 404, `No route for ${method} ${path}`);
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => sendError(res, 500, (error as Error).message));
+  });
+
+  await new Promise<void>((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve());
+  });
+
+  const address = server.address() as AddressInfo;
+  const urlHost = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+
+  return {
+    url: `http://${urlHost}:${address.port}`,
+    port: address.port,
+    requests,
+    setFaults(next: MockFault[]) {
+      faults = next.map(fault => ({ ...fault }));
+    },
+    close() {
+      tasks.clear();
+      return new Promise<void>((resolve, reject) => {
+        server.close(error => (error ? reject(error) : resolve()));
+        server.closeAllConnections();
+      });
+    }
+  };
+}
+
+/**
+ * Parse a CLI fault spec of the form `status[:times[:path]]`.
+ *
+ * @param spec - Fault spec (e.g. "503", "429:2", "403:1:/v2beta/stable-image/generate/core")
+ * @returns Parsed fault
+ * @throws Error if the status is not a 4xx/5xx code
+ */
+export function parseFaultSpec(spec: string): MockFault {
+  const [status, times, ...pathParts] = spec.split(':');
+  const fault: MockFault = { status: Number(status) };
+  if (!Number.isInteger(fault.status) || fault.status < 400 || fault.status > 599) {
+    throw new Error(`Invalid fault "${spec}": status must be a 4xx or 5xx code`);
+  }
+  if (times) {
+    fault.times = Number(times);
+    if (!Number.isInteger(fault.times) || fault.times < 1) {
+      throw new Error(`Invalid fault "${spec}": times must be a positive integer`);
+    }
+  }
+  if (pathParts.length) {
+    fault.path = pathParts.join(':');
+  }
+  return fault;
+}
@@ -0,0 +1,92 @@
+/**
+ * Multipart Bodies
+ *
+ * Minimal request body reading and multipart/form-data parsing shared by the
+ * mock server and the proxy server. Bodies are buffered in memory, so callers
+ * should pass a size limit for untrusted clients.
+ *
+ * @example
+ * import { readBody, parseMultipart } from './multipart.js';
+ *
+ * const body = await readBody(req, 10 * 1024 * 1024);
+ * const { fields, files } = parseMultipart(body, req.headers['content-type'] ?? '');
+ */
+
+import type http from 'http';
+
+/**
+ * Parsed multipart/form-data body.
+ */
+export interface MultipartBody {
+  /** Text fields */
+  fields: Record<string, string>;
+  /** File fields (parts with a filename) */
+  files: Record<string, Buffer>;
+}
+
+/**
+ * Split a multipart/form-data body into text fields and files.
+ *
+ * @param body - Raw request body
+ * @param contentType - Request content-type header
+ * @returns Parsed fields and files (both empty if the boundary is missing)
+ */
+export function parseMultipart(body: Buffer, contentType: string): MultipartBody {
+  const fields: Record<string, string> = {};
+  const files: Record<string, Buffer> = {};
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!boundary) {
+    return { fields, files };
+  }
+
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) {
+      break;
+    }
+
+    // Part layout: CRLF, headers, blank line, content, CRLF
+    const part = body.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf8');
+      const name = /name="([^"]*)"/i.exec(headers)?.[1];
+      if (name && /filename="/i.test(headers)) {
+        files[name] = part.subarray(headerEnd + 4);
+      } else if (name) {
+        fields[name] = part.subarray(headerEnd + 4).toString('utf8');
+      }
+    }
+    start = next;
+  }
+
+  return { fields, files };
+}
+
+/**
+ * Read a request body into memory.
+ *
+ * @param req - Incoming request
+ * @param maxBytes - Reject bodies larger than this (default: no limit)
+ * @returns Body bytes
+ * @throws Error with code 'ETOOLARGE' once the body passes maxBytes
+ */
+export function readBody(req: http.IncomingMessage, maxBytes = Infinity): Promise<Buffer> {
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    let size = 0;
+    req.on('data', (chunk: Buffer) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        req.destroy();
+        reject(Object.assign(new Error(`Request body exceeds ${maxBytes} bytes`), { code: 'ETOOLARGE' }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
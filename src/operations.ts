@@ -0,0 +1,226 @@
+/**
+ * Operation Dispatch
+ *
+ * Runs any generate, upscale, edit or control operation from an operation key
+ * and a flat params object, so callers such as the batch runner can describe
+ * work as data instead of method calls.
+ *
+ * @example
+ * import { runOperation } from 'stability-ai-api';
+ *
+ * const result = await runOperation(api, 'inpaint', {
+ *   image: './photo.png',
+ *   mask: './mask.png',
+ *   prompt: 'a red door'
+ * });
+ */
+
+import {
+  EDIT_ENDPOINTS,
+  CONTROL_ENDPOINTS,
+  validateModelParams,
+  validateEditParams,
+  validateControlParams
+} from './config.js';
+import type { StabilityAPI } from './api.js';
+import type { ImageResult, TaskResult, RequestOptions, WaitResultOptions, ValidationResult } from './types/index.js';
+
+/** Generate and upscale operation keys (all SD3.5 variants share 'sd3') */
+export const MODEL_OPERATIONS = [
+  'stable-image-ultra',
+  'stable-image-core',
+  'sd3',
+  'upscale-fast',
+  'upscale-conservative',
+  'upscale-creative'
+];
+
+/** Every operation key accepted by runOperation() */
+export const OPERATIONS = [
+  ...MODEL_OPERATIONS,
+  ...Object.keys(EDIT_ENDPOINTS),
+  ...Object.keys(CONTROL_ENDPOINTS)
+];
+
+// Operations that take no text prompt
+const PROMPTLESS_OPERATIONS = [
+  'upscale-fast',
+  'upscale-conservative',
+  'upscale-creative',
+  'erase',
+  'outpaint',
+  'remove-background',
+  'replace-background-and-relight',
+  'style-transfer'
+];
+
+/**
+ * Output subdirectory for an operation, matching the CLI layout.
+ *
+ * @param operation - Operation key
+ * @returns Directory name (e.g. 'stable-image-core', 'edit-search-replace', 'control-sketch')
+ */
+export function outputDirFor(operation: string): string {
+  if (operation in EDIT_ENDPOINTS) {
+    return `edit-${operation.replace(/-and-/g, '-')}`;
+  }
+  if (operation in CONTROL_ENDPOINTS) {
+    return `control-${operation}`;
+  }
+  return operation;
+}
+
+/**
+ * Operation key for an output subdirectory, the inverse of outputDirFor().
+ * Operation keys map to themselves.
+ *
+ * @param dirName - Directory name or operation key (e.g. 'edit-search-replace', 'sd3')
+ * @returns Operation key, or null if no operation writes there
+ */
+export function operationForOutputDir(dirName: string): string | null {
+  return OPERATIONS.find(operation => operation === dirName || outputDirFor(operation) === dirName) ?? null;
+}
+
+/**
+ * Validate parameters for an operation, including its required inputs.
+ *
+ * @param operation - Operation key
+ * @param params - Operation parameters
+ * @returns Validation result with errors array
+ */
+export function validateOperation(operation: string, params: Record<string, unknown>): ValidationResult {
+  if (!OPERATIONS.includes(operation)) {
+    return { valid: false, errors: [`Unknown operation: ${operation}`] };
+  }
+
+  const errors: string[] = [];
+  const isGenerate = ['stable-image-ultra', 'stable-image-core', 'sd3'].includes(operation);
+
+  if (!PROMPTLESS_OPERATIONS.includes(operation) && typeof params.prompt !== 'string') {
+    errors.push(`prompt is required for ${operation}`);
+  }
+  if (operation === 'style-transfer') {
+    if (!isImageSource(params.init_image)) errors.push('init_image is required for style-transfer');
+    if (!isImageSource(params.style_image)) errors.push('style_image is required for style-transfer');
+  } else if (!isGenerate && !isImageSource(params.image)) {
+    errors.push(`image is required for ${operation}`);
+  }
+  if (operation === 'search-and-replace' && typeof params.search_prompt !== 'string') {
+    errors.push('search_prompt is required for search-and-replace');
+  }
+  if (operation === 'search-and-recolor' && typeof params.select_prompt !== 'string') {
+    errors.push('select_prompt is required for search-and-recolor');
+  }
+
+  let result: ValidationResult;
+  if (MODEL_OPERATIONS.includes(operation)) {
+    result = validateModelParams(operation, params);
+  } else if (operation in EDIT_ENDPOINTS) {
+    result = validateEditParams(operation, params);
+  } else {
+    result = validateControlParams(operation, params);
+  }
+
+  errors.push(...result.errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Run an operation by key. Async operations are polled to completion.
+ *
+ * @param api - Client to run the operation with
+ * @param operation - Operation key
+ * @param params - Operation parameters, including input images
+ * @param runOptions - Abort signal, per-request timeout and poll interval for async operations
+ * @returns Image result
+ * @throws Error if the operation is unknown
+ */
+export async function runOperation(
+  api: StabilityAPI,
+  operation: string,
+  params: Record<string, unknown>,
+  runOptions: RequestOptions & { pollInterval?: number } = {}
+): Promise<ImageResult> {
+  const { pollInterval, ...requestOptions } = runOptions;
+  return await awaitTask(api, await submitOperation(api, operation, params, requestOptions), { ...requestOptions, pollInterval });
+}
+
+/**
+ * Start an operation by key without waiting for async operations.
+ * Creative upscale and replace-background-and-relight return their task;
+ * every other operation returns its image.
+ *
+ * @param api - Client to run the operation with
+ * @param operation - Operation key
+ * @param params - Operation parameters, including input images (paths, URLs or Buffers)
+ * @param requestOptions - Abort signal and per-request timeout
+ * @returns Image result, or the task to poll with getResult()
+ * @throws Error if the operation is unknown
+ */
+export async function submitOperation(
+  api: StabilityAPI,
+  operation: string,
+  params: Record<string, unknown>,
+  requestOptions: RequestOptions = {}
+): Promise<ImageResult | TaskResult> {
+  const { image, init_image, style_image, ...options } = params;
+  const imagePath = image as string;
+  const prompt = options.prompt as string;
+
+  switch (operation) {
+    case 'stable-image-ultra':
+      return await api.generateUltra({ ...options, image } as unknown as Parameters<StabilityAPI['generateUltra']>[0], requestOptions);
+    case 'stable-image-core':
+      return await api.generateCore(options as unknown as Parameters<StabilityAPI['generateCore']>[0], requestOptions);
+    case 'sd3':
+      return await api.generateSD3({ ...options, image } as unknown as Parameters<StabilityAPI['generateSD3']>[0], requestOptions);
+    case 'upscale-fast':
+      return await api.upscaleFast(imagePath, { output_format: options.output_format as string | undefined }, requestOptions);
+    case 'upscale-conservative':
+      return await api.upscaleConservative(imagePath, options, requestOptions);
+    case 'upscale-creative':
+      return await api.upscaleCreative(imagePath, { ...options, wait: false }, requestOptions);
+    case 'erase':
+      return await api.erase(imagePath, options, requestOptions);
+    case 'inpaint':
+      return await api.inpaint(imagePath, prompt, options, requestOptions);
+    case 'outpaint':
+      return await api.outpaint(imagePath, options, requestOptions);
+    case 'search-and-replace':
+      return await api.searchAndReplace(imagePath, prompt, options.search_prompt as string, options, requestOptions);
+    case 'search-and-recolor':
+      return await api.searchAndRecolor(imagePath, prompt, options.select_prompt as string, options, requestOptions);
+    case 'remove-background':
+      return await api.removeBackground(imagePath, options, requestOptions);
+    case 'replace-background-and-relight':
+      return await api.replaceBackgroundAndRelight(imagePath, { ...options, wait: false }, requestOptions);
+    case 'sketch':
+      return await api.controlSketch(imagePath, prompt, options, requestOptions);
+    case 'structure':
+      return await api.controlStructure(imagePath, prompt, options, requestOptions);
+    case 'style':
+      return await api.controlStyle(imagePath, prompt, options, requestOptions);
+    case 'style-transfer':
+      return await api.controlStyleTransfer(init_image as string, style_image as string, options, requestOptions);
+    default:
+      throw new Error(`Unknown operation: ${operation}`);
+  }
+}
+
+/**
+ * Poll an async task to completion without a spinner, since several
+ * operations may be in flight at once.
+ */
+async function awaitTask(api: StabilityAPI, task: ImageResult | TaskResult, waitOptions: WaitResultOptions): Promise<ImageResult> {
+  if ('id' in task && task.id) {
+    return await api.waitForResult(task.id, { ...waitOptions, showSpinner: false });
+  }
+  return task as ImageResult;
+}
+
+/**
+ * Whether a value can be sent as an input image (path, URL or Buffer).
+ */
+function isImageSource(value: unknown): boolean {
+  return typeof value === 'string' || Buffer.isBuffer(value);
+}
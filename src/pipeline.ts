@@ -0,0 +1,277 @@
+/**
+ * Pipelines
+ *
+ * Chains generate, edit, control and upscale operations so each step's image
+ * feeds the next one directly, without intermediate files. Every step is
+ * validated and the whole pipeline checked against the credit budget before
+ * the first call; the per-step records are combined into one provenance
+ * record that is embedded in the final image.
+ *
+ * Recipes are YAML or JSON, a list of steps or a `steps:` key holding one:
+ *
+ *   name: product-shot
+ *   steps:
+ *     - operation: stable-image-core
+ *       params: { prompt: "a ceramic mug on a desk" }
+ *     - operation: search-and-replace
+ *       params: { prompt: "a glass mug", search_prompt: "ceramic mug" }
+ *     - operation: remove-background
+ *     - operation: upscale-conservative
+ *       params: { prompt: "a glass mug" }
+ *
+ * @example
+ * const api = new StabilityAPI();
+ * const result = await api.pipeline([
+ *   { operation: 'stable-image-core', params: { prompt: 'a ceramic mug on a desk' } },
+ *   { operation: 'remove-background' }
+ * ]);
+ * await fs.writeFile('mug.png', embedImageMetadata(result.image, result.provenance));
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parse as parseYaml } from 'yaml';
+import { estimateCost, getOutputDir } from './config.js';
+import { validateOperation, runOperation } from './operations.js';
+import { buildImageMetadata, tryEmbedImageMetadata } from './metadata.js';
+import { writeToFile, promptToFilename, binaryReplacer } from './utils.js';
+import type { StabilityAPI } from './api.js';
+import type { ImageResult, ImageMetadata, PipelineStep, PipelineRecipe, PipelineOptions, PipelineStepRecord, PipelineResult } from './types/index.js';
+
+/** Model name recorded in pipeline provenance */
+export const PIPELINE_MODEL = 'pipeline';
+
+// Operations that take no input image, so they can only start a pipeline
+const TEXT_ONLY_OPERATIONS = ['stable-image-core'];
+
+/**
+ * Parameter that receives the previous step's image.
+ *
+ * @param operation - Operation key
+ * @returns Parameter name, or null for text-to-image operations
+ */
+export function chainedInput(operation: string): string | null {
+  if (TEXT_ONLY_OPERATIONS.includes(operation)) {
+    return null;
+  }
+  return operation === 'style-transfer' ? 'init_image' : 'image';
+}
+
+/**
+ * Check every step of a pipeline and resolve step IDs.
+ * Steps after the first must take an input image and must not set it.
+ *
+ * @param steps - Pipeline steps
+ * @returns Steps with IDs and params filled in
+ * @throws Error listing every invalid step
+ */
+export function validatePipeline(steps: PipelineStep[]): Array<Required<PipelineStep>> {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('Pipeline has no steps');
+  }
+
+  const errors: string[] = [];
+  const seen = new Set<string>();
+  const resolved = steps.map((step, index) => {
+    const label = step?.id ?? `#${index + 1}`;
+    if (!step || typeof step.operation !== 'string') {
+      errors.push(`Step ${label}: "operation" is required`);
+      return { id: String(label), operation: '', params: {} };
+    }
+
+    const id = step.id !== undefined ? String(step.id) : `${index + 1}-${step.operation}`;
+    if (seen.has(id)) {
+      errors.push(`Step ${label}: duplicate id`);
+    }
+    seen.add(id);
+
+    const params = { ...step.params };
+    const input = chainedInput(step.operation);
+    if (index > 0) {
+      if (!input) {
+        errors.push(`Step ${label}: ${step.operation} takes no input image, so it can only be the first step`);
+      } else if (params[input] !== undefined) {
+        errors.push(`Step ${label}: ${input} comes from the previous step and cannot be set`);
+      } else {
+        params[input] = '<previous step>';
+      }
+    }
+    validateOperation(step.operation, params).errors.forEach(error => errors.push(`Step ${label}: ${error}`));
+
+    return { id, operation: step.operation, params: step.params ?? {} };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid pipeline:\n  - ${errors.join('\n  - ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * Parse recipe text into a validated pipeline.
+ *
+ * @param text - Recipe contents
+ * @param format - 'json' or 'yaml'
+ * @returns Recipe with step IDs resolved
+ * @throws Error on malformed recipes or invalid steps
+ */
+export function parsePipeline(text: string, format: 'json' | 'yaml'): PipelineRecipe {
+  let doc: unknown;
+  try {
+    doc = format === 'json' ? JSON.parse(text) : parseYaml(text);
+  } catch (error) {
+    throw new Error(`Invalid ${format.toUpperCase()} recipe: ${(error as Error).message}`);
+  }
+  const recipe = doc as { name?: unknown; steps?: unknown } | null;
+  const steps = Array.isArray(doc) ? doc : recipe?.steps;
+  if (!Array.isArray(steps)) {
+    throw new Error('Recipe must be a list of steps or have a top-level "steps" list');
+  }
+  return {
+    name: typeof recipe?.name === 'string' ? recipe.name : undefined,
+    steps: validatePipeline(steps as PipelineStep[])
+  };
+}
+
+/**
+ * Read and parse a recipe file. `.json` files are parsed as JSON; anything
+ * else as YAML. The recipe name defaults to the file name.
+ *
+ * @param recipePath - Path to the recipe
+ * @returns Recipe with step IDs resolved
+ */
+export async function loadPipeline(recipePath: string): Promise<PipelineRecipe> {
+  const text = await fs.readFile(recipePath, 'utf8');
+  const ext = path.extname(recipePath).toLowerCase();
+  const recipe = parsePipeline(text, ext === '.json' ? 'json' : 'yaml');
+  return { ...recipe, name: recipe.name ?? path.basename(recipePath, ext) };
+}
+
+/**
+ * Run pipeline steps in order, feeding each step's image to the next.
+ * The first failing step stops the pipeline and its error is thrown.
+ *
+ * @param api - Client to run the steps with
+ * @param steps - Pipeline steps
+ * @param options - Intermediate handling, output and cancellation settings
+ * @returns Final image, step records and combined provenance
+ * @throws StabilityBudgetError if the pipeline exceeds the budget or the balance
+ */
+export async function runPipeline(
+  api: StabilityAPI,
+  steps: PipelineStep[],
+  options: PipelineOptions = {}
+): Promise<PipelineResult> {
+  const resolved = validatePipeline(steps);
+  await api.checkBudget(resolved.map(step => ({ operation: step.operation, params: step.params })), { signal: options.signal });
+
+  const records: PipelineStepRecord[] = [];
+  let previous: { id: string; image: Buffer } | null = null;
+  let last: ImageResult | null = null;
+
+  for (const step of resolved) {
+    const input = chainedInput(step.operation);
+    const params: Record<string, unknown> = previous && input ? { ...step.params, [input]: previous.image } : step.params;
+    const startedAt = Date.now();
+    api.logger.info(`Pipeline step ${step.id}: ${step.operation}`);
+
+    let result: ImageResult;
+    try {
+      result = await runOperation(api, step.operation, params, { signal: options.signal, pollInterval: options.pollInterval });
+    } catch (error) {
+      api.logger.error(`✗ Pipeline step ${step.id} failed: ${(error as Error).message}`);
+      throw error;
+    }
+
+    const record: PipelineStepRecord = {
+      id: step.id,
+      operation: step.operation,
+      parameters: recordedParams(step.params, previous && input ? { [input]: `<output of ${previous.id}>` } : {}),
+      seed: result.seed,
+      finish_reason: result.finish_reason,
+      credits: estimateCost(step.operation, step.params),
+      durationMs: Date.now() - startedAt
+    };
+    if (options.keepIntermediates) {
+      record.image = result.image;
+    }
+    records.push(record);
+    options.onStepComplete?.(record);
+
+    previous = { id: step.id, image: result.image };
+    last = result;
+  }
+
+  const credits = records.reduce((total, record) => total + record.credits, 0);
+  const result: PipelineResult = {
+    ...(last as ImageResult),
+    steps: records,
+    provenance: buildProvenance(records, last as ImageResult, credits, options.name),
+    credits
+  };
+
+  if (options.outputDir !== undefined) {
+    await savePipeline(api, result, resolved, options);
+  }
+  return result;
+}
+
+/**
+ * Step parameters as recorded in provenance: chained inputs name the step
+ * they came from and Buffers are recorded by size, as in embedded metadata.
+ */
+function recordedParams(params: Record<string, unknown>, chained: Record<string, string>): Record<string, unknown> {
+  const recorded = Object.fromEntries(Object.entries(params).map(([key, value]) =>
+    [key, binaryReplacer.call(params, key, value)]
+  ));
+  return { ...recorded, ...chained };
+}
+
+/**
+ * Combine the step records into one metadata record for the final image.
+ */
+function buildProvenance(records: PipelineStepRecord[], result: ImageResult, credits: number, name?: string): ImageMetadata {
+  // The prompt of the first step that has one describes the image best
+  const prompted = records.find(record => typeof record.parameters.prompt === 'string');
+  const metadata = buildImageMetadata(PIPELINE_MODEL, { prompt: prompted?.parameters.prompt }, result);
+  metadata.parameters = {
+    name,
+    credits,
+    steps: records.map(record => ({ ...record, image: undefined, output: undefined }))
+  };
+  return metadata;
+}
+
+/**
+ * Write the final image (with the provenance embedded), the provenance JSON
+ * and, with keepIntermediates, every step's image to a new folder.
+ */
+async function savePipeline(
+  api: StabilityAPI,
+  result: PipelineResult,
+  steps: Array<Required<PipelineStep>>,
+  options: PipelineOptions
+): Promise<void> {
+  // Same timestamp format as generateTimestampedFilename()
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').split('Z')[0];
+  const directory = path.join(options.outputDir || getOutputDir(), 'pipeline', `${stamp}_${promptToFilename(options.name || 'pipeline')}`);
+
+  const lastIndex = steps.length - 1;
+  const warn = (file: string) => (error: Error) => api.logger.warn(`Saving ${file} without embedded metadata: ${error.message}`);
+  if (options.keepIntermediates) {
+    for (const [index, record] of result.steps.entries()) {
+      if (index === lastIndex || !record.image) {
+        continue;
+      }
+      record.output = path.join(directory, `${promptToFilename(record.id)}.${(steps[index].params.output_format as string) || 'png'}`);
+      const metadata = buildImageMetadata(record.operation, record.parameters, record);
+      await writeToFile(tryEmbedImageMetadata(record.image, metadata, warn(record.output)), record.output, 'binary');
+    }
+  }
+
+  result.directory = directory;
+  result.output = path.join(directory, `final.${(steps[lastIndex].params.output_format as string) || 'png'}`);
+  result.steps[lastIndex].output = result.output;
+  await writeToFile(tryEmbedImageMetadata(result.image, result.provenance, warn(result.output)), result.output, 'binary');
+  await writeToFile({ ...result.provenance, result: { image_path: result.output } }, path.join(directory, 'pipeline.json'), 'json');
+}
@@ -0,0 +1,284 @@
+/**
+ * PNG Chunks
+ *
+ * Minimal PNG chunk reading and writing shared by the mock server and the
+ * metadata embedder, plus decoding to and encoding from 8-bit RGBA pixels
+ * for client-side input preprocessing.
+ *
+ * @example
+ * import { readPngChunks, pngChunk, decodePng, encodePng } from './png.js';
+ *
+ * const chunks = readPngChunks(buffer);
+ * const text = pngChunk('tEXt', Buffer.from('Software\0stability-ai-api', 'latin1'));
+ * const pixels = decodePng(buffer);
+ * const copy = encodePng(pixels, { alpha: pixels.hasAlpha });
+ */
+
+import { deflateSync, inflateSync } from 'zlib';
+
+/** 8-byte signature every PNG file starts with */
+export const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+/**
+ * Chunk read from a PNG file.
+ */
+export interface PngChunk {
+  /** Four-character chunk type (e.g. 'IHDR', 'tEXt') */
+  type: string;
+  /** Chunk data, excluding length, type and CRC */
+  data: Buffer;
+  /** Offset of the chunk's length field in the file */
+  start: number;
+  /** Offset just past the chunk's CRC */
+  end: number;
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 as used by PNG chunks.
+ *
+ * @param data - Bytes to checksum
+ * @returns Unsigned 32-bit CRC
+ */
+export function crc32(data: Buffer): number {
+  let crc = 0xFFFFFFFF;
+  for (const byte of data) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Encode one PNG chunk with its length and CRC.
+ *
+ * @param type - Four-character chunk type
+ * @param data - Chunk data
+ * @returns Chunk bytes
+ */
+export function pngChunk(type: string, data: Buffer): Buffer {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Check whether a buffer starts with the PNG signature.
+ *
+ * @param buffer - File bytes
+ * @returns True for PNG data
+ */
+export function isPng(buffer: Buffer): boolean {
+  return buffer.length >= PNG_SIGNATURE.length && buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE);
+}
+
+/**
+ * Split a PNG file into its chunks, stopping after IEND.
+ * CRCs are not verified.
+ *
+ * @param buffer - PNG file bytes
+ * @returns Chunks in file order
+ * @throws Error if the buffer is not a PNG or a chunk runs past the end
+ */
+export function readPngChunks(buffer: Buffer): PngChunk[] {
+  if (!isPng(buffer)) {
+    throw new Error('Not a PNG file');
+  }
+  const chunks: PngChunk[] = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const end = offset + 8 + length;
+    if (end + 4 > buffer.length) {
+      throw new Error(`Truncated PNG chunk: ${type}`);
+    }
+    chunks.push({ type, data: buffer.subarray(offset + 8, end), start: offset, end: end + 4 });
+    offset = end + 4;
+    if (type === 'IEND') {
+      break;
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Decoded image as 8-bit RGBA pixels.
+ */
+export interface RgbaImage {
+  width: number;
+  height: number;
+  /** Row-major RGBA samples, 4 bytes per pixel */
+  data: Buffer;
+}
+
+// Samples per pixel for each PNG colour type
+const CHANNELS: Record<number, number> = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Decode a PNG to 8-bit RGBA. All colour types and bit depths are supported
+ * (16-bit samples keep their high byte); interlaced files are not.
+ *
+ * @param buffer - PNG file bytes
+ * @returns Pixels, and whether the file carries transparency
+ * @throws Error for interlaced, truncated or malformed PNGs
+ */
+export function decodePng(buffer: Buffer): RgbaImage & { hasAlpha: boolean } {
+  const chunks = readPngChunks(buffer);
+  const header = chunks[0]?.type === 'IHDR' ? chunks[0].data : null;
+  if (!header) {
+    throw new Error('PNG is missing its IHDR chunk');
+  }
+  const width = header.readUInt32BE(0);
+  const height = header.readUInt32BE(4);
+  const bitDepth = header[8];
+  const colorType = header[9];
+  const channels = CHANNELS[colorType];
+  if (!channels) {
+    throw new Error(`Unsupported PNG colour type ${colorType}`);
+  }
+  if (header[12] !== 0) {
+    throw new Error('Interlaced PNGs are not supported');
+  }
+
+  const palette = chunks.find(chunk => chunk.type === 'PLTE')?.data;
+  const transparency = chunks.find(chunk => chunk.type === 'tRNS')?.data;
+  const raw = inflateSync(Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data)));
+
+  const bitsPerPixel = channels * bitDepth;
+  const stride = Math.ceil(width * bitsPerPixel / 8);
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  if (raw.length < height * (stride + 1)) {
+    throw new Error('Truncated PNG image data');
+  }
+
+  // Undo the per-row filters in place, keeping the previous row for Up/Average/Paeth
+  const rows = Buffer.alloc(height * stride);
+  let previous = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = rows.subarray(y * stride, (y + 1) * stride);
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bpp ? row[i - bpp] : 0;
+      const up = previous[i];
+      const upLeft = i >= bpp ? previous[i - bpp] : 0;
+      let predictor = 0;
+      if (filter === 1) {
+        predictor = left;
+      } else if (filter === 2) {
+        predictor = up;
+      } else if (filter === 3) {
+        predictor = (left + up) >> 1;
+      } else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const dLeft = Math.abs(estimate - left);
+        const dUp = Math.abs(estimate - up);
+        const dUpLeft = Math.abs(estimate - upLeft);
+        predictor = dLeft <= dUp && dLeft <= dUpLeft ? left : dUp <= dUpLeft ? up : upLeft;
+      } else if (filter !== 0) {
+        throw new Error(`Invalid PNG filter type ${filter}`);
+      }
+      row[i] = (line[i] + predictor) & 0xFF;
+    }
+    previous = row;
+  }
+
+  const maxSample = (1 << bitDepth) - 1;
+  const sample = (row: Buffer, index: number): number => {
+    if (bitDepth === 8) {
+      return row[index];
+    }
+    if (bitDepth === 16) {
+      return row.readUInt16BE(index * 2);
+    }
+    const bit = index * bitDepth;
+    return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+  };
+  const to8 = (value: number): number => Math.round(value * 255 / maxSample);
+  // tRNS for grey/RGB images names one fully transparent colour
+  const key = transparency && (colorType === 0 || colorType === 2)
+    ? Array.from({ length: colorType === 0 ? 1 : 3 }, (_, i) => transparency.readUInt16BE(i * 2))
+    : null;
+
+  const data = Buffer.alloc(width * height * 4);
+  let hasAlpha = colorType === 4 || colorType === 6 || transparency !== undefined;
+  const s: number[] = new Array(channels);
+  for (let y = 0; y < height; y++) {
+    const row = rows.subarray(y * stride, (y + 1) * stride);
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < channels; c++) {
+        s[c] = sample(row, x * channels + c);
+      }
+      const out = (y * width + x) * 4;
+      if (colorType === 3) {
+        if (!palette || s[0] * 3 + 2 >= palette.length) {
+          throw new Error('PNG palette index out of range');
+        }
+        palette.copy(data, out, s[0] * 3, s[0] * 3 + 3);
+        data[out + 3] = transparency && s[0] < transparency.length ? transparency[s[0]] : 255;
+      } else {
+        const grey = colorType === 0 || colorType === 4;
+        data[out] = to8(s[0]);
+        data[out + 1] = to8(grey ? s[0] : s[1]);
+        data[out + 2] = to8(grey ? s[0] : s[2]);
+        data[out + 3] = colorType === 4 ? to8(s[1]) : colorType === 6 ? to8(s[3]) : 255;
+        if (key && key.every((value, i) => value === s[i])) {
+          data[out + 3] = 0;
+        }
+      }
+    }
+  }
+  if (colorType === 3 && transparency) {
+    hasAlpha = Array.from(transparency).some(alpha => alpha < 255);
+  }
+
+  return { width, height, data, hasAlpha };
+}
+
+/**
+ * Encode RGBA pixels as an 8-bit PNG without filtering.
+ *
+ * @param image - Pixels to encode
+ * @param options - `alpha: false` drops the alpha channel (RGB output);
+ *   `grayscale: true` writes only the red channel as a single grey sample
+ * @returns PNG file bytes
+ */
+export function encodePng(image: RgbaImage, options: { alpha?: boolean; grayscale?: boolean } = {}): Buffer {
+  const alpha = !options.grayscale && (options.alpha ?? true);
+  const channels = options.grayscale ? 1 : alpha ? 4 : 3;
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(image.width, 0);
+  header.writeUInt32BE(image.height, 4);
+  header[8] = 8; // bit depth
+  header[9] = options.grayscale ? 0 : alpha ? 6 : 2; // colour type: greyscale, RGBA or RGB
+
+  const stride = image.width * channels + 1;
+  const raw = Buffer.alloc(image.height * stride);
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      const from = (y * image.width + x) * 4;
+      image.data.copy(raw, y * stride + 1 + x * channels, from, from + channels);
+    }
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
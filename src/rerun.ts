@@ -0,0 +1,146 @@
+/**
+ * Rerun
+ *
+ * Rebuilds an operation call from the metadata saved with an image, either
+ * the `_metadata.json` sidecar or the metadata embedded in the image itself,
+ * so a chosen result can be regenerated with its recorded seed or varied
+ * with parameter overrides.
+ *
+ * @example
+ * import { StabilityAPI, loadRunRecord, planRerun, runOperation } from 'stability-ai-api';
+ *
+ * const record = await loadRunRecord('./datasets/stability/sd3/2025-01-01_12-00-00-000_a_cat_metadata.json');
+ * const { operation, params } = planRerun(record, { overrides: { aspect_ratio: '16:9' } });
+ * const result = await runOperation(new StabilityAPI(), operation, params);
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getModelConstraints, getEditConstraints, getControlConstraints } from './config.js';
+import { readImageMetadata } from './metadata.js';
+import { operationForOutputDir, validateOperation } from './operations.js';
+import type { ImageMetadata, RerunOptions, RerunPlan } from './types/index.js';
+
+// Layout of the `_metadata.json` files written next to saved images
+interface SidecarMetadata {
+  model?: unknown;
+  timestamp?: string;
+  parameters?: unknown;
+  result?: {
+    finish_reason?: string;
+    seed?: string;
+  };
+}
+
+/**
+ * Load saved generation metadata from a `_metadata.json` file or from an
+ * image with embedded metadata.
+ *
+ * @param filePath - Sidecar JSON or PNG/WebP/JPEG path
+ * @returns Metadata in the embedded-metadata shape
+ * @throws Error if the file holds no generation metadata
+ */
+export async function loadRunRecord(filePath: string): Promise<ImageMetadata> {
+  if (path.extname(filePath).toLowerCase() !== '.json') {
+    const embedded = await readImageMetadata(filePath);
+    if (!embedded) {
+      throw new Error(`No generation metadata embedded in ${filePath}`);
+    }
+    return embedded;
+  }
+
+  const sidecar = JSON.parse(await fs.readFile(filePath, 'utf8')) as SidecarMetadata;
+  const parameters = sidecar?.parameters;
+  if (typeof sidecar?.model !== 'string' || typeof parameters !== 'object' || parameters === null) {
+    throw new Error(`${filePath} is not a generation metadata file (expected "model" and "parameters")`);
+  }
+  const params = parameters as Record<string, unknown>;
+  return {
+    model: sidecar.model,
+    timestamp: sidecar.timestamp ?? '',
+    prompt: typeof params.prompt === 'string' ? params.prompt : undefined,
+    negative_prompt: typeof params.negative_prompt === 'string' ? params.negative_prompt : undefined,
+    seed: sidecar.result?.seed,
+    finish_reason: sidecar.result?.finish_reason,
+    parameters: params
+  };
+}
+
+/**
+ * Parse a `key=value` override. Values that parse as JSON (numbers, booleans,
+ * quoted strings, arrays) are used as parsed; anything else is a string. An
+ * empty value yields undefined, which removes the parameter.
+ *
+ * @param spec - Override such as 'aspect_ratio=16:9' or 'strength=0.4'
+ * @returns Key and value
+ * @throws Error if the spec has no key
+ */
+export function parseOverride(spec: string): [string, unknown] {
+  const index = spec.indexOf('=');
+  const key = index === -1 ? '' : spec.slice(0, index).trim();
+  if (!key) {
+    throw new Error(`Invalid override "${spec}" (expected key=value)`);
+  }
+  const raw = spec.slice(index + 1);
+  if (raw === '') {
+    return [key, undefined];
+  }
+  try {
+    return [key, JSON.parse(raw)];
+  } catch {
+    return [key, raw];
+  }
+}
+
+/**
+ * Rebuild the operation call recorded in saved metadata.
+ * The recorded seed is reused unless `newSeed` is set; overrides are applied
+ * last, and the result is validated like a batch job.
+ *
+ * @param record - Metadata from loadRunRecord() or readImageMetadata()
+ * @param options - Parameter overrides and seed handling
+ * @returns Operation key and parameters for runOperation()
+ * @throws Error if the operation is unknown or the parameters are invalid
+ */
+export function planRerun(record: ImageMetadata, options: RerunOptions = {}): RerunPlan {
+  const operation = operationForOutputDir(record.model);
+  if (!operation) {
+    throw new Error(`Cannot rerun "${record.model}": not a known operation`);
+  }
+  const overrides = options.overrides ?? {};
+  if (options.newSeed && overrides.seed !== undefined) {
+    throw new Error('Cannot combine a new seed with a seed override');
+  }
+
+  const params: Record<string, unknown> = { ...record.parameters };
+  if (options.newSeed) {
+    delete params.seed;
+  } else if (record.seed && Number.isFinite(Number(record.seed)) && acceptsSeed(operation)) {
+    // The seed header holds the seed actually used, even when none was requested
+    params.seed = Number(record.seed);
+  }
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === undefined) {
+      delete params[key];
+    } else {
+      params[key] = value;
+    }
+  }
+
+  const validation = validateOperation(operation, params);
+  if (!validation.valid) {
+    const hint = validation.errors.some(error => /image is required/.test(error))
+      ? '\n  (metadata saved by older versions does not record input images; override image with its path)'
+      : '';
+    throw new Error(`Invalid rerun parameters:\n  - ${validation.errors.join('\n  - ')}${hint}`);
+  }
+  return { operation, params };
+}
+
+/**
+ * Whether an operation takes a seed parameter.
+ */
+function acceptsSeed(operation: string): boolean {
+  const constraints = getModelConstraints(operation) ?? getEditConstraints(operation) ?? getControlConstraints(operation);
+  return constraints?.seed !== undefined;
+}
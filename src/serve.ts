@@ -0,0 +1,412 @@
+/**
+ * Proxy Server
+ *
+ * Local HTTP server that exposes every operation as a REST route, so browser
+ * front-ends can call Stability AI without ever seeing the API key. Requests
+ * are validated with the same rules as the client before anything is
+ * forwarded, and each client is rate limited.
+ *
+ * Routes:
+ *   POST /v1/<operation>     JSON or multipart/form-data params; returns the image, or 202 { id } for async operations
+ *   GET  /v1/results/<id>    Image when the task is done, 202 { id, status } while in progress
+ *   GET  /v1/operations      Operation keys accepted by POST /v1/<operation>
+ *   GET  /v1/balance         Account credits
+ *
+ * Images come as multipart file fields, `data:` URLs or https URLs in JSON
+ * bodies. Local file paths are refused.
+ *
+ * @example
+ * import { StabilityAPI } from 'stability-ai-api';
+ * import { startProxyServer } from 'stability-ai-api/serve';
+ *
+ * const server = await startProxyServer(new StabilityAPI(), { port: 8080, corsOrigin: 'http://localhost:5173' });
+ *
+ * // In the browser:
+ * const response = await fetch('http://localhost:8080/v1/stable-image-core', {
+ *   method: 'POST',
+ *   headers: { 'content-type': 'application/json' },
+ *   body: JSON.stringify({ prompt: 'a cat', aspect_ratio: '16:9' })
+ * });
+ * const image = await response.blob();
+ */
+
+import http from 'http';
+import type { AddressInfo } from 'net';
+import { StabilityError, StabilityBudgetError, StabilityAbortError, StabilityTimeoutError } from './errors.js';
+import { OPERATIONS, validateOperation, submitOperation } from './operations.js';
+import { exploreParams } from './explore.js';
+import { parseMultipart, readBody } from './multipart.js';
+import { isPng } from './png.js';
+import type { StabilityAPI } from './api.js';
+import type { ImageResult, TaskResult } from './types/index.js';
+
+/** Port used when none is given */
+export const DEFAULT_SERVE_PORT = 8080;
+
+/** Requests each client may make per window when no limit is given */
+export const DEFAULT_RATE_LIMIT: RateLimitOptions = { max: 30, windowMs: 60_000 };
+
+// Largest request body accepted (images are buffered before forwarding)
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+// Parameters that carry input images
+const IMAGE_FIELDS = ['image', 'mask', 'init_image', 'style_image', 'background_reference', 'light_reference'];
+
+/**
+ * Per-client request limit over a fixed window.
+ */
+export interface RateLimitOptions {
+  /** Requests allowed per window */
+  max: number;
+  /** Window length in milliseconds */
+  windowMs: number;
+}
+
+/**
+ * Options for startProxyServer().
+ */
+export interface ProxyServerOptions {
+  /** Port to listen on (default: 8080; 0 picks a free port) */
+  port?: number;
+  /** Host to bind (default: 127.0.0.1) */
+  host?: string;
+  /** Per-client limit, or false to disable (default: 30 requests per minute) */
+  rateLimit?: RateLimitOptions | false;
+  /** Origin allowed to call the server from a browser (default: none; '*' allows any) */
+  corsOrigin?: string;
+  /** Identify clients by the first X-Forwarded-For address (only behind a trusted reverse proxy) */
+  trustProxy?: boolean;
+}
+
+/**
+ * Running proxy server handle.
+ */
+export interface ProxyServer {
+  /** Base URL of the server (e.g. http://127.0.0.1:8080) */
+  url: string;
+  /** Port the server is listening on */
+  port: number;
+  /** Stop accepting requests and close open connections */
+  close(): Promise<void>;
+}
+
+/**
+ * Error answered with a specific status before anything is forwarded.
+ */
+class HttpError extends Error {
+  constructor(readonly status: number, readonly errorName: string, message: string, readonly errors: string[] = [message]) {
+    super(message);
+  }
+}
+
+/**
+ * Start a proxy server that forwards requests through a client.
+ *
+ * @param api - Client holding the API key (its budget and retry settings apply)
+ * @param options - Listen address, rate limit and CORS settings
+ * @returns Running server handle
+ *
+ * @example
+ * const server = await startProxyServer(api, { rateLimit: { max: 10, windowMs: 60_000 } });
+ * console.log(`Proxy listening on ${server.url}`);
+ */
+export async function startProxyServer(api: StabilityAPI, options: ProxyServerOptions = {}): Promise<ProxyServer> {
+  const {
+    port = DEFAULT_SERVE_PORT,
+    host = '127.0.0.1',
+    rateLimit = DEFAULT_RATE_LIMIT,
+    corsOrigin,
+    trustProxy = false
+  } = options;
+  const limiter = rateLimit ? createRateLimiter(rateLimit) : null;
+
+  const sendJson = (res: http.ServerResponse, status: number, body: unknown, headers: Record<string, string> = {}) => {
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  // Same error body shape as the Stability AI API
+  const sendError = (res: http.ServerResponse, status: number, name: string, errors: string[], headers: Record<string, string> = {}) => {
+    sendJson(res, status, { name, errors }, headers);
+  };
+
+  const sendResult = (req: http.IncomingMessage, res: http.ServerResponse, result: ImageResult | TaskResult | Record<string, unknown>) => {
+    if (!('image' in result) || !Buffer.isBuffer(result.image)) {
+      // Async task submitted or still in progress
+      sendJson(res, 202, result);
+      return;
+    }
+    const image = result as ImageResult;
+    const headers: Record<string, string> = {};
+    if (image.seed !== undefined) headers['seed'] = image.seed;
+    if (image.finish_reason !== undefined) headers['finish-reason'] = image.finish_reason;
+
+    if (req.headers.accept?.includes('application/json')) {
+      sendJson(res, 200, { image: image.image.toString('base64'), seed: image.seed, finish_reason: image.finish_reason }, headers);
+      return;
+    }
+    res.writeHead(200, { 'content-type': imageContentType(image.image), ...headers });
+    res.end(image.image);
+  };
+
+  const handle = async (req: http.IncomingMessage, res: http.ServerResponse, signal: AbortSignal) => {
+    const method = req.method ?? 'GET';
+    const path = new URL(req.url ?? '/', 'http://localhost').pathname;
+
+    if (corsOrigin) {
+      res.setHeader('access-control-allow-origin', corsOrigin);
+      res.setHeader('access-control-expose-headers', 'seed, finish-reason, retry-after');
+      res.setHeader('vary', 'origin');
+    }
+    if (method === 'OPTIONS' && corsOrigin) {
+      res.writeHead(204, {
+        'access-control-allow-methods': 'GET, POST, OPTIONS',
+        'access-control-allow-headers': 'content-type, accept',
+        'access-control-max-age': '600'
+      });
+      res.end();
+      return;
+    }
+
+    if (limiter) {
+      const client = clientAddress(req, trustProxy);
+      const { allowed, remaining, retryAfterMs } = limiter(client);
+      res.setHeader('x-ratelimit-limit', String((rateLimit as RateLimitOptions).max));
+      res.setHeader('x-ratelimit-remaining', String(remaining));
+      if (!allowed) {
+        sendError(res, 429, 'rate_limit_exceeded', [`Too many requests; retry in ${Math.ceil(retryAfterMs / 1000)}s`], {
+          'retry-after': String(Math.ceil(retryAfterMs / 1000))
+        });
+        return;
+      }
+    }
+
+    if (method === 'GET' && path === '/v1/operations') {
+      sendJson(res, 200, { operations: OPERATIONS });
+      return;
+    }
+
+    if (method === 'GET' && path === '/v1/balance') {
+      sendJson(res, 200, await api.getBalance({ signal }));
+      return;
+    }
+
+    if (method === 'GET' && path.startsWith('/v1/results/')) {
+      const id = path.slice('/v1/results/'.length);
+      if (!/^[A-Za-z0-9-]+$/.test(id)) {
+        throw new HttpError(400, 'invalid_task_id', `Invalid task ID: ${id}`);
+      }
+      sendResult(req, res, await api.getResult(id, { signal }));
+      return;
+    }
+
+    const operation = path.startsWith('/v1/') ? path.slice('/v1/'.length) : '';
+    if (method === 'POST' && OPERATIONS.includes(operation)) {
+      const params = await readParams(req, operation);
+      const validation = validateOperation(operation, params);
+      if (!validation.valid) {
+        throw new HttpError(400, 'invalid_parameters', 'Invalid parameters', validation.errors);
+      }
+      sendResult(req, res, await submitOperation(api, operation, params, { signal }));
+      return;
+    }
+
+    throw new HttpError(404, 'not_found', `No route for ${method} ${path}`);
+  };
+
+  const server = http.createServer((req, res) => {
+    // Cancel the forwarded request if the client goes away first
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        controller.abort();
+      }
+    });
+
+    handle(req, res, controller.signal)
+      .catch(error => {
+        if (res.headersSent || controller.signal.aborted) {
+          return;
+        }
+        const { status, name, errors } = describeError(error);
+        sendError(res, status, name, errors);
+      })
+      .finally(() => {
+        api.logger.info(`${req.method} ${req.url} → ${res.statusCode}`);
+      });
+  });
+
+  await new Promise<void>((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve());
+  });
+
+  const address = server.address() as AddressInfo;
+  const urlHost = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+
+  return {
+    url: `http://${urlHost}:${address.port}`,
+    port: address.port,
+    close() {
+      return new Promise<void>((resolve, reject) => {
+        server.close(error => (error ? reject(error) : resolve()));
+        server.closeAllConnections();
+      });
+    }
+  };
+}
+
+/**
+ * Read operation params from a JSON or multipart body.
+ * Multipart text fields holding numeric parameters are converted to numbers.
+ */
+async function readParams(req: http.IncomingMessage, operation: string): Promise<Record<string, unknown>> {
+  let body: Buffer;
+  try {
+    body = await readBody(req, MAX_BODY_BYTES);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ETOOLARGE') {
+      throw new HttpError(413, 'payload_too_large', (error as Error).message);
+    }
+    throw error;
+  }
+  const contentType = req.headers['content-type'] ?? '';
+
+  if (contentType.startsWith('multipart/form-data')) {
+    const { fields, files } = parseMultipart(body, contentType);
+    const ranges = exploreParams(operation);
+    const params: Record<string, unknown> = { ...files };
+    for (const [key, value] of Object.entries(fields)) {
+      if (IMAGE_FIELDS.includes(key)) {
+        params[key] = decodeImageField(key, value);
+      } else {
+        params[key] = ranges[key] && !Array.isArray(ranges[key]) && value.trim() !== '' ? Number(value) : value;
+      }
+    }
+    return params;
+  }
+
+  if (contentType.startsWith('application/json')) {
+    let parsed: unknown;
+    try {
+      parsed = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      throw new HttpError(400, 'invalid_json', `Invalid JSON body: ${(error as Error).message}`);
+    }
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+      throw new HttpError(400, 'invalid_json', 'JSON body must be an object of parameters');
+    }
+    const params = { ...parsed } as Record<string, unknown>;
+    for (const key of IMAGE_FIELDS) {
+      if (params[key] !== undefined) {
+        params[key] = decodeImageField(key, params[key]);
+      }
+    }
+    return params;
+  }
+
+  throw new HttpError(415, 'unsupported_media_type', 'Request body must be application/json or multipart/form-data');
+}
+
+/**
+ * Turn an image parameter sent as text into something the client can upload.
+ * The server must never read its own files on a caller's behalf, so only
+ * data: URLs (decoded here) and http(s) URLs (downloaded with the client's
+ * URL checks) are accepted.
+ */
+function decodeImageField(key: string, value: unknown): Buffer | string {
+  if (typeof value === 'string') {
+    const dataUrl = /^data:[^;,]*;base64,(.*)$/s.exec(value);
+    if (dataUrl) {
+      return Buffer.from(dataUrl[1], 'base64');
+    }
+    if (/^https?:\/\//i.test(value)) {
+      return value;
+    }
+  }
+  throw new HttpError(400, 'invalid_parameters', `${key} must be a file upload, a data: URL or an http(s) URL`);
+}
+
+/**
+ * Fixed-window request counter per client.
+ */
+function createRateLimiter({ max, windowMs }: RateLimitOptions) {
+  const windows = new Map<string, { count: number; resetAt: number }>();
+  let nextSweep = Date.now() + windowMs;
+
+  return (client: string): { allowed: boolean; remaining: number; retryAfterMs: number } => {
+    const now = Date.now();
+    if (now >= nextSweep) {
+      // Drop expired windows so idle clients do not accumulate
+      for (const [key, window] of windows) {
+        if (window.resetAt <= now) windows.delete(key);
+      }
+      nextSweep = now + windowMs;
+    }
+
+    let window = windows.get(client);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(client, window);
+    }
+    window.count++;
+    return {
+      allowed: window.count <= max,
+      remaining: Math.max(0, max - window.count),
+      retryAfterMs: window.resetAt - now
+    };
+  };
+}
+
+function clientAddress(req: http.IncomingMessage, trustProxy: boolean): string {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (trustProxy && typeof forwarded === 'string' && forwarded.trim()) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.socket.remoteAddress ?? 'unknown';
+}
+
+/**
+ * Map a failure to the status and body sent to the caller.
+ */
+function describeError(error: unknown): { status: number; name: string; errors: string[] } {
+  if (error instanceof HttpError) {
+    return { status: error.status, name: error.errorName, errors: error.errors };
+  }
+  const message = (error as Error).message;
+  if (error instanceof StabilityBudgetError) {
+    return { status: 402, name: 'budget_exceeded', errors: [message] };
+  }
+  if (error instanceof StabilityTimeoutError) {
+    return { status: 504, name: 'timeout', errors: [message] };
+  }
+  if (error instanceof StabilityAbortError) {
+    return { status: 499, name: 'aborted', errors: [message] };
+  }
+  if (error instanceof StabilityError && error.status) {
+    const upstream = error.data?.errors;
+    return {
+      status: error.status,
+      name: error.data?.name ?? error.name,
+      errors: upstream && upstream.length > 0 ? upstream : [message]
+    };
+  }
+  // Client-side failures (bad image download, unreadable input) are the caller's to fix
+  return { status: error instanceof StabilityError ? 502 : 400, name: 'bad_request', errors: [message] };
+}
+
+/**
+ * Content type for image bytes, from their magic number.
+ */
+function imageContentType(image: Buffer): string {
+  if (isPng(image)) {
+    return 'image/png';
+  }
+  if (image[0] === 0xFF && image[1] === 0xD8) {
+    return 'image/jpeg';
+  }
+  if (image.toString('ascii', 0, 4) === 'RIFF' && image.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return 'application/octet-stream';
+}
@@ -0,0 +1,119 @@
+/**
+ * Task Store
+ *
+ * Records async task IDs (Creative Upscale, Replace Background and Relight)
+ * in a small JSON file so results can still be fetched after the submitting
+ * process exits.
+ *
+ * @example
+ * const store = new TaskStore();
+ * const task = await api.upscaleCreative('./photo.png', { wait: false });
+ * store.add({
+ *   id: task.id,
+ *   operation: 'upscale-creative',
+ *   params: { image: './photo.png' },
+ *   model: 'upscale-creative',
+ *   outputName: 'photo',
+ *   submittedAt: new Date().toISOString(),
+ *   status: 'pending'
+ * });
+ *
+ * // Later, possibly from another process
+ * const record = store.get(task.id.slice(0, 8));
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import type { TaskRecord } from './types/index.js';
+
+/**
+ * Default location of the task store.
+ */
+export const DEFAULT_TASK_STORE_PATH = join(homedir(), '.stability', 'tasks.json');
+
+/**
+ * File-backed store of submitted async tasks.
+ */
+export class TaskStore {
+  readonly storePath: string;
+
+  /**
+   * @param storePath - JSON file holding the task records
+   */
+  constructor(storePath: string = DEFAULT_TASK_STORE_PATH) {
+    this.storePath = storePath;
+  }
+
+  /**
+   * All recorded tasks, newest first.
+   *
+   * @returns Task records
+   */
+  list(): TaskRecord[] {
+    return this._read().sort((a, b) => b.submittedAt.localeCompare(a.submittedAt));
+  }
+
+  /**
+   * Find a task by ID or unique ID prefix.
+   *
+   * @param id - Full task ID or a prefix of it
+   * @returns Matching record, or undefined if none matches
+   * @throws Error if the prefix matches more than one task
+   */
+  get(id: string): TaskRecord | undefined {
+    const tasks = this._read();
+    const exact = tasks.find(task => task.id === id);
+    if (exact) {
+      return exact;
+    }
+    const matches = tasks.filter(task => task.id.startsWith(id));
+    if (matches.length > 1) {
+      throw new Error(`Task ID prefix "${id}" is ambiguous (${matches.length} matches)`);
+    }
+    return matches[0];
+  }
+
+  /**
+   * Record a newly submitted task, replacing any record with the same ID.
+   *
+   * @param record - Task record
+   */
+  add(record: TaskRecord): void {
+    const tasks = this._read().filter(task => task.id !== record.id);
+    tasks.push(record);
+    this._write(tasks);
+  }
+
+  /**
+   * Update fields of a recorded task.
+   *
+   * @param id - Full task ID
+   * @param changes - Fields to change
+   * @returns Updated record, or undefined if the task is not recorded
+   */
+  update(id: string, changes: Partial<Omit<TaskRecord, 'id'>>): TaskRecord | undefined {
+    const tasks = this._read();
+    const index = tasks.findIndex(task => task.id === id);
+    if (index === -1) {
+      return undefined;
+    }
+    tasks[index] = { ...tasks[index], ...changes };
+    this._write(tasks);
+    return tasks[index];
+  }
+
+  private _read(): TaskRecord[] {
+    try {
+      const data = JSON.parse(readFileSync(this.storePath, 'utf8')) as { tasks?: TaskRecord[] };
+      return Array.isArray(data.tasks) ? data.tasks : [];
+    } catch {
+      return [];
+    }
+  }
+
+  private _write(tasks: TaskRecord[]): void {
+    mkdirSync(dirname(this.storePath), { recursive: true });
+    writeFileSync(this.storePath, JSON.stringify({ tasks }, null, 2));
+  }
+}
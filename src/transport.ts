@@ -0,0 +1,164 @@
+/**
+ * HTTP Transports
+ *
+ * Adapters that let StabilityAPI send requests through something other than
+ * the bundled axios instance.
+ *
+ * @example
+ * import { StabilityAPI } from 'stability-ai-api';
+ *
+ * // A fetch-compatible function is wrapped automatically
+ * const api = new StabilityAPI({ apiKey: 'sk-xxxxx', httpClient: fetch });
+ */
+
+import { Readable } from 'stream';
+import { AxiosError, CanceledError } from 'axios';
+import type { AxiosResponse } from 'axios';
+import type { HttpClient, HttpRequestConfig, HttpResponse, FetchLike } from './types/index.js';
+
+/**
+ * Convert a request body into something fetch can send.
+ * Form bodies are read to the end, so files streamed into them are buffered.
+ *
+ * @param data - Request body (form-data instance, Buffer or string)
+ * @returns Body buffer, or undefined for bodiless requests
+ */
+async function toFetchBody(data: unknown): Promise<Buffer | undefined> {
+  if (data === undefined || data === null) {
+    return undefined;
+  }
+  if (Buffer.isBuffer(data)) {
+    return data;
+  }
+  const form = data as NodeJS.ReadableStream;
+  if (typeof form.pipe === 'function') {
+    return await new Promise<Buffer>((resolve, reject) => {
+      const chunks: Buffer[] = [];
+      form.on('data', (chunk: Buffer | string) => chunks.push(Buffer.from(chunk)));
+      form.on('end', () => resolve(Buffer.concat(chunks)));
+      form.on('error', reject);
+      form.resume();
+    });
+  }
+  return Buffer.from(String(data));
+}
+
+/**
+ * Decode a non-binary response body the way axios does.
+ *
+ * @param body - Raw response body
+ * @param contentType - Response content-type header
+ * @returns Parsed JSON, or the body as text
+ */
+function decodeBody(body: Buffer, contentType: string | undefined): unknown {
+  const text = body.toString('utf8');
+  if (contentType?.includes('application/json')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+  return text;
+}
+
+/**
+ * Wrap a fetch-compatible function as an HttpClient.
+ * Failures are raised as AxiosErrors so retries and error mapping behave
+ * exactly as they do with the default axios transport.
+ *
+ * @param fetchFn - fetch-compatible function (global fetch, undici, node-fetch)
+ * @returns HttpClient backed by fetchFn
+ *
+ * @example
+ * const api = new StabilityAPI({ httpClient: createFetchTransport(fetch) });
+ */
+export function createFetchTransport(fetchFn: FetchLike): HttpClient {
+  return {
+    async request(config: HttpRequestConfig): Promise<HttpResponse> {
+      // Combine the caller's signal with the request timeout
+      const controller = new AbortController();
+      let timedOut = false;
+      const timer = config.timeout > 0
+        ? setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, config.timeout)
+        : null;
+      const onAbort = () => controller.abort();
+      if (config.signal?.aborted) {
+        controller.abort();
+      }
+      config.signal?.addEventListener('abort', onAbort, { once: true });
+      let streaming = false;
+
+      let response: HttpResponse & { statusText: string };
+      try {
+        const body = await toFetchBody(config.data);
+        const res = await fetchFn(config.url, {
+          method: config.method,
+          headers: config.headers,
+          body,
+          signal: controller.signal,
+          redirect: config.maxRedirects > 0 ? 'follow' : 'error'
+        });
+        // fetch has no upload progress; report the whole body once it has been sent
+        if (body) {
+          config.onUploadProgress?.({ loaded: body.length, total: body.length });
+        }
+
+        const headers: Record<string, string> = {};
+        res.headers.forEach((value, key) => {
+          headers[key.toLowerCase()] = value;
+        });
+
+        if (config.responseType === 'stream' && res.status >= 200 && res.status < 300 && res.body) {
+          // Keep listening for aborts until the caller has read the body
+          const stream = Readable.fromWeb(res.body);
+          stream.once('close', () => config.signal?.removeEventListener('abort', onAbort));
+          streaming = true;
+          response = { status: res.status, statusText: res.statusText, headers, data: stream };
+        } else {
+          // Without a body stream, streamed requests get the bytes as one Buffer
+          const responseBody = Buffer.from(await res.arrayBuffer());
+          response = {
+            status: res.status,
+            statusText: res.statusText,
+            headers,
+            data: config.responseType ? responseBody : decodeBody(responseBody, headers['content-type'])
+          };
+        }
+      } catch (error) {
+        if (timedOut) {
+          throw new AxiosError(`timeout of ${config.timeout}ms exceeded`, AxiosError.ECONNABORTED);
+        }
+        if (config.signal?.aborted) {
+          throw new CanceledError('canceled');
+        }
+        // Keep the socket error (e.g. ECONNREFUSED) so retries can tell whether anything was sent
+        const networkError = new AxiosError((error as Error).message, AxiosError.ERR_NETWORK);
+        networkError.cause = error as Error;
+        throw networkError;
+      } finally {
+        if (timer) {
+          clearTimeout(timer);
+        }
+        if (!streaming) {
+          config.signal?.removeEventListener('abort', onAbort);
+        }
+      }
+
+      if (response.status < 200 || response.status >= 300) {
+        throw new AxiosError(
+          `Request failed with status code ${response.status}`,
+          response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+          undefined,
+          undefined,
+          response as unknown as AxiosResponse
+        );
+      }
+
+      return response;
+    }
+  };
+}
@@ -4,6 +4,9 @@
  * Comprehensive TypeScript types for the Stability AI API wrapper.
  */
 
+import type { Readable, Writable } from 'stream';
+import type { ReadableStream as WebReadableStream } from 'stream/web';
+
 // ==================== API CONFIGURATION TYPES ====================
 
 /**
@@ -14,8 +17,61 @@ export interface StabilityApiOptions {
   apiKey?: string;
   /** API base URL (default: https://api.stability.ai) */
   baseUrl?: string;
-  /** Logging level (debug, info, warn, error) */
+  /** Logging level (debug, info, warn, error). Ignored when a custom logger is given. */
   logLevel?: string;
+  /** Custom logger (default: the package's winston logger) */
+  logger?: Logger;
+  /** HTTP transport: an axios instance, any `{ request(config) }` client, or a fetch-compatible function */
+  httpClient?: HttpClient | FetchLike;
+  /** Default HTTP timeout for each request attempt in milliseconds (default: 30000) */
+  timeoutMs?: number;
+  /** Allow plain HTTP for localhost base URLs (e.g. a local mock server) */
+  allowInsecureLocalhost?: boolean;
+  /** Overrides for the retry policy */
+  retry?: Partial<RetryOptions>;
+  /** Credit budget; calls that would exceed it are refused before being sent */
+  budget?: BudgetOptions;
+  /** Serve repeated deterministic calls from a response cache (true: filesystem cache with defaults) */
+  cache?: boolean | CacheOptions;
+  /** How input images outside an endpoint's pixel or aspect-ratio limits are handled (default: 'error') */
+  inputFit?: InputFit;
+  /** Called with every progress event (same events as `api.on(...)`) */
+  onProgress?: (event: ProgressEvent) => void;
+}
+
+/**
+ * Minimal logger interface used by StabilityAPI (winston-compatible).
+ */
+export interface Logger {
+  debug(message: string): void;
+  info(message: string): void;
+  warn(message: string): void;
+  error(message: string): void;
+}
+
+/**
+ * Retry policy for transient API failures.
+ */
+export interface RetryOptions {
+  /** Number of retries after the first attempt (0 disables retrying) */
+  maxRetries: number;
+  /** Delay before the first retry in milliseconds (doubles on each retry) */
+  baseDelayMs: number;
+  /** Upper bound for any single delay in milliseconds (also caps Retry-After) */
+  maxDelayMs: number;
+  /** Randomize delays to avoid synchronized retries from many clients */
+  jitter: boolean;
+  /** HTTP status codes that are considered transient */
+  retryableStatuses: number[];
+  /** Retry on connection errors (reset, refused, DNS failure, timeout) */
+  retryOnNetworkError: boolean;
+  /**
+   * Also retry POSTs on 5xx responses, timeouts and resets (default: false).
+   * The server may already have run, and billed, the request, so a retry can
+   * pay for the same generation twice. POSTs are otherwise retried only on
+   * 429 and on errors raised before the request was sent.
+   */
+  retryPosts: boolean;
 }
 
 // ==================== MODEL ENDPOINT TYPES ====================
@@ -29,6 +85,7 @@ export type ModelEndpointKey =
   | 'sd3-large'
   | 'sd3-medium'
   | 'sd3-large-turbo'
+  | 'sd3-flash'
   | 'upscale-fast'
   | 'upscale-conservative'
   | 'upscale-creative'
@@ -67,6 +124,167 @@ export type ControlEndpoints = {
   [K in ControlEndpointKey]: string;
 };
 
+/**
+ * 3D endpoint keys (image-to-3D models).
+ */
+export type ThreeDEndpointKey =
+  | 'stable-fast-3d'
+  | 'stable-point-aware-3d';
+
+export type ThreeDEndpoints = {
+  [K in ThreeDEndpointKey]: string;
+};
+
+/**
+ * Audio endpoint keys (Stable Audio 2).
+ */
+export type AudioEndpointKey =
+  | 'text-to-audio'
+  | 'audio-to-audio';
+
+export type AudioEndpoints = {
+  [K in AudioEndpointKey]: string;
+};
+
+/**
+ * Video endpoint keys (Stable Video Diffusion).
+ */
+export type VideoEndpointKey = 'image-to-video';
+
+export type VideoEndpoints = {
+  [K in VideoEndpointKey]: string;
+};
+
+// ==================== CREDIT TYPES ====================
+
+/**
+ * Credit cost per call, keyed like the endpoint tables.
+ */
+export type ModelCredits = {
+  [K in Exclude<ModelEndpointKey, 'results'>]: number;
+};
+
+export type EditCredits = {
+  [K in EditEndpointKey]: number;
+};
+
+export type ControlCredits = {
+  [K in ControlEndpointKey]: number;
+};
+
+export type ThreeDCredits = {
+  [K in ThreeDEndpointKey]: number;
+};
+
+export type AudioCredits = {
+  [K in AudioEndpointKey]: number;
+};
+
+export type VideoCredits = {
+  [K in VideoEndpointKey]: number;
+};
+
+/**
+ * Credit budget enforced by a StabilityAPI client.
+ */
+export interface BudgetOptions {
+  /** Maximum credits this client instance may spend */
+  session?: number;
+  /** Maximum credits per calendar day, shared across processes through the ledger file */
+  daily?: number;
+  /** Batches estimated at or above this many credits check the account balance first (default: 50) */
+  balanceCheckThreshold?: number;
+  /** Daily spend ledger (default: ~/.stability/usage.json) */
+  ledgerPath?: string;
+}
+
+/**
+ * Planned call for a batch budget check.
+ */
+export interface PlannedCall {
+  /** Operation key (e.g. 'stable-image-core', 'sd3', 'erase', 'sketch') */
+  operation: string;
+  /** Call parameters (only `model` affects SD3 pricing) */
+  params?: Record<string, unknown>;
+}
+
+/**
+ * Result of a batch budget check.
+ */
+export interface BudgetCheckResult {
+  /** Estimated credits for the whole batch */
+  estimatedCredits: number;
+  /** Account balance, when it was checked */
+  balance: number | null;
+}
+
+// ==================== RESPONSE CACHE TYPES ====================
+
+/**
+ * Response cache settings for a StabilityAPI client.
+ * `dir`, `ttlMs` and `maxBytes` configure the default filesystem store and
+ * are ignored when a custom `store` is given.
+ */
+export interface CacheOptions {
+  /** Storage backend (default: a FileCacheStore) */
+  store?: CacheStore;
+  /** Cache directory (default: STABILITY_CACHE_DIR or ~/.stability/cache) */
+  dir?: string;
+  /** Entries older than this are discarded, in milliseconds (default: 7 days) */
+  ttlMs?: number;
+  /** Least recently used entries are evicted above this total size (default: 500 MB) */
+  maxBytes?: number;
+}
+
+/**
+ * Cached image response.
+ */
+export interface CacheEntry {
+  image: Buffer;
+  seed?: string;
+  finish_reason?: string;
+  /** API endpoint path that produced the image */
+  endpoint: string;
+  /** Estimated credits the original call cost */
+  credits: number;
+  /** ISO timestamp of the original call */
+  createdAt: string;
+  /** ISO timestamp of the last hit */
+  lastUsedAt: string;
+  /** Times the entry was served instead of calling the API */
+  hits: number;
+}
+
+/**
+ * Cache contents summary.
+ */
+export interface CacheStats {
+  entries: number;
+  /** Total image bytes stored */
+  bytes: number;
+  /** Hits across all entries */
+  hits: number;
+  /** Estimated credits not spent thanks to hits */
+  creditsSaved: number;
+  /** Where the entries live (directory for the filesystem store) */
+  location: string;
+}
+
+/**
+ * Storage backend for the response cache. Stores enforce their own TTL and
+ * size limits; get() counts a hit.
+ */
+export interface CacheStore {
+  /** Look up an entry, counting a hit; undefined if missing or expired */
+  get(key: string): Promise<CacheEntry | undefined>;
+  /** Store an entry, evicting others if the size limit is exceeded */
+  set(key: string, entry: CacheEntry): Promise<void>;
+  /** Remove every entry, returning how many were removed */
+  clear(): Promise<number>;
+  /** Summarize the stored entries */
+  stats(): Promise<CacheStats>;
+}
+
 // ==================== MODEL CONSTRAINT TYPES ====================
 
 /**
@@ -86,6 +304,49 @@ export interface PixelConstraint {
   max: number;
 }
 
+/**
+ * Handling of input images outside an endpoint's limits:
+ * - 'error': refuse the call before uploading
+ * - 'downscale': shrink images over the pixel limit (aspect-ratio problems still fail)
+ * - 'pad': pad to the nearest allowed aspect ratio, then shrink if needed
+ * - 'crop': centre-crop to the nearest allowed aspect ratio, then shrink if needed
+ */
+export type InputFit = 'error' | 'downscale' | 'pad' | 'crop';
+
+/**
+ * Input image limits enforced before upload.
+ */
+export interface ImageFitConstraints {
+  pixels?: PixelConstraint;
+  /** Width/height must lie between 1:2.5 and 2.5:1 */
+  requiresAspectRatio?: boolean;
+}
+
+/**
+ * Image properties read from a file header without decoding pixels.
+ */
+export interface ImageInfo {
+  format: 'png' | 'jpeg' | 'webp' | 'gif';
+  width: number;
+  height: number;
+  /** Colour model, e.g. 'rgb', 'rgba', 'grayscale', 'indexed', 'ycbcr', 'cmyk' */
+  colorType: string;
+  /** Whether the image has an alpha channel or transparency */
+  hasAlpha: boolean;
+  /** Whether the image has more than one frame (APNG, animated WebP or GIF) */
+  animated: boolean;
+}
+
+/**
+ * What input preprocessing changed in an image.
+ */
+export interface ImageFitReport {
+  from: { width: number; height: number };
+  to: { width: number; height: number };
+  /** Human-readable steps, e.g. "downscaled 4000x3000 to 2365x1774" */
+  changes: string[];
+}
+
 /**
  * Constraints for a specific model.
  */
@@ -96,8 +357,15 @@ export interface ModelConstraint {
   seed?: RangeConstraint;
   strength?: RangeConstraint;
   creativity?: RangeConstraint;
+  /** cfg_scale range per model variant */
+  cfg_scale?: Record<string, RangeConstraint>;
   models?: string[];
   stylePresets?: string[];
+  /** Input image pixel count limits (upscalers) */
+  pixels?: PixelConstraint;
+  requiresAspectRatio?: boolean;
+  /** Output size: a fixed scale factor, or a total pixel count the output is scaled to */
+  output?: { scale: number } | { pixels: number };
 }
 
 /**
@@ -138,6 +406,45 @@ export interface ControlConstraint {
   requiresAspectRatio?: boolean;
 }
 
+/**
+ * Constraints for 3D operations.
+ */
+export interface ThreeDConstraint {
+  textureResolutions: number[];
+  foreground_ratio: RangeConstraint;
+  remeshModes: string[];
+  vertex_count: RangeConstraint;
+  guidance_scale?: RangeConstraint;
+  seed?: RangeConstraint;
+  pixels: PixelConstraint;
+}
+
+/**
+ * Constraints for audio operations.
+ */
+export interface AudioConstraint {
+  promptMaxLength: number;
+  /** Length of the generated audio in seconds */
+  duration: RangeConstraint;
+  steps: RangeConstraint;
+  cfg_scale: RangeConstraint;
+  /** How much audio-to-audio changes the input */
+  strength?: RangeConstraint;
+  seed: RangeConstraint;
+  outputFormats: string[];
+}
+
+/**
+ * Constraints for video operations.
+ */
+export interface VideoConstraint {
+  /** Accepted input image sizes, as 'WIDTHxHEIGHT' */
+  dimensions: string[];
+  cfg_scale: RangeConstraint;
+  motion_bucket_id: RangeConstraint;
+  seed: RangeConstraint;
+}
+
 /**
  * All model constraints mapped by model key.
  */
@@ -159,8 +466,40 @@ export type ControlConstraints = {
   [key: string]: ControlConstraint;
 };
 
+/**
+ * All 3D constraints mapped by model key.
+ */
+export type ThreeDConstraints = {
+  [key: string]: ThreeDConstraint;
+};
+
+/**
+ * All audio constraints mapped by operation key.
+ */
+export type AudioConstraints = {
+  [key: string]: AudioConstraint;
+};
+
+/**
+ * All video constraints mapped by operation key.
+ */
+export type VideoConstraints = {
+  [key: string]: VideoConstraint;
+};
+
 // ==================== GENERATION PARAMETER TYPES ====================
 
+/**
+ * Image accepted by every image parameter: a local path or HTTPS URL, raw
+ * bytes, a readable stream or a Blob. The upload's filename extension and
+ * content-type come from the bytes, not from the path.
+ *
+ * Streams and Blobs are read fully into memory before the request is sent,
+ * whatever the retry settings, so that they can be validated and resent. Pass
+ * a local path to stream a large file from disk instead.
+ */
+export type ImageInput = string | Buffer | Uint8Array | Readable | Blob;
+
 /**
  * Base parameters common to generation methods.
  */
@@ -181,8 +520,8 @@ export interface BaseGenerationParams {
  * Parameters for Stable Image Ultra generation.
  */
 export interface UltraParams extends BaseGenerationParams {
-  /** Input image for image-to-image (file path or URL) */
-  image?: string;
+  /** Input image for image-to-image */
+  image?: ImageInput;
   /** Strength for image-to-image (0-1) */
   strength?: number;
 }
@@ -197,10 +536,20 @@ export interface CoreParams extends BaseGenerationParams {
 
 /**
  * Parameters for SD3 generation.
+ * Passing `image` switches to image-to-image, which needs `strength` and
+ * ignores `aspect_ratio` (the output keeps the input's shape).
  */
 export interface SD3Params extends BaseGenerationParams {
-  /** Model variant: sd3.5-large, sd3.5-medium, sd3.5-large-turbo */
+  /** Model variant: sd3.5-large, sd3.5-large-turbo, sd3.5-medium, sd3.5-flash */
   model?: string;
+  /** Input image for image-to-image */
+  image?: ImageInput;
+  /** How much the input image changes in image-to-image (0-1, required with image) */
+  strength?: number;
+  /** Prompt adherence (1-10; 1-2 for turbo and flash). Defaults to 4, or 1 for turbo and flash */
+  cfg_scale?: number;
+  /** Style preset (photographic, anime, etc.) */
+  style_preset?: string;
 }
 
 // ==================== UPSCALE PARAMETER TYPES ====================
@@ -217,20 +566,44 @@ export interface UpscaleParams {
   seed?: number;
   /** Output format */
   output_format?: string;
-  /** Creativity level for creative upscale (0.1-0.5) */
+  /** Creativity level: 0.2-0.5 for conservative, 0.1-0.5 for creative upscale */
   creativity?: number;
+  /** Style preset (creative upscale only) */
+  style_preset?: string;
   /** Wait for async result */
   wait?: boolean;
 }
 
+/**
+ * Parameters for fast upscale.
+ */
+export interface UpscaleFastParams {
+  /** Output format */
+  output_format?: string;
+}
+
+/**
+ * Upscaler model keys.
+ */
+export type UpscaleModel = 'upscale-fast' | 'upscale-conservative' | 'upscale-creative';
+
+/**
+ * Upscaler chosen for a target width, with the output size it produces.
+ */
+export interface UpscalePlan {
+  model: UpscaleModel;
+  width: number;
+  height: number;
+}
+
 // ==================== EDIT PARAMETER TYPES ====================
 
 /**
  * Parameters for erase operation.
  */
 export interface EraseParams {
-  /** Mask image path (white=erase) */
-  mask?: string;
+  /** Mask image (white=erase), e.g. from createMask() */
+  mask?: ImageInput;
   /** Pixels to grow mask edges (0-20) */
   grow_mask?: number;
   /** Random seed */
@@ -243,8 +616,8 @@ export interface EraseParams {
  * Parameters for inpaint operation.
  */
 export interface InpaintParams {
-  /** Mask image path (white=inpaint) */
-  mask?: string;
+  /** Mask image (white=inpaint), e.g. from createMask() */
+  mask?: ImageInput;
   /** Negative prompt */
   negative_prompt?: string;
   /** Pixels to grow mask edges (0-100) */
@@ -328,7 +701,7 @@ export interface ReplaceBackgroundParams {
   /** Description of desired background */
   background_prompt?: string;
   /** Reference image for background style */
-  background_reference?: string;
+  background_reference?: ImageInput;
   /** Description of subject */
   foreground_prompt?: string;
   /** Negative prompt */
@@ -342,7 +715,7 @@ export interface ReplaceBackgroundParams {
   /** Direction of light */
   light_source_direction?: 'left' | 'right' | 'above' | 'below';
   /** Reference image for lighting */
-  light_reference?: string;
+  light_reference?: ImageInput;
   /** Light intensity (0-1) */
   light_source_strength?: number;
   /** Random seed */
@@ -425,6 +798,77 @@ export interface ControlStyleTransferParams {
   output_format?: string;
 }
 
+// ==================== 3D PARAMETER TYPES ====================
+
+/**
+ * Parameters for image-to-3D generation.
+ */
+export interface ThreeDParams {
+  /** 'stable-fast-3d' (default) or 'stable-point-aware-3d' (SPAR3D) */
+  model?: ThreeDEndpointKey;
+  /** Texture size in pixels: 512, 1024 or 2048 (default: 1024) */
+  texture_resolution?: number;
+  /** Share of the frame the subject fills (0.1-1 for Fast 3D, default 0.85; 1-2 for SPAR3D, default 1.3) */
+  foreground_ratio?: number;
+  /** Remeshing: 'none' (default), 'triangle' or 'quad' */
+  remesh?: string;
+  /** Target vertex count (-1 for no limit with Fast 3D; 100-20000 for SPAR3D) */
+  vertex_count?: number;
+  /** Point cloud guidance (1-10, SPAR3D only) */
+  guidance_scale?: number;
+  /** Random seed (SPAR3D only) */
+  seed?: number;
+}
+
+// ==================== AUDIO PARAMETER TYPES ====================
+
+/**
+ * Audio file formats Stable Audio reads and writes.
+ */
+export type AudioFormat = 'mp3' | 'wav';
+
+/**
+ * Parameters for text-to-audio generation.
+ */
+export interface AudioParams {
+  /** What to generate (required) */
+  prompt: string;
+  /** Length in seconds (1-190, default: 190) */
+  duration?: number;
+  /** Sampling steps (30-100, default: 50) */
+  steps?: number;
+  /** How strictly to follow the prompt (1-25, default: 7) */
+  cfg_scale?: number;
+  /** Random seed (0 for random) */
+  seed?: number;
+  /** Output format (default: mp3) */
+  output_format?: AudioFormat;
+}
+
+/**
+ * Parameters for audio-to-audio generation.
+ */
+export interface AudioToAudioParams extends AudioParams {
+  /** How much the input audio changes (0-1, default: 1) */
+  strength?: number;
+}
+
+// ==================== VIDEO PARAMETER TYPES ====================
+
+/**
+ * Parameters for image-to-video generation.
+ */
+export interface VideoParams {
+  /** Random seed (0 for random) */
+  seed?: number;
+  /** How strongly the video sticks to the input image (0-10, default: 1.8) */
+  cfg_scale?: number;
+  /** Amount of motion (1-255, default: 127); higher values move more */
+  motion_bucket_id?: number;
+  /** Wait for the video (default: true); false returns the task ID */
+  wait?: boolean;
+}
+
 // ==================== RESPONSE TYPES ====================
 
 /**
@@ -439,6 +883,89 @@ export interface ImageResult {
   seed?: string;
 }
 
+/**
+ * Result from image-to-3D generation.
+ */
+export interface Model3DResult {
+  /** Binary glTF (GLB) data */
+  glb: Buffer;
+  /** Response content-type (model/gltf-binary) */
+  contentType?: string;
+  /** Finish reason */
+  finish_reason?: string;
+  /** Seed used */
+  seed?: string;
+}
+
+/**
+ * Result from audio generation.
+ */
+export interface AudioResult {
+  /** Generated audio data (MP3 or WAV) */
+  audio: Buffer;
+  /** Response content-type (audio/mpeg or audio/wav) */
+  contentType?: string;
+  /** Finish reason */
+  finish_reason?: string;
+  /** Seed used */
+  seed?: string;
+}
+
+/**
+ * Result from image-to-video generation.
+ */
+export interface VideoResult {
+  /** Generated video data (MP4) */
+  video: Buffer;
+  /** Response content-type (video/mp4) */
+  contentType?: string;
+  /** Finish reason */
+  finish_reason?: string;
+  /** Seed used */
+  seed?: string;
+}
+
+/**
+ * Result of an image request made with `responseMode: 'stream'`.
+ * The body has not been read yet; consume `stream` promptly.
+ */
+export interface ImageStreamResult {
+  /** Image bytes as they arrive from the API */
+  stream: Readable;
+  /** Response content-type (e.g. image/png) */
+  contentType?: string;
+  /** Finish reason */
+  finish_reason?: string;
+  /** Seed used */
+  seed?: string;
+}
+
+/**
+ * Result of an image request made with a `destination`, once every byte has been written.
+ */
+export interface ImageFileResult {
+  /** Bytes written */
+  bytes: number;
+  /** File written, when the destination was a path */
+  path?: string;
+  /** Response content-type (e.g. image/png) */
+  contentType?: string;
+  /** Finish reason */
+  finish_reason?: string;
+  /** Seed used */
+  seed?: string;
+}
+
+/**
+ * Result type for the given request options: written to a destination,
+ * streamed, or buffered as `B` (an ImageResult unless the endpoint returns
+ * another kind of file).
+ */
+export type ImageResponse<O extends RequestOptions = RequestOptions, B = ImageResult> =
+  O extends { destination: string | Writable } ? ImageFileResult
+    : O extends { responseMode: 'stream' } ? ImageStreamResult
+      : B;
+
 /**
  * Task result from async operation.
  */
@@ -465,17 +992,148 @@ export interface ValidationResult {
   errors: string[];
 }
 
+// ==================== REQUEST OPTIONS ====================
+
+/**
+ * Per-call options accepted by every StabilityAPI method.
+ */
+export interface RequestOptions {
+  /** Cancels the request, including image downloads, retries and result polling */
+  signal?: AbortSignal;
+  /** HTTP timeout for each request attempt in milliseconds (default: 30000) */
+  timeoutMs?: number;
+  /** Overrides the client's `inputFit` for this call */
+  inputFit?: InputFit;
+  /**
+   * 'stream' returns image responses as a Readable instead of a Buffer (default: 'buffer').
+   * Streamed calls bypass the response cache.
+   */
+  responseMode?: ResponseMode;
+  /**
+   * File path or writable stream to pipe image responses into as they download.
+   * Implies streaming; the call resolves once every byte has been written.
+   */
+  destination?: string | Writable;
+}
+
+/**
+ * How image responses are returned.
+ */
+export type ResponseMode = 'buffer' | 'stream';
+
+// ==================== PROGRESS EVENT TYPES ====================
+
+/**
+ * Emitted when an input image was resized, padded or cropped to fit an endpoint's limits.
+ */
+export interface InputFitEvent extends ImageFitReport {
+  endpoint: string;
+  /** Form field of the image (image, mask, init_image, ...) */
+  field: string;
+}
+
+/**
+ * Emitted before each HTTP request attempt.
+ */
+export interface RequestStartEvent {
+  method: string;
+  endpoint: string;
+  /** 1 for the first attempt, 2 for the first retry, ... */
+  attempt: number;
+}
+
+/**
+ * Emitted as a request body is uploaded.
+ */
+export interface UploadProgressEvent {
+  endpoint: string;
+  bytesSent: number;
+  /** Total body size, when known */
+  totalBytes?: number;
+}
+
+/**
+ * Emitted when an async operation returns a task ID.
+ */
+export interface TaskSubmittedEvent {
+  taskId: string;
+  endpoint: string;
+}
+
+/**
+ * Emitted before each result poll in waitForResult().
+ */
+export interface TaskPollEvent {
+  taskId: string;
+  /** 1-based poll number */
+  attempt: number;
+  elapsedMs: number;
+  /** Polling deadline in milliseconds */
+  timeoutMs: number;
+}
+
+/**
+ * Emitted when waitForResult() receives the finished result.
+ */
+export interface TaskCompleteEvent {
+  taskId: string;
+  /** Number of polls it took */
+  attempts: number;
+  elapsedMs: number;
+}
+
+/**
+ * Emitted when a request attempt fails.
+ */
+export interface RequestErrorEvent {
+  method: string;
+  endpoint: string;
+  attempt: number;
+  /** Typed error for the failed attempt */
+  error: Error;
+  /** Whether the request will be retried */
+  willRetry: boolean;
+}
+
+/**
+ * Events emitted by StabilityAPI, keyed by name.
+ */
+export interface StabilityEventMap {
+  'request:start': [RequestStartEvent];
+  'upload:progress': [UploadProgressEvent];
+  'task:submitted': [TaskSubmittedEvent];
+  'task:poll': [TaskPollEvent];
+  'task:complete': [TaskCompleteEvent];
+  'request:error': [RequestErrorEvent];
+  'input:fit': [InputFitEvent];
+}
+
+/**
+ * Any progress event, tagged with its name (passed to the `onProgress` option).
+ */
+export type ProgressEvent = {
+  [K in keyof StabilityEventMap]: { type: K } & StabilityEventMap[K][0];
+}[keyof StabilityEventMap];
+
 // ==================== POLLING OPTIONS ====================
 
+/**
+ * Options for getResult.
+ */
+export interface ResultOptions extends RequestOptions {
+  /** Results endpoint to poll (default: '/v2beta/results'; image-to-video tasks use '/v2beta/image-to-video/result') */
+  resultsEndpoint?: string;
+}
+
 /**
  * Options for waitForResult polling.
  */
-export interface WaitResultOptions {
+export interface WaitResultOptions extends ResultOptions {
   /** Seconds between polls */
   pollInterval?: number;
   /** Maximum wait time in seconds */
   timeout?: number;
-  /** Show animated spinner */
+  /** Show an animated terminal spinner (default: false) */
   showSpinner?: boolean;
 }
 
@@ -499,8 +1157,10 @@ export interface SpinnerObject {
 export interface ImageValidationConstraints {
   /** Maximum file size in bytes */
   maxSize?: number;
-  /** Allowed file formats (e.g., ['png', 'jpg', 'jpeg']) */
+  /** Allowed file formats, matched against the file contents (e.g., ['png', 'jpg', 'jpeg']) */
   formats?: string[];
+  /** Allowed width x height range */
+  pixels?: PixelConstraint;
 }
 
 /**
@@ -511,6 +1171,8 @@ export interface ImageFileValidationResult {
   valid: boolean;
   /** Array of error messages */
   errors: string[];
+  /** Header information, when the header could be read */
+  info?: ImageInfo;
 }
 
 /**
@@ -525,11 +1187,416 @@ export type FileFormat = 'json' | 'txt' | 'binary' | 'auto';
  */
 export type HttpMethod = 'GET' | 'POST';
 
+/**
+ * Multipart request body, kept as plain data so it can be rebuilt with
+ * buildFormData() for every attempt (a sent FormData stream cannot be resent).
+ */
+export interface FormDataSource {
+  /** Text fields */
+  params: Record<string, unknown>;
+  /** File fields { fieldName: image }; streams and Blobs are read into Buffers before the first attempt */
+  files?: Record<string, ImageInput | undefined>;
+}
+
+/**
+ * Input image limits applied by buildFormData() before files are appended.
+ */
+export interface FormDataFitOptions {
+  /** How images outside the limits are handled */
+  mode: InputFit;
+  /** Pixel and aspect-ratio limits of the endpoint */
+  constraints: ImageFitConstraints;
+  /** Called for each image that was changed */
+  onFit?: (field: string, report: ImageFitReport) => void;
+}
+
+/**
+ * Request config passed to an HTTP transport (a subset of AxiosRequestConfig).
+ */
+export interface HttpRequestConfig {
+  method: string;
+  url: string;
+  headers: Record<string, string>;
+  /** Timeout in milliseconds */
+  timeout: number;
+  maxRedirects: number;
+  signal?: AbortSignal;
+  /** Request body (a form-data instance for multipart requests) */
+  data?: unknown;
+  /** 'arraybuffer' when the caller expects binary data, 'stream' to read it as it arrives */
+  responseType?: 'arraybuffer' | 'stream';
+  /** Called as the request body is sent */
+  onUploadProgress?: (progress: { loaded: number; total?: number }) => void;
+}
+
+/**
+ * Response returned by an HTTP transport.
+ */
+export interface HttpResponse {
+  status: number;
+  headers: Record<string, unknown>;
+  data: unknown;
+}
+
+/**
+ * HTTP transport used by StabilityAPI. An axios instance satisfies this interface.
+ * Non-2xx responses must reject with an AxiosError carrying the response.
+ */
+export interface HttpClient {
+  request(config: HttpRequestConfig): Promise<HttpResponse>;
+}
+
+/**
+ * Fetch-compatible function (global fetch, undici, node-fetch, ...).
+ */
+export type FetchLike = (url: string, init: {
+  method: string;
+  headers: Record<string, string>;
+  body?: Buffer;
+  signal: AbortSignal;
+  redirect: 'follow' | 'error';
+}) => Promise<{
+  status: number;
+  statusText: string;
+  headers: { forEach(callback: (value: string, key: string) => void): void };
+  arrayBuffer(): Promise<ArrayBuffer>;
+  /** Body stream, used for streamed responses when available */
+  body?: WebReadableStream<Uint8Array> | null;
+}>;
+
 /**
  * Axios error response data shape.
  */
 export interface ErrorResponseData {
+  /** Request ID assigned by Stability AI */
+  id?: string;
+  /** Error name (e.g., 'bad_request', 'content_moderation') */
+  name?: string;
   errors?: string[];
   error?: string;
   message?: string;
 }
+
+// ==================== BATCH TYPES ====================
+
+/**
+ * One job in a batch manifest.
+ */
+export interface BatchJob {
+  /** Stable job ID used for resume (derived from operation and params if omitted) */
+  id?: string;
+  /** Operation key (e.g. 'stable-image-core', 'sd3', 'upscale-fast', 'erase', 'sketch') */
+  operation: string;
+  /** Operation parameters, including input images (`image`, `init_image`, `style_image`) */
+  params?: Record<string, unknown>;
+}
+
+/**
+ * Recorded outcome of a batch job.
+ */
+export interface BatchJobState {
+  id: string;
+  operation: string;
+  status: 'succeeded' | 'failed';
+  /** Estimated credits spent (0 for failed jobs) */
+  credits: number;
+  /** Saved image path (successful jobs) */
+  output?: string;
+  /** Seed reported by the API (successful jobs) */
+  seed?: string;
+  /** Error message (failed jobs) */
+  error?: string;
+  /** ISO timestamp of completion */
+  finishedAt: string;
+}
+
+/**
+ * Batch state file contents.
+ */
+export interface BatchState {
+  jobs: Record<string, BatchJobState>;
+}
+
+/**
+ * Batch runner options.
+ */
+export interface BatchOptions {
+  /** Maximum jobs in flight at once (default: 2) */
+  concurrency?: number;
+  /** Where images and metadata are written (default: getOutputDir()) */
+  outputDir?: string;
+  /** State file used to skip completed jobs on re-run (none if omitted) */
+  statePath?: string;
+  /** Summary report path (none if omitted) */
+  reportPath?: string;
+  /** Seconds between result polls for async operations */
+  pollInterval?: number;
+  /** Stops scheduling new jobs and cancels in-flight requests */
+  signal?: AbortSignal;
+  /** Called after each job finishes */
+  onJobComplete?: (state: BatchJobState) => void;
+}
+
+/**
+ * Summary of a batch run.
+ */
+export interface BatchSummary {
+  total: number;
+  succeeded: number;
+  failed: number;
+  /** Jobs skipped because a previous run completed them */
+  skipped: number;
+  /** Estimated credits spent by this run */
+  credits: number;
+  durationMs: number;
+  /** Outcome of every job run or skipped, in manifest order */
+  jobs: BatchJobState[];
+}
+
+// ==================== TASK STORE TYPES ====================
+
+/**
+ * Async task recorded in the local task store.
+ */
+export interface TaskRecord {
+  /** Task ID returned by the API */
+  id: string;
+  /** Operation key (e.g. 'upscale-creative', 'replace-background-and-relight') */
+  operation: string;
+  /** Request parameters (input images as given, not their contents) */
+  params: Record<string, unknown>;
+  /** ISO timestamp of submission */
+  submittedAt: string;
+  /** Output subdirectory the result is saved under (e.g. 'upscale-creative') */
+  model: string;
+  /** Base output directory chosen at submission (default output dir if omitted) */
+  outputDir?: string;
+  /** Text used to name the output file */
+  outputName: string;
+  status: 'pending' | 'completed' | 'failed';
+  /** ISO timestamp of completion or failure */
+  completedAt?: string;
+  /** Saved image path (completed tasks) */
+  output?: string;
+  /** Error message (failed tasks) */
+  error?: string;
+}
+
+// ==================== IMAGE METADATA TYPES ====================
+
+/**
+ * Generation metadata embedded in saved images.
+ */
+export interface ImageMetadata {
+  /** Model or operation that produced the image (e.g. 'stable-image-ultra', 'edit-inpaint') */
+  model: string;
+  /** ISO timestamp of generation */
+  timestamp: string;
+  prompt?: string;
+  negative_prompt?: string;
+  seed?: string;
+  finish_reason?: string;
+  /** Request parameters (input images as given, not their contents) */
+  parameters: Record<string, unknown>;
+}
+
+// ==================== RERUN TYPES ====================
+
+/**
+ * Options for planRerun().
+ */
+export interface RerunOptions {
+  /** Parameters to change; a key set to undefined is removed */
+  overrides?: Record<string, unknown>;
+  /** Drop the recorded seed so the API picks a new one */
+  newSeed?: boolean;
+}
+
+/**
+ * Operation call rebuilt from saved metadata.
+ */
+export interface RerunPlan {
+  /** Operation key for runOperation() */
+  operation: string;
+  params: Record<string, unknown>;
+}
+
+// ==================== EXPLORE TYPES ====================
+
+/**
+ * Values to sweep for one parameter: an explicit list, or an inclusive
+ * numeric range walked in `step` increments.
+ */
+export type ExploreAxis = Array<string | number | boolean> | { min: number; max: number; step: number };
+
+/**
+ * Parameters to sweep, by parameter name (e.g. { strength: { min: 0.2, max: 0.8, step: 0.2 }, style_preset: ['anime', 'photographic'] }).
+ */
+export type ExploreGrid = Record<string, ExploreAxis>;
+
+/**
+ * Options for explore().
+ */
+export interface ExploreOptions {
+  /** Random seeds to try for every parameter combination */
+  seeds?: number;
+  /** Refuse grids estimated above this many credits (default: 100) */
+  maxCredits?: number;
+  /** Base output directory; results go to a new folder under `<outputDir>/explore` (default: getOutputDir()) */
+  outputDir?: string;
+  /** Maximum calls in flight at once (default: 2) */
+  concurrency?: number;
+  /** Seconds between result polls for async operations */
+  pollInterval?: number;
+  /** Stops scheduling new cells and cancels in-flight requests */
+  signal?: AbortSignal;
+  /** Called after each cell finishes */
+  onCellComplete?: (cell: ExploreCell) => void;
+}
+
+/**
+ * One parameter combination of an exploration.
+ */
+export interface ExploreCell {
+  /** Cell ID, also the output file name (e.g. 'cell-003') */
+  id: string;
+  /** Swept parameter values for this cell, including the seed when swept */
+  values: Record<string, unknown>;
+  /** Full call parameters */
+  params: Record<string, unknown>;
+  status?: 'succeeded' | 'failed';
+  /** Saved image path (succeeded cells) */
+  output?: string;
+  /** Seed reported by the API */
+  seed?: string;
+  /** Error message (failed cells) */
+  error?: string;
+}
+
+/**
+ * Expanded exploration, before any call is made.
+ */
+export interface ExplorePlan {
+  operation: string;
+  cells: ExploreCell[];
+  /** Estimated credits for every cell */
+  credits: number;
+}
+
+/**
+ * Outcome of explore().
+ */
+export interface ExploreResult extends ExplorePlan {
+  /** Folder holding the images, report and contact sheet */
+  directory: string;
+  /** Path of the HTML contact sheet */
+  contactSheet: string;
+  succeeded: number;
+  failed: number;
+}
+
+// ==================== PIPELINE TYPES ====================
+
+/**
+ * One step of a pipeline. Every step after the first receives the previous
+ * step's image as its input image (`init_image` for style-transfer).
+ */
+export interface PipelineStep {
+  /** Step ID, used in provenance and intermediate file names (default: '<n>-<operation>') */
+  id?: string;
+  /** Operation key (e.g. 'stable-image-core', 'search-and-replace', 'upscale-conservative') */
+  operation: string;
+  /** Operation parameters; the first step supplies its own input image, if it takes one */
+  params?: Record<string, unknown>;
+}
+
+/**
+ * Pipeline definition as loaded from a recipe file.
+ */
+export interface PipelineRecipe {
+  /** Recipe name, used for the output folder (default: the recipe file name) */
+  name?: string;
+  steps: PipelineStep[];
+}
+
+/**
+ * Options for pipeline().
+ */
+export interface PipelineOptions {
+  /** Recipe name recorded in the provenance */
+  name?: string;
+  /** Keep each step's image on its step record (and save it when outputDir is set) */
+  keepIntermediates?: boolean;
+  /** Save the final image and provenance to a new folder under `<outputDir>/pipeline` */
+  outputDir?: string;
+  /** Seconds between result polls for async operations */
+  pollInterval?: number;
+  /** Stops the pipeline and cancels the in-flight request */
+  signal?: AbortSignal;
+  /** Called after each step finishes */
+  onStepComplete?: (step: PipelineStepRecord) => void;
+}
+
+/**
+ * Record of one finished pipeline step.
+ */
+export interface PipelineStepRecord {
+  id: string;
+  operation: string;
+  /** Call parameters, with the chained input recorded as '<output of step-id>' */
+  parameters: Record<string, unknown>;
+  seed?: string;
+  finish_reason?: string;
+  /** Estimated credits for the step */
+  credits: number;
+  durationMs: number;
+  /** Step output (only with keepIntermediates) */
+  image?: Buffer;
+  /** Saved intermediate image path (only with keepIntermediates and outputDir) */
+  output?: string;
+}
+
+/**
+ * Outcome of pipeline(): the last step's image plus the record of every step.
+ */
+export interface PipelineResult extends ImageResult {
+  steps: PipelineStepRecord[];
+  /**
+   * Combined provenance, in the embedded-metadata shape with model 'pipeline'
+   * and the step records under `parameters.steps`
+   */
+  provenance: ImageMetadata;
+  /** Estimated credits for every step */
+  credits: number;
+  /** Output folder (only with outputDir) */
+  directory?: string;
+  /** Saved final image path (only with outputDir) */
+  output?: string;
+}
+
+// ==================== MASK TYPES ====================
+
+/**
+ * Area painted white in a mask. Coordinates are in source-image pixels from
+ * the top-left corner; shapes may extend past the edges and are clipped.
+ */
+export type MaskShape =
+  | { type: 'rect'; x: number; y: number; width: number; height: number }
+  | { type: 'ellipse'; cx: number; cy: number; rx: number; ry: number }
+  | { type: 'polygon'; points: Array<[number, number]> };
+
+/**
+ * Options for createMask().
+ */
+export interface MaskOptions {
+  /** Areas to mark */
+  shapes?: MaskShape[];
+  /** Also mark the source image's transparent areas (PNG inputs only) */
+  fromAlpha?: boolean;
+  /** Grow the marked area by this many pixels */
+  dilate?: number;
+  /** Soften edges into a gradient this many pixels wide on each side */
+  feather?: number;
+  /** Swap marked and unmarked areas (applied last) */
+  invert?: boolean;
+}
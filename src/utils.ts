@@ -6,18 +6,33 @@
  */
 
 import fs from 'fs/promises';
-import { statSync } from 'fs';
+import { statSync, createReadStream, createWriteStream } from 'fs';
 import path from 'path';
 import winston from 'winston';
 import axios from 'axios';
 import { lookup } from 'dns/promises';
 import { isIPv4, isIPv6 } from 'net';
 import FormData from 'form-data';
+import type { EventEmitter } from 'events';
+import { pipeline } from 'stream/promises';
+import type { Readable, Writable } from 'stream';
+import { StabilityAbortError } from './errors.js';
+import { fitImage, checkImageFit, detectImageFormat, readImageInfo, readFileHeader, readFileHeaderSync, unsupportedImageReasons, IMAGE_CONTENT_TYPES } from './image.js';
+import { detectAudioFormat, AUDIO_CONTENT_TYPES } from './audio.js';
 import type {
   SpinnerObject,
+  StabilityEventMap,
+  TaskPollEvent,
+  TaskCompleteEvent,
+  RequestErrorEvent,
   ImageValidationConstraints,
   ImageFileValidationResult,
   FileFormat,
+  RetryOptions,
+  FormDataFitOptions,
+  ImageInfo,
+  ImageInput,
+  PixelConstraint,
 } from './types/index.js';
 
 // ============================================================================
@@ -189,35 +204,75 @@ export async function validateImageUrl(url: string): Promise<string> {
   return url;
 }
 
+/**
+ * Check whether a URL is a plain-HTTP localhost address.
+ * Used to let an explicitly opted-in local stand-in (e.g. a mock server) act as API base URL.
+ *
+ * @param url - URL to check
+ * @returns True for http://localhost, http://127.0.0.1 and http://[::1]
+ */
+export function isLocalhostUrl(url: string): boolean {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Validate image file path.
- * Checks file exists, is readable, and has valid image magic bytes.
+ * Checks the file exists, is readable and is a PNG, JPEG or WebP, reading
+ * only its header to refuse GIF and animated images and, with constraints,
+ * images outside the pixel range.
  *
  * @param filepath - Path to image file
+ * @param constraints - Optional pixel range the image must fall in
  * @returns Validated filepath
- * @throws Error if file doesn't exist, isn't readable, or isn't a valid image
+ * @throws Error if the file doesn't exist, isn't readable, isn't a supported image or is outside the pixel range
  */
-export async function validateImagePath(filepath: string): Promise<string> {
-  try {
-    const buffer = await fs.readFile(filepath);
+export async function validateImagePath(filepath: string, constraints: Pick<ImageValidationConstraints, 'pixels'> = {}): Promise<string> {
+  await checkImageFile(filepath, constraints);
+  return filepath;
+}
 
+/**
+ * Validate a local image file from its size and header, without reading
+ * the rest of the file.
+ *
+ * @param filepath - Path to image file
+ * @param constraints - Optional pixel range the image must fall in
+ * @returns File size, detected format and header information (null if the header is unreadable)
+ * @throws Error as validateImagePath()
+ */
+async function checkImageFile(
+  filepath: string,
+  constraints: Pick<ImageValidationConstraints, 'pixels'> = {}
+): Promise<{ size: number; format: ImageInfo['format']; info: ImageInfo | null }> {
+  try {
     // Check file size (must be > 0)
-    if (buffer.length === 0) {
+    const { size } = await fs.stat(filepath);
+    if (size === 0) {
       throw new Error(`Image file is empty: ${filepath}`);
     }
 
-    // Check magic bytes for common image formats
-    const magicBytes = buffer.subarray(0, 4);
-    const isPNG = magicBytes[0] === 0x89 && magicBytes[1] === 0x50 && magicBytes[2] === 0x4E && magicBytes[3] === 0x47;
-    const isJPEG = magicBytes[0] === 0xFF && magicBytes[1] === 0xD8 && magicBytes[2] === 0xFF;
-    const isWebP = buffer.subarray(8, 12).toString() === 'WEBP';
-    const isGIF = magicBytes.subarray(0, 3).toString() === 'GIF';
+    // Magic bytes identify the format; the header may still be unreadable (e.g. truncated)
+    const header = await readFileHeader(filepath);
+    const format = detectImageFormat(header);
+    if (!format) {
+      throw new Error(`File does not appear to be a valid image (PNG, JPEG or WebP): ${filepath}`);
+    }
 
-    if (!isPNG && !isJPEG && !isWebP && !isGIF) {
-      throw new Error(`File does not appear to be a valid image (PNG, JPEG, WebP, or GIF): ${filepath}`);
+    const info = readImageInfo(header);
+    const errors = unsupportedImageReasons(info ?? { format, animated: false });
+    if (info) {
+      errors.push(...pixelErrors(info, constraints.pixels));
+    }
+    if (errors.length > 0) {
+      throw new Error(`${errors[0]}: ${filepath}`);
     }
 
-    return filepath;
+    return { size, format, info };
   } catch (error) {
     const err = error as NodeJS.ErrnoException;
     if (err.code === 'ENOENT') {
@@ -229,16 +284,36 @@ export async function validateImagePath(filepath: string): Promise<string> {
   }
 }
 
+/**
+ * Pixel-range errors for an image.
+ *
+ * @param info - Image dimensions
+ * @param pixels - Allowed width x height range
+ * @returns Error messages, empty if in range or no range is given
+ */
+function pixelErrors(info: Pick<ImageInfo, 'width' | 'height'>, pixels?: PixelConstraint): string[] {
+  const count = info.width * info.height;
+  if (pixels && count < pixels.min) {
+    return [`Image is ${info.width}x${info.height} (${count} pixels); at least ${pixels.min} pixels are required`];
+  }
+  if (pixels && count > pixels.max) {
+    return [`Image is ${info.width}x${info.height} (${count} pixels); at most ${pixels.max} pixels are allowed`];
+  }
+  return [];
+}
+
 /**
  * Validate image file against constraints.
- * Checks file size and format.
+ * Checks file size, and reads the file's header to check its format
+ * (by content, not extension), pixel count and that it is a still image.
  *
  * @param filepath - Path to image file
  * @param constraints - Validation constraints
- * @returns Validation result { valid: boolean, errors: string[] }
+ * @returns Validation result { valid: boolean, errors: string[], info? }
  */
 export function validateImageFile(filepath: string, constraints: ImageValidationConstraints = {}): ImageFileValidationResult {
   const errors: string[] = [];
+  let info: ImageInfo | undefined;
 
   try {
     // Check if file exists
@@ -253,12 +328,24 @@ export function validateImageFile(filepath: string, constraints: ImageValidation
       );
     }
 
-    // Check file extension
-    const ext = path.extname(filepath).toLowerCase().substring(1);
-    if (constraints.formats && !constraints.formats.includes(ext)) {
-      errors.push(
-        `Image format "${ext}" not supported. Valid formats: ${constraints.formats.join(', ')}`
-      );
+    // Check the format the contents declare; the header is enough, however large the file
+    const buffer = readFileHeaderSync(filepath);
+    const format = detectImageFormat(buffer);
+    if (!format) {
+      errors.push('File does not appear to be a valid image (PNG, JPEG or WebP)');
+    } else {
+      const names = format === 'jpeg' ? ['jpeg', 'jpg'] : [format];
+      if (constraints.formats && !names.some(name => constraints.formats!.includes(name))) {
+        errors.push(
+          `Image format "${format}" not supported. Valid formats: ${constraints.formats.join(', ')}`
+        );
+      }
+
+      info = readImageInfo(buffer) ?? undefined;
+      errors.push(...unsupportedImageReasons(info ?? { format, animated: false }));
+      if (info) {
+        errors.push(...pixelErrors(info, constraints.pixels));
+      }
     }
 
   } catch (error) {
@@ -272,7 +359,8 @@ export function validateImageFile(filepath: string, constraints: ImageValidation
 
   return {
     valid: errors.length === 0,
-    errors
+    errors,
+    info
   };
 }
 
@@ -291,8 +379,23 @@ export async function ensureDirectory(dirPath: string): Promise<void> {
   }
 }
 
+/** Extensions written as raw bytes by writeToFile() in 'auto' mode */
+const BINARY_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.webp', '.gif', '.glb']);
+
+/**
+ * JSON replacer that records binary values (Buffers, Uint8Arrays) by size
+ * instead of inlining every byte.
+ */
+export function binaryReplacer(this: unknown, key: string, value: unknown): unknown {
+  const original = (this as Record<string, unknown>)[key];
+  if (original instanceof Uint8Array) {
+    return `<binary ${original.length} bytes>`;
+  }
+  return value;
+}
+
 /**
- * Write data to file.
+ * Write data to file. JSON output records binary values by size.
  *
  * @param data - Data to write (Object, Array, Buffer, string, etc.)
  * @param filepath - Path where file should be written
@@ -316,7 +419,7 @@ export async function writeToFile(data: unknown, filepath: string, fileFormat: F
       const ext = path.extname(filepath).toLowerCase();
       if (ext === '.json') {
         format = 'json';
-      } else if (ext === '.png' || ext === '.jpg' || ext === '.jpeg') {
+      } else if (BINARY_EXTENSIONS.has(ext)) {
         format = 'binary';
       } else {
         format = 'txt';
@@ -325,7 +428,7 @@ export async function writeToFile(data: unknown, filepath: string, fileFormat: F
 
     // Write based on format
     if (format === 'json') {
-      await fs.writeFile(filepath, JSON.stringify(data, null, 2));
+      await fs.writeFile(filepath, JSON.stringify(data, binaryReplacer, 2));
     } else if (format === 'binary') {
       // For Buffer or binary data
       await fs.writeFile(filepath, data as Buffer);
@@ -509,16 +612,79 @@ export async function downloadImage(url: string, filepath: string): Promise<void
  * Pause execution for specified duration.
  *
  * @param seconds - Number of seconds to pause (can be float for sub-second delays)
+ * @param signal - Optional AbortSignal that ends the pause early
  *
  * @throws Error if seconds is negative
+ * @throws StabilityAbortError if the signal is aborted
  */
-export function pause(seconds: number): Promise<void> {
+export function pause(seconds: number, signal?: AbortSignal): Promise<void> {
   if (seconds < 0) {
     throw new Error('Seconds cannot be negative');
   }
 
+  if (signal?.aborted) {
+    return Promise.reject(new StabilityAbortError('Operation aborted', { cause: signal.reason }));
+  }
+
   logger.debug(`Pausing for ${seconds} seconds...`);
-  return new Promise(resolve => setTimeout(resolve, seconds * 1000));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new StabilityAbortError('Operation aborted', { cause: signal?.reason }));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, seconds * 1000);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Parse a Retry-After header value into milliseconds.
+ * Accepts both delta-seconds ("120") and HTTP-date formats.
+ *
+ * @param value - Retry-After header value
+ * @returns Delay in milliseconds, or null if missing/unparseable
+ */
+export function parseRetryAfter(value: string | number | undefined | null): number | null {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return seconds >= 0 ? seconds * 1000 : null;
+  }
+
+  const date = Date.parse(String(value));
+  if (isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Compute the delay before a retry attempt using exponential backoff.
+ * A Retry-After value from the server takes precedence over the computed backoff.
+ *
+ * @param retry - Retry number (1 for the first retry)
+ * @param options - Retry policy
+ * @param retryAfterMs - Server-requested delay in milliseconds (from parseRetryAfter)
+ * @returns Delay in milliseconds, never above options.maxDelayMs
+ */
+export function computeRetryDelay(
+  retry: number,
+  options: Pick<RetryOptions, 'baseDelayMs' | 'maxDelayMs' | 'jitter'>,
+  retryAfterMs: number | null = null
+): number {
+  if (retryAfterMs !== null) {
+    return Math.min(retryAfterMs, options.maxDelayMs);
+  }
+
+  const exponential = Math.min(options.baseDelayMs * 2 ** (retry - 1), options.maxDelayMs);
+  // Equal jitter: keep at least half of the backoff, randomize the rest
+  return options.jitter ? Math.floor(exponential / 2 + Math.random() * (exponential / 2)) : exponential;
 }
 
 /**
@@ -624,25 +790,201 @@ export function createSpinner(message: string): SpinnerObject {
 }
 
 /**
- * Convert image (file path or URL) to Buffer for multipart/form-data upload.
+ * Drive a terminal spinner from a client's task events.
+ * StabilityAPI never writes to stdout itself; this is the subscriber that
+ * `waitForResult({ showSpinner: true })` and the CLI use.
+ *
+ * @param emitter - StabilityAPI instance (or anything emitting its events)
+ * @param taskId - Only follow this task (default: every task)
+ * @returns Function that stops the spinner and unsubscribes
+ *
+ * @example
+ * const detach = attachSpinner(api);
+ * try {
+ *   await api.upscaleCreative('./photo.png');
+ * } finally {
+ *   detach();
+ * }
+ */
+export function attachSpinner(emitter: EventEmitter<StabilityEventMap>, taskId?: string): () => void {
+  let spinner: SpinnerObject | null = null;
+  const follows = (id: string) => taskId === undefined || id === taskId;
+
+  const onPoll = (event: TaskPollEvent) => {
+    if (!follows(event.taskId)) {
+      return;
+    }
+    if (!spinner) {
+      spinner = createSpinner(`Waiting for task to complete (task: ${event.taskId})`);
+      spinner.start();
+      return;
+    }
+    const elapsed = event.elapsedMs / 1000;
+    const timeLeft = Math.max(0, (event.timeoutMs - event.elapsedMs) / 1000);
+    spinner.update(`Processing... (${elapsed.toFixed(0)}s elapsed, ~${timeLeft.toFixed(0)}s remaining)`);
+  };
+  const onComplete = (event: TaskCompleteEvent) => {
+    if (spinner && follows(event.taskId)) {
+      spinner.stop(`✓ Task complete! (${(event.elapsedMs / 1000).toFixed(1)}s)`);
+      spinner = null;
+    }
+  };
+  const onError = (event: RequestErrorEvent) => {
+    spinner?.update(event.willRetry ? 'Retrying after error...' : `Error: ${event.error.message}`);
+  };
+
+  emitter.on('task:poll', onPoll);
+  emitter.on('task:complete', onComplete);
+  emitter.on('request:error', onError);
+
+  return () => {
+    emitter.off('task:poll', onPoll);
+    emitter.off('task:complete', onComplete);
+    emitter.off('request:error', onError);
+    spinner?.stop();
+    spinner = null;
+  };
+}
+
+/**
+ * Convert an image input to Buffer for multipart/form-data upload.
  * Used by Stability AI API which expects binary uploads.
  *
- * @param imagePath - Local file path or URL
- * @returns Image data as Buffer
+ * @param image - Local file path, URL, Buffer, Uint8Array, readable stream or Blob
+ * @param signal - Optional AbortSignal that cancels a URL download or stream read
+ * @returns Image data as Buffer (Buffers are returned as-is, byte arrays without copying)
+ *
+ * @throws StabilityAbortError if the signal is aborted
  *
  * @example
  * const buffer = await imageToBuffer('/path/to/image.png');
  * const buffer = await imageToBuffer('https://example.com/image.jpg');
+ * const buffer = await imageToBuffer(createReadStream('/path/to/image.png'));
+ */
+export async function imageToBuffer(image: ImageInput, signal?: AbortSignal): Promise<Buffer> {
+  if (typeof image === 'string') {
+    // Check if it's a URL
+    if (isImageUrl(image)) {
+      logger.debug(`Converting image URL to buffer: ${image}`);
+      return await urlToBuffer(image, signal);
+    }
+    logger.debug(`Converting local file to buffer: ${image}`);
+    return await fileToBuffer(image);
+  }
+  if (Buffer.isBuffer(image)) {
+    return image;
+  }
+  if (image instanceof Uint8Array) {
+    return Buffer.from(image.buffer, image.byteOffset, image.byteLength);
+  }
+  if (image instanceof Blob) {
+    return Buffer.from(await image.arrayBuffer());
+  }
+  return await streamToBuffer(image, signal);
+}
+
+/**
+ * Convert an audio input to a Buffer, checking that it is a WAV or MP3 file.
+ * Local files are read whole; URLs, byte arrays, Blobs and streams are read
+ * as by imageToBuffer().
+ *
+ * @param audio - Local path, URL, Buffer, Uint8Array, stream or Blob
+ * @param signal - Optional AbortSignal that cancels URL downloads and stream reads
+ * @returns Audio data as Buffer
+ *
+ * @throws Error if the file does not exist or the bytes are not WAV or MP3
  */
-export async function imageToBuffer(imagePath: string): Promise<Buffer> {
-  // Check if it's a URL
-  if (imagePath.startsWith('http://') || imagePath.startsWith('https://')) {
-    logger.debug(`Converting image URL to buffer: ${imagePath}`);
-    return await urlToBuffer(imagePath);
+export async function audioToBuffer(audio: ImageInput, signal?: AbortSignal): Promise<Buffer> {
+  const localPath = typeof audio === 'string' && !isImageUrl(audio) ? audio : null;
+  let buffer: Buffer;
+  if (localPath) {
+    try {
+      buffer = await fs.readFile(localPath);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        throw new Error(`Audio file not found: ${localPath}`);
+      }
+      throw error;
+    }
+    logger.debug(`Read ${buffer.length} bytes from ${localPath}`);
   } else {
-    logger.debug(`Converting local file to buffer: ${imagePath}`);
-    return await fileToBuffer(imagePath);
+    buffer = await imageToBuffer(audio, signal);
+  }
+
+  if (!detectAudioFormat(buffer)) {
+    throw new Error(`Audio does not appear to be a WAV or MP3 file${localPath ? `: ${localPath}` : ''}`);
+  }
+  return buffer;
+}
+
+/**
+ * Whether an image string is a URL rather than a local path.
+ */
+function isImageUrl(image: string): boolean {
+  return image.startsWith('http://') || image.startsWith('https://');
+}
+
+/**
+ * Read a stream to the end.
+ *
+ * @param stream - Readable stream (image bytes or a response body)
+ * @param signal - Optional AbortSignal that stops reading
+ * @returns Everything the stream produced
+ *
+ * @throws StabilityAbortError if the signal is aborted
+ */
+export async function streamToBuffer(stream: Readable, signal?: AbortSignal): Promise<Buffer> {
+  const chunks: Buffer[] = [];
+  for await (const chunk of stream) {
+    if (signal?.aborted) {
+      stream.destroy();
+      throw new StabilityAbortError('Image stream read aborted', { cause: signal.reason });
+    }
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk as Uint8Array));
+  }
+  const buffer = Buffer.concat(chunks);
+  logger.debug(`Read ${buffer.length} bytes from image stream`);
+  return buffer;
+}
+
+/**
+ * Pipe a stream into a file or writable stream.
+ * A partly written file is removed if the copy fails.
+ *
+ * @param stream - Readable stream of image bytes
+ * @param destination - File path (parent directories are created) or writable stream
+ * @param signal - Optional AbortSignal that stops the copy
+ * @returns Number of bytes written
+ *
+ * @throws StabilityAbortError if the signal is aborted
+ */
+export async function streamToDestination(stream: Readable, destination: string | Writable, signal?: AbortSignal): Promise<number> {
+  let bytes = 0;
+  const count = async function* (source: AsyncIterable<Buffer>) {
+    for await (const chunk of source) {
+      bytes += chunk.length;
+      yield chunk;
+    }
+  };
+
+  if (typeof destination === 'string') {
+    await ensureDirectory(path.dirname(destination));
+  }
+  const target = typeof destination === 'string' ? createWriteStream(destination) : destination;
+  try {
+    await pipeline(stream, count, target, { signal });
+  } catch (error) {
+    if (typeof destination === 'string') {
+      await fs.rm(destination, { force: true });
+    }
+    if (signal?.aborted) {
+      throw new StabilityAbortError('Image stream write aborted', { cause: signal.reason });
+    }
+    throw error;
   }
+
+  logger.debug(`Wrote ${bytes} bytes to ${typeof destination === 'string' ? destination : 'stream'}`);
+  return bytes;
 }
 
 /**
@@ -671,9 +1013,12 @@ export async function fileToBuffer(filePath: string): Promise<Buffer> {
  * Download image from URL to Buffer.
  *
  * @param url - Image URL
+ * @param signal - Optional AbortSignal that cancels the download
  * @returns Downloaded image data as Buffer
+ *
+ * @throws StabilityAbortError if the signal is aborted
  */
-export async function urlToBuffer(url: string): Promise<Buffer> {
+export async function urlToBuffer(url: string, signal?: AbortSignal): Promise<Buffer> {
   try {
     // Validate URL for security
     await validateImageUrl(url);
@@ -684,13 +1029,17 @@ export async function urlToBuffer(url: string): Promise<Buffer> {
       responseType: 'arraybuffer',
       timeout: DOWNLOAD_TIMEOUT_MS,
       maxContentLength: MAX_DOWNLOAD_SIZE,
-      maxRedirects: MAX_REDIRECTS
+      maxRedirects: MAX_REDIRECTS,
+      signal
     });
 
     const buffer = Buffer.from(response.data);
     logger.debug(`Downloaded ${buffer.length} bytes from ${url}`);
     return buffer;
   } catch (error) {
+    if (axios.isCancel(error)) {
+      throw new StabilityAbortError(`Download aborted: ${url}`, { cause: error });
+    }
     const err = error as Error;
     logger.error(`Failed to download image from ${url}: ${err.message}`);
     throw new Error(`Failed to download image from URL: ${err.message}`);
@@ -700,20 +1049,34 @@ export async function urlToBuffer(url: string): Promise<Buffer> {
 /**
  * Build FormData object for multipart/form-data requests.
  * Helper for Stability AI API which uses multipart instead of JSON.
+ * Local files that need no fitting are streamed into the body instead of
+ * being loaded; every image's filename extension and content-type come from
+ * its magic bytes.
  *
  * @param params - Parameters to include in form data
- * @param imageParams - Image parameters { fieldName: imagePath/Buffer }
+ * @param imageParams - Image parameters { fieldName: path/URL/Buffer/Uint8Array/stream/Blob }
+ * @param signal - Optional AbortSignal that cancels image URL downloads
+ * @param fit - Optional endpoint limits every image is checked (and fitted) against
  * @returns FormData object ready for upload
  *
+ * @throws Error if an image is outside the limits and `fit.mode` cannot fix it
+ *
  * @example
  * const formData = await buildFormData(
  *   { prompt: 'a cat', seed: 42 },
  *   { image: '/path/to/image.png' }
  * );
+ * const fitted = await buildFormData({}, { image: buffer }, undefined, {
+ *   mode: 'downscale',
+ *   constraints: { pixels: { min: 4096, max: 4194304 } },
+ *   onFit: (field, report) => console.log(field, report.changes)
+ * });
  */
 export async function buildFormData(
   params: Record<string, unknown>,
-  imageParams: Record<string, string | Buffer | undefined> = {}
+  imageParams: Record<string, ImageInput | undefined> = {},
+  signal?: AbortSignal,
+  fit?: FormDataFitOptions
 ): Promise<FormData> {
   const formData = new FormData();
 
@@ -726,32 +1089,66 @@ export async function buildFormData(
 
   // Add image parameters
   for (const [fieldName, imageSource] of Object.entries(imageParams)) {
-    if (imageSource) {
-      let buffer: Buffer;
-      let filename = 'image.png';
-
-      // If it's already a buffer
-      if (Buffer.isBuffer(imageSource)) {
-        buffer = imageSource;
-      } else {
-        // Convert path/URL to buffer
-        buffer = await imageToBuffer(imageSource);
-
-        // Extract filename if it's a local path
-        if (!imageSource.startsWith('http')) {
-          filename = path.basename(imageSource);
-        }
+    if (!imageSource) {
+      continue;
+    }
+    const localPath = typeof imageSource === 'string' && !isImageUrl(imageSource) ? imageSource : null;
+    const name = localPath ? path.parse(localPath).name : 'image';
+
+    // Stream local files that can be sent as they are
+    if (localPath) {
+      const { size, format, info } = await checkImageFile(localPath);
+      if (!fit || !info || !forField(fieldName, () => checkImageFit(info, fit.constraints, fit.mode))) {
+        formData.append(fieldName, createReadStream(localPath), { ...uploadFileOptions(name, format), knownLength: size });
+        logger.debug(`Streaming image into form data: ${fieldName} (${size} bytes)`);
+        continue;
       }
+    }
 
-      // Append buffer with filename
-      formData.append(fieldName, buffer, { filename });
-      logger.debug(`Added image to form data: ${fieldName} (${buffer.length} bytes)`);
+    let buffer = await imageToBuffer(imageSource, signal);
+    if (fit) {
+      const fitted = forField(fieldName, () => fitImage(buffer, fit.constraints, fit.mode));
+      buffer = fitted.image;
+      if (fitted.report) {
+        logger.info(`Fitted ${fieldName} to endpoint limits: ${fitted.report.changes.join(', ')}`);
+        fit.onFit?.(fieldName, fitted.report);
+      }
     }
+
+    // Append buffer with a filename matching its contents (fitted images are PNG; audio keeps its format)
+    const format = detectImageFormat(buffer);
+    const audioFormat = format ? null : detectAudioFormat(buffer);
+    formData.append(fieldName, buffer, audioFormat
+      ? { filename: `audio.${audioFormat}`, contentType: AUDIO_CONTENT_TYPES[audioFormat] }
+      : uploadFileOptions(name, format));
+    logger.debug(`Added image to form data: ${fieldName} (${buffer.length} bytes)`);
   }
 
   return formData;
 }
 
+/**
+ * Run an image check, prefixing any error with the form field it concerns.
+ */
+function forField<T>(fieldName: string, check: () => T): T {
+  try {
+    return check();
+  } catch (error) {
+    throw new Error(`${fieldName}: ${(error as Error).message}`);
+  }
+}
+
+/**
+ * Multipart filename and content-type for an image of the given format.
+ * Unrecognised bytes get no extension, so they are sent as application/octet-stream.
+ */
+function uploadFileOptions(name: string, format: ImageInfo['format'] | null): { filename: string; contentType?: string } {
+  if (!format) {
+    return { filename: name };
+  }
+  return { filename: `${name}.${format === 'jpeg' ? 'jpg' : format}`, contentType: IMAGE_CONTENT_TYPES[format] };
+}
+
 /**
  * Set logger level.
  *
@@ -3,9 +3,22 @@
  * Tests for StabilityAPI class and its methods
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { StabilityAPI } from '../src/api.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  StabilityAPI,
+  StabilityError,
+  StabilityAuthError,
+  StabilityModerationError,
+  StabilityRateLimitError,
+  StabilityValidationError,
+  StabilityPayloadTooLargeError,
+  StabilityServerError,
+  StabilityTimeoutError,
+  StabilityAbortError,
+  StabilityBudgetError
+} from '../src/api.js';
 import { BASE_URL } from '../src/config.js';
+import axios, { AxiosError } from 'axios';
 
 describe('StabilityAPI Class', () => {
   let api;
@@ -39,6 +52,101 @@ describe('StabilityAPI Class', () => {
     });
   });
 
+  describe('Constructor Options Object', () => {
+    afterEach(() => {
+      vi.restoreAllMocks();
+      vi.unstubAllEnvs();
+    });
+
+    const imageResponse = {
+      status: 200,
+      headers: { 'content-type': 'image/png' },
+      data: Buffer.from([0x89, 0x50, 0x4E, 0x47])
+    };
+
+    it('should accept apiKey and baseUrl in an options object', () => {
+      const customApi = new StabilityAPI({ apiKey: 'opt-key', baseUrl: 'https://custom.api.url' });
+      expect(customApi.apiKey).toBe('opt-key');
+      expect(customApi.baseUrl).toBe('https://custom.api.url');
+    });
+
+    it('should read the API key from the environment when omitted', () => {
+      vi.stubEnv('STABILITY_API_KEY', 'env-key');
+      expect(new StabilityAPI().apiKey).toBe('env-key');
+      expect(new StabilityAPI({}).apiKey).toBe('env-key');
+    });
+
+    it('should reject plain HTTP localhost without opt-in', () => {
+      expect(() => new StabilityAPI({ apiKey: 'key', baseUrl: 'http://localhost:4010' })).toThrow('HTTPS');
+    });
+
+    it('should allow plain HTTP localhost with allowInsecureLocalhost', () => {
+      for (const baseUrl of ['http://localhost:4010', 'http://127.0.0.1:4010', 'http://[::1]:4010']) {
+        const localApi = new StabilityAPI({ apiKey: 'key', baseUrl, allowInsecureLocalhost: true });
+        expect(localApi.baseUrl).toBe(baseUrl);
+      }
+    });
+
+    it('should still reject remote plain HTTP with allowInsecureLocalhost', () => {
+      expect(() => new StabilityAPI({ apiKey: 'key', baseUrl: 'http://example.com', allowInsecureLocalhost: true }))
+        .toThrow('HTTPS');
+    });
+
+    it('should merge retry overrides', () => {
+      const retryApi = new StabilityAPI({ apiKey: 'key', retry: { maxRetries: 7 } });
+      expect(retryApi.retryOptions.maxRetries).toBe(7);
+      expect(retryApi.retryOptions.baseDelayMs).toBe(1000);
+    });
+
+    it('should apply the client timeout to every request', async () => {
+      const request = vi.spyOn(axios, 'request').mockResolvedValue(imageResponse);
+      const timeoutApi = new StabilityAPI({ apiKey: 'key', timeoutMs: 90000 });
+
+      await timeoutApi.getResult('task-1');
+      await timeoutApi.getResult('task-2', { timeoutMs: 1000 });
+
+      expect(request.mock.calls[0][0].timeout).toBe(90000);
+      expect(request.mock.calls[1][0].timeout).toBe(1000);
+    });
+
+    it('should send requests through an injected HTTP client', async () => {
+      const axiosRequest = vi.spyOn(axios, 'request');
+      const httpClient = { request: vi.fn().mockResolvedValue(imageResponse) };
+      const clientApi = new StabilityAPI({ apiKey: 'key', httpClient });
+
+      const result = await clientApi.getResult('task-3');
+
+      expect(Buffer.isBuffer(result.image)).toBe(true);
+      expect(httpClient.request).toHaveBeenCalledTimes(1);
+      expect(httpClient.request.mock.calls[0][0].url).toBe(`${BASE_URL}/v2beta/results/task-3`);
+      expect(axiosRequest).not.toHaveBeenCalled();
+    });
+
+    it('should wrap a fetch-like function as the HTTP client', async () => {
+      const fetchFn = vi.fn().mockResolvedValue(new Response(JSON.stringify({ credits: 12 }), {
+        status: 200,
+        headers: { 'content-type': 'application/json' }
+      }));
+      const fetchApi = new StabilityAPI({ apiKey: 'key', httpClient: fetchFn });
+
+      const balance = await fetchApi.getBalance();
+
+      expect(balance.credits).toBe(12);
+      expect(fetchFn).toHaveBeenCalledWith(`${BASE_URL}/v1/user/balance`, expect.objectContaining({ method: 'GET' }));
+    });
+
+    it('should log through an injected logger', async () => {
+      const customLogger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+      const httpClient = { request: vi.fn().mockResolvedValue({ status: 200, headers: {}, data: { credits: 3 } }) };
+      const loggedApi = new StabilityAPI({ apiKey: 'key', logger: customLogger, httpClient });
+
+      await loggedApi.getBalance();
+
+      expect(loggedApi.logger).toBe(customLogger);
+      expect(customLogger.info).toHaveBeenCalledWith('Account balance: 3 credits');
+    });
+  });
+
   describe('API Key Management', () => {
     it('should redact API key for logging', () => {
       const redacted = api._redactApiKey('sk-1234567890abcdefghij');
@@ -368,7 +476,7 @@ describe('Mocked Generate Method Calls', () => {
     });
 
     expect(mockRequest).toHaveBeenCalledTimes(1);
-    expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/generate/ultra', expect.any(Object));
+    expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/generate/ultra', expect.any(Object), {});
     expect(result).toEqual(mockResult);
   });
 
@@ -383,7 +491,7 @@ describe('Mocked Generate Method Calls', () => {
     });
 
     expect(mockRequest).toHaveBeenCalledTimes(1);
-    expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/generate/core', expect.any(Object));
+    expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/generate/core', expect.any(Object), {});
     expect(result).toEqual(mockResult);
   });
 
@@ -398,9 +506,42 @@ describe('Mocked Generate Method Calls', () => {
     });
 
     expect(mockRequest).toHaveBeenCalledTimes(1);
-    expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/generate/sd3', expect.any(Object));
+    expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/generate/sd3', expect.any(Object), {});
     expect(result).toEqual(mockResult);
   });
+
+  it('generateSD3 should send cfg_scale and style_preset for text-to-image', async () => {
+    const mockRequest = vi.spyOn(api, '_makeFormDataRequest').mockResolvedValue({ image: Buffer.alloc(1) });
+
+    await api.generateSD3({ prompt: 'a bird', model: 'sd3.5-large-turbo', cfg_scale: 1.5, style_preset: 'anime' });
+
+    const [, , form] = mockRequest.mock.calls[0];
+    expect(form.params).toMatchObject({ model: 'sd3.5-large-turbo', aspect_ratio: '1:1', cfg_scale: 1.5, style_preset: 'anime' });
+    expect(form.params.mode).toBeUndefined();
+    expect(form.files).toEqual({});
+  });
+
+  it('generateSD3 should switch to image-to-image when given an image', async () => {
+    const mockRequest = vi.spyOn(api, '_makeFormDataRequest').mockResolvedValue({ image: Buffer.alloc(1) });
+    const image = Buffer.from('image bytes');
+
+    await api.generateSD3({ prompt: 'oil painting', image, strength: 0.6, aspect_ratio: '16:9' });
+
+    const [, , form] = mockRequest.mock.calls[0];
+    expect(form.params).toMatchObject({ mode: 'image-to-image', strength: 0.6 });
+    expect(form.params.aspect_ratio).toBeUndefined();
+    expect(form.files).toEqual({ image });
+  });
+
+  it('generateSD3 should require strength for image-to-image', async () => {
+    const mockRequest = vi.spyOn(api, '_makeFormDataRequest');
+
+    const error = await api.generateSD3({ prompt: 'oil painting', image: './photo.png' }).catch(e => e);
+    expect(error).toBeInstanceOf(StabilityValidationError);
+    expect(error.message).toContain('requires strength');
+    expect(error.status).toBeUndefined();
+    expect(mockRequest).not.toHaveBeenCalled();
+  });
 });
 
 describe('Mocked Upscale Method Calls', () => {
@@ -421,10 +562,37 @@ describe('Mocked Upscale Method Calls', () => {
     const result = await api.upscaleFast('/fake/image.jpg', 'png');
 
     expect(mockRequest).toHaveBeenCalledTimes(1);
-    expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/upscale/fast', expect.any(Object));
+    expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/upscale/fast', expect.any(Object), {});
     expect(result).toEqual(mockResult);
   });
 
+  it('upscaleFast should accept an options object', async () => {
+    const mockRequest = vi.spyOn(api, '_makeFormDataRequest').mockResolvedValue({ image: Buffer.alloc(0) });
+
+    await api.upscaleFast('/fake/image.jpg', { output_format: 'webp' });
+    await api.upscaleFast('/fake/image.jpg', {});
+
+    expect(mockRequest.mock.calls.map(([, , form]) => form.params)).toEqual([{ output_format: 'webp' }, { output_format: 'png' }]);
+  });
+
+  it('upscaleConservative should send creativity', async () => {
+    const mockRequest = vi.spyOn(api, '_makeFormDataRequest').mockResolvedValue({ image: Buffer.alloc(0) });
+
+    await api.upscaleConservative('/fake/image.jpg', { prompt: 'enhance details', creativity: 0.25 });
+
+    const [, , form] = mockRequest.mock.calls[0];
+    expect(form.params).toMatchObject({ prompt: 'enhance details', creativity: 0.25 });
+  });
+
+  it('upscaleCreative should send style_preset', async () => {
+    const mockRequest = vi.spyOn(api, '_makeFormDataRequest').mockResolvedValue({ id: 'upscale-task-789' });
+
+    await api.upscaleCreative('/fake/image.jpg', { prompt: 'a harbour', style_preset: 'photographic', wait: false });
+
+    const [, , form] = mockRequest.mock.calls[0];
+    expect(form.params).toMatchObject({ creativity: 0.3, style_preset: 'photographic' });
+  });
+
   it('upscaleConservative should call correct endpoint', async () => {
     const mockResult = { image: Buffer.from([0x89, 0x50, 0x4E, 0x47]), finish_reason: 'SUCCESS' };
     const mockRequest = vi.spyOn(api, '_makeFormDataRequest').mockResolvedValue(mockResult);
@@ -435,7 +603,7 @@ describe('Mocked Upscale Method Calls', () => {
     });
 
     expect(mockRequest).toHaveBeenCalledTimes(1);
-    expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/upscale/conservative', expect.any(Object));
+    expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/upscale/conservative', expect.any(Object), {});
     expect(result).toEqual(mockResult);
   });
 
@@ -452,8 +620,8 @@ describe('Mocked Upscale Method Calls', () => {
     });
 
     expect(mockRequest).toHaveBeenCalledTimes(1);
-    expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/upscale/creative', expect.any(Object));
-    expect(mockWaitForResult).toHaveBeenCalledWith('upscale-task-123');
+    expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/upscale/creative', expect.any(Object), {});
+    expect(mockWaitForResult).toHaveBeenCalledWith('upscale-task-123', {});
     expect(result).toEqual(mockFinalResult);
   });
 
@@ -544,7 +712,7 @@ describe('Edit Methods', () => {
       const result = await api.erase('/fake/image.png', { grow_mask: 10, seed: 42, output_format: 'png' });
 
       expect(mockRequest).toHaveBeenCalledTimes(1);
-      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/edit/erase', expect.any(Object));
+      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/edit/erase', expect.any(Object), {});
       expect(result).toEqual(mockResult);
     });
 
@@ -558,7 +726,7 @@ describe('Edit Methods', () => {
       });
 
       expect(mockRequest).toHaveBeenCalledTimes(1);
-      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/edit/inpaint', expect.any(Object));
+      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/edit/inpaint', expect.any(Object), {});
       expect(result).toEqual(mockResult);
     });
 
@@ -574,7 +742,7 @@ describe('Edit Methods', () => {
       });
 
       expect(mockRequest).toHaveBeenCalledTimes(1);
-      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/edit/outpaint', expect.any(Object));
+      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/edit/outpaint', expect.any(Object), {});
       expect(result).toEqual(mockResult);
     });
 
@@ -588,7 +756,7 @@ describe('Edit Methods', () => {
       });
 
       expect(mockRequest).toHaveBeenCalledTimes(1);
-      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/edit/search-and-replace', expect.any(Object));
+      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/edit/search-and-replace', expect.any(Object), {});
       expect(result).toEqual(mockResult);
     });
 
@@ -601,7 +769,7 @@ describe('Edit Methods', () => {
       });
 
       expect(mockRequest).toHaveBeenCalledTimes(1);
-      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/edit/search-and-recolor', expect.any(Object));
+      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/edit/search-and-recolor', expect.any(Object), {});
       expect(result).toEqual(mockResult);
     });
 
@@ -612,7 +780,7 @@ describe('Edit Methods', () => {
       const result = await api.removeBackground('/fake/image.png', { output_format: 'png' });
 
       expect(mockRequest).toHaveBeenCalledTimes(1);
-      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/edit/remove-background', expect.any(Object));
+      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/edit/remove-background', expect.any(Object), {});
       expect(result).toEqual(mockResult);
     });
 
@@ -629,8 +797,8 @@ describe('Edit Methods', () => {
       });
 
       expect(mockRequest).toHaveBeenCalledTimes(1);
-      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/edit/replace-background-and-relight', expect.any(Object));
-      expect(mockWaitForResult).toHaveBeenCalledWith('task-123');
+      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/edit/replace-background-and-relight', expect.any(Object), {});
+      expect(mockWaitForResult).toHaveBeenCalledWith('task-123', {});
       expect(result).toEqual(mockFinalResult);
     });
 
@@ -845,7 +1013,7 @@ describe('Control Methods', () => {
       });
 
       expect(mockRequest).toHaveBeenCalledTimes(1);
-      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/control/sketch', expect.any(Object));
+      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/control/sketch', expect.any(Object), {});
       expect(result).toEqual(mockResult);
     });
 
@@ -868,7 +1036,7 @@ describe('Control Methods', () => {
       });
 
       expect(mockRequest).toHaveBeenCalledTimes(1);
-      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/control/structure', expect.any(Object));
+      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/control/structure', expect.any(Object), {});
       expect(result).toEqual(mockResult);
     });
 
@@ -883,7 +1051,7 @@ describe('Control Methods', () => {
       });
 
       expect(mockRequest).toHaveBeenCalledTimes(1);
-      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/control/style', expect.any(Object));
+      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/control/style', expect.any(Object), {});
       expect(result).toEqual(mockResult);
     });
 
@@ -897,7 +1065,7 @@ describe('Control Methods', () => {
       });
 
       expect(mockRequest).toHaveBeenCalledTimes(1);
-      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/control/style-transfer', expect.any(Object));
+      expect(mockRequest).toHaveBeenCalledWith('POST', '/v2beta/stable-image/control/style-transfer', expect.any(Object), {});
       expect(result).toEqual(mockResult);
     });
 
@@ -939,3 +1107,666 @@ describe('Control Methods', () => {
     });
   });
 });
+
+// ==================== 3D Tests ====================
+
+describe('3D Methods', () => {
+  let api;
+
+  beforeEach(() => {
+    api = new StabilityAPI('test-key');
+  });
+
+  it('should have generate3D method taking the image first', () => {
+    expect(typeof api.generate3D).toBe('function');
+    expect(api.generate3D.length).toBe(1);
+  });
+
+  it('generate3D should post to Stable Fast 3D by default with vertex_count', async () => {
+    const mockResult = { glb: Buffer.from('glTF'), contentType: 'model/gltf-binary' };
+    const mockRequest = vi.spyOn(api, '_makeFormDataRequest').mockResolvedValue(mockResult);
+
+    const result = await api.generate3D('/fake/chair.png', { texture_resolution: 2048, remesh: 'quad', vertex_count: 5000 });
+
+    const [method, endpoint, form, options] = mockRequest.mock.calls[0];
+    expect(method).toBe('POST');
+    expect(endpoint).toBe('/v2beta/3d/stable-fast-3d');
+    expect(form.params).toMatchObject({ texture_resolution: 2048, remesh: 'quad', vertex_count: 5000 });
+    expect(form.params.target_count).toBeUndefined();
+    expect(form.files).toEqual({ image: '/fake/chair.png' });
+    expect(options.headers).toEqual({ accept: '*/*' });
+    expect(result).toEqual(mockResult);
+  });
+
+  it('generate3D should send SPAR3D target count, guidance and seed', async () => {
+    const mockRequest = vi.spyOn(api, '_makeFormDataRequest').mockResolvedValue({ glb: Buffer.alloc(0) });
+
+    await api.generate3D('/fake/chair.png', { model: 'stable-point-aware-3d', vertex_count: 800, guidance_scale: 4, seed: 7 });
+
+    const [, endpoint, form] = mockRequest.mock.calls[0];
+    expect(endpoint).toBe('/v2beta/3d/stable-point-aware-3d');
+    expect(form.params).toMatchObject({ target_type: 'vertex', target_count: 800, guidance_scale: 4, seed: 7 });
+    expect(form.params.vertex_count).toBeUndefined();
+  });
+});
+
+describe('Video Methods', () => {
+  let api;
+
+  beforeEach(() => {
+    api = new StabilityAPI('test-key');
+  });
+
+  it('should have generateVideo method taking the image first', () => {
+    expect(typeof api.generateVideo).toBe('function');
+    expect(api.generateVideo.length).toBe(1);
+  });
+
+  it('generateVideo should submit seed, cfg_scale and motion_bucket_id', async () => {
+    const mockRequest = vi.spyOn(api, '_makeFormDataRequest').mockResolvedValue({ id: 'video-task' });
+
+    const result = await api.generateVideo('/fake/product.png', { seed: 42, cfg_scale: 2.5, motion_bucket_id: 180, wait: false });
+
+    const [method, endpoint, form] = mockRequest.mock.calls[0];
+    expect(method).toBe('POST');
+    expect(endpoint).toBe('/v2beta/image-to-video');
+    expect(form.params).toEqual({ seed: 42, cfg_scale: 2.5, motion_bucket_id: 180 });
+    expect(form.files).toEqual({ image: '/fake/product.png' });
+    expect(result).toEqual({ id: 'video-task' });
+  });
+
+  it('generateVideo should poll the video results endpoint by default', async () => {
+    vi.spyOn(api, '_makeFormDataRequest').mockResolvedValue({ id: 'video-task' });
+    const mockWait = vi.spyOn(api, 'waitForResult').mockResolvedValue({ video: Buffer.from('mp4') });
+
+    const result = await api.generateVideo('/fake/product.png');
+
+    expect(mockWait).toHaveBeenCalledWith('video-task', { resultsEndpoint: '/v2beta/image-to-video/result' });
+    expect(result.video.toString()).toBe('mp4');
+  });
+});
+
+// ==================== Retry Tests ====================
+
+describe('Retry Behavior', () => {
+  let api;
+
+  const httpError = (status, headers = {}) => new AxiosError(
+    `Request failed with status code ${status}`,
+    AxiosError.ERR_BAD_RESPONSE,
+    {},
+    {},
+    { status, headers, data: Buffer.from(JSON.stringify({ errors: ['boom'] })) }
+  );
+
+  const imageResponse = {
+    status: 200,
+    headers: { 'content-type': 'image/png', 'seed': '7' },
+    data: Buffer.from([0x89, 0x50, 0x4E, 0x47])
+  };
+
+  beforeEach(async () => {
+    api = new StabilityAPI('test-key', BASE_URL, 'error', { baseDelayMs: 1, maxDelayMs: 5, jitter: false });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should merge retry overrides with defaults', () => {
+    expect(api.retryOptions.maxRetries).toBe(3);
+    expect(api.retryOptions.baseDelayMs).toBe(1);
+    expect(api.retryOptions.retryableStatuses).toContain(503);
+    expect(api.retryOptions.retryPosts).toBe(false);
+  });
+
+  it('should retry transient errors and return the eventual result', async () => {
+    const request = vi.spyOn(axios, 'request')
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(502))
+      .mockResolvedValueOnce(imageResponse);
+
+    const result = await api.getResult('task-1');
+
+    expect(request).toHaveBeenCalledTimes(3);
+    expect(result.seed).toBe('7');
+  });
+
+  it('should retry network errors without a response', async () => {
+    const networkError = new AxiosError('socket hang up', 'ECONNRESET');
+    const request = vi.spyOn(axios, 'request')
+      .mockRejectedValueOnce(networkError)
+      .mockResolvedValueOnce(imageResponse);
+
+    await api.getResult('task-2');
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not retry permanent errors', async () => {
+    const request = vi.spyOn(axios, 'request').mockRejectedValue(httpError(400));
+
+    await expect(api.getResult('task-3')).rejects.toThrow('Invalid parameters: boom');
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('should give up after maxRetries', async () => {
+    const request = vi.spyOn(axios, 'request').mockRejectedValue(httpError(429));
+
+    await expect(api.getResult('task-4')).rejects.toThrow('Rate limit exceeded');
+    expect(request).toHaveBeenCalledTimes(4);
+  });
+
+  it('should not retry when maxRetries is 0', async () => {
+    api.retryOptions.maxRetries = 0;
+    const request = vi.spyOn(axios, 'request').mockRejectedValue(httpError(503));
+
+    await expect(api.getResult('task-5')).rejects.toThrow();
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('should rebuild the form body for every attempt', async () => {
+    const utilsModule = await import('../src/utils.js');
+    const build = vi.spyOn(utilsModule, 'buildFormData')
+      .mockImplementation(async () => ({ append: vi.fn(), getHeaders: () => ({}) }));
+    const request = vi.spyOn(axios, 'request')
+      .mockRejectedValueOnce(httpError(429))
+      .mockResolvedValueOnce(imageResponse);
+
+    await api.generateCore({ prompt: 'retry me' });
+
+    expect(request).toHaveBeenCalledTimes(2);
+    expect(build).toHaveBeenCalledTimes(2);
+    expect(request.mock.calls[0][0].data).not.toBe(request.mock.calls[1][0].data);
+  });
+
+  it('should not retry a POST that timed out after it was sent', async () => {
+    const request = vi.spyOn(axios, 'request')
+      .mockRejectedValue(new AxiosError('timeout of 30000ms exceeded', AxiosError.ECONNABORTED));
+
+    await expect(api.generateCore({ prompt: 'slow but billed' })).rejects.toBeInstanceOf(StabilityTimeoutError);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not retry POSTs on resets or 5xx responses by default', async () => {
+    const request = vi.spyOn(axios, 'request')
+      .mockRejectedValueOnce(new AxiosError('socket hang up', 'ECONNRESET'))
+      .mockRejectedValueOnce(httpError(503));
+
+    await expect(api.generateCore({ prompt: 'a cat' })).rejects.toThrow('socket hang up');
+    await expect(api.generateCore({ prompt: 'a cat' })).rejects.toBeInstanceOf(StabilityServerError);
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+
+  it('should retry POSTs that failed before being sent', async () => {
+    const refused = new AxiosError('fetch failed', AxiosError.ERR_NETWORK);
+    refused.cause = Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } });
+    const request = vi.spyOn(axios, 'request')
+      .mockRejectedValueOnce(new AxiosError('getaddrinfo ENOTFOUND', 'ENOTFOUND'))
+      .mockRejectedValueOnce(refused)
+      .mockResolvedValueOnce(imageResponse);
+
+    await api.generateCore({ prompt: 'a cat' });
+    expect(request).toHaveBeenCalledTimes(3);
+  });
+
+  it('should retry POSTs on any transient error with retryPosts', async () => {
+    api.retryOptions.retryPosts = true;
+    const request = vi.spyOn(axios, 'request')
+      .mockRejectedValueOnce(new AxiosError('timeout of 30000ms exceeded', AxiosError.ECONNABORTED))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValueOnce(imageResponse);
+
+    await api.generateCore({ prompt: 'a cat' });
+    expect(request).toHaveBeenCalledTimes(3);
+  });
+
+  it('should honor Retry-After headers', async () => {
+    const pauseSpy = vi.spyOn(await import('../src/utils.js'), 'pause').mockResolvedValue();
+    api.retryOptions.maxDelayMs = 60000;
+    vi.spyOn(axios, 'request')
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '2' }))
+      .mockResolvedValueOnce(imageResponse);
+
+    await api.getResult('task-6');
+    expect(pauseSpy).toHaveBeenCalledWith(2, undefined);
+  });
+});
+
+describe('Typed Errors', () => {
+  let api;
+
+  const httpError = (status, body = { errors: ['boom'] }, headers = {}) => new AxiosError(
+    `Request failed with status code ${status}`,
+    AxiosError.ERR_BAD_RESPONSE,
+    {},
+    {},
+    { status, headers, data: Buffer.from(JSON.stringify(body)) }
+  );
+
+  beforeEach(() => {
+    api = new StabilityAPI('test-key', BASE_URL, 'error', { maxRetries: 0 });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it.each([
+    [401, StabilityAuthError, 'Authentication failed. Check your API key.'],
+    [403, StabilityModerationError, 'Content moderation flagged your request.'],
+    [413, StabilityPayloadTooLargeError, 'Request payload too large (max 10MB).'],
+    [429, StabilityRateLimitError, 'Rate limit exceeded. Please wait before retrying.'],
+    [400, StabilityValidationError, 'Invalid parameters: boom'],
+    [422, StabilityValidationError, 'Invalid parameters: boom'],
+    [500, StabilityServerError, 'Request failed with status code 500']
+  ])('should map HTTP %i to %o', async (status, ErrorClass, message) => {
+    vi.spyOn(axios, 'request').mockRejectedValue(httpError(status));
+
+    const error = await api.getResult('task-1').catch(e => e);
+
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error).toBeInstanceOf(StabilityError);
+    expect(error.name).toBe(ErrorClass.name);
+    expect(error.message).toBe(message);
+    expect(error.status).toBe(status);
+  });
+
+  it('should attach parsed body, endpoint and request ID', async () => {
+    const body = { id: 'body-id', name: 'bad_request', errors: ['prompt is required'] };
+    vi.spyOn(axios, 'request').mockRejectedValue(httpError(400, body, { 'x-request-id': 'req-123' }));
+
+    const error = await api.getResult('task-2').catch(e => e);
+
+    expect(error.data).toEqual(body);
+    expect(error.endpoint).toBe('/v2beta/results/task-2');
+    expect(error.requestId).toBe('req-123');
+    expect(error.cause).toBeInstanceOf(AxiosError);
+  });
+
+  it('should fall back to the body ID when no request ID header is present', async () => {
+    vi.spyOn(axios, 'request').mockRejectedValue(httpError(403, { id: 'body-id', errors: ['flagged'] }));
+
+    const error = await api.getResult('task-3').catch(e => e);
+    expect(error.requestId).toBe('body-id');
+  });
+
+  it('should expose Retry-After on rate limit errors', async () => {
+    vi.spyOn(axios, 'request').mockRejectedValue(httpError(429, {}, { 'retry-after': '12' }));
+
+    const error = await api.getResult('task-4').catch(e => e);
+    expect(error.retryAfterMs).toBe(12000);
+  });
+
+  it('should leave retryAfterMs null without a Retry-After header', async () => {
+    vi.spyOn(axios, 'request').mockRejectedValue(httpError(429));
+
+    const error = await api.getResult('task-5').catch(e => e);
+    expect(error.retryAfterMs).toBeNull();
+  });
+
+  it('should map request timeouts to StabilityTimeoutError', async () => {
+    vi.spyOn(axios, 'request').mockRejectedValue(new AxiosError('timeout of 30000ms exceeded', AxiosError.ECONNABORTED));
+
+    const error = await api.getResult('task-6').catch(e => e);
+    expect(error).toBeInstanceOf(StabilityTimeoutError);
+    expect(error.status).toBeUndefined();
+  });
+
+  it('should raise typed errors from getBalance', async () => {
+    vi.spyOn(axios, 'request').mockRejectedValue(httpError(401));
+
+    const error = await api.getBalance().catch(e => e);
+    expect(error).toBeInstanceOf(StabilityAuthError);
+    expect(error.endpoint).toBe('/v1/user/balance');
+  });
+
+  it('should return balance JSON from getBalance', async () => {
+    vi.spyOn(axios, 'request').mockResolvedValue({
+      status: 200,
+      headers: { 'content-type': 'application/json' },
+      data: { credits: 42.5 }
+    });
+
+    const balance = await api.getBalance();
+    expect(balance.credits).toBe(42.5);
+  });
+
+  it('should keep polling through transient errors in waitForResult', async () => {
+    vi.spyOn(api, 'getResult')
+      .mockRejectedValueOnce(new StabilityServerError('Service unavailable', { status: 503 }))
+      .mockResolvedValueOnce({ image: Buffer.from([1]) });
+
+    const result = await api.waitForResult('task-7', { pollInterval: 0, showSpinner: false });
+    expect(result.image).toBeDefined();
+  });
+
+  it('should rethrow permanent errors from waitForResult', async () => {
+    vi.spyOn(api, 'getResult').mockRejectedValue(new StabilityModerationError('flagged', { status: 403 }));
+
+    await expect(api.waitForResult('task-8', { pollInterval: 0, showSpinner: false }))
+      .rejects.toBeInstanceOf(StabilityModerationError);
+  });
+
+  it('should throw StabilityTimeoutError when polling times out', async () => {
+    vi.spyOn(api, 'getResult').mockResolvedValue({ id: 'task-9', status: 'in-progress' });
+
+    await expect(api.waitForResult('task-9', { pollInterval: 0, timeout: 0, showSpinner: false }))
+      .rejects.toBeInstanceOf(StabilityTimeoutError);
+  });
+});
+
+describe('Request Options', () => {
+  let api;
+
+  const imageResponse = {
+    status: 200,
+    headers: { 'content-type': 'image/png' },
+    data: Buffer.from([0x89, 0x50, 0x4E, 0x47])
+  };
+
+  beforeEach(() => {
+    api = new StabilityAPI('test-key', BASE_URL, 'error');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should use the default 30s request timeout', async () => {
+    const request = vi.spyOn(axios, 'request').mockResolvedValue(imageResponse);
+
+    await api.getResult('task-1');
+    expect(request.mock.calls[0][0].timeout).toBe(30000);
+  });
+
+  it('should pass timeoutMs and signal to axios', async () => {
+    const controller = new AbortController();
+    const request = vi.spyOn(axios, 'request').mockResolvedValue(imageResponse);
+
+    await api.getResult('task-2', { signal: controller.signal, timeoutMs: 5000 });
+
+    const config = request.mock.calls[0][0];
+    expect(config.timeout).toBe(5000);
+    expect(config.signal).toBe(controller.signal);
+  });
+
+  it('should forward request options from public methods', async () => {
+    const controller = new AbortController();
+    const mockRequest = vi.spyOn(api, '_makeFormDataRequest').mockResolvedValue({ image: Buffer.from([1]) });
+    const requestOptions = { signal: controller.signal, timeoutMs: 1000 };
+
+    await api.generateUltra({ prompt: 'a cat' }, requestOptions);
+    await api.erase('./image.png', {}, requestOptions);
+
+    expect(mockRequest).toHaveBeenNthCalledWith(1, 'POST', '/v2beta/stable-image/generate/ultra', expect.any(Object), requestOptions);
+    expect(mockRequest).toHaveBeenNthCalledWith(2, 'POST', '/v2beta/stable-image/edit/erase', expect.any(Object), requestOptions);
+  });
+
+  it('should forward request options to waitForResult', async () => {
+    const controller = new AbortController();
+    vi.spyOn(api, '_makeFormDataRequest').mockResolvedValue({ id: 'task-3' });
+    const mockWaitForResult = vi.spyOn(api, 'waitForResult').mockResolvedValue({ image: Buffer.from([1]) });
+
+    await api.upscaleCreative('./image.png', {}, { signal: controller.signal });
+    expect(mockWaitForResult).toHaveBeenCalledWith('task-3', { signal: controller.signal });
+  });
+
+  it('should not send a request when the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const request = vi.spyOn(axios, 'request');
+
+    await expect(api.getBalance({ signal: controller.signal })).rejects.toBeInstanceOf(StabilityAbortError);
+    expect(request).not.toHaveBeenCalled();
+  });
+
+  it('should raise StabilityAbortError when axios cancels the request', async () => {
+    const request = vi.spyOn(axios, 'request').mockRejectedValue(new axios.CanceledError());
+
+    const error = await api.getResult('task-4').catch(e => e);
+
+    expect(error).toBeInstanceOf(StabilityAbortError);
+    expect(error).toBeInstanceOf(StabilityError);
+    expect(error.endpoint).toBe('/v2beta/results/task-4');
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop waiting between retries when aborted', async () => {
+    const controller = new AbortController();
+    const api = new StabilityAPI('test-key', BASE_URL, 'error', { baseDelayMs: 60000, maxDelayMs: 60000, jitter: false });
+    vi.spyOn(axios, 'request').mockRejectedValue(new AxiosError('socket hang up', 'ECONNRESET'));
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(api.getResult('task-5', { signal: controller.signal })).rejects.toBeInstanceOf(StabilityAbortError);
+  });
+
+  it('should stop polling when aborted', async () => {
+    const controller = new AbortController();
+    const getResult = vi.spyOn(api, 'getResult').mockResolvedValue({ id: 'task-6', status: 'in-progress' });
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(api.waitForResult('task-6', { pollInterval: 60, showSpinner: false, signal: controller.signal }))
+      .rejects.toBeInstanceOf(StabilityAbortError);
+    expect(getResult).toHaveBeenCalledWith('task-6', { signal: controller.signal, timeoutMs: undefined });
+  });
+});
+
+describe('Credit Budget', () => {
+  const imageResponse = {
+    status: 200,
+    headers: { 'content-type': 'image/png', seed: '1', 'finish-reason': 'SUCCESS' },
+    data: Buffer.from([0x89, 0x50, 0x4E, 0x47])
+  };
+
+  const badRequest = () => new AxiosError(
+    'Request failed with status code 400',
+    AxiosError.ERR_BAD_REQUEST,
+    {},
+    {},
+    { status: 400, headers: {}, data: Buffer.from(JSON.stringify({ errors: ['bad'] })) }
+  );
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should not track spend without a budget option', () => {
+    const api = new StabilityAPI('test-key', BASE_URL, 'error');
+    expect(api.budget).toBeNull();
+  });
+
+  it('should estimate costs through the client', () => {
+    const api = new StabilityAPI({ apiKey: 'test-key', logLevel: 'error' });
+    expect(api.estimateCost('sd3', { model: 'sd3.5-medium' })).toBe(3.5);
+  });
+
+  it('should record spend after successful calls', async () => {
+    vi.spyOn(axios, 'request').mockResolvedValue(imageResponse);
+    const api = new StabilityAPI({ apiKey: 'test-key', logLevel: 'error', budget: { session: 20 } });
+
+    await api.generateUltra({ prompt: 'a cat' });
+    await api.generateSD3({ prompt: 'a dog', model: 'sd3.5-medium' });
+
+    expect(api.budget.sessionSpent).toBe(11.5);
+    expect(api.budget.remaining()).toBe(8.5);
+  });
+
+  it('should refuse calls that exceed the budget without sending them', async () => {
+    const request = vi.spyOn(axios, 'request').mockResolvedValue(imageResponse);
+    const api = new StabilityAPI({ apiKey: 'test-key', logLevel: 'error', budget: { session: 10 } });
+
+    await api.generateUltra({ prompt: 'first' });
+    const error = await api.generateUltra({ prompt: 'second' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(StabilityBudgetError);
+    expect(error.estimatedCredits).toBe(8);
+    expect(error.remainingCredits).toBe(2);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not charge failed calls', async () => {
+    vi.spyOn(axios, 'request').mockRejectedValue(badRequest());
+    const api = new StabilityAPI({ apiKey: 'test-key', logLevel: 'error', budget: { session: 10 } });
+
+    await expect(api.generateCore({ prompt: 'x' })).rejects.toBeInstanceOf(StabilityValidationError);
+
+    expect(api.budget.sessionSpent).toBe(0);
+    expect(api.budget.remaining()).toBe(10);
+  });
+
+  it('should not charge polling or balance requests', async () => {
+    vi.spyOn(axios, 'request').mockResolvedValue({ status: 200, headers: {}, data: { credits: 5 } });
+    const api = new StabilityAPI({ apiKey: 'test-key', logLevel: 'error', budget: { session: 1 } });
+
+    await api.getBalance();
+
+    expect(api.budget.sessionSpent).toBe(0);
+  });
+
+  describe('checkBudget', () => {
+    it('should skip the balance check for small batches', async () => {
+      const request = vi.spyOn(axios, 'request');
+      const api = new StabilityAPI({ apiKey: 'test-key', logLevel: 'error' });
+
+      const result = await api.checkBudget([{ operation: 'stable-image-core' }, { operation: 'stable-image-core' }]);
+
+      expect(result).toEqual({ estimatedCredits: 6, balance: null });
+      expect(request).not.toHaveBeenCalled();
+    });
+
+    it('should check the balance for large batches', async () => {
+      vi.spyOn(axios, 'request').mockResolvedValue({ status: 200, headers: {}, data: { credits: 100 } });
+      const api = new StabilityAPI({ apiKey: 'test-key', logLevel: 'error', budget: { balanceCheckThreshold: 10 } });
+
+      const result = await api.checkBudget([{ operation: 'stable-image-ultra' }, { operation: 'stable-image-ultra' }]);
+
+      expect(result).toEqual({ estimatedCredits: 16, balance: 100 });
+    });
+
+    it('should refuse batches larger than the account balance', async () => {
+      vi.spyOn(axios, 'request').mockResolvedValue({ status: 200, headers: {}, data: { credits: 12 } });
+      const api = new StabilityAPI({ apiKey: 'test-key', logLevel: 'error', budget: { balanceCheckThreshold: 10 } });
+
+      const error = await api.checkBudget([{ operation: 'stable-image-ultra' }, { operation: 'stable-image-ultra' }]).catch(e => e);
+
+      expect(error).toBeInstanceOf(StabilityBudgetError);
+      expect(error.message).toContain('Insufficient credits');
+      expect(error.remainingCredits).toBe(12);
+    });
+
+    it('should refuse batches larger than the budget before checking the balance', async () => {
+      const request = vi.spyOn(axios, 'request');
+      const api = new StabilityAPI({ apiKey: 'test-key', logLevel: 'error', budget: { session: 10 } });
+
+      await expect(api.checkBudget([{ operation: 'upscale-creative' }])).rejects.toBeInstanceOf(StabilityBudgetError);
+      expect(request).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Progress Events', () => {
+  const imageResponse = {
+    status: 200,
+    headers: { 'content-type': 'image/png' },
+    data: Buffer.from([0x89, 0x50, 0x4E, 0x47])
+  };
+  const pendingResponse = { status: 202, headers: { 'content-type': 'application/json' }, data: { id: 'task-1', status: 'in-progress' } };
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should be an EventEmitter', () => {
+    const api = new StabilityAPI('test-key', BASE_URL, 'error');
+    expect(typeof api.on).toBe('function');
+    expect(typeof api.emit).toBe('function');
+  });
+
+  it('should emit request:start for each attempt', async () => {
+    vi.spyOn(axios, 'request')
+      .mockRejectedValueOnce(new AxiosError('connect ECONNREFUSED', 'ECONNREFUSED'))
+      .mockResolvedValueOnce(imageResponse);
+    const api = new StabilityAPI({ apiKey: 'test-key', logLevel: 'error', retry: { baseDelayMs: 1, jitter: false } });
+    const starts = [];
+    api.on('request:start', event => starts.push(event));
+
+    await api.generateCore({ prompt: 'a cat' });
+
+    expect(starts).toEqual([
+      { method: 'POST', endpoint: '/v2beta/stable-image/generate/core', attempt: 1 },
+      { method: 'POST', endpoint: '/v2beta/stable-image/generate/core', attempt: 2 }
+    ]);
+  });
+
+  it('should emit request:error with the typed error and retry flag', async () => {
+    vi.spyOn(axios, 'request').mockRejectedValue(new AxiosError(
+      'Request failed with status code 503',
+      AxiosError.ERR_BAD_RESPONSE,
+      {},
+      {},
+      { status: 503, headers: {}, data: Buffer.from('{}') }
+    ));
+    const api = new StabilityAPI({ apiKey: 'test-key', logLevel: 'error', retry: { maxRetries: 1, baseDelayMs: 1, jitter: false } });
+    const errors = [];
+    api.on('request:error', event => errors.push(event));
+
+    await expect(api.getBalance()).rejects.toBeInstanceOf(StabilityServerError);
+
+    expect(errors.map(event => [event.attempt, event.willRetry])).toEqual([[1, true], [2, false]]);
+    expect(errors[1].error).toBeInstanceOf(StabilityServerError);
+  });
+
+  it('should emit upload:progress from the transport', async () => {
+    vi.spyOn(axios, 'request').mockImplementation(async config => {
+      config.onUploadProgress({ loaded: 512, total: 1024 });
+      return imageResponse;
+    });
+    const api = new StabilityAPI({ apiKey: 'test-key', logLevel: 'error' });
+    const progress = vi.fn();
+    api.on('upload:progress', progress);
+
+    await api.generateCore({ prompt: 'a cat' });
+
+    expect(progress).toHaveBeenCalledWith({ endpoint: '/v2beta/stable-image/generate/core', bytesSent: 512, totalBytes: 1024 });
+  });
+
+  it('should emit task events while polling', async () => {
+    vi.spyOn(axios, 'request')
+      .mockResolvedValueOnce({ status: 200, headers: { 'content-type': 'application/json' }, data: { id: 'task-1' } })
+      .mockResolvedValueOnce(pendingResponse)
+      .mockResolvedValueOnce(imageResponse);
+    const api = new StabilityAPI({ apiKey: 'test-key', logLevel: 'error' });
+    const events = [];
+    for (const type of ['task:submitted', 'task:poll', 'task:complete']) {
+      api.on(type, event => events.push([type, event]));
+    }
+
+    const task = await api.upscaleCreative(Buffer.from([0x89, 0x50, 0x4E, 0x47]), { wait: false });
+    await api.waitForResult(task.id, { pollInterval: 0, timeout: 60 });
+
+    expect(events.map(([type]) => type)).toEqual(['task:submitted', 'task:poll', 'task:poll', 'task:complete']);
+    expect(events[0][1]).toEqual({ taskId: 'task-1', endpoint: '/v2beta/stable-image/upscale/creative' });
+    expect(events[2][1]).toMatchObject({ taskId: 'task-1', attempt: 2, timeoutMs: 60000 });
+    expect(events[3][1]).toMatchObject({ taskId: 'task-1', attempts: 2 });
+  });
+
+  it('should forward every event to onProgress with its type', async () => {
+    vi.spyOn(axios, 'request').mockResolvedValue(imageResponse);
+    const onProgress = vi.fn();
+    const api = new StabilityAPI({ apiKey: 'test-key', logLevel: 'error', onProgress });
+
+    await api.getResult('task-2');
+
+    expect(onProgress).toHaveBeenCalledWith({ type: 'request:start', method: 'GET', endpoint: '/v2beta/results/task-2', attempt: 1 });
+  });
+
+  it('should not draw a spinner unless asked', async () => {
+    vi.spyOn(axios, 'request').mockResolvedValue(imageResponse);
+    const write = vi.spyOn(process.stdout, 'write');
+    const api = new StabilityAPI({ apiKey: 'test-key', logLevel: 'error' });
+
+    await api.waitForResult('task-3', { pollInterval: 0 });
+
+    expect(write).not.toHaveBeenCalled();
+  });
+});
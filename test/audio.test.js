@@ -0,0 +1,130 @@
+/**
+ * Audio Tests
+ * Tests for WAV/MP3 detection, reading audio inputs and the Stable Audio
+ * methods against the mock server
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
+import { StabilityAPI } from '../src/api.js';
+import { detectAudioFormat } from '../src/audio.js';
+import { audioToBuffer } from '../src/utils.js';
+import { startMockServer, placeholderAudio, placeholderPng } from '../src/mock.js';
+
+describe('detectAudioFormat', () => {
+  it('should detect WAV files', () => {
+    expect(detectAudioFormat(placeholderAudio(1, 'wav'))).toBe('wav');
+  });
+
+  it('should detect MP3 files with and without an ID3 tag', () => {
+    const mp3 = placeholderAudio(1, 'mp3');
+
+    expect(detectAudioFormat(mp3)).toBe('mp3');
+    expect(detectAudioFormat(mp3.subarray(10))).toBe('mp3');
+  });
+
+  it('should reject images, AAC frames and short buffers', () => {
+    const webp = Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1');
+
+    expect(detectAudioFormat(placeholderPng(1))).toBeNull();
+    expect(detectAudioFormat(webp)).toBeNull();
+    expect(detectAudioFormat(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]))).toBeNull(); // JPEG
+    expect(detectAudioFormat(Buffer.from([0xFF, 0xF1, 0x50, 0x80]))).toBeNull(); // AAC ADTS
+    expect(detectAudioFormat(Buffer.from([0xFF]))).toBeNull();
+  });
+});
+
+describe('audioToBuffer', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = mkdtempSync(join(tmpdir(), 'sai-audio-'));
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should read local WAV and MP3 files', async () => {
+    const file = join(dir, 'loop.wav');
+    writeFileSync(file, placeholderAudio(2, 'wav'));
+
+    expect((await audioToBuffer(file)).equals(placeholderAudio(2, 'wav'))).toBe(true);
+  });
+
+  it('should read byte arrays and streams', async () => {
+    const mp3 = placeholderAudio(3);
+
+    expect((await audioToBuffer(new Uint8Array(mp3))).equals(mp3)).toBe(true);
+    expect((await audioToBuffer(Readable.from([mp3]))).equals(mp3)).toBe(true);
+  });
+
+  it('should reject missing files and other formats', async () => {
+    const png = join(dir, 'cover.png');
+    writeFileSync(png, placeholderPng(1));
+
+    await expect(audioToBuffer(join(dir, 'missing.wav'))).rejects.toThrow('Audio file not found');
+    await expect(audioToBuffer(png)).rejects.toThrow(`Audio does not appear to be a WAV or MP3 file: ${png}`);
+    await expect(audioToBuffer(Buffer.from('not audio'))).rejects.toThrow('WAV or MP3');
+  });
+});
+
+describe('StabilityAPI audio', () => {
+  let server;
+  let api;
+
+  beforeAll(async () => {
+    server = await startMockServer();
+    api = new StabilityAPI({ apiKey: 'test-key', baseUrl: server.url, allowInsecureLocalhost: true, logLevel: 'error', budget: { session: 100 } });
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  afterEach(() => {
+    server.requests.length = 0;
+  });
+
+  it('should generate MP3 audio from a prompt', async () => {
+    const result = await api.generateAudio({ prompt: 'lofi beat', duration: 30, steps: 50, seed: 12 });
+
+    expect(result.image).toBeUndefined();
+    expect(result.audio.equals(placeholderAudio(12))).toBe(true);
+    expect(result.contentType).toBe('audio/mpeg');
+    expect(result.seed).toBe('12');
+
+    const [request] = server.requests;
+    expect(request.path).toBe('/v2beta/audio/stable-audio-2/text-to-audio');
+    expect(request.fields).toEqual({ prompt: 'lofi beat', duration: '30', steps: '50', seed: '12', output_format: 'mp3' });
+  });
+
+  it('should upload the input clip for audio-to-audio', async () => {
+    const result = await api.audioToAudio(placeholderAudio(1, 'wav'), { prompt: 'orchestral', strength: 0.7, output_format: 'wav', seed: 5 });
+
+    expect(detectAudioFormat(result.audio)).toBe('wav');
+    expect(result.contentType).toBe('audio/wav');
+
+    const [request] = server.requests;
+    expect(request.path).toBe('/v2beta/audio/stable-audio-2/audio-to-audio');
+    expect(request.files).toEqual(['audio']);
+    expect(request.fields).toMatchObject({ prompt: 'orchestral', strength: '0.7', output_format: 'wav' });
+  });
+
+  it('should refuse non-audio input without a request', async () => {
+    await expect(api.audioToAudio(placeholderPng(1), { prompt: 'orchestral' })).rejects.toThrow('WAV or MP3');
+
+    expect(server.requests).toHaveLength(0);
+  });
+
+  it('should charge audio calls to the credit budget', async () => {
+    const before = api.budget.sessionSpent;
+
+    await api.generateAudio({ prompt: 'rain on a tin roof' });
+
+    expect(api.budget.sessionSpent - before).toBe(20);
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Batch Runner Tests
+ * Tests for manifest parsing and running jobs against the mock server
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { StabilityAPI, StabilityBudgetError, readImageMetadata } from '../src/api.js';
+import { parseManifest, loadManifest, runBatch } from '../src/batch.js';
+import { startMockServer, placeholderPng } from '../src/mock.js';
+
+describe('parseManifest', () => {
+  it('should parse JSONL, skipping blank lines and comments', () => {
+    const jobs = parseManifest([
+      '# hero shots',
+      '{"id": "cat", "operation": "stable-image-core", "params": {"prompt": "a cat"}}',
+      '',
+      '{"id": "dog", "operation": "sd3", "params": {"prompt": "a dog", "model": "sd3.5-medium"}}'
+    ].join('\n'), 'jsonl');
+
+    expect(jobs.map(job => job.id)).toEqual(['cat', 'dog']);
+    expect(jobs[1].params.model).toBe('sd3.5-medium');
+  });
+
+  it('should parse YAML lists and a top-level jobs key', () => {
+    const yaml = '- operation: stable-image-core\n  params:\n    prompt: a cat\n';
+
+    expect(parseManifest(yaml, 'yaml')).toHaveLength(1);
+    expect(parseManifest(`jobs:\n${yaml.replace(/^/gm, '  ')}`, 'yaml')).toHaveLength(1);
+  });
+
+  it('should derive stable IDs and number identical jobs', () => {
+    const line = '{"operation": "stable-image-core", "params": {"prompt": "a cat"}}';
+    const first = parseManifest(line, 'jsonl');
+    const twice = parseManifest(`${line}\n${line}`, 'jsonl');
+
+    expect(first[0].id).toMatch(/^stable-image-core-[0-9a-f]{8}$/);
+    expect(twice[0].id).toBe(first[0].id);
+    expect(twice[1].id).toBe(`${first[0].id}-2`);
+  });
+
+  it('should report invalid JSON with its line number', () => {
+    expect(() => parseManifest('{"operation": "sd3", "params": {"prompt": "a"}}\n{oops', 'jsonl'))
+      .toThrow('Invalid JSON on manifest line 2');
+  });
+
+  it('should collect validation errors for every job before running anything', () => {
+    const text = [
+      '{"operation": "teleport"}',
+      '{"id": "no-prompt", "operation": "stable-image-ultra", "params": {}}',
+      '{"id": "no-image", "operation": "erase", "params": {}}',
+      '{"params": {}}'
+    ].join('\n');
+
+    let error;
+    try {
+      parseManifest(text, 'jsonl');
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.message).toContain('Job #1: Unknown operation: teleport');
+    expect(error.message).toContain('Job no-prompt: prompt is required for stable-image-ultra');
+    expect(error.message).toContain('Job no-image: image is required for erase');
+    expect(error.message).toContain('Job #4: "operation" is required');
+  });
+
+  it('should reject duplicate explicit IDs', () => {
+    const line = '{"id": "a", "operation": "stable-image-core", "params": {"prompt": "x"}}';
+    expect(() => parseManifest(`${line}\n${line}`, 'jsonl')).toThrow('Job a: duplicate id');
+  });
+});
+
+describe('runBatch', () => {
+  let server;
+  let api;
+  let dir;
+
+  beforeAll(async () => {
+    server = await startMockServer({ pollsUntilComplete: 1 });
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'sai-batch-'));
+    writeFileSync(join(dir, 'input.png'), placeholderPng(1));
+    api = new StabilityAPI({
+      apiKey: 'test-key',
+      baseUrl: server.url,
+      allowInsecureLocalhost: true,
+      logLevel: 'error',
+      retry: { maxRetries: 0 }
+    });
+    server.requests.length = 0;
+  });
+
+  afterEach(() => {
+    server.setFaults([]);
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const manifest = () => [
+    { id: 'core', operation: 'stable-image-core', params: { prompt: 'a cat' } },
+    { id: 'sd3', operation: 'sd3', params: { prompt: 'a dog', model: 'sd3.5-medium' } },
+    { id: 'upscale', operation: 'upscale-creative', params: { image: join(dir, 'input.png') } },
+    { id: 'sketch', operation: 'sketch', params: { image: join(dir, 'input.png'), prompt: 'a castle' } }
+  ];
+
+  it('should run every operation type and save images with metadata', async () => {
+    const summary = await runBatch(api, manifest(), { outputDir: dir, concurrency: 2, pollInterval: 0 });
+
+    expect(summary).toMatchObject({ total: 4, succeeded: 4, failed: 0, skipped: 0, credits: 3 + 3.5 + 60 + 5 });
+    expect(summary.jobs.map(job => job.id)).toEqual(['core', 'sd3', 'upscale', 'sketch']);
+
+    const sketch = summary.jobs[3];
+    expect(sketch.output).toBe(join(dir, 'control-sketch', 'sketch.png'));
+    expect(readFileSync(sketch.output).subarray(0, 4)).toEqual(Buffer.from([0x89, 0x50, 0x4E, 0x47]));
+    expect(existsSync(join(dir, 'control-sketch', 'sketch_metadata.json'))).toBe(true);
+
+    const embedded = await readImageMetadata(sketch.output);
+    expect(embedded).toMatchObject({ model: 'sketch', prompt: 'a castle', seed: sketch.seed });
+  });
+
+  it('should save the image without metadata when it cannot be embedded', async () => {
+    // A WebP whose bitstream the metadata writer cannot parse
+    const header = Buffer.alloc(8);
+    header.write('VP8 ', 0, 'ascii');
+    const body = Buffer.concat([Buffer.from('WEBP'), header]);
+    const webp = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), body]);
+    webp.writeUInt32LE(body.length, 4);
+    api.generateCore = async () => ({ image: webp, seed: '7', finish_reason: 'SUCCESS' });
+
+    const summary = await runBatch(api, [{ id: 'core', operation: 'stable-image-core', params: { prompt: 'a cat', output_format: 'webp' } }], { outputDir: dir });
+
+    expect(summary.succeeded).toBe(1);
+    expect(readFileSync(summary.jobs[0].output).equals(webp)).toBe(true);
+  });
+
+  it('should never exceed the concurrency limit', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const original = api.generateCore.bind(api);
+    api.generateCore = async (...args) => {
+      peak = Math.max(peak, ++inFlight);
+      try {
+        return await original(...args);
+      } finally {
+        inFlight--;
+      }
+    };
+    const jobs = Array.from({ length: 6 }, (_, i) => ({ id: `job-${i}`, operation: 'stable-image-core', params: { prompt: `cat ${i}` } }));
+
+    await runBatch(api, jobs, { outputDir: dir, concurrency: 3 });
+
+    expect(peak).toBe(3);
+  });
+
+  it('should record failures without stopping other jobs', async () => {
+    server.setFaults([{ status: 400, path: '/v2beta/stable-image/generate/sd3' }]);
+    const reportPath = join(dir, 'report.json');
+
+    const summary = await runBatch(api, manifest(), { outputDir: dir, reportPath, pollInterval: 0 });
+
+    expect(summary.succeeded).toBe(3);
+    expect(summary.failed).toBe(1);
+    expect(summary.credits).toBe(3 + 60 + 5);
+    expect(summary.jobs[1]).toMatchObject({ id: 'sd3', status: 'failed', credits: 0 });
+    expect(summary.jobs[1].error).toContain('Invalid parameters');
+
+    const report = JSON.parse(readFileSync(reportPath, 'utf8'));
+    expect(report.failed).toBe(1);
+  });
+
+  it('should skip jobs completed by a previous run', async () => {
+    const statePath = join(dir, 'jobs.state.json');
+    server.setFaults([{ status: 400, path: '/v2beta/stable-image/generate/sd3' }]);
+    await runBatch(api, manifest(), { outputDir: dir, statePath, pollInterval: 0 });
+
+    server.setFaults([]);
+    server.requests.length = 0;
+    const summary = await runBatch(api, manifest(), { outputDir: dir, statePath, pollInterval: 0 });
+
+    expect(summary).toMatchObject({ succeeded: 1, failed: 0, skipped: 3 });
+    expect(summary.jobs.every(job => job.status === 'succeeded')).toBe(true);
+    expect(server.requests.map(r => r.path)).toEqual(['/v2beta/stable-image/generate/sd3']);
+
+    const state = JSON.parse(readFileSync(statePath, 'utf8'));
+    expect(Object.keys(state.jobs).sort()).toEqual(['core', 'sd3', 'sketch', 'upscale']);
+  });
+
+  it('should refuse a batch that exceeds the budget before running any job', async () => {
+    const budgeted = new StabilityAPI({
+      apiKey: 'test-key',
+      baseUrl: server.url,
+      allowInsecureLocalhost: true,
+      logLevel: 'error',
+      budget: { session: 10 }
+    });
+
+    await expect(runBatch(budgeted, manifest(), { outputDir: dir })).rejects.toBeInstanceOf(StabilityBudgetError);
+    expect(server.requests).toHaveLength(0);
+  });
+
+  it('should stop scheduling jobs once aborted', async () => {
+    const controller = new AbortController();
+    const jobs = Array.from({ length: 4 }, (_, i) => ({ id: `job-${i}`, operation: 'stable-image-core', params: { prompt: `cat ${i}` } }));
+
+    const summary = await runBatch(api, jobs, {
+      outputDir: dir,
+      concurrency: 1,
+      signal: controller.signal,
+      onJobComplete: () => controller.abort()
+    });
+
+    expect(summary.succeeded).toBe(1);
+    expect(summary.jobs).toHaveLength(1);
+  });
+
+  it('should load manifests from disk by extension', async () => {
+    const yamlPath = join(dir, 'jobs.yaml');
+    writeFileSync(yamlPath, '- id: a\n  operation: stable-image-core\n  params: { prompt: a cat }\n');
+
+    const jobs = await loadManifest(yamlPath);
+    expect(jobs).toEqual([{ id: 'a', operation: 'stable-image-core', params: { prompt: 'a cat' } }]);
+  });
+
+  it('should resolve relative input paths against the manifest directory', async () => {
+    const manifestPath = join(dir, 'jobs.jsonl');
+    writeFileSync(manifestPath, [
+      JSON.stringify({ id: 'up', operation: 'upscale-fast', params: { image: './input.png' } }),
+      JSON.stringify({ id: 'inpaint', operation: 'inpaint', params: { image: 'input.png', mask: join(dir, 'input.png'), prompt: 'a door' } }),
+      JSON.stringify({ id: 'url', operation: 'upscale-fast', params: { image: 'https://example.com/cat.png' } })
+    ].join('\n'));
+
+    const jobs = await loadManifest(manifestPath);
+    expect(jobs[0].params.image).toBe(join(dir, 'input.png'));
+    expect(jobs[1].params).toMatchObject({ image: join(dir, 'input.png'), mask: join(dir, 'input.png') });
+    expect(jobs[2].params.image).toBe('https://example.com/cat.png');
+
+    // The inputs are found whatever the working directory
+    const summary = await runBatch(api, jobs.slice(0, 1), { outputDir: dir });
+    expect(summary.succeeded).toBe(1);
+  });
+});
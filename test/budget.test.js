@@ -0,0 +1,107 @@
+/**
+ * Credit Budget Tests
+ * Tests for session and daily credit caps and the spend ledger
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CreditBudget } from '../src/budget.js';
+import { StabilityBudgetError } from '../src/errors.js';
+
+describe('CreditBudget', () => {
+  let dir;
+  let ledgerPath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'sai-budget-'));
+    ledgerPath = join(dir, 'usage.json');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should be unlimited without caps', () => {
+    const budget = new CreditBudget({ ledgerPath });
+    expect(budget.remaining()).toBe(Infinity);
+    expect(() => budget.assertAffordable(1000, 'test')).not.toThrow();
+  });
+
+  it('should enforce the session cap', () => {
+    const budget = new CreditBudget({ session: 10, ledgerPath });
+
+    budget.reserve(8, 'stable-image-ultra');
+    budget.commit(8);
+
+    expect(budget.sessionSpent).toBe(8);
+    expect(budget.remaining()).toBe(2);
+    expect(() => budget.reserve(3, 'stable-image-core')).toThrow(StabilityBudgetError);
+  });
+
+  it('should report estimated and remaining credits on the error', () => {
+    const budget = new CreditBudget({ session: 5, ledgerPath });
+
+    const error = (() => {
+      try {
+        budget.assertAffordable(8, 'stable-image-ultra');
+      } catch (e) {
+        return e;
+      }
+    })();
+
+    expect(error.message).toBe('Budget exceeded: stable-image-ultra needs ~8 credits but only 5 remain');
+    expect(error.estimatedCredits).toBe(8);
+    expect(error.remainingCredits).toBe(5);
+  });
+
+  it('should count pending reservations against the budget', () => {
+    const budget = new CreditBudget({ session: 10, ledgerPath });
+
+    budget.reserve(6, 'a');
+    expect(() => budget.reserve(6, 'b')).toThrow(StabilityBudgetError);
+
+    budget.release(6);
+    expect(budget.remaining()).toBe(10);
+    expect(budget.sessionSpent).toBe(0);
+  });
+
+  it('should persist daily spend to the ledger', () => {
+    const first = new CreditBudget({ daily: 20, ledgerPath });
+    first.reserve(8, 'a');
+    first.commit(8);
+
+    const ledger = JSON.parse(readFileSync(ledgerPath, 'utf8'));
+    expect(Object.values(ledger)).toEqual([8]);
+
+    // A second process sharing the ledger sees the same daily spend
+    const second = new CreditBudget({ daily: 20, ledgerPath });
+    expect(second.spentToday()).toBe(8);
+    expect(second.remaining()).toBe(12);
+  });
+
+  it('should ignore ledger entries from previous days', () => {
+    writeFileSync(ledgerPath, JSON.stringify({ '2000-01-01': 500 }));
+
+    const budget = new CreditBudget({ daily: 20, ledgerPath });
+
+    expect(budget.spentToday()).toBe(0);
+    expect(budget.remaining()).toBe(20);
+  });
+
+  it('should not write a ledger without a daily cap', () => {
+    const budget = new CreditBudget({ session: 20, ledgerPath });
+    budget.reserve(3, 'a');
+    budget.commit(3);
+
+    expect(() => readFileSync(ledgerPath)).toThrow();
+  });
+
+  it('should use the tighter of the session and daily caps', () => {
+    writeFileSync(ledgerPath, '{not json');
+
+    const budget = new CreditBudget({ session: 50, daily: 30, ledgerPath });
+    expect(budget.remaining()).toBe(30);
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Response Cache Tests
+ * Tests for request fingerprints, the cache stores and cached API calls
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync, readdirSync } from 'fs';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { StabilityAPI } from '../src/api.js';
+import { FileCacheStore, MemoryCacheStore, requestFingerprint, isDeterministic } from '../src/cache.js';
+import { startMockServer, placeholderPng } from '../src/mock.js';
+
+function entry(image, overrides = {}) {
+  const now = new Date().toISOString();
+  return { image, seed: '42', finish_reason: 'SUCCESS', endpoint: '/v2beta/stable-image/generate/core', credits: 3, createdAt: now, lastUsedAt: now, hits: 0, ...overrides };
+}
+
+const KEY_A = 'a'.repeat(64);
+const KEY_B = 'b'.repeat(64);
+const KEY_C = 'c'.repeat(64);
+
+describe('requestFingerprint', () => {
+  const url = 'https://api.stability.ai/v2beta/stable-image/generate/core';
+
+  it('should ignore field order and unset fields', () => {
+    const a = requestFingerprint(url, { prompt: 'a cat', seed: 42, style_preset: undefined });
+    const b = requestFingerprint(url, { seed: '42', prompt: 'a cat', negative_prompt: null });
+    expect(a).toBe(b);
+    expect(a).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('should change with the endpoint, fields and image bytes', () => {
+    const base = requestFingerprint(url, { prompt: 'a cat', seed: 42 }, { image: Buffer.from('one') });
+    expect(requestFingerprint(`${url}x`, { prompt: 'a cat', seed: 42 }, { image: Buffer.from('one') })).not.toBe(base);
+    expect(requestFingerprint(url, { prompt: 'a cat', seed: 43 }, { image: Buffer.from('one') })).not.toBe(base);
+    expect(requestFingerprint(url, { prompt: 'a cat', seed: 42 }, { image: Buffer.from('two') })).not.toBe(base);
+    expect(requestFingerprint(url, { prompt: 'a cat', seed: 42 }, { mask: Buffer.from('one') })).not.toBe(base);
+  });
+
+  it('should change with the input fit mode', () => {
+    const files = { image: Buffer.from('one') };
+    const base = requestFingerprint(url, { seed: 42 }, files);
+
+    expect(requestFingerprint(url, { seed: 42 }, files, 'crop')).not.toBe(base);
+    expect(requestFingerprint(url, { seed: 42 }, files, 'crop')).not.toBe(requestFingerprint(url, { seed: 42 }, files, 'pad'));
+  });
+});
+
+describe('isDeterministic', () => {
+  it('should require an explicit non-zero seed', () => {
+    expect(isDeterministic({ seed: 42 })).toBe(true);
+    expect(isDeterministic({ seed: '7' })).toBe(true);
+    expect(isDeterministic({ seed: 0 })).toBe(false);
+    expect(isDeterministic({ prompt: 'a cat' })).toBe(false);
+  });
+});
+
+describe('MemoryCacheStore', () => {
+  it('should count hits and report credits saved', async () => {
+    const store = new MemoryCacheStore();
+    await store.set(KEY_A, entry(Buffer.alloc(10)));
+
+    expect((await store.get(KEY_A)).hits).toBe(1);
+    await store.get(KEY_A);
+    expect(await store.get(KEY_B)).toBeUndefined();
+
+    expect(await store.stats()).toEqual({ entries: 1, bytes: 10, hits: 2, creditsSaved: 6, location: 'memory' });
+  });
+
+  it('should expire entries after the TTL', async () => {
+    const store = new MemoryCacheStore({ ttlMs: 1000 });
+    await store.set(KEY_A, entry(Buffer.alloc(1), { createdAt: new Date(Date.now() - 5000).toISOString() }));
+
+    expect(await store.get(KEY_A)).toBeUndefined();
+    expect((await store.stats()).entries).toBe(0);
+  });
+
+  it('should evict the least recently used entries above maxBytes', async () => {
+    const store = new MemoryCacheStore({ maxBytes: 25 });
+    await store.set(KEY_A, entry(Buffer.alloc(10)));
+    await store.set(KEY_B, entry(Buffer.alloc(10)));
+    await store.get(KEY_A);
+    await store.set(KEY_C, entry(Buffer.alloc(10)));
+
+    expect(await store.get(KEY_B)).toBeUndefined();
+    expect(await store.get(KEY_A)).toBeDefined();
+    expect(await store.get(KEY_C)).toBeDefined();
+  });
+
+  it('should clear all entries', async () => {
+    const store = new MemoryCacheStore();
+    await store.set(KEY_A, entry(Buffer.alloc(1)));
+    await store.set(KEY_B, entry(Buffer.alloc(1)));
+
+    expect(await store.clear()).toBe(2);
+    expect((await store.stats()).entries).toBe(0);
+  });
+});
+
+describe('FileCacheStore', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = mkdtempSync(join(tmpdir(), 'sai-cache-'));
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterEach(async () => {
+    await new FileCacheStore(dir).clear();
+  });
+
+  it('should store the image and a metadata sidecar', async () => {
+    const store = new FileCacheStore(dir);
+    await store.set(KEY_A, entry(Buffer.from('image bytes')));
+
+    expect(readdirSync(dir).sort()).toEqual([`${KEY_A}.bin`, `${KEY_A}.json`]);
+    const cached = await store.get(KEY_A);
+    expect(cached.image.toString()).toBe('image bytes');
+    expect(cached.seed).toBe('42');
+    expect(cached.hits).toBe(1);
+  });
+
+  it('should share entries and hit counts across instances', async () => {
+    await new FileCacheStore(dir).set(KEY_A, entry(Buffer.alloc(4)));
+    await new FileCacheStore(dir).get(KEY_A);
+
+    expect(await new FileCacheStore(dir).stats()).toEqual({ entries: 1, bytes: 4, hits: 1, creditsSaved: 3, location: dir });
+  });
+
+  it('should serve hits when the hit count cannot be written', async () => {
+    const store = new FileCacheStore(dir);
+    await store.set(KEY_A, entry(Buffer.from('image bytes')));
+    const writeFile = vi.spyOn(fs, 'writeFile').mockRejectedValueOnce(new Error('EROFS: read-only file system'));
+
+    try {
+      expect((await store.get(KEY_A)).image.toString()).toBe('image bytes');
+      expect(writeFile).toHaveBeenCalledTimes(1);
+    } finally {
+      writeFile.mockRestore();
+    }
+  });
+
+  it('should remove expired entries', async () => {
+    const store = new FileCacheStore(dir, { ttlMs: 1000 });
+    await store.set(KEY_A, entry(Buffer.alloc(1), { createdAt: new Date(Date.now() - 5000).toISOString() }));
+
+    expect(await store.get(KEY_A)).toBeUndefined();
+    expect(readdirSync(dir)).toEqual([]);
+  });
+
+  it('should evict the least recently used entries above maxBytes', async () => {
+    const store = new FileCacheStore(dir, { maxBytes: 25 });
+    const old = new Date(Date.now() - 60000).toISOString();
+    await store.set(KEY_A, entry(Buffer.alloc(10), { lastUsedAt: old }));
+    await store.set(KEY_B, entry(Buffer.alloc(10)));
+    await store.set(KEY_C, entry(Buffer.alloc(10)));
+
+    expect(await store.get(KEY_A)).toBeUndefined();
+    expect((await store.stats()).entries).toBe(2);
+  });
+
+  it('should report an empty cache when the directory does not exist', async () => {
+    const store = new FileCacheStore(join(dir, 'missing'));
+
+    expect((await store.stats()).entries).toBe(0);
+    expect(await store.clear()).toBe(0);
+  });
+});
+
+describe('StabilityAPI response cache', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startMockServer({ pollsUntilComplete: 1 });
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  afterEach(() => {
+    server.requests.length = 0;
+  });
+
+  function createApi(options = {}) {
+    return new StabilityAPI({
+      apiKey: 'test-key',
+      baseUrl: server.url,
+      allowInsecureLocalhost: true,
+      logLevel: 'error',
+      cache: { store: new MemoryCacheStore() },
+      ...options
+    });
+  }
+
+  it('should serve a repeated seeded call from the cache', async () => {
+    const api = createApi({ budget: { session: 100 } });
+
+    const first = await api.generateCore({ prompt: 'a cat', seed: 42 });
+    const second = await api.generateCore({ prompt: 'a cat', seed: 42 });
+
+    expect(server.requests).toHaveLength(1);
+    expect(second.image.equals(first.image)).toBe(true);
+    expect(second.seed).toBe('42');
+    expect(api.budget.sessionSpent).toBe(3);
+    expect((await api.cache.stats()).creditsSaved).toBe(3);
+  });
+
+  it('should key on input image bytes', async () => {
+    const api = createApi();
+
+    await api.erase(placeholderPng(1), {});
+    await api.erase(placeholderPng(1), { seed: 5 });
+    await api.erase(placeholderPng(1), { seed: 5 });
+    await api.erase(placeholderPng(2), { seed: 5 });
+
+    expect(server.requests).toHaveLength(3);
+  });
+
+  it('should key on the input fit mode', async () => {
+    const api = createApi();
+
+    await api.erase(placeholderPng(1), { seed: 5 }, { inputFit: 'crop' });
+    await api.erase(placeholderPng(1), { seed: 5 }, { inputFit: 'pad' });
+    await api.erase(placeholderPng(1), { seed: 5 }, { inputFit: 'pad' });
+
+    expect(server.requests).toHaveLength(2);
+  });
+
+  it('should not cache unseeded calls', async () => {
+    const api = createApi();
+
+    await api.generateCore({ prompt: 'a dog' });
+    await api.generateCore({ prompt: 'a dog', seed: 0 });
+
+    expect(server.requests).toHaveLength(2);
+    expect((await api.cache.stats()).entries).toBe(0);
+  });
+
+  it('should not cache async task submissions', async () => {
+    const api = createApi();
+
+    const task = await api.upscaleCreative(placeholderPng(3), { wait: false, seed: 9 });
+    const again = await api.upscaleCreative(placeholderPng(3), { wait: false, seed: 9 });
+
+    expect(again.id).not.toBe(task.id);
+    expect(server.requests).toHaveLength(2);
+  });
+
+  it('should not cache streamed calls', async () => {
+    const api = createApi();
+
+    const streamed = await api.generateCore({ prompt: 'a cat', seed: 42 }, { responseMode: 'stream' });
+    streamed.stream.resume();
+    await api.generateCore({ prompt: 'a cat', seed: 42 });
+
+    expect(server.requests).toHaveLength(2);
+    expect((await api.cache.stats()).entries).toBe(1);
+  });
+
+  it('should leave caching off by default', async () => {
+    const api = createApi({ cache: undefined });
+
+    await api.generateCore({ prompt: 'a cat', seed: 42 });
+    await api.generateCore({ prompt: 'a cat', seed: 42 });
+
+    expect(api.cache).toBeNull();
+    expect(server.requests).toHaveLength(2);
+  });
+
+  it('should treat a failing cache read as a miss', async () => {
+    const store = new MemoryCacheStore();
+    store.get = async () => { throw new Error('EACCES: permission denied'); };
+    const api = createApi({ cache: { store } });
+
+    const result = await api.generateCore({ prompt: 'a cat', seed: 42 });
+
+    expect(result.seed).toBe('42');
+    expect(server.requests).toHaveLength(1);
+  });
+
+  it('should still return the result when the store fails', async () => {
+    const store = new MemoryCacheStore();
+    store.set = async () => { throw new Error('disk full'); };
+    const api = createApi({ cache: { store } });
+
+    const result = await api.generateCore({ prompt: 'a cat', seed: 42 });
+
+    expect(result.seed).toBe('42');
+  });
+});
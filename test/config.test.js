@@ -18,6 +18,7 @@ import {
   ASPECT_RATIOS,
   OUTPUT_FORMATS,
   getOutputDir,
+  getBaseUrl,
   getPollInterval,
   getTimeout,
   getStabilityApiKey,
@@ -27,7 +28,20 @@ import {
   getEditConstraints,
   validateControlParams,
   getControlConstraints,
-  validateApiKeyFormat
+  validateApiKeyFormat,
+  MODEL_CREDITS,
+  THREE_D_ENDPOINTS,
+  getThreeDConstraints,
+  validateThreeDParams,
+  AUDIO_ENDPOINTS,
+  getAudioConstraints,
+  validateAudioParams,
+  VIDEO_ENDPOINTS,
+  VIDEO_RESULTS_ENDPOINT,
+  getVideoConstraints,
+  validateVideoParams,
+  chooseUpscaler,
+  estimateCost
 } from '../src/config.js';
 
 describe('Configuration Constants', () => {
@@ -111,6 +125,28 @@ describe('Configuration Functions', () => {
     });
   });
 
+  describe('getBaseUrl', () => {
+    const originalEnv = process.env.STABILITY_BASE_URL;
+
+    afterEach(() => {
+      if (originalEnv === undefined) {
+        delete process.env.STABILITY_BASE_URL;
+      } else {
+        process.env.STABILITY_BASE_URL = originalEnv;
+      }
+    });
+
+    it('should default to the Stability AI API', () => {
+      delete process.env.STABILITY_BASE_URL;
+      expect(getBaseUrl()).toBe(BASE_URL);
+    });
+
+    it('should read STABILITY_BASE_URL', () => {
+      process.env.STABILITY_BASE_URL = 'http://localhost:4010';
+      expect(getBaseUrl()).toBe('http://localhost:4010');
+    });
+  });
+
   describe('getPollInterval', () => {
     it('should return poll interval', () => {
       const interval = getPollInterval();
@@ -237,7 +273,7 @@ describe('Configuration Functions', () => {
 
     describe('sd3 validation', () => {
       it('should accept valid SD3 models', () => {
-        const models = ['sd3.5-large', 'sd3.5-medium', 'sd3.5-large-turbo'];
+        const models = ['sd3.5-large', 'sd3.5-medium', 'sd3.5-large-turbo', 'sd3.5-flash'];
         models.forEach(model => {
           const result = validateModelParams('sd3', { model });
           expect(result.valid).toBe(true);
@@ -249,6 +285,27 @@ describe('Configuration Functions', () => {
         expect(result.valid).toBe(false);
         expect(result.errors.some(e => e.includes('Invalid model'))).toBe(true);
       });
+
+      it('should check cfg_scale against the variant range', () => {
+        expect(validateModelParams('sd3', { cfg_scale: 7 }).valid).toBe(true);
+        expect(validateModelParams('sd3', { model: 'sd3.5-medium', cfg_scale: 11 }).errors)
+          .toEqual(['cfg_scale must be between 1 and 10 for sd3.5-medium']);
+        expect(validateModelParams('sd3', { model: 'sd3.5-large-turbo', cfg_scale: 1.5 }).valid).toBe(true);
+        expect(validateModelParams('sd3', { model: 'sd3.5-large-turbo', cfg_scale: 4 }).errors)
+          .toEqual(['cfg_scale must be between 1 and 2 for sd3.5-large-turbo']);
+      });
+
+      it('should require strength for image-to-image only', () => {
+        expect(validateModelParams('sd3', { image: './photo.png', strength: 0.6 }).valid).toBe(true);
+        expect(validateModelParams('sd3', { image: './photo.png' }).errors).toEqual(['strength is required for sd3 image-to-image']);
+        expect(validateModelParams('sd3', { strength: 0.6 }).errors).toEqual(['strength only applies to sd3 image-to-image (pass an image)']);
+        expect(validateModelParams('sd3', { image: './photo.png', strength: 1.5 }).errors).toEqual(['Strength must be between 0 and 1 for sd3']);
+      });
+
+      it('should accept style presets', () => {
+        expect(validateModelParams('sd3', { style_preset: 'anime' }).valid).toBe(true);
+        expect(validateModelParams('sd3', { style_preset: 'sketchy' }).valid).toBe(false);
+      });
     });
 
     describe('upscale validation', () => {
@@ -271,6 +328,16 @@ describe('Configuration Functions', () => {
         expect(invalidResult.valid).toBe(false);
         expect(invalidResult.errors.some(e => e.includes('Creativity must be between'))).toBe(true);
       });
+
+      it('should validate creativity range for conservative upscale', () => {
+        expect(validateModelParams('upscale-conservative', { creativity: 0.35 }).valid).toBe(true);
+        expect(validateModelParams('upscale-conservative', { creativity: 0.1 }).errors).toEqual(['Creativity must be between 0.2 and 0.5 for upscale-conservative']);
+      });
+
+      it('should validate style_preset for creative upscale', () => {
+        expect(validateModelParams('upscale-creative', { style_preset: 'photographic' }).valid).toBe(true);
+        expect(validateModelParams('upscale-creative', { style_preset: 'watercolour' }).errors[0]).toContain('Invalid style_preset');
+      });
     });
 
     describe('unknown model', () => {
@@ -931,3 +998,186 @@ describe('validateControlParams', () => {
     });
   });
 });
+
+describe('3D Configuration', () => {
+  it('should map both 3D models to their endpoints', () => {
+    expect(THREE_D_ENDPOINTS['stable-fast-3d']).toBe('/v2beta/3d/stable-fast-3d');
+    expect(THREE_D_ENDPOINTS['stable-point-aware-3d']).toBe('/v2beta/3d/stable-point-aware-3d');
+  });
+
+  it('should return constraints for known models only', () => {
+    expect(getThreeDConstraints('stable-fast-3d').textureResolutions).toEqual([512, 1024, 2048]);
+    expect(getThreeDConstraints('stable-point-aware-3d').guidance_scale).toBeDefined();
+    expect(getThreeDConstraints('teleport')).toBeNull();
+  });
+});
+
+describe('validateThreeDParams', () => {
+  it('should accept valid Stable Fast 3D parameters', () => {
+    const result = validateThreeDParams('stable-fast-3d', { texture_resolution: 2048, foreground_ratio: 0.85, remesh: 'quad', vertex_count: -1 });
+    expect(result).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should reject unsupported texture resolutions and remesh modes', () => {
+    const result = validateThreeDParams('stable-fast-3d', { texture_resolution: 4096, remesh: 'hex' });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toHaveLength(2);
+    expect(result.errors[0]).toContain('texture_resolution');
+    expect(result.errors[1]).toContain('remesh');
+  });
+
+  it('should check ranges per model', () => {
+    expect(validateThreeDParams('stable-fast-3d', { foreground_ratio: 1.3 }).valid).toBe(false);
+    expect(validateThreeDParams('stable-point-aware-3d', { foreground_ratio: 1.3 }).valid).toBe(true);
+    expect(validateThreeDParams('stable-point-aware-3d', { vertex_count: 50 }).errors[0]).toContain('vertex_count must be between');
+  });
+
+  it('should reject SPAR3D-only options for Stable Fast 3D', () => {
+    const result = validateThreeDParams('stable-fast-3d', { guidance_scale: 3, seed: 1 });
+    expect(result.errors).toEqual(['guidance_scale is not supported by stable-fast-3d', 'seed is not supported by stable-fast-3d']);
+  });
+
+  it('should reject unknown models', () => {
+    expect(validateThreeDParams('stable-slow-3d', {}).errors[0]).toContain('Unknown 3D model');
+  });
+});
+
+describe('Audio Configuration', () => {
+  it('should map both audio operations to Stable Audio 2 endpoints', () => {
+    expect(AUDIO_ENDPOINTS['text-to-audio']).toBe('/v2beta/audio/stable-audio-2/text-to-audio');
+    expect(AUDIO_ENDPOINTS['audio-to-audio']).toBe('/v2beta/audio/stable-audio-2/audio-to-audio');
+  });
+
+  it('should return constraints for known operations only', () => {
+    expect(getAudioConstraints('text-to-audio').outputFormats).toEqual(['mp3', 'wav']);
+    expect(getAudioConstraints('audio-to-audio').strength).toBeDefined();
+    expect(getAudioConstraints('text-to-speech')).toBeNull();
+  });
+});
+
+describe('validateAudioParams', () => {
+  it('should accept valid parameters', () => {
+    const result = validateAudioParams('text-to-audio', { prompt: 'lofi beat', duration: 30, steps: 50, cfg_scale: 7, output_format: 'wav' });
+    expect(result).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should require a prompt', () => {
+    expect(validateAudioParams('audio-to-audio', {}).errors).toEqual(['Prompt is required for audio-to-audio']);
+  });
+
+  it('should check duration, steps and cfg_scale ranges', () => {
+    const result = validateAudioParams('text-to-audio', { prompt: 'x', duration: 200, steps: 10, cfg_scale: 30 });
+    expect(result.errors).toEqual([
+      'duration must be between 1 and 190 for text-to-audio',
+      'steps must be between 30 and 100 for text-to-audio',
+      'cfg_scale must be between 1 and 25 for text-to-audio'
+    ]);
+  });
+
+  it('should reject image output formats', () => {
+    expect(validateAudioParams('text-to-audio', { prompt: 'x', output_format: 'png' }).errors[0]).toContain('Valid formats: mp3, wav');
+  });
+
+  it('should only accept strength for audio-to-audio', () => {
+    expect(validateAudioParams('audio-to-audio', { prompt: 'x', strength: 0.5 }).valid).toBe(true);
+    expect(validateAudioParams('audio-to-audio', { prompt: 'x', strength: 1.5 }).valid).toBe(false);
+    expect(validateAudioParams('text-to-audio', { prompt: 'x', strength: 0.5 }).errors[0]).toBe('strength is not supported by text-to-audio');
+  });
+
+  it('should reject unknown operations', () => {
+    expect(validateAudioParams('text-to-speech', { prompt: 'x' }).errors[0]).toContain('Unknown audio operation');
+  });
+});
+
+describe('chooseUpscaler', () => {
+  it('should use the fast upscaler when 4x is enough', () => {
+    expect(chooseUpscaler(512, 512, 1600)).toEqual({ model: 'upscale-fast', width: 2048, height: 2048 });
+    expect(chooseUpscaler(512, 256, 2048)).toEqual({ model: 'upscale-fast', width: 2048, height: 1024 });
+  });
+
+  it('should use the conservative upscaler beyond 4x', () => {
+    expect(chooseUpscaler(256, 256, 2048)).toEqual({ model: 'upscale-conservative', width: 2048, height: 2048 });
+  });
+
+  it('should use the conservative upscaler for inputs too large for fast', () => {
+    expect(chooseUpscaler(1200, 1200, 1600)).toEqual({ model: 'upscale-conservative', width: 2048, height: 2048 });
+  });
+
+  it('should prefer the creative upscaler for large jumps from small inputs', () => {
+    expect(chooseUpscaler(64, 64, 2048)).toEqual({ model: 'upscale-creative', width: 2048, height: 2048 });
+  });
+
+  it('should reject targets no upscaler reaches', () => {
+    expect(() => chooseUpscaler(1200, 1200, 4096)).toThrow('No upscaler reaches 4096px wide from a 1200x1200 image (4MP upscalers output 2048px wide)');
+    expect(() => chooseUpscaler(512, 512, 512)).toThrow('Target width must be greater than the input width (512px)');
+  });
+});
+
+describe('Video Configuration', () => {
+  it('should submit and poll on the image-to-video endpoints', () => {
+    expect(VIDEO_ENDPOINTS['image-to-video']).toBe('/v2beta/image-to-video');
+    expect(VIDEO_RESULTS_ENDPOINT).toBe('/v2beta/image-to-video/result');
+  });
+
+  it('should list the supported input sizes', () => {
+    expect(getVideoConstraints('image-to-video').dimensions).toEqual(['1024x576', '576x1024', '768x768']);
+    expect(getVideoConstraints('text-to-video')).toBeNull();
+  });
+});
+
+describe('validateVideoParams', () => {
+  it('should accept valid parameters', () => {
+    expect(validateVideoParams('image-to-video', { seed: 42, cfg_scale: 2.5, motion_bucket_id: 180 })).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should check cfg_scale and motion_bucket_id ranges', () => {
+    expect(validateVideoParams('image-to-video', { cfg_scale: 12, motion_bucket_id: 0 }).errors).toEqual([
+      'cfg_scale must be between 0 and 10 for image-to-video',
+      'motion_bucket_id must be between 1 and 255 for image-to-video'
+    ]);
+  });
+
+  it('should reject unknown operations', () => {
+    expect(validateVideoParams('text-to-video', {}).errors[0]).toContain('Unknown video operation');
+  });
+});
+
+describe('estimateCost', () => {
+  it('should price every billable model endpoint', () => {
+    const billable = Object.keys(MODEL_ENDPOINTS).filter(key => key !== 'results');
+    expect(Object.keys(MODEL_CREDITS).sort()).toEqual(billable.sort());
+  });
+
+  it('should price generate, edit and control operations', () => {
+    expect(estimateCost('stable-image-ultra')).toBe(8);
+    expect(estimateCost('upscale-creative')).toBe(60);
+    expect(estimateCost('erase')).toBe(5);
+    expect(estimateCost('style-transfer')).toBe(8);
+  });
+
+  it('should price audio operations', () => {
+    expect(estimateCost('text-to-audio')).toBe(20);
+    expect(estimateCost('audio-to-audio')).toBe(20);
+  });
+
+  it('should price image-to-video', () => {
+    expect(estimateCost('image-to-video')).toBe(20);
+  });
+
+  it('should price 3D models', () => {
+    expect(estimateCost('stable-fast-3d')).toBe(10);
+    expect(estimateCost('stable-point-aware-3d')).toBe(4);
+  });
+
+  it('should price SD3.5 by model variant', () => {
+    expect(estimateCost('sd3')).toBe(6.5);
+    expect(estimateCost('sd3', { model: 'sd3.5-medium' })).toBe(3.5);
+    expect(estimateCost('sd3', { model: 'sd3.5-large-turbo' })).toBe(4);
+    expect(estimateCost('sd3', { model: 'sd3.5-flash' })).toBe(2.5);
+  });
+
+  it('should reject unknown operations and models', () => {
+    expect(() => estimateCost('teleport')).toThrow('Unknown operation: teleport');
+    expect(() => estimateCost('sd3', { model: 'sd4' })).toThrow('Unknown SD3 model');
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Explore Tests
+ * Tests for grid expansion, credit caps and contact sheets against the mock server
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { StabilityAPI, StabilityBudgetError } from '../src/api.js';
+import { exploreParams, parseAxis, planExploration } from '../src/explore.js';
+import { startMockServer, placeholderPng } from '../src/mock.js';
+
+describe('exploreParams', () => {
+  it('should list numeric ranges and enum values from the constraints', () => {
+    const params = exploreParams('sketch');
+
+    expect(params.control_strength).toEqual({ min: 0, max: 1, default: 0.7 });
+    expect(params.seed).toMatchObject({ min: 0 });
+    expect(params.style_preset).toContain('anime');
+    expect(params).not.toHaveProperty('pixels');
+  });
+
+  it('should expand shared range constraints', () => {
+    const params = exploreParams('outpaint');
+    expect(Object.keys(params)).toEqual(expect.arrayContaining(['left', 'right', 'up', 'down', 'creativity']));
+  });
+
+  it('should reject unknown operations', () => {
+    expect(() => exploreParams('unknown')).toThrow('Unknown operation');
+  });
+});
+
+describe('parseAxis', () => {
+  it('should parse min:max:step ranges', () => {
+    expect(parseAxis('strength=0.2:0.8:0.2')).toEqual(['strength', { min: 0.2, max: 0.8, step: 0.2 }]);
+  });
+
+  it('should parse lists, keeping numbers numeric', () => {
+    expect(parseAxis('style_preset=anime,photographic')).toEqual(['style_preset', ['anime', 'photographic']]);
+    expect(parseAxis('seed=1,2,3')).toEqual(['seed', [1, 2, 3]]);
+  });
+
+  it('should not mistake aspect ratios for ranges', () => {
+    expect(parseAxis('aspect_ratio=16:9,1:1')).toEqual(['aspect_ratio', ['16:9', '1:1']]);
+    expect(parseAxis('aspect_ratio=16:9')).toEqual(['aspect_ratio', ['16:9']]);
+  });
+
+  it('should reject specs without a name or values', () => {
+    expect(() => parseAxis('strength')).toThrow('Invalid axis');
+    expect(() => parseAxis('strength=')).toThrow('Invalid axis');
+  });
+});
+
+describe('planExploration', () => {
+  const base = { prompt: 'a lighthouse', image: './photo.png' };
+
+  it('should expand the cartesian product with the last axis varying fastest', () => {
+    const plan = planExploration('stable-image-ultra', base, {
+      strength: { min: 0.2, max: 0.6, step: 0.2 },
+      style_preset: ['anime', 'photographic']
+    });
+
+    expect(plan.cells.map(cell => cell.values)).toEqual([
+      { strength: 0.2, style_preset: 'anime' },
+      { strength: 0.2, style_preset: 'photographic' },
+      { strength: 0.4, style_preset: 'anime' },
+      { strength: 0.4, style_preset: 'photographic' },
+      { strength: 0.6, style_preset: 'anime' },
+      { strength: 0.6, style_preset: 'photographic' }
+    ]);
+    expect(plan.cells[0]).toMatchObject({ id: 'cell-001', params: { ...base, strength: 0.2, style_preset: 'anime' } });
+    expect(plan.credits).toBe(6 * 8);
+  });
+
+  it('should reuse the same random seeds for every combination', () => {
+    const plan = planExploration('stable-image-core', { prompt: 'a cat' }, { aspect_ratio: ['1:1', '16:9'] }, { seeds: 3 });
+    const seeds = plan.cells.map(cell => cell.values.seed);
+
+    expect(plan.cells).toHaveLength(6);
+    expect(seeds.slice(0, 3)).toEqual(seeds.slice(3));
+  });
+
+  it('should explore seeds alone', () => {
+    expect(planExploration('stable-image-core', { prompt: 'a cat' }, {}, { seeds: 4 }).cells).toHaveLength(4);
+  });
+
+  it('should refuse grids over the credit cap', () => {
+    const error = (() => {
+      try {
+        planExploration('stable-image-ultra', { prompt: 'a cat' }, { style_preset: ['anime', 'photographic'] }, { seeds: 7, maxCredits: 100 });
+      } catch (e) {
+        return e;
+      }
+    })();
+
+    expect(error).toBeInstanceOf(StabilityBudgetError);
+    expect(error.estimatedCredits).toBe(112);
+    expect(error.remainingCredits).toBe(100);
+  });
+
+  it('should refuse parameters the operation cannot sweep', () => {
+    expect(() => planExploration('stable-image-core', { prompt: 'a cat' }, { strength: [0.5] })).toThrow('strength cannot be varied');
+    expect(() => planExploration('upscale-fast', { image: './a.png' }, {}, { seeds: 2 })).toThrow('does not take a seed');
+  });
+
+  it('should validate every cell', () => {
+    expect(() => planExploration('sketch', base, { control_strength: [0.5, 1.5] })).toThrow('Invalid exploration');
+  });
+
+  it('should refuse empty and runaway grids', () => {
+    expect(() => planExploration('stable-image-core', { prompt: 'a cat' }, {})).toThrow('Nothing to explore');
+    expect(() => planExploration('sketch', base, { control_strength: { min: 0, max: 1, step: 0.0001 } })).toThrow('use a larger step');
+    expect(() => planExploration('sketch', base, { control_strength: { min: 1, max: 0, step: 0.1 } })).toThrow('Invalid range');
+  });
+});
+
+describe('api.explore', () => {
+  let server;
+  let api;
+  let dir;
+
+  beforeAll(async () => {
+    server = await startMockServer({ pollsUntilComplete: 1 });
+    api = new StabilityAPI({ apiKey: 'test-key', baseUrl: server.url, allowInsecureLocalhost: true, logLevel: 'error' });
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'sai-explore-'));
+    writeFileSync(join(dir, 'sketch.png'), placeholderPng(5));
+  });
+
+  afterEach(() => {
+    server.setFaults([]);
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should save every cell into one folder with a contact sheet', async () => {
+    const completed = [];
+    const result = await api.explore('sketch', { image: join(dir, 'sketch.png'), prompt: 'a <castle>' }, {
+      control_strength: [0.3, 0.7],
+      seed: [1, 2]
+    }, { outputDir: dir, onCellComplete: cell => completed.push(cell.id) });
+
+    expect(result).toMatchObject({ succeeded: 4, failed: 0, credits: 20 });
+    expect(result.directory.startsWith(join(dir, 'explore'))).toBe(true);
+    expect(completed.sort()).toEqual(['cell-001', 'cell-002', 'cell-003', 'cell-004']);
+    expect(result.cells[3]).toMatchObject({ status: 'succeeded', seed: '2', values: { control_strength: 0.7, seed: 2 } });
+    expect(existsSync(result.cells[3].output)).toBe(true);
+
+    const html = readFileSync(result.contactSheet, 'utf8');
+    expect(html).toContain('Prompt: a &lt;castle&gt;');
+    expect(html).toContain('control_strength = 0.7<br>seed = 2');
+    expect(html).toContain('src="control-sketch/cell_004.png"');
+    expect(html).toContain('repeat(2,');
+
+    const report = JSON.parse(readFileSync(join(result.directory, 'explore.json'), 'utf8'));
+    expect(report.cells).toHaveLength(4);
+  });
+
+  it('should record Buffer inputs by size in the report, sidecars and contact sheet', async () => {
+    const image = placeholderPng(5);
+    const result = await api.explore('sketch', { image, prompt: 'a castle' }, { control_strength: [0.3, 0.7] }, { outputDir: dir, seeds: 1 });
+
+    const label = `<binary ${image.length} bytes>`;
+    const report = JSON.parse(readFileSync(join(result.directory, 'explore.json'), 'utf8'));
+    expect(report.params.image).toBe(label);
+    expect(report.cells.every(cell => cell.params.image === label)).toBe(true);
+
+    const sidecar = JSON.parse(readFileSync(result.cells[0].output.replace(/\.png$/, '_metadata.json'), 'utf8'));
+    expect(sidecar.parameters.image).toBe(label);
+    expect(readFileSync(result.contactSheet, 'utf8')).toContain(`image = &lt;binary ${image.length} bytes&gt;`);
+  });
+
+  it('should label failed cells on the contact sheet', async () => {
+    server.setFaults([{ status: 400, times: 1 }]);
+
+    const result = await api.explore('stable-image-core', { prompt: 'a cat' }, { aspect_ratio: ['1:1', '16:9'] }, { outputDir: dir, concurrency: 1 });
+
+    expect(result).toMatchObject({ succeeded: 1, failed: 1 });
+    expect(readFileSync(result.contactSheet, 'utf8')).toContain('Failed: ');
+    expect(readFileSync(result.contactSheet, 'utf8')).toContain('aspect_ratio = 16:9<br>seed = ');
+  });
+});
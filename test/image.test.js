@@ -0,0 +1,394 @@
+/**
+ * Input Image Tests
+ * Tests for PNG decoding/encoding, header parsing and fitting input images
+ * to endpoint limits
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { deflateSync } from 'zlib';
+import { StabilityAPI } from '../src/api.js';
+import { readImageInfo, detectImageFormat, peekImageInfo, readFileHeader, readFileHeaderSync, fitImage } from '../src/image.js';
+import { decodePng, encodePng, pngChunk, PNG_SIGNATURE } from '../src/png.js';
+import { startMockServer, placeholderPng } from '../src/mock.js';
+
+/** Solid-colour RGBA image */
+function solid(width, height, rgba = [10, 20, 30, 255]) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set(rgba, i * 4);
+  }
+  return { width, height, data };
+}
+
+/** PNG from hand-written IHDR fields and already-filtered scanlines */
+function rawPng(width, height, bitDepth, colorType, scanlines, extra = []) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = colorType;
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    ...extra,
+    pngChunk('IDAT', deflateSync(Buffer.from(scanlines))),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+describe('decodePng / encodePng', () => {
+  it('should round-trip RGBA pixels', () => {
+    const image = solid(3, 2, [1, 2, 3, 128]);
+    const decoded = decodePng(encodePng(image));
+
+    expect(decoded.width).toBe(3);
+    expect(decoded.height).toBe(2);
+    expect(decoded.data.equals(image.data)).toBe(true);
+    expect(decoded.hasAlpha).toBe(true);
+  });
+
+  it('should drop alpha when encoding RGB', () => {
+    const decoded = decodePng(encodePng(solid(2, 2, [9, 8, 7, 255]), { alpha: false }));
+
+    expect(decoded.hasAlpha).toBe(false);
+    expect([...decoded.data.subarray(0, 4)]).toEqual([9, 8, 7, 255]);
+  });
+
+  it('should undo Sub, Up, Average and Paeth filters', () => {
+    // 2x4 greyscale: one row per filter type, decoding to 10, 20 on every row
+    const png = rawPng(2, 4, 8, 0, [
+      1, 10, 10,  // Sub: 10, 10+10
+      2, 0, 0,    // Up: same as previous row
+      3, 5, 5,    // Average: 5+(0+10)/2, 5+(10+20)/2
+      4, 0, 0     // Paeth: predicts from the row above
+    ]);
+    const { data } = decodePng(png);
+
+    const greys = Array.from({ length: 8 }, (_, i) => data[i * 4]);
+    expect(greys).toEqual([10, 20, 10, 20, 10, 20, 10, 20]);
+  });
+
+  it('should expand 1-bit palettes with transparency', () => {
+    const palette = pngChunk('PLTE', Buffer.from([255, 0, 0, 0, 0, 255]));
+    const trns = pngChunk('tRNS', Buffer.from([0]));
+    // Pixels: index 0, index 1 packed into the top bits
+    const { data, hasAlpha } = decodePng(rawPng(2, 1, 1, 3, [0, 0b01000000], [palette, trns]));
+
+    expect([...data]).toEqual([255, 0, 0, 0, 0, 0, 255, 255]);
+    expect(hasAlpha).toBe(true);
+  });
+
+  it('should keep the high byte of 16-bit samples', () => {
+    const { data } = decodePng(rawPng(1, 1, 16, 4, [0, 0xAB, 0xCD, 0x80, 0x00]));
+
+    expect([...data]).toEqual([0xAB, 0xAB, 0xAB, 0x80]);
+  });
+
+  it('should reject interlaced PNGs', () => {
+    const png = rawPng(1, 1, 8, 0, [0, 0]);
+    // Interlace flag is the last IHDR byte (offset 8 + 8 + 12)
+    png[28] = 1;
+    expect(() => decodePng(png)).toThrow('Interlaced');
+  });
+});
+
+describe('detectImageFormat', () => {
+  it('should identify formats by their magic bytes', () => {
+    expect(detectImageFormat(encodePng(solid(1, 1)))).toBe('png');
+    expect(detectImageFormat(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]))).toBe('jpeg');
+    expect(detectImageFormat(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('webp');
+    expect(detectImageFormat(Buffer.from('GIF89a'))).toBe('gif');
+    expect(detectImageFormat(Buffer.from('<svg></svg>'))).toBeNull();
+  });
+});
+
+describe('readImageInfo', () => {
+  const riff = (chunk, payload) => Buffer.concat([Buffer.from('RIFF\0\0\0\0WEBP'), Buffer.from(chunk), Buffer.alloc(4), payload]);
+
+  it('should read PNG dimensions and colour type', () => {
+    expect(readImageInfo(encodePng(solid(7, 5)))).toEqual({ format: 'png', width: 7, height: 5, colorType: 'rgba', hasAlpha: true, animated: false });
+    expect(readImageInfo(encodePng(solid(7, 5), { alpha: false }))).toMatchObject({ colorType: 'rgb', hasAlpha: false });
+  });
+
+  it('should treat a PNG tRNS chunk as alpha', () => {
+    const palette = pngChunk('PLTE', Buffer.from([255, 0, 0]));
+    const trns = pngChunk('tRNS', Buffer.from([0]));
+
+    expect(readImageInfo(rawPng(1, 1, 8, 3, [0, 0], [palette]))).toMatchObject({ colorType: 'indexed', hasAlpha: false });
+    expect(readImageInfo(rawPng(1, 1, 8, 3, [0, 0], [palette, trns]))).toMatchObject({ colorType: 'indexed', hasAlpha: true });
+  });
+
+  it('should detect animated PNGs from the acTL chunk', () => {
+    const actl = frames => {
+      const data = Buffer.alloc(8);
+      data.writeUInt32BE(frames, 0);
+      return pngChunk('acTL', data);
+    };
+
+    expect(readImageInfo(rawPng(1, 1, 8, 0, [0, 0], [actl(3)])).animated).toBe(true);
+    expect(readImageInfo(rawPng(1, 1, 8, 0, [0, 0], [actl(1)])).animated).toBe(false);
+  });
+
+  it('should read JPEG dimensions from the SOF marker', () => {
+    const jpeg = Buffer.from([
+      0xFF, 0xD8,
+      0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00,                  // APP0, 2 bytes of payload
+      0xFF, 0xC2, 0x00, 0x0B, 0x08, 0x01, 0xE0, 0x02, 0x80, // progressive SOF: 480 high, 640 wide
+      0x01, 0x01, 0x11, 0x00
+    ]);
+    expect(readImageInfo(jpeg)).toEqual({ format: 'jpeg', width: 640, height: 480, colorType: 'grayscale', hasAlpha: false, animated: false });
+  });
+
+  it('should read lossy, lossless and extended WebP headers', () => {
+    const lossy = Buffer.alloc(14);
+    lossy.set([0x9D, 0x01, 0x2A], 3);
+    lossy.writeUInt16LE(300, 6);
+    lossy.writeUInt16LE(200, 8);
+    expect(readImageInfo(riff('VP8 ', lossy))).toEqual({ format: 'webp', width: 300, height: 200, colorType: 'rgb', hasAlpha: false, animated: false });
+
+    const lossless = Buffer.alloc(10);
+    lossless[0] = 0x2F;
+    lossless.writeUInt32LE(((300 - 1) | ((200 - 1) << 14) | (1 << 28)) >>> 0, 1);
+    expect(readImageInfo(riff('VP8L', lossless))).toEqual({ format: 'webp', width: 300, height: 200, colorType: 'rgba', hasAlpha: true, animated: false });
+
+    const extended = Buffer.alloc(10);
+    extended[0] = 0x02;
+    extended.writeUIntLE(300 - 1, 4, 3);
+    extended.writeUIntLE(200 - 1, 7, 3);
+    expect(readImageInfo(riff('VP8X', extended))).toEqual({ format: 'webp', width: 300, height: 200, colorType: 'rgb', hasAlpha: false, animated: true });
+  });
+
+  it('should read GIF dimensions and looping animations', () => {
+    const gif = Buffer.from('GIF89a\x40\x01\xC8\x00', 'latin1');
+
+    expect(readImageInfo(gif)).toEqual({ format: 'gif', width: 320, height: 200, colorType: 'indexed', hasAlpha: false, animated: false });
+    expect(readImageInfo(Buffer.concat([gif, Buffer.from('!\xFF\x0BNETSCAPE2.0', 'latin1')])).animated).toBe(true);
+  });
+
+  it('should return null for unknown data', () => {
+    expect(readImageInfo(Buffer.from('not an image'))).toBeNull();
+  });
+});
+
+describe('peekImageInfo', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = mkdtempSync(join(tmpdir(), 'sai-image-'));
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should read the header of a local file', async () => {
+    const file = join(dir, 'input.png');
+    writeFileSync(file, encodePng(solid(9, 4), { alpha: false }));
+
+    expect(await peekImageInfo(file)).toMatchObject({ format: 'png', width: 9, height: 4, hasAlpha: false });
+  });
+
+  it('should return null for URLs and missing files', async () => {
+    expect(await peekImageInfo('https://example.com/cat.png')).toBeNull();
+    expect(await peekImageInfo(join(dir, 'missing.png'))).toBeNull();
+  });
+});
+
+describe('readFileHeader', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = mkdtempSync(join(tmpdir(), 'sai-header-'));
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should read at most the first 64KB, synchronously or not', async () => {
+    const file = join(dir, 'large.png');
+    const png = encodePng(solid(9, 4));
+    writeFileSync(file, Buffer.concat([png, Buffer.alloc(1024 * 1024)]));
+
+    const header = readFileHeaderSync(file);
+    expect(header.length).toBe(64 * 1024);
+    expect(header.subarray(0, png.length).equals(png)).toBe(true);
+    expect((await readFileHeader(file)).equals(header)).toBe(true);
+  });
+
+  it('should return the whole of a short file', () => {
+    const file = join(dir, 'small.png');
+    writeFileSync(file, placeholderPng(1));
+
+    expect(readFileHeaderSync(file).equals(placeholderPng(1))).toBe(true);
+  });
+});
+
+describe('fitImage', () => {
+  const limits = { pixels: { min: 100, max: 2500 }, requiresAspectRatio: true };
+
+  it('should pass images within the limits through unchanged', () => {
+    const png = encodePng(solid(40, 40));
+    const result = fitImage(png, limits, 'error');
+
+    expect(result.image).toBe(png);
+    expect(result.report).toBeNull();
+  });
+
+  it('should pass unreadable data through unchanged', () => {
+    const data = Buffer.from('fake image data');
+    expect(fitImage(data, limits, 'error')).toEqual({ image: data, report: null });
+  });
+
+  it('should refuse out-of-limit images in error mode', () => {
+    expect(() => fitImage(encodePng(solid(100, 100)), limits, 'error')).toThrow(/100x100 .*at most 2500 pixels.*'downscale'/);
+    expect(() => fitImage(encodePng(solid(30, 10)), limits, 'error')).toThrow(/aspect ratio .*'pad' or 'crop'/);
+  });
+
+  it('should refuse images below the pixel minimum in every mode', () => {
+    expect(() => fitImage(encodePng(solid(5, 5)), limits, 'downscale')).toThrow('at least 100 pixels');
+  });
+
+  it('should downscale to the pixel limit keeping the aspect ratio', () => {
+    const { image, report } = fitImage(encodePng(solid(100, 80, [200, 100, 50, 255]), { alpha: false }), limits, 'downscale');
+    const decoded = decodePng(image);
+
+    expect(report).toEqual({ from: { width: 100, height: 80 }, to: { width: 55, height: 44 }, changes: ['downscaled 100x80 to 55x44'] });
+    expect(decoded.width * decoded.height).toBeLessThanOrEqual(2500);
+    expect([...decoded.data.subarray(0, 4)]).toEqual([200, 100, 50, 255]);
+    expect(decoded.hasAlpha).toBe(false);
+  });
+
+  it('should not fix aspect ratios in downscale mode', () => {
+    expect(() => fitImage(encodePng(solid(30, 10)), limits, 'downscale')).toThrow(/set inputFit to 'pad' or 'crop'/);
+  });
+
+  it('should pad to the widest allowed ratio', () => {
+    const { image, report } = fitImage(encodePng(solid(30, 10, [255, 255, 255, 255]), { alpha: false }), limits, 'pad');
+    const decoded = decodePng(image);
+
+    expect(report.changes).toEqual(['padded 30x10 to 30x12']);
+    expect([decoded.width, decoded.height]).toEqual([30, 12]);
+    // Top row is padding (black), second row is the original image
+    expect([...decoded.data.subarray(0, 4)]).toEqual([0, 0, 0, 255]);
+    expect([...decoded.data.subarray(30 * 4, 30 * 4 + 4)]).toEqual([255, 255, 255, 255]);
+  });
+
+  it('should crop tall images to the widest allowed ratio', () => {
+    const { report } = fitImage(encodePng(solid(10, 40)), limits, 'crop');
+
+    expect(report.to).toEqual({ width: 10, height: 25 });
+  });
+
+  it('should pad and then downscale when padding exceeds the pixel limit', () => {
+    const { report } = fitImage(encodePng(solid(100, 30)), limits, 'pad');
+
+    expect(report.changes).toEqual(['padded 100x30 to 100x40', 'downscaled 100x40 to 77x31']);
+    expect(report.to.width / report.to.height).toBeLessThanOrEqual(2.5);
+  });
+
+  it('should not re-encode JPEG or WebP inputs', () => {
+    const jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xC0, 0x00, 0x0B, 0x08, 0x00, 0x64, 0x00, 0x64, 0x01, 0x01, 0x11, 0x00]);
+    expect(() => fitImage(jpeg, limits, 'downscale')).toThrow('Only PNG inputs can be resized');
+  });
+
+  it('should refuse GIF and animated inputs in every mode', () => {
+    expect(() => fitImage(Buffer.from('GIF89a\x0A\x00\x0A\x00', 'latin1'), limits, 'pad')).toThrow('GIF images are not supported');
+
+    const actl = pngChunk('acTL', Buffer.from([0, 0, 0, 2, 0, 0, 0, 0]));
+    expect(() => fitImage(rawPng(1, 1, 8, 0, [0, 0], [actl]), limits, 'pad')).toThrow('Animated PNG images are not supported');
+  });
+});
+
+describe('StabilityAPI inputFit', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startMockServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  afterEach(() => {
+    server.requests.length = 0;
+  });
+
+  function createApi(options = {}) {
+    return new StabilityAPI({ apiKey: 'test-key', baseUrl: server.url, allowInsecureLocalhost: true, logLevel: 'error', ...options });
+  }
+
+  it('should refuse out-of-range inputs before uploading by default', async () => {
+    const api = createApi();
+
+    await expect(api.controlSketch(encodePng(solid(300, 100)), 'a castle')).rejects.toThrow(/^image: Input image is 300x100/);
+    expect(server.requests).toHaveLength(0);
+  });
+
+  it('should fit inputs and emit input:fit events', async () => {
+    const api = createApi({ inputFit: 'pad' });
+    const events = [];
+    api.on('input:fit', event => events.push(event));
+
+    await api.controlSketch(encodePng(solid(300, 100)), 'a castle');
+
+    expect(server.requests).toHaveLength(1);
+    expect(events).toEqual([{
+      endpoint: '/v2beta/stable-image/control/sketch',
+      field: 'image',
+      from: { width: 300, height: 100 },
+      to: { width: 300, height: 120 },
+      changes: ['padded 300x100 to 300x120']
+    }]);
+  });
+
+  it('should let a call override the client mode', async () => {
+    const api = createApi({ inputFit: 'pad' });
+
+    await expect(api.controlSketch(encodePng(solid(300, 100)), 'a castle', {}, { inputFit: 'error' })).rejects.toThrow('aspect ratio');
+  });
+
+  it('should leave endpoints without image limits alone', async () => {
+    const api = createApi();
+
+    await expect(api.upscaleFast(encodePng(solid(300, 100)))).resolves.toHaveProperty('image');
+  });
+});
+
+describe('StabilityAPI mask warning', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startMockServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  function createApi() {
+    const logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+    return { api: new StabilityAPI({ apiKey: 'test-key', baseUrl: server.url, allowInsecureLocalhost: true, logger }), logger };
+  }
+
+  it('should warn when erasing an opaque image without a mask', async () => {
+    const { api, logger } = createApi();
+
+    await api.erase(placeholderPng(1), {});
+
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/^erase: no mask given and the PNG input has no alpha channel/));
+  });
+
+  it('should not warn when a mask or alpha channel marks the area', async () => {
+    const { api, logger } = createApi();
+
+    await api.inpaint(encodePng(solid(64, 64, [0, 0, 0, 0])), 'a cat', {});
+    await api.erase(placeholderPng(1), { mask: placeholderPng(2) });
+
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+});
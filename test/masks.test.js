@@ -0,0 +1,195 @@
+/**
+ * Mask Tests
+ * Tests for drawing shapes, alpha masks, dilate/feather/invert and passing
+ * masks to erase and inpaint
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { StabilityAPI } from '../src/api.js';
+import { createMask, parseMaskShapes, parseShapeSpec } from '../src/masks.js';
+import { decodePng, encodePng } from '../src/png.js';
+import { readImageInfo } from '../src/image.js';
+import { startMockServer } from '../src/mock.js';
+
+/** Opaque RGB PNG of the given size */
+function source(width, height) {
+  return encodePng({ width, height, data: Buffer.alloc(width * height * 4, 255) }, { alpha: false });
+}
+
+/** Mask values as rows of grey levels */
+function rows(png) {
+  const { width, height, data } = decodePng(png);
+  return Array.from({ length: height }, (_, y) => Array.from({ length: width }, (_, x) => data[(y * width + x) * 4]));
+}
+
+describe('createMask', () => {
+  it('should match the source size and write a greyscale PNG', async () => {
+    const mask = await createMask(source(8, 6), { shapes: [{ type: 'rect', x: 0, y: 0, width: 1, height: 1 }] });
+
+    expect(readImageInfo(mask)).toEqual({ format: 'png', width: 8, height: 6, colorType: 'grayscale', hasAlpha: false, animated: false });
+  });
+
+  it('should take the size from JPEG sources too', async () => {
+    const jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xC0, 0x00, 0x0B, 0x08, 0x00, 0x03, 0x00, 0x05, 0x01, 0x01, 0x11, 0x00]);
+    const mask = await createMask(jpeg, { shapes: [{ type: 'rect', x: 1, y: 1, width: 2, height: 1 }] });
+
+    expect(rows(mask)).toEqual([
+      [0, 0, 0, 0, 0],
+      [0, 255, 255, 0, 0],
+      [0, 0, 0, 0, 0]
+    ]);
+  });
+
+  it('should draw rectangles clipped to the image', async () => {
+    const mask = await createMask(source(4, 3), { shapes: [{ type: 'rect', x: 2, y: -5, width: 10, height: 7 }] });
+
+    expect(rows(mask)).toEqual([
+      [0, 0, 255, 255],
+      [0, 0, 255, 255],
+      [0, 0, 0, 0]
+    ]);
+  });
+
+  it('should draw ellipses', async () => {
+    const mask = await createMask(source(5, 5), { shapes: [{ type: 'ellipse', cx: 2.5, cy: 2.5, rx: 2.5, ry: 1.5 }] });
+
+    expect(rows(mask)).toEqual([
+      [0, 0, 0, 0, 0],
+      [0, 255, 255, 255, 0],
+      [255, 255, 255, 255, 255],
+      [0, 255, 255, 255, 0],
+      [0, 0, 0, 0, 0]
+    ]);
+  });
+
+  it('should fill polygons', async () => {
+    const mask = await createMask(source(4, 4), { shapes: [{ type: 'polygon', points: [[0, 0], [4, 0], [0, 4]] }] });
+
+    // Pixels whose centres lie on the diagonal edge stay unmarked
+    expect(rows(mask)).toEqual([
+      [255, 255, 255, 0],
+      [255, 255, 0, 0],
+      [255, 0, 0, 0],
+      [0, 0, 0, 0]
+    ]);
+  });
+
+  it('should mark transparent areas with fromAlpha', async () => {
+    const data = Buffer.alloc(3 * 1 * 4, 255);
+    data[3] = 0;
+    data[7] = 128;
+    const png = encodePng({ width: 3, height: 1, data });
+
+    expect(rows(await createMask(png, { fromAlpha: true }))).toEqual([[255, 127, 0]]);
+  });
+
+  it('should dilate, feather and invert in that order', async () => {
+    const shapes = [{ type: 'rect', x: 3, y: 0, width: 1, height: 1 }];
+    const line = async options => rows(await createMask(source(7, 1), { shapes, ...options }))[0];
+
+    expect(await line({ dilate: 1 })).toEqual([0, 0, 255, 255, 255, 0, 0]);
+    expect(await line({ feather: 1 })).toEqual([0, 0, 85, 85, 85, 0, 0]);
+    expect(await line({ dilate: 1, feather: 1 })).toEqual([0, 85, 170, 255, 170, 85, 0]);
+    expect(await line({ dilate: 1, invert: true })).toEqual([255, 255, 0, 0, 0, 255, 255]);
+  });
+
+  it('should read the source from a local path', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'sai-masks-'));
+    try {
+      const file = join(dir, 'photo.png');
+      writeFileSync(file, source(10, 4));
+
+      const mask = await createMask(file, { shapes: [{ type: 'rect', x: 0, y: 0, width: 5, height: 4 }] });
+
+      expect(readImageInfo(mask)).toMatchObject({ width: 10, height: 4 });
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should reject masks with nothing to draw', async () => {
+    await expect(createMask(source(4, 4), {})).rejects.toThrow('at least one shape or fromAlpha');
+  });
+
+  it('should reject fromAlpha on images without transparency', async () => {
+    await expect(createMask(source(4, 4), { fromAlpha: true })).rejects.toThrow('no alpha channel');
+  });
+
+  it('should reject fractional or negative radii', async () => {
+    const shapes = [{ type: 'rect', x: 0, y: 0, width: 1, height: 1 }];
+
+    await expect(createMask(source(4, 4), { shapes, feather: 1.5 })).rejects.toThrow('feather must be');
+    await expect(createMask(source(4, 4), { shapes, dilate: -1 })).rejects.toThrow('dilate must be');
+  });
+
+  it('should reject unreadable sources', async () => {
+    await expect(createMask(Buffer.from('not an image'), { fromAlpha: true })).rejects.toThrow('Could not read the source image size');
+  });
+});
+
+describe('parseMaskShapes', () => {
+  it('should accept valid shapes', () => {
+    const shapes = [
+      { type: 'rect', x: 0, y: 0, width: 10, height: 10 },
+      { type: 'ellipse', cx: 5, cy: 5, rx: 2, ry: 3 },
+      { type: 'polygon', points: [[0, 0], [1, 0], [0, 1]] }
+    ];
+    expect(parseMaskShapes(shapes)).toEqual(shapes);
+  });
+
+  it('should name the first invalid shape', () => {
+    expect(() => parseMaskShapes({})).toThrow('must be an array');
+    expect(() => parseMaskShapes([{ type: 'circle' }])).toThrow('Mask shape 1: type must be one of rect, ellipse, polygon');
+    expect(() => parseMaskShapes([{ type: 'rect', x: 0, y: 0, width: 1, height: 1 }, { type: 'rect', x: 0, y: 0, width: '1', height: 1 }]))
+      .toThrow('Mask shape 2: rect width must be a number');
+    expect(() => parseMaskShapes([{ type: 'ellipse', cx: 0, cy: 0, rx: 0, ry: 1 }])).toThrow('rx and ry must be greater than 0');
+    expect(() => parseMaskShapes([{ type: 'polygon', points: [[0, 0], [1, 1]] }])).toThrow('at least 3 [x, y] number pairs');
+  });
+});
+
+describe('parseShapeSpec', () => {
+  it('should parse comma-separated rectangles and ellipses', () => {
+    expect(parseShapeSpec('rect', '10, 20,100,50')).toEqual({ type: 'rect', x: 10, y: 20, width: 100, height: 50 });
+    expect(parseShapeSpec('ellipse', '50,50,20,10')).toEqual({ type: 'ellipse', cx: 50, cy: 50, rx: 20, ry: 10 });
+  });
+
+  it('should parse JSON polygon points', () => {
+    expect(parseShapeSpec('polygon', '[[0,0],[100,0],[50,80]]')).toEqual({ type: 'polygon', points: [[0, 0], [100, 0], [50, 80]] });
+  });
+
+  it('should reject malformed specs', () => {
+    expect(() => parseShapeSpec('rect', '10,20,100')).toThrow('Invalid rect "10,20,100" (expected x,y,width,height)');
+    expect(() => parseShapeSpec('ellipse', '1,,2,3')).toThrow('Invalid ellipse');
+    expect(() => parseShapeSpec('polygon', '0,0,1,1')).toThrow('Invalid polygon');
+  });
+});
+
+describe('StabilityAPI masks', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startMockServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  afterEach(() => {
+    server.requests.length = 0;
+  });
+
+  it('should upload a mask Buffer with erase and inpaint', async () => {
+    const api = new StabilityAPI({ apiKey: 'test-key', baseUrl: server.url, allowInsecureLocalhost: true, logLevel: 'error' });
+    const image = source(64, 64);
+    const mask = await createMask(image, { shapes: [{ type: 'ellipse', cx: 32, cy: 32, rx: 10, ry: 10 }], feather: 2 });
+
+    await api.erase(image, { mask });
+    await api.inpaint(image, 'a cat', { mask });
+
+    expect(server.requests.map(request => request.files)).toEqual([['image', 'mask'], ['image', 'mask']]);
+  });
+});
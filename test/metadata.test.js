@@ -0,0 +1,239 @@
+/**
+ * Image Metadata Tests
+ * Tests for embedding and reading generation metadata in PNG, WebP and JPEG files
+ */
+
+import { describe, it, expect } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { buildImageMetadata, embedImageMetadata, tryEmbedImageMetadata, readImageMetadata } from '../src/metadata.js';
+import { readPngChunks } from '../src/png.js';
+import { placeholderPng } from '../src/mock.js';
+
+const metadata = buildImageMetadata(
+  'stable-image-core',
+  { prompt: 'a cat & a <dog>', negative_prompt: 'blurry', seed: 42, output_format: 'png' },
+  { seed: '42', finish_reason: 'SUCCESS' }
+);
+
+function riff(chunks) {
+  const body = Buffer.concat([Buffer.from('WEBP'), ...chunks.map(([type, data]) => {
+    const header = Buffer.alloc(8);
+    header.write(type, 0, 'ascii');
+    header.writeUInt32LE(data.length, 4);
+    return Buffer.concat([header, data, Buffer.alloc(data.length & 1)]);
+  })]);
+  const header = Buffer.alloc(8);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+// Lossless bitstream header: 64x32 with alpha, followed by stand-in image data
+function vp8l() {
+  const data = Buffer.alloc(11);
+  data[0] = 0x2F;
+  data.writeUInt32LE(63 | (31 << 14) | (1 << 28), 1);
+  return data;
+}
+
+function jpeg() {
+  const jfif = Buffer.from([0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00]);
+  const exif = Buffer.concat([Buffer.from([0xFF, 0xE1, 0x00, 0x08]), Buffer.from('Exif\0\0')]);
+  const scan = Buffer.from([0xFF, 0xDA, 0x00, 0x02, 0x12, 0x34, 0xFF, 0xD9]);
+  return Buffer.concat([Buffer.from([0xFF, 0xD8]), jfif, exif, scan]);
+}
+
+describe('buildImageMetadata', () => {
+  it('should pull prompt, seed and finish reason out of the request and result', () => {
+    expect(metadata).toMatchObject({
+      model: 'stable-image-core',
+      prompt: 'a cat & a <dog>',
+      negative_prompt: 'blurry',
+      seed: '42',
+      finish_reason: 'SUCCESS'
+    });
+    expect(new Date(metadata.timestamp).toISOString()).toBe(metadata.timestamp);
+  });
+});
+
+describe('PNG metadata', () => {
+  it('should round-trip through iTXt chunks', async () => {
+    const image = embedImageMetadata(placeholderPng(1), metadata);
+
+    expect(await readImageMetadata(image)).toEqual(JSON.parse(JSON.stringify(metadata)));
+  });
+
+  it('should keep image chunks intact and end with IEND', () => {
+    const original = readPngChunks(placeholderPng(1));
+    const chunks = readPngChunks(embedImageMetadata(placeholderPng(1), metadata));
+
+    expect(chunks.map(chunk => chunk.type)).toEqual(['IHDR', 'IDAT', 'iTXt', 'iTXt', 'tEXt', 'IEND']);
+    expect(chunks[1].data.equals(original[1].data)).toBe(true);
+  });
+
+  it('should write the prompt as a Description for other viewers', () => {
+    const chunks = readPngChunks(embedImageMetadata(placeholderPng(1), metadata));
+    const description = chunks.find(chunk => chunk.type === 'iTXt' && chunk.data.toString('latin1').startsWith('Description\0'));
+
+    expect(description.data.toString('utf8')).toContain('a cat & a <dog>');
+  });
+
+  it('should replace metadata from an earlier embed', async () => {
+    const once = embedImageMetadata(placeholderPng(1), metadata);
+    const twice = embedImageMetadata(once, { ...metadata, seed: '7' });
+
+    expect(readPngChunks(twice).filter(chunk => chunk.type === 'iTXt')).toHaveLength(2);
+    expect((await readImageMetadata(twice)).seed).toBe('7');
+  });
+
+  it('should return null for images without metadata', async () => {
+    expect(await readImageMetadata(placeholderPng(1))).toBeNull();
+  });
+
+  it('should keep non-ASCII prompts', async () => {
+    const image = embedImageMetadata(placeholderPng(1), { ...metadata, prompt: '猫 café' });
+    expect((await readImageMetadata(image)).prompt).toBe('猫 café');
+  });
+});
+
+describe('WebP metadata', () => {
+  it('should convert simple files to VP8X and round-trip through XMP', async () => {
+    const image = embedImageMetadata(riff([['VP8L', vp8l()]]), metadata);
+
+    expect(image.toString('ascii', 12, 16)).toBe('VP8X');
+    // XMP and alpha flags, canvas 64x32
+    expect(image[20]).toBe(0x14);
+    expect(image.readUIntLE(24, 3) + 1).toBe(64);
+    expect(image.readUIntLE(27, 3) + 1).toBe(32);
+    expect(image.readUInt32LE(4)).toBe(image.length - 8);
+    expect(await readImageMetadata(image)).toMatchObject({ prompt: 'a cat & a <dog>', seed: '42' });
+  });
+
+  it('should read the canvas size of lossy bitstreams', () => {
+    const vp8 = Buffer.from([0x00, 0x00, 0x00, 0x9D, 0x01, 0x2A, 0x80, 0x02, 0xE0, 0x01, 0x00]);
+    const image = embedImageMetadata(riff([['VP8 ', vp8]]), metadata);
+
+    expect(image[20]).toBe(0x04);
+    expect(image.readUIntLE(24, 3) + 1).toBe(640);
+    expect(image.readUIntLE(27, 3) + 1).toBe(480);
+  });
+
+  it('should set the XMP flag on extended files and replace existing XMP', async () => {
+    const features = Buffer.alloc(10);
+    features[0] = 0x08;
+    features.writeUIntLE(63, 4, 3);
+    features.writeUIntLE(31, 7, 3);
+    const original = riff([['VP8X', features], ['VP8L', vp8l()], ['EXIF', Buffer.from('exif')], ['XMP ', Buffer.from('<old/>')]]);
+
+    const image = embedImageMetadata(original, metadata);
+
+    expect(image[20]).toBe(0x0C);
+    expect(image.indexOf('EXIF')).toBeGreaterThan(0);
+    expect(image.indexOf('<old/>')).toBe(-1);
+    expect((await readImageMetadata(image)).model).toBe('stable-image-core');
+  });
+});
+
+describe('JPEG metadata', () => {
+  it('should insert XMP after the JFIF and EXIF segments', async () => {
+    const original = jpeg();
+    const image = embedImageMetadata(original, metadata);
+
+    // SOI, APP0, APP1 (EXIF), APP1 (XMP)
+    expect(image.subarray(0, 20).equals(original.subarray(0, 20))).toBe(true);
+    expect(image.subarray(20, 30).equals(original.subarray(20, 30))).toBe(true);
+    expect(image.subarray(30, 32)).toEqual(Buffer.from([0xFF, 0xE1]));
+    expect(image.subarray(-8).equals(original.subarray(-8))).toBe(true);
+    expect(await readImageMetadata(image)).toMatchObject({ negative_prompt: 'blurry', finish_reason: 'SUCCESS' });
+  });
+
+  it('should replace an earlier XMP segment', () => {
+    const once = embedImageMetadata(jpeg(), metadata);
+    const twice = embedImageMetadata(once, metadata);
+
+    expect(twice.length).toBe(once.length);
+  });
+
+  it('should split metadata larger than one segment into Extended XMP', async () => {
+    // 8000 CJK characters are 24KB of UTF-8, stored as the prompt and again in the parameters
+    const prompt = '山'.repeat(8000);
+    const large = buildImageMetadata('stable-image-core', { prompt, negative_prompt: '雨'.repeat(8000), output_format: 'jpeg' }, { seed: '1' });
+    const image = embedImageMetadata(jpeg(), large);
+
+    const xmpSegments = [];
+    for (let offset = 2; image[offset] === 0xFF && image[offset + 1] >= 0xE0 && image[offset + 1] <= 0xEF;) {
+      const length = image.readUInt16BE(offset + 2);
+      expect(length).toBeLessThanOrEqual(0xFFFF);
+      xmpSegments.push(image.toString('latin1', offset + 4, offset + 4 + 35));
+      offset += 2 + length;
+    }
+    expect(xmpSegments.filter(header => header.startsWith('http://ns.adobe.com/xmp/extension/')).length).toBeGreaterThan(1);
+    expect(image.subarray(-8).equals(jpeg().subarray(-8))).toBe(true);
+
+    const embedded = await readImageMetadata(image);
+    expect(embedded.prompt).toBe(prompt);
+    expect(embedded.parameters.negative_prompt).toBe('雨'.repeat(8000));
+  });
+
+  it('should replace earlier Extended XMP segments', () => {
+    const large = { ...metadata, parameters: { notes: 'x'.repeat(70000) } };
+    const once = embedImageMetadata(jpeg(), large);
+    const twice = embedImageMetadata(once, large);
+
+    expect(twice.length).toBe(once.length);
+    expect(embedImageMetadata(once, metadata).length).toBe(embedImageMetadata(jpeg(), metadata).length);
+  });
+
+  it('should shorten the XMP description of long prompts', () => {
+    const prompt = 'a'.repeat(5000);
+    const image = embedImageMetadata(jpeg(), buildImageMetadata('stable-image-core', { prompt }, { seed: '1' }));
+    const description = /<rdf:li xml:lang="x-default">([^<]*)<\/rdf:li>/.exec(image.toString('utf8'))[1];
+
+    expect(description).toBe(`${'a'.repeat(1000)}…`);
+  });
+});
+
+describe('tryEmbedImageMetadata', () => {
+  it('should return the original bytes and report why when the image cannot be parsed', () => {
+    const broken = riff([['VP8 ', Buffer.alloc(4)]]);
+    const errors = [];
+
+    expect(tryEmbedImageMetadata(broken, metadata, error => errors.push(error.message))).toBe(broken);
+    expect(errors).toEqual(['Unsupported WebP bitstream: VP8']);
+  });
+
+  it('should embed like embedImageMetadata otherwise', async () => {
+    const image = tryEmbedImageMetadata(placeholderPng(1), metadata, () => { throw new Error('not called'); });
+    expect((await readImageMetadata(image)).prompt).toBe('a cat & a <dog>');
+  });
+});
+
+describe('readImageMetadata', () => {
+  it('should read from a file path', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'sai-metadata-'));
+    try {
+      const file = join(dir, 'cat.png');
+      writeFileSync(file, embedImageMetadata(placeholderPng(3), metadata));
+
+      expect((await readImageMetadata(file)).prompt).toBe('a cat & a <dog>');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should reject unsupported formats', async () => {
+    await expect(readImageMetadata(Buffer.from('GIF89a'))).rejects.toThrow('Unsupported image format');
+  });
+
+  it('should leave unsupported formats unchanged when embedding', () => {
+    const gif = Buffer.from('GIF89a');
+    expect(embedImageMetadata(gif, metadata)).toBe(gif);
+  });
+
+  it('should record binary inputs by size', async () => {
+    const image = embedImageMetadata(placeholderPng(1), { ...metadata, parameters: { mask: Buffer.alloc(1024) } });
+    expect((await readImageMetadata(image)).parameters.mask).toBe('<binary 1024 bytes>');
+  });
+});
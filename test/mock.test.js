@@ -0,0 +1,339 @@
+/**
+ * Mock Server Tests
+ * End-to-end tests running StabilityAPI against the bundled mock server
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { Readable, Writable } from 'stream';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { StabilityAPI, StabilityModerationError, StabilityValidationError } from '../src/api.js';
+import { startMockServer, parseFaultSpec, placeholderPng, placeholderGlb, placeholderMp4 } from '../src/mock.js';
+import { PNG_SIGNATURE, pngChunk } from '../src/png.js';
+
+/** PNG header (signature and IHDR only) declaring the given size */
+function pngHeader(width, height) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 2;
+  return Buffer.concat([PNG_SIGNATURE, pngChunk('IHDR', ihdr)]);
+}
+
+describe('Mock Server', () => {
+  let server;
+  let api;
+
+  beforeAll(async () => {
+    server = await startMockServer({ pollsUntilComplete: 2, credits: 42 });
+    api = new StabilityAPI({
+      apiKey: 'test-key',
+      baseUrl: server.url,
+      allowInsecureLocalhost: true,
+      logLevel: 'error',
+      retry: { baseDelayMs: 1, maxDelayMs: 5, jitter: false }
+    });
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  afterEach(() => {
+    server.setFaults([]);
+    server.requests.length = 0;
+  });
+
+  it('should listen on a random localhost port', () => {
+    expect(server.url).toMatch(/^http:\/\/127\.0\.0\.1:\d+$/);
+    expect(server.port).toBeGreaterThan(0);
+  });
+
+  it('should return a placeholder PNG with seed and finish-reason', async () => {
+    const result = await api.generateCore({ prompt: 'a cat', seed: 42 });
+
+    expect(result.image.subarray(0, 4)).toEqual(Buffer.from([0x89, 0x50, 0x4E, 0x47]));
+    expect(result.seed).toBe('42');
+    expect(result.finish_reason).toBe('SUCCESS');
+  });
+
+  it('should return identical images for identical requests', async () => {
+    const first = await api.generateUltra({ prompt: 'a lighthouse' });
+    const second = await api.generateUltra({ prompt: 'a lighthouse' });
+
+    expect(first.seed).toBe(second.seed);
+    expect(first.image.equals(second.image)).toBe(true);
+  });
+
+  it('should record multipart fields and file names', async () => {
+    await api.erase(placeholderPng(1), {});
+
+    const [request] = server.requests;
+    expect(request.method).toBe('POST');
+    expect(request.path).toBe('/v2beta/stable-image/edit/erase');
+    expect(request.files).toEqual(['image']);
+    expect(request.fields.output_format).toBe('png');
+  });
+
+  it('should accept byte arrays, Blobs and streams as images', async () => {
+    const png = placeholderPng(3);
+
+    await api.erase(new Uint8Array(png), { mask: new Blob([png]) });
+    await api.upscaleFast(Readable.from([png]));
+
+    expect(server.requests.map(request => request.files)).toEqual([['image', 'mask'], ['image']]);
+  });
+
+  it('should resend stream inputs when retrying', async () => {
+    server.setFaults([{ status: 429, times: 1 }]);
+
+    const result = await api.removeBackground(Readable.from([placeholderPng(4)]));
+
+    expect(result.image).toBeDefined();
+    expect(server.requests).toHaveLength(2);
+    expect(server.requests[1].files).toEqual(['image']);
+  });
+
+  it('should serve the balance endpoint', async () => {
+    const balance = await api.getBalance();
+    expect(balance.credits).toBe(42);
+  });
+
+  it('should complete async tasks after the configured number of polls', async () => {
+    const task = await api.upscaleCreative(placeholderPng(7), { wait: false, seed: 7 });
+    expect(task.id).toMatch(/^[0-9a-f]{32}$/);
+
+    const result = await api.waitForResult(task.id, { pollInterval: 0, showSpinner: false });
+
+    expect(result.seed).toBe('7');
+    const polls = server.requests.filter(r => r.path === `/v2beta/results/${task.id}`);
+    expect(polls).toHaveLength(3);
+  });
+
+  it('should parse in-progress task status from getResult', async () => {
+    const task = await api.upscaleCreative(placeholderPng(8), { wait: false });
+
+    expect(await api.getResult(task.id)).toEqual({ id: task.id, status: 'in-progress' });
+  });
+
+  it('should report upload progress for multipart requests', async () => {
+    const progress = [];
+    const onProgress = event => progress.push(event);
+    api.on('upload:progress', onProgress);
+
+    await api.erase(placeholderPng(2), {});
+    api.off('upload:progress', onProgress);
+
+    expect(progress.length).toBeGreaterThan(0);
+    const last = progress[progress.length - 1];
+    expect(last.endpoint).toBe('/v2beta/stable-image/edit/erase');
+    expect(last.bytesSent).toBeGreaterThan(0);
+  });
+
+  it('should reject unknown task IDs', async () => {
+    await expect(api.getResult('missing')).rejects.toThrow();
+  });
+
+  it('should retry injected transient faults', async () => {
+    server.setFaults([{ status: 429, times: 2 }]);
+
+    const result = await api.generateSD3({ prompt: 'a bird', seed: 3 });
+
+    expect(result.seed).toBe('3');
+    expect(server.requests).toHaveLength(3);
+  });
+
+  it('should inject faults for a single path', async () => {
+    server.setFaults([{ status: 403, path: '/v2beta/stable-image/generate/core' }]);
+
+    await expect(api.generateCore({ prompt: 'flagged' })).rejects.toBeInstanceOf(StabilityModerationError);
+    await expect(api.generateUltra({ prompt: 'fine' })).resolves.toHaveProperty('image');
+  });
+
+  it('should inject validation faults with an error body', async () => {
+    server.setFaults([{ status: 400, times: 1 }]);
+
+    const error = await api.generateCore({ prompt: 'x' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(StabilityValidationError);
+    expect(error.data.name).toBe('bad_request');
+    expect(error.requestId).toBe(error.data.id);
+  });
+
+  it('should stream images with responseMode stream', async () => {
+    const buffered = await api.generateCore({ prompt: 'a fox', seed: 11 });
+
+    const result = await api.generateCore({ prompt: 'a fox', seed: 11 }, { responseMode: 'stream' });
+
+    expect(result.image).toBeUndefined();
+    expect(result.seed).toBe('11');
+    expect(result.finish_reason).toBe('SUCCESS');
+    expect(result.contentType).toBe('image/png');
+    const chunks = [];
+    for await (const chunk of result.stream) {
+      chunks.push(chunk);
+    }
+    expect(Buffer.concat(chunks).equals(buffered.image)).toBe(true);
+  });
+
+  it('should write images to a destination path', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'sai-stream-'));
+    try {
+      const file = join(dir, 'nested', 'upscaled.png');
+
+      const result = await api.upscaleConservative(placeholderPng(4), { seed: 4 }, { destination: file });
+
+      expect(result).toEqual({ bytes: placeholderPng(4).length, path: file, contentType: 'image/png', finish_reason: 'SUCCESS', seed: '4' });
+      expect(readFileSync(file).equals(placeholderPng(4))).toBe(true);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should pipe async task results into a writable destination', async () => {
+    const chunks = [];
+    const destination = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      }
+    });
+
+    const result = await api.upscaleCreative(placeholderPng(5), { seed: 5 }, { destination, pollInterval: 0 });
+
+    expect(result.seed).toBe('5');
+    expect(result.path).toBeUndefined();
+    expect(Buffer.concat(chunks).equals(placeholderPng(5))).toBe(true);
+    expect(result.bytes).toBe(placeholderPng(5).length);
+  });
+
+  it('should return GLB models from the 3D endpoints', async () => {
+    const result = await api.generate3D(placeholderPng(6), { model: 'stable-point-aware-3d', vertex_count: 500, seed: 6 });
+
+    expect(result.image).toBeUndefined();
+    expect(result.glb.equals(placeholderGlb(6))).toBe(true);
+    expect(result.contentType).toBe('model/gltf-binary');
+    expect(result.seed).toBe('6');
+
+    const [request] = server.requests;
+    expect(request.path).toBe('/v2beta/3d/stable-point-aware-3d');
+    expect(request.fields).toMatchObject({ target_type: 'vertex', target_count: '500', seed: '6' });
+    expect(request.files).toEqual(['image']);
+  });
+
+  it('should poll image-to-video tasks for an MP4 result', async () => {
+    const result = await api.generateVideo(pngHeader(1024, 576), { seed: 9, motion_bucket_id: 180 }, { pollInterval: 0 });
+
+    expect(result.image).toBeUndefined();
+    expect(result.video.equals(placeholderMp4(9))).toBe(true);
+    expect(result.contentType).toBe('video/mp4');
+    expect(result.seed).toBe('9');
+
+    const [submit, ...polls] = server.requests;
+    expect(submit.path).toBe('/v2beta/image-to-video');
+    expect(submit.fields).toMatchObject({ seed: '9', motion_bucket_id: '180' });
+    expect(polls).toHaveLength(3);
+    expect(polls.every(r => r.path.startsWith('/v2beta/image-to-video/result/'))).toBe(true);
+  });
+
+  it('should only serve video tasks from the video results endpoint', async () => {
+    const task = await api.generateVideo(pngHeader(768, 768), { wait: false });
+
+    await expect(api.getResult(task.id)).rejects.toThrow();
+    expect(await api.getResult(task.id, { resultsEndpoint: '/v2beta/image-to-video/result' })).toEqual({ id: task.id, status: 'in-progress' });
+  });
+
+  it('should reject image-to-video inputs of unsupported sizes before uploading', async () => {
+    await expect(api.generateVideo(placeholderPng(1))).rejects.toThrow('1024x576, 576x1024, 768x768 image (got 64x64)');
+    expect(server.requests).toHaveLength(0);
+  });
+
+  it('should check fast upscale inputs against its pixel limits before uploading', async () => {
+    await expect(api.upscaleFast(placeholderPng(1, 16))).rejects.toThrow('at least 1024 pixels are required');
+    await expect(api.upscaleFast(pngHeader(2048, 2048))).rejects.toThrow('at most 1048576 pixels are allowed');
+    expect(server.requests).toHaveLength(0);
+  });
+
+  it('should pick the upscaler for a target width with upscaleTo', async () => {
+    await api.upscaleTo(placeholderPng(1), 200, { output_format: 'webp' });
+    await api.upscaleTo(pngHeader(1200, 1200), 1600, { prompt: 'a harbour', creativity: 0.25 });
+    const task = await api.upscaleTo(placeholderPng(2), 2048, { prompt: 'a harbour', style_preset: 'photographic', wait: false });
+
+    expect(task.id).toMatch(/^[0-9a-f]{32}$/);
+    expect(server.requests.map(r => r.path)).toEqual([
+      '/v2beta/stable-image/upscale/fast',
+      '/v2beta/stable-image/upscale/conservative',
+      '/v2beta/stable-image/upscale/creative'
+    ]);
+    expect(server.requests[0].fields).toEqual({ output_format: 'webp' });
+    expect(server.requests[1].fields).toMatchObject({ creativity: '0.25' });
+    expect(server.requests[2].fields).toMatchObject({ style_preset: 'photographic' });
+  });
+
+  it('should reject upscaleTo targets no upscaler reaches', async () => {
+    await expect(api.upscaleTo(pngHeader(1200, 1200), 4096)).rejects.toThrow('No upscaler reaches 4096px');
+    await expect(api.upscaleTo('https://example.com/photo.png', 2048)).rejects.toThrow('size can be read');
+    expect(server.requests).toHaveLength(0);
+  });
+
+  it('should build valid GLB headers', () => {
+    const glb = placeholderGlb(1);
+
+    expect(glb.toString('ascii', 0, 4)).toBe('glTF');
+    expect(glb.readUInt32LE(4)).toBe(2);
+    expect(glb.readUInt32LE(8)).toBe(glb.length);
+    expect(glb.readUInt32LE(12) % 4).toBe(0);
+    expect(glb.readUInt32LE(16)).toBe(0x4E4F534A);
+    expect(JSON.parse(glb.subarray(20).toString()).asset.version).toBe('2.0');
+  });
+
+  it('should read error bodies of streamed requests', async () => {
+    server.setFaults([{ status: 400, times: 1 }]);
+
+    const error = await api.generateCore({ prompt: 'x' }, { responseMode: 'stream' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(StabilityValidationError);
+    expect(error.data.name).toBe('bad_request');
+  });
+
+  it('should send Retry-After on injected rate limits', async () => {
+    server.setFaults([{ status: 429, retryAfter: 0 }]);
+
+    const error = await api.getBalance().catch(e => e);
+    expect(error.retryAfterMs).toBe(0);
+  });
+
+  it('should reject requests without an API key', async () => {
+    const response = await fetch(`${server.url}/v1/user/balance`);
+    const body = await response.json();
+
+    expect(response.status).toBe(401);
+    expect(body.name).toBe('unauthorized');
+  });
+
+  it('should return 404 for unknown routes', async () => {
+    const response = await fetch(`${server.url}/v2beta/unknown`, { headers: { authorization: 'Bearer test-key' } });
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('parseFaultSpec', () => {
+  it('should parse a bare status', () => {
+    expect(parseFaultSpec('503')).toEqual({ status: 503 });
+  });
+
+  it('should parse status, times and path', () => {
+    expect(parseFaultSpec('429:2:/v1/user/balance')).toEqual({ status: 429, times: 2, path: '/v1/user/balance' });
+  });
+
+  it('should reject non-error statuses', () => {
+    expect(() => parseFaultSpec('200')).toThrow('4xx or 5xx');
+    expect(() => parseFaultSpec('abc')).toThrow('4xx or 5xx');
+  });
+
+  it('should reject invalid times', () => {
+    expect(() => parseFaultSpec('503:0')).toThrow('positive integer');
+  });
+});
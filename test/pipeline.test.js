@@ -0,0 +1,215 @@
+/**
+ * Pipeline Tests
+ * Tests for recipe parsing, step validation and image chaining against the mock server
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, readdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { StabilityAPI, StabilityBudgetError } from '../src/api.js';
+import { chainedInput, validatePipeline, parsePipeline, loadPipeline } from '../src/pipeline.js';
+import { readImageMetadata } from '../src/metadata.js';
+import { startMockServer, placeholderPng } from '../src/mock.js';
+
+const STEPS = [
+  { operation: 'stable-image-core', params: { prompt: 'a ceramic mug on a desk' } },
+  { operation: 'search-and-replace', params: { prompt: 'a glass mug', search_prompt: 'ceramic mug' } },
+  { operation: 'remove-background' },
+  { operation: 'upscale-conservative', params: { prompt: 'a glass mug', output_format: 'webp' } }
+];
+
+describe('chainedInput', () => {
+  it('should name the parameter that receives the previous image', () => {
+    expect(chainedInput('erase')).toBe('image');
+    expect(chainedInput('stable-image-ultra')).toBe('image');
+    expect(chainedInput('style-transfer')).toBe('init_image');
+    expect(chainedInput('stable-image-core')).toBeNull();
+  });
+
+  it('should chain into SD3.5 image-to-image, which needs a strength', () => {
+    expect(chainedInput('sd3')).toBe('image');
+    expect(() => validatePipeline([STEPS[0], { operation: 'sd3', params: { prompt: 'oil painting', strength: 0.5 } }])).not.toThrow();
+    expect(() => validatePipeline([STEPS[0], { operation: 'sd3', params: { prompt: 'oil painting' } }]))
+      .toThrow('Step #2: strength is required for sd3 image-to-image');
+  });
+});
+
+describe('validatePipeline', () => {
+  it('should assign step IDs from position and operation', () => {
+    expect(validatePipeline(STEPS).map(step => step.id)).toEqual([
+      '1-stable-image-core',
+      '2-search-and-replace',
+      '3-remove-background',
+      '4-upscale-conservative'
+    ]);
+  });
+
+  it('should accept a Buffer input on the first step', () => {
+    expect(() => validatePipeline([{ operation: 'upscale-fast', params: { image: placeholderPng(1) } }])).not.toThrow();
+  });
+
+  it('should list every invalid step', () => {
+    const error = (() => {
+      try {
+        validatePipeline([
+          { operation: 'remove-background' },
+          { operation: 'stable-image-core', params: { prompt: 'a cat' } },
+          { id: 'cleanup', operation: 'erase', params: { image: './other.png' } },
+          { id: 'cleanup', operation: 'inpaint' }
+        ]);
+      } catch (e) {
+        return e;
+      }
+    })();
+
+    expect(error.message).toContain('Step #1: image is required for remove-background');
+    expect(error.message).toContain('Step #2: stable-image-core takes no input image, so it can only be the first step');
+    expect(error.message).toContain('Step cleanup: image comes from the previous step and cannot be set');
+    expect(error.message).toContain('Step cleanup: duplicate id');
+    expect(error.message).toContain('Step cleanup: prompt is required for inpaint');
+  });
+
+  it('should refuse empty pipelines', () => {
+    expect(() => validatePipeline([])).toThrow('Pipeline has no steps');
+  });
+});
+
+describe('parsePipeline', () => {
+  it('should parse YAML with a steps key', () => {
+    const recipe = parsePipeline([
+      'name: product-shot',
+      'steps:',
+      '  - operation: stable-image-core',
+      '    params: { prompt: "a mug" }',
+      '  - id: cutout',
+      '    operation: remove-background'
+    ].join('\n'), 'yaml');
+
+    expect(recipe.name).toBe('product-shot');
+    expect(recipe.steps[1]).toEqual({ id: 'cutout', operation: 'remove-background', params: {} });
+  });
+
+  it('should parse a JSON list of steps', () => {
+    const recipe = parsePipeline(JSON.stringify(STEPS), 'json');
+    expect(recipe.name).toBeUndefined();
+    expect(recipe.steps).toHaveLength(4);
+  });
+
+  it('should reject malformed recipes', () => {
+    expect(() => parsePipeline('{', 'json')).toThrow('Invalid JSON recipe');
+    expect(() => parsePipeline('name: x', 'yaml')).toThrow('top-level "steps" list');
+  });
+
+  it('should name file recipes after the file', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'sai-recipe-'));
+    try {
+      writeFileSync(join(dir, 'cutout.json'), JSON.stringify(STEPS.slice(0, 3)));
+      expect((await loadPipeline(join(dir, 'cutout.json'))).name).toBe('cutout');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('api.pipeline', () => {
+  let server;
+  let api;
+  let dir;
+
+  beforeAll(async () => {
+    server = await startMockServer({ pollsUntilComplete: 1 });
+    api = new StabilityAPI({ apiKey: 'test-key', baseUrl: server.url, allowInsecureLocalhost: true, logLevel: 'error' });
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+    dir = mkdtempSync(join(tmpdir(), 'sai-pipeline-'));
+  });
+
+  afterEach(() => {
+    server.setFaults([]);
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should feed each step\'s image to the next step', async () => {
+    const completed = [];
+    const result = await api.pipeline(STEPS, { keepIntermediates: true, onStepComplete: step => completed.push(step.id) });
+
+    const posts = server.requests.filter(request => request.method === 'POST');
+    expect(posts.map(request => request.path)).toEqual([
+      '/v2beta/stable-image/generate/core',
+      '/v2beta/stable-image/edit/search-and-replace',
+      '/v2beta/stable-image/edit/remove-background',
+      '/v2beta/stable-image/upscale/conservative'
+    ]);
+    expect(posts.slice(1).every(request => request.files.includes('image'))).toBe(true);
+    expect(completed).toHaveLength(4);
+
+    expect(result.image.equals(result.steps[3].image)).toBe(true);
+    expect(result.steps[0].image.equals(placeholderPng(Number(result.steps[0].seed)))).toBe(true);
+    expect(result.steps[1].parameters.image).toBe('<output of 1-stable-image-core>');
+    expect(result.credits).toBe(53);
+    expect(result.directory).toBeUndefined();
+  });
+
+  it('should combine the step records into one provenance record', async () => {
+    const result = await api.pipeline(STEPS, { name: 'mug' });
+
+    expect(result.steps[0].image).toBeUndefined();
+    expect(result.provenance).toMatchObject({
+      model: 'pipeline',
+      prompt: 'a ceramic mug on a desk',
+      seed: result.steps[3].seed,
+      parameters: { name: 'mug', credits: 53 }
+    });
+    expect(result.provenance.parameters.steps.map(step => step.operation)).toEqual(STEPS.map(step => step.operation));
+  });
+
+  it('should save the final image, provenance and intermediates to one folder', async () => {
+    const result = await api.pipeline(STEPS, { name: 'glass mug', outputDir: dir, keepIntermediates: true });
+
+    expect(result.directory.startsWith(join(dir, 'pipeline'))).toBe(true);
+    expect(result.directory.endsWith('_glass_mug')).toBe(true);
+    expect(readdirSync(result.directory).sort()).toEqual([
+      '1_stable_image_core.png',
+      '2_search_and_replace.png',
+      '3_remove_background.png',
+      'final.webp',
+      'pipeline.json'
+    ]);
+
+    const embedded = await readImageMetadata(result.output);
+    expect(embedded.model).toBe('pipeline');
+    expect(embedded.parameters.steps).toHaveLength(4);
+    expect((await readImageMetadata(result.steps[1].output)).model).toBe('search-and-replace');
+
+    const provenance = JSON.parse(readFileSync(join(result.directory, 'pipeline.json'), 'utf8'));
+    expect(provenance.result.image_path).toBe(result.output);
+  });
+
+  it('should record Buffer inputs by size', async () => {
+    const image = placeholderPng(3);
+    const result = await api.pipeline([{ operation: 'upscale-fast', params: { image } }]);
+    expect(result.steps[0].parameters.image).toBe(`<binary ${image.length} bytes>`);
+  });
+
+  it('should stop at the first failing step without saving', async () => {
+    server.setFaults([{ status: 400, path: '/v2beta/stable-image/edit/remove-background' }]);
+
+    await expect(api.pipeline(STEPS, { outputDir: dir })).rejects.toThrow();
+    expect(server.requests.filter(request => request.method === 'POST')).toHaveLength(3);
+    expect(existsSync(join(dir, 'pipeline'))).toBe(false);
+  });
+
+  it('should refuse pipelines over the budget before the first call', async () => {
+    const capped = new StabilityAPI({ apiKey: 'test-key', baseUrl: server.url, allowInsecureLocalhost: true, logLevel: 'error', budget: { session: 20 } });
+
+    await expect(capped.pipeline(STEPS)).rejects.toBeInstanceOf(StabilityBudgetError);
+    expect(server.requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Rerun Tests
+ * Tests for rebuilding operation calls from saved metadata
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { StabilityAPI } from '../src/api.js';
+import { loadRunRecord, parseOverride, planRerun } from '../src/rerun.js';
+import { operationForOutputDir, runOperation } from '../src/operations.js';
+import { buildImageMetadata, embedImageMetadata } from '../src/metadata.js';
+import { startMockServer, placeholderPng } from '../src/mock.js';
+
+const sd3Record = {
+  model: 'sd3',
+  timestamp: '2025-01-01T12:00:00.000Z',
+  prompt: 'a cat',
+  seed: '1234',
+  finish_reason: 'SUCCESS',
+  parameters: { prompt: 'a cat', model: 'sd3.5-large', aspect_ratio: '1:1', output_format: 'png' }
+};
+
+describe('operationForOutputDir', () => {
+  it('should map CLI output directories back to operation keys', () => {
+    expect(operationForOutputDir('stable-image-ultra')).toBe('stable-image-ultra');
+    expect(operationForOutputDir('edit-search-replace')).toBe('search-and-replace');
+    expect(operationForOutputDir('edit-replace-background-relight')).toBe('replace-background-and-relight');
+    expect(operationForOutputDir('control-style-transfer')).toBe('style-transfer');
+  });
+
+  it('should accept operation keys as recorded by batch runs', () => {
+    expect(operationForOutputDir('search-and-replace')).toBe('search-and-replace');
+  });
+
+  it('should return null for unknown directories', () => {
+    expect(operationForOutputDir('results')).toBeNull();
+  });
+});
+
+describe('parseOverride', () => {
+  it('should parse JSON values and keep other text as strings', () => {
+    expect(parseOverride('seed=42')).toEqual(['seed', 42]);
+    expect(parseOverride('strength=0.4')).toEqual(['strength', 0.4]);
+    expect(parseOverride('keep_original_background=true')).toEqual(['keep_original_background', true]);
+    expect(parseOverride('aspect_ratio=16:9')).toEqual(['aspect_ratio', '16:9']);
+    expect(parseOverride('prompt=a=b')).toEqual(['prompt', 'a=b']);
+  });
+
+  it('should treat an empty value as removal', () => {
+    expect(parseOverride('negative_prompt=')).toEqual(['negative_prompt', undefined]);
+  });
+
+  it('should reject specs without a key', () => {
+    expect(() => parseOverride('16:9')).toThrow('expected key=value');
+    expect(() => parseOverride('=x')).toThrow('expected key=value');
+  });
+});
+
+describe('planRerun', () => {
+  it('should reuse the recorded seed and parameters', () => {
+    expect(planRerun(sd3Record)).toEqual({
+      operation: 'sd3',
+      params: { ...sd3Record.parameters, seed: 1234 }
+    });
+  });
+
+  it('should apply overrides after the recorded seed', () => {
+    const { params } = planRerun(sd3Record, { overrides: { aspect_ratio: '16:9', seed: 7, model: undefined } });
+
+    expect(params).toMatchObject({ aspect_ratio: '16:9', seed: 7 });
+    expect(params).not.toHaveProperty('model');
+  });
+
+  it('should drop the seed with newSeed', () => {
+    const { params } = planRerun({ ...sd3Record, parameters: { ...sd3Record.parameters, seed: 5 } }, { newSeed: true });
+    expect(params).not.toHaveProperty('seed');
+  });
+
+  it('should refuse a new seed combined with a seed override', () => {
+    expect(() => planRerun(sd3Record, { newSeed: true, overrides: { seed: 1 } })).toThrow('Cannot combine');
+  });
+
+  it('should not add a seed to operations that take none', () => {
+    const record = { ...sd3Record, model: 'upscale-fast', parameters: { image: './cat.png', output_format: 'png' } };
+    expect(planRerun(record).params).not.toHaveProperty('seed');
+  });
+
+  it('should resolve edit and control directories', () => {
+    const record = {
+      ...sd3Record,
+      model: 'edit-search-replace',
+      parameters: { image: './room.png', prompt: 'a red sofa', search_prompt: 'sofa', output_format: 'png' }
+    };
+    expect(planRerun(record).operation).toBe('search-and-replace');
+  });
+
+  it('should explain missing input images', () => {
+    const record = { ...sd3Record, model: 'edit-erase', parameters: { output_format: 'png' } };
+    expect(() => planRerun(record)).toThrow(/image is required for erase[\s\S]*override image/);
+  });
+
+  it('should validate overridden values', () => {
+    expect(() => planRerun(sd3Record, { overrides: { aspect_ratio: '7:3' } })).toThrow('Invalid rerun parameters');
+  });
+
+  it('should reject unknown operations', () => {
+    expect(() => planRerun({ ...sd3Record, model: 'results' })).toThrow('not a known operation');
+  });
+});
+
+describe('loadRunRecord', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'sai-rerun-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should read a sidecar metadata file', async () => {
+    const file = join(dir, 'a_cat_metadata.json');
+    writeFileSync(file, JSON.stringify({
+      model: 'sd3',
+      timestamp: sd3Record.timestamp,
+      parameters: sd3Record.parameters,
+      result: { finish_reason: 'SUCCESS', seed: '1234', image_path: join(dir, 'a_cat.png') }
+    }));
+
+    expect(await loadRunRecord(file)).toEqual(sd3Record);
+  });
+
+  it('should read metadata embedded in an image', async () => {
+    const file = join(dir, 'a_cat.png');
+    writeFileSync(file, embedImageMetadata(placeholderPng(1), buildImageMetadata('sd3', sd3Record.parameters, { seed: '1234' })));
+
+    expect(planRerun(await loadRunRecord(file)).params.seed).toBe(1234);
+  });
+
+  it('should reject JSON that is not generation metadata', async () => {
+    const file = join(dir, 'jobs.report.json');
+    writeFileSync(file, JSON.stringify({ total: 1 }));
+
+    await expect(loadRunRecord(file)).rejects.toThrow('not a generation metadata file');
+  });
+
+  it('should reject images without metadata', async () => {
+    const file = join(dir, 'plain.png');
+    writeFileSync(file, placeholderPng(1));
+
+    await expect(loadRunRecord(file)).rejects.toThrow('No generation metadata');
+  });
+});
+
+describe('rerun against the mock server', () => {
+  let server;
+  let api;
+
+  beforeAll(async () => {
+    server = await startMockServer();
+    api = new StabilityAPI({ apiKey: 'test-key', baseUrl: server.url, allowInsecureLocalhost: true, logLevel: 'error' });
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  it('should reproduce the recorded seed', async () => {
+    const original = await runOperation(api, 'sd3', sd3Record.parameters);
+    const record = buildImageMetadata('sd3', sd3Record.parameters, original);
+
+    const { operation, params } = planRerun(record);
+    const again = await runOperation(api, operation, params);
+
+    expect(again.seed).toBe(original.seed);
+    expect(server.requests[1].fields.seed).toBe(original.seed);
+  });
+});
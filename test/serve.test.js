@@ -0,0 +1,169 @@
+/**
+ * Proxy Server Tests
+ * Tests for routing, validation, rate limiting and CORS, forwarding to the mock server
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { StabilityAPI } from '../src/api.js';
+import { startProxyServer } from '../src/serve.js';
+import { startMockServer, placeholderPng } from '../src/mock.js';
+
+describe('startProxyServer', () => {
+  let upstream;
+  let api;
+  let proxy;
+
+  beforeAll(async () => {
+    upstream = await startMockServer({ pollsUntilComplete: 1 });
+    api = new StabilityAPI({ apiKey: 'test-key', baseUrl: upstream.url, allowInsecureLocalhost: true, logLevel: 'error' });
+  });
+
+  afterAll(async () => {
+    await upstream.close();
+  });
+
+  beforeEach(async () => {
+    upstream.requests.length = 0;
+    proxy = await startProxyServer(api, { port: 0 });
+  });
+
+  afterEach(async () => {
+    upstream.setFaults([]);
+    await proxy.close();
+  });
+
+  const postJson = (path, body, headers = {}) => fetch(`${proxy.url}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  it('should forward JSON requests and return the image', async () => {
+    const response = await postJson('/v1/stable-image-core', { prompt: 'a cat', seed: 42 });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('image/png');
+    expect(response.headers.get('seed')).toBe('42');
+    expect(Buffer.from(await response.arrayBuffer()).equals(placeholderPng(42))).toBe(true);
+    expect(upstream.requests[0]).toMatchObject({ path: '/v2beta/stable-image/generate/core', fields: { prompt: 'a cat', seed: '42' } });
+  });
+
+  it('should return base64 JSON when asked for JSON', async () => {
+    const response = await postJson('/v1/stable-image-core', { prompt: 'a cat', seed: 7 }, { accept: 'application/json' });
+    const body = await response.json();
+
+    expect(body).toMatchObject({ seed: '7', finish_reason: 'SUCCESS' });
+    expect(Buffer.from(body.image, 'base64').equals(placeholderPng(7))).toBe(true);
+  });
+
+  it('should never send the API key to callers', async () => {
+    const response = await postJson('/v1/stable-image-core', { prompt: 'a cat' });
+    expect(JSON.stringify([...response.headers])).not.toContain('test-key');
+  });
+
+  it('should validate parameters before forwarding', async () => {
+    const response = await postJson('/v1/sketch', { prompt: 'a castle', control_strength: 2 });
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.name).toBe('invalid_parameters');
+    expect(body.errors).toEqual(expect.arrayContaining([
+      'image is required for sketch',
+      'control_strength must be between 0 and 1 for sketch'
+    ]));
+    expect(upstream.requests).toHaveLength(0);
+  });
+
+  it('should accept multipart uploads and convert numeric fields', async () => {
+    const form = new FormData();
+    form.append('prompt', 'a castle');
+    form.append('control_strength', '0.5');
+    form.append('image', new Blob([placeholderPng(3)], { type: 'image/png' }), 'sketch.png');
+
+    const response = await fetch(`${proxy.url}/v1/sketch`, { method: 'POST', body: form });
+
+    expect(response.status).toBe(200);
+    expect(upstream.requests[0]).toMatchObject({ fields: { prompt: 'a castle', control_strength: '0.5' }, files: ['image'] });
+  });
+
+  it('should reject numeric fields that are not numbers', async () => {
+    const form = new FormData();
+    form.append('control_strength', 'strong');
+    form.append('image', new Blob([placeholderPng(3)]), 'sketch.png');
+
+    const response = await fetch(`${proxy.url}/v1/sketch`, { method: 'POST', body: form });
+    expect(response.status).toBe(400);
+  });
+
+  it('should decode data: URL images and refuse local paths', async () => {
+    const dataUrl = `data:image/png;base64,${placeholderPng(4).toString('base64')}`;
+    expect((await postJson('/v1/remove-background', { image: dataUrl })).status).toBe(200);
+    expect(upstream.requests[0].files).toEqual(['image']);
+
+    const refused = await postJson('/v1/remove-background', { image: '/etc/passwd' });
+    expect(refused.status).toBe(400);
+    expect((await refused.json()).errors[0]).toContain('image must be a file upload');
+    expect(upstream.requests).toHaveLength(1);
+  });
+
+  it('should return task IDs for async operations and serve their results', async () => {
+    const submitted = await postJson('/v1/upscale-creative', { image: `data:image/png;base64,${placeholderPng(5).toString('base64')}`, prompt: 'sharper' });
+    expect(submitted.status).toBe(202);
+    const { id } = await submitted.json();
+    expect(id).toMatch(/^[a-f0-9]+$/);
+
+    const pending = await fetch(`${proxy.url}/v1/results/${id}`);
+    expect(pending.status).toBe(202);
+    expect(await pending.json()).toMatchObject({ id, status: 'in-progress' });
+
+    const done = await fetch(`${proxy.url}/v1/results/${id}`);
+    expect(done.status).toBe(200);
+    expect(done.headers.get('content-type')).toBe('image/png');
+  });
+
+  it('should pass upstream errors through with their status', async () => {
+    upstream.setFaults([{ status: 403, times: 1 }]);
+
+    const response = await postJson('/v1/stable-image-core', { prompt: 'flagged' });
+    expect(response.status).toBe(403);
+    expect(await response.json()).toMatchObject({ name: 'content_moderation' });
+  });
+
+  it('should list operations and report the balance', async () => {
+    expect((await (await fetch(`${proxy.url}/v1/operations`)).json()).operations).toContain('search-and-replace');
+    expect(await (await fetch(`${proxy.url}/v1/balance`)).json()).toEqual({ credits: 100 });
+  });
+
+  it('should answer unknown routes and body types', async () => {
+    expect((await postJson('/v1/unknown', { prompt: 'x' })).status).toBe(404);
+    expect((await fetch(`${proxy.url}/v1/results/..%2Fbalance`)).status).toBe(400);
+    expect((await fetch(`${proxy.url}/v1/stable-image-core`, { method: 'POST', body: 'prompt=a cat', headers: { 'content-type': 'text/plain' } })).status).toBe(415);
+  });
+
+  it('should rate limit each client', async () => {
+    await proxy.close();
+    proxy = await startProxyServer(api, { port: 0, rateLimit: { max: 2, windowMs: 60_000 } });
+
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await fetch(`${proxy.url}/v1/operations`)).status);
+    }
+    const limited = await fetch(`${proxy.url}/v1/operations`);
+
+    expect(statuses).toEqual([200, 200, 429]);
+    expect(Number(limited.headers.get('retry-after'))).toBeGreaterThan(0);
+    expect(limited.headers.get('x-ratelimit-remaining')).toBe('0');
+  });
+
+  it('should only send CORS headers for the configured origin', async () => {
+    expect((await fetch(`${proxy.url}/v1/operations`)).headers.get('access-control-allow-origin')).toBeNull();
+
+    await proxy.close();
+    proxy = await startProxyServer(api, { port: 0, corsOrigin: 'http://localhost:5173' });
+
+    const preflight = await fetch(`${proxy.url}/v1/stable-image-core`, { method: 'OPTIONS' });
+    expect(preflight.status).toBe(204);
+    expect(preflight.headers.get('access-control-allow-origin')).toBe('http://localhost:5173');
+    expect(preflight.headers.get('access-control-allow-headers')).toContain('content-type');
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Task Store Tests
+ * Tests for recording and looking up async tasks
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TaskStore } from '../src/tasks.js';
+
+describe('TaskStore', () => {
+  let dir;
+  let store;
+
+  const record = (id, submittedAt, extra = {}) => ({
+    id,
+    operation: 'upscale-creative',
+    params: { image: './photo.png', creativity: 0.3 },
+    model: 'upscale-creative',
+    outputName: 'photo',
+    submittedAt,
+    status: 'pending',
+    ...extra
+  });
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'sai-tasks-'));
+    store = new TaskStore(join(dir, 'nested', 'tasks.json'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should start empty when the file is missing', () => {
+    expect(store.list()).toEqual([]);
+    expect(store.get('abc')).toBeUndefined();
+  });
+
+  it('should persist records across instances', () => {
+    store.add(record('aaa111', '2026-01-01T00:00:00.000Z'));
+
+    const reopened = new TaskStore(store.storePath);
+    expect(reopened.get('aaa111')).toEqual(record('aaa111', '2026-01-01T00:00:00.000Z'));
+  });
+
+  it('should list newest first', () => {
+    store.add(record('old', '2026-01-01T00:00:00.000Z'));
+    store.add(record('new', '2026-02-01T00:00:00.000Z'));
+
+    expect(store.list().map(task => task.id)).toEqual(['new', 'old']);
+  });
+
+  it('should look tasks up by unique prefix', () => {
+    store.add(record('abc123', '2026-01-01T00:00:00.000Z'));
+    store.add(record('abd456', '2026-01-02T00:00:00.000Z'));
+
+    expect(store.get('abc').id).toBe('abc123');
+    expect(() => store.get('ab')).toThrow('ambiguous');
+    expect(store.get('zzz')).toBeUndefined();
+  });
+
+  it('should replace records with the same ID', () => {
+    store.add(record('abc', '2026-01-01T00:00:00.000Z'));
+    store.add(record('abc', '2026-01-03T00:00:00.000Z'));
+
+    expect(store.list()).toHaveLength(1);
+    expect(store.get('abc').submittedAt).toBe('2026-01-03T00:00:00.000Z');
+  });
+
+  it('should update status and output', () => {
+    store.add(record('abc', '2026-01-01T00:00:00.000Z'));
+
+    const updated = store.update('abc', { status: 'completed', output: '/tmp/out.png' });
+
+    expect(updated).toMatchObject({ id: 'abc', status: 'completed', output: '/tmp/out.png', operation: 'upscale-creative' });
+    expect(JSON.parse(readFileSync(store.storePath, 'utf8')).tasks[0].status).toBe('completed');
+    expect(store.update('missing', { status: 'failed' })).toBeUndefined();
+  });
+
+  it('should treat a corrupt file as empty', () => {
+    store.add(record('abc', '2026-01-01T00:00:00.000Z'));
+    writeFileSync(store.storePath, '{not json');
+
+    expect(store.list()).toEqual([]);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Transport Tests
+ * Tests for the fetch-compatible HTTP transport adapter
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import axios, { AxiosError } from 'axios';
+import FormData from 'form-data';
+import { Readable } from 'stream';
+import { createFetchTransport } from '../src/transport.js';
+
+const baseConfig = {
+  method: 'GET',
+  url: 'https://api.stability.ai/v2beta/results/task-1',
+  headers: { authorization: 'Bearer key' },
+  timeout: 30000,
+  maxRedirects: 5
+};
+
+describe('createFetchTransport', () => {
+  it('should return binary bodies as Buffers for arraybuffer requests', async () => {
+    const fetchFn = vi.fn().mockResolvedValue(new Response(Buffer.from([1, 2, 3]), {
+      status: 200,
+      headers: { 'Content-Type': 'image/png', 'Seed': '42' }
+    }));
+    const transport = createFetchTransport(fetchFn);
+
+    const response = await transport.request({ ...baseConfig, responseType: 'arraybuffer' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/png');
+    expect(response.headers['seed']).toBe('42');
+    expect(Buffer.isBuffer(response.data)).toBe(true);
+    expect([...response.data]).toEqual([1, 2, 3]);
+  });
+
+  it('should parse JSON bodies', async () => {
+    const fetchFn = vi.fn().mockResolvedValue(Response.json({ credits: 5 }));
+    const transport = createFetchTransport(fetchFn);
+
+    const response = await transport.request(baseConfig);
+    expect(response.data).toEqual({ credits: 5 });
+  });
+
+  it('should send multipart bodies as a Buffer', async () => {
+    const fetchFn = vi.fn().mockResolvedValue(Response.json({}));
+    const transport = createFetchTransport(fetchFn);
+    const form = new FormData();
+    form.append('prompt', 'a cat');
+    form.append('image', Buffer.from([9, 9]), { filename: 'image.png' });
+
+    await transport.request({ ...baseConfig, method: 'POST', data: form });
+
+    const init = fetchFn.mock.calls[0][1];
+    expect(init.method).toBe('POST');
+    expect(Buffer.isBuffer(init.body)).toBe(true);
+    expect(init.body.toString()).toContain('a cat');
+  });
+
+  it('should buffer files streamed into multipart bodies', async () => {
+    const fetchFn = vi.fn().mockResolvedValue(Response.json({}));
+    const transport = createFetchTransport(fetchFn);
+    const form = new FormData();
+    form.append('image', Readable.from([Buffer.from('streamed '), Buffer.from('bytes')]), { filename: 'image.png' });
+
+    await transport.request({ ...baseConfig, method: 'POST', data: form });
+
+    expect(fetchFn.mock.calls[0][1].body.toString()).toContain('streamed bytes');
+  });
+
+  it('should report upload progress once the body is sent', async () => {
+    const fetchFn = vi.fn().mockResolvedValue(Response.json({}));
+    const transport = createFetchTransport(fetchFn);
+    const form = new FormData();
+    form.append('prompt', 'a cat');
+    const onUploadProgress = vi.fn();
+
+    await transport.request({ ...baseConfig, method: 'POST', data: form, onUploadProgress });
+
+    const size = fetchFn.mock.calls[0][1].body.length;
+    expect(onUploadProgress).toHaveBeenCalledWith({ loaded: size, total: size });
+  });
+
+  it('should return body streams for stream requests', async () => {
+    const fetchFn = vi.fn().mockResolvedValue(new Response(Buffer.from([4, 5, 6]), {
+      status: 200,
+      headers: { 'Content-Type': 'image/png', 'Finish-Reason': 'SUCCESS' }
+    }));
+    const transport = createFetchTransport(fetchFn);
+
+    const response = await transport.request({ ...baseConfig, responseType: 'stream' });
+
+    expect(response.data).toBeInstanceOf(Readable);
+    expect(response.headers['finish-reason']).toBe('SUCCESS');
+    const chunks = [];
+    for await (const chunk of response.data) {
+      chunks.push(chunk);
+    }
+    expect([...Buffer.concat(chunks)]).toEqual([4, 5, 6]);
+  });
+
+  it('should buffer error bodies of stream requests', async () => {
+    const fetchFn = vi.fn().mockResolvedValue(new Response('{"errors":["bad"]}', { status: 400 }));
+    const transport = createFetchTransport(fetchFn);
+
+    const error = await transport.request({ ...baseConfig, responseType: 'stream' }).catch(e => e);
+
+    expect(Buffer.isBuffer(error.response.data)).toBe(true);
+  });
+
+  it('should reject non-2xx responses with an AxiosError carrying the response', async () => {
+    const fetchFn = vi.fn().mockResolvedValue(new Response('{"errors":["bad"]}', {
+      status: 429,
+      headers: { 'retry-after': '3' }
+    }));
+    const transport = createFetchTransport(fetchFn);
+
+    const error = await transport.request({ ...baseConfig, responseType: 'arraybuffer' }).catch(e => e);
+
+    expect(axios.isAxiosError(error)).toBe(true);
+    expect(error.response.status).toBe(429);
+    expect(error.response.headers['retry-after']).toBe('3');
+    expect(error.response.data.toString()).toBe('{"errors":["bad"]}');
+  });
+
+  it('should map network failures to ERR_NETWORK', async () => {
+    const transport = createFetchTransport(vi.fn().mockRejectedValue(new TypeError('fetch failed')));
+
+    const error = await transport.request(baseConfig).catch(e => e);
+
+    expect(error).toBeInstanceOf(AxiosError);
+    expect(error.code).toBe(AxiosError.ERR_NETWORK);
+    expect(error.response).toBeUndefined();
+  });
+
+  it('should map timeouts to ECONNABORTED', async () => {
+    const fetchFn = vi.fn((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+    const transport = createFetchTransport(fetchFn);
+
+    const error = await transport.request({ ...baseConfig, timeout: 10 }).catch(e => e);
+    expect(error.code).toBe(AxiosError.ECONNABORTED);
+  });
+
+  it('should map caller aborts to a cancellation', async () => {
+    const controller = new AbortController();
+    const fetchFn = vi.fn((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+    const transport = createFetchTransport(fetchFn);
+    setTimeout(() => controller.abort(), 10);
+
+    const error = await transport.request({ ...baseConfig, signal: controller.signal }).catch(e => e);
+    expect(axios.isCancel(error)).toBe(true);
+  });
+});
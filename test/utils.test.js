@@ -6,6 +6,7 @@
 import { describe, it, expect, beforeAll, afterAll, vi, beforeEach } from 'vitest';
 import { writeFileSync, unlinkSync, mkdirSync, rmdirSync, existsSync } from 'fs';
 import { join } from 'path';
+import { Readable } from 'stream';
 import fs from 'fs/promises';
 
 // Mock DNS module before importing utils
@@ -28,8 +29,15 @@ import {
   pause,
   randomNumber,
   setLogLevel,
-  fileToBase64
+  fileToBase64,
+  parseRetryAfter,
+  computeRetryDelay,
+  urlToBuffer,
+  streamToDestination
 } from '../src/utils.js';
+import { StabilityAbortError } from '../src/errors.js';
+import { encodePng, pngChunk, PNG_SIGNATURE } from '../src/png.js';
+import axios from 'axios';
 import { validateApiKeyFormat } from '../src/config.js';
 import { lookup } from 'dns/promises';
 
@@ -135,6 +143,22 @@ describe('Configuration Utilities', () => {
   });
 });
 
+/** Read a form-data body to the end */
+function formBody(form) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    form.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    form.on('end', () => resolve(Buffer.concat(chunks).toString('latin1')));
+    form.on('error', reject);
+    form.resume();
+  });
+}
+
+/** Opaque white RGBA image for encodePng */
+function realImage(width, height) {
+  return { width, height, data: Buffer.alloc(width * height * 4, 255) };
+}
+
 describe('Image Validation (Security)', () => {
   describe('validateImageUrl', () => {
     beforeEach(() => {
@@ -288,6 +312,35 @@ describe('Image Validation (Security)', () => {
     it('should reject non-existent files', async () => {
       await expect(validateImagePath('/nonexistent/file.jpg')).rejects.toThrow('not found');
     });
+
+    it('should reject GIF and animated images', async () => {
+      const gifFile = join(testDir, 'test.gif');
+      const apngFile = join(testDir, 'animated.png');
+      writeFileSync(gifFile, Buffer.from('GIF89a\x0A\x00\x0A\x00', 'latin1'));
+      const header = encodePng(realImage(2, 2)).subarray(0, PNG_SIGNATURE.length + 25);
+      writeFileSync(apngFile, Buffer.concat([header, pngChunk('acTL', Buffer.from([0, 0, 0, 4, 0, 0, 0, 0]))]));
+
+      try {
+        await expect(validateImagePath(gifFile)).rejects.toThrow('GIF images are not supported');
+        await expect(validateImagePath(apngFile)).rejects.toThrow('Animated PNG images are not supported');
+      } finally {
+        unlinkSync(gifFile);
+        unlinkSync(apngFile);
+      }
+    });
+
+    it('should check the pixel count against the given range', async () => {
+      const realPng = join(testDir, 'real.png');
+      writeFileSync(realPng, encodePng(realImage(20, 10)));
+
+      try {
+        await expect(validateImagePath(realPng, { pixels: { min: 100, max: 500 } })).resolves.toBe(realPng);
+        await expect(validateImagePath(realPng, { pixels: { min: 100, max: 150 } })).rejects.toThrow('20x10 (200 pixels); at most 150');
+        await expect(validateImagePath(realPng, { pixels: { min: 4096, max: 9000 } })).rejects.toThrow('at least 4096');
+      } finally {
+        unlinkSync(realPng);
+      }
+    });
   });
 
   describe('validateImageFile', () => {
@@ -334,6 +387,32 @@ describe('Image Validation (Security)', () => {
       expect(result.errors.some(e => e.includes('not supported'))).toBe(true);
     });
 
+    it('should check the format by content rather than extension', async () => {
+      const disguised = join(testDir, 'disguised.png');
+      writeFileSync(disguised, Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, ...new Array(100).fill(0)]));
+
+      try {
+        expect(validateImageFile(disguised, { formats: ['png'] }).errors).toEqual(['Image format "jpeg" not supported. Valid formats: png']);
+        expect(validateImageFile(disguised, { formats: ['jpg'] }).valid).toBe(true);
+      } finally {
+        unlinkSync(disguised);
+      }
+    });
+
+    it('should report header information and pixel limits', async () => {
+      const realPng = join(testDir, 'real.png');
+      writeFileSync(realPng, encodePng(realImage(20, 10), { alpha: false }));
+
+      try {
+        const result = validateImageFile(realPng, { pixels: { min: 100, max: 150 } });
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual(['Image is 20x10 (200 pixels); at most 150 pixels are allowed']);
+        expect(result.info).toEqual({ format: 'png', width: 20, height: 10, colorType: 'rgb', hasAlpha: false, animated: false });
+      } finally {
+        unlinkSync(realPng);
+      }
+    });
+
     it('should reject non-existent files', async () => {
       const result = await validateImageFile('/nonexistent/file.jpg');
       expect(result.valid).toBe(false);
@@ -374,6 +453,21 @@ describe('Image Buffer Functions', () => {
   });
 
   describe('imageToBuffer', () => {
+    it('should accept byte arrays, Blobs and streams', async () => {
+      const bytes = new Uint8Array([0, 0x89, 0x50, 0x4E, 0x47, 0]).subarray(1, 5);
+
+      expect([...await imageToBuffer(bytes)]).toEqual([0x89, 0x50, 0x4E, 0x47]);
+      expect([...await imageToBuffer(new Blob([Buffer.from([1, 2, 3])]))]).toEqual([1, 2, 3]);
+      expect((await imageToBuffer(Readable.from([Buffer.from('ab'), Buffer.from('cd')]))).toString()).toBe('abcd');
+    });
+
+    it('should stop reading a stream when aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(imageToBuffer(Readable.from([Buffer.from('ab')]), controller.signal)).rejects.toBeInstanceOf(StabilityAbortError);
+    });
+
     it('should handle local file paths', async () => {
       const buffer = await imageToBuffer(testImage);
       expect(Buffer.isBuffer(buffer)).toBe(true);
@@ -417,6 +511,31 @@ describe('Image Buffer Functions', () => {
       expect(formData).toBeDefined();
     });
 
+    it('should name uploads and set their content-type from the bytes', async () => {
+      const jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0, 0]);
+      const formData = await buildFormData({}, { image: jpeg, mask: new Blob([Buffer.from('unknown')]) });
+      const body = await formBody(formData);
+
+      expect(body).toContain('name="image"; filename="image.jpg"\r\nContent-Type: image/jpeg');
+      expect(body).toContain('name="mask"; filename="image"\r\nContent-Type: application/octet-stream');
+    });
+
+    it('should stream local files, correcting a mismatched extension', async () => {
+      const disguised = join(testDir, 'photo.png');
+      writeFileSync(disguised, Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, ...new Array(100).fill(7)]));
+
+      try {
+        const formData = await buildFormData({}, { image: disguised });
+        expect(formData.getLengthSync()).toBeGreaterThan(104);
+        const body = await formBody(formData);
+
+        expect(body).toContain('filename="photo.jpg"\r\nContent-Type: image/jpeg');
+        expect(body).toContain('\x07'.repeat(100));
+      } finally {
+        unlinkSync(disguised);
+      }
+    });
+
     it('should skip undefined values', async () => {
       const formData = await buildFormData({
         prompt: 'test',
@@ -440,6 +559,37 @@ describe('File I/O Functions', () => {
     } catch (e) {}
   });
 
+  describe('streamToDestination', () => {
+    it('should write a stream to a new file and count the bytes', async () => {
+      const filepath = join(testDir, 'stream-dest', 'out.bin');
+
+      const bytes = await streamToDestination(Readable.from([Buffer.from('abc'), Buffer.from('de')]), filepath);
+
+      expect(bytes).toBe(5);
+      expect((await fs.readFile(filepath)).toString()).toBe('abcde');
+    });
+
+    it('should remove a partly written file when the stream fails', async () => {
+      const filepath = join(testDir, 'stream-dest', 'broken.bin');
+      const source = Readable.from((async function* () {
+        yield Buffer.from('partial');
+        throw new Error('connection reset');
+      })());
+
+      await expect(streamToDestination(source, filepath)).rejects.toThrow('connection reset');
+      expect(existsSync(filepath)).toBe(false);
+    });
+
+    it('should stop with StabilityAbortError when aborted', async () => {
+      const controller = new AbortController();
+      const source = new Readable({ read() {} });
+      setTimeout(() => controller.abort(), 10);
+
+      await expect(streamToDestination(source, join(testDir, 'stream-dest', 'aborted.bin'), controller.signal))
+        .rejects.toBeInstanceOf(StabilityAbortError);
+    });
+  });
+
   describe('ensureDirectory', () => {
     it('should create a directory if it does not exist', async () => {
       const dirPath = join(testDir, 'ensure-test-1');
@@ -470,6 +620,14 @@ describe('File I/O Functions', () => {
       expect(JSON.parse(content)).toEqual(data);
     });
 
+    it('should record binary values in JSON by size', async () => {
+      const filepath = join(testDir, 'write-binary.json');
+      await writeToFile({ parameters: { image: Buffer.alloc(851), mask: new Uint8Array(4), prompt: 'a cat' } }, filepath);
+
+      const content = JSON.parse(await fs.readFile(filepath, 'utf-8'));
+      expect(content.parameters).toEqual({ image: '<binary 851 bytes>', mask: '<binary 4 bytes>', prompt: 'a cat' });
+    });
+
     it('should write text data to file', async () => {
       const filepath = join(testDir, 'write-test.txt');
       const data = 'Hello, World!';
@@ -488,6 +646,16 @@ describe('File I/O Functions', () => {
       expect(content.equals(data)).toBe(true);
     });
 
+    it('should auto-detect WebP and GLB files as binary', async () => {
+      const data = Buffer.from([0x67, 0x6C, 0x54, 0x46, 0x02, 0x00, 0x00, 0xFF]);
+      for (const name of ['write-test.webp', 'write-test.glb']) {
+        const filepath = join(testDir, name);
+        await writeToFile(data, filepath);
+
+        expect((await fs.readFile(filepath)).equals(data)).toBe(true);
+      }
+    });
+
     it('should create parent directories automatically', async () => {
       const filepath = join(testDir, 'auto-create', 'nested', 'file.json');
       await writeToFile({ test: true }, filepath);
@@ -619,6 +787,88 @@ describe('Utility Helper Functions', () => {
     it('should throw error for negative seconds', async () => {
       expect(() => pause(-1)).toThrow('Seconds cannot be negative');
     });
+
+    it('should reject immediately when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(pause(10, controller.signal)).rejects.toBeInstanceOf(StabilityAbortError);
+    });
+
+    it('should end early when the signal is aborted', async () => {
+      const controller = new AbortController();
+      const start = Date.now();
+      setTimeout(() => controller.abort(), 20);
+
+      await expect(pause(10, controller.signal)).rejects.toBeInstanceOf(StabilityAbortError);
+      expect(Date.now() - start).toBeLessThan(1000);
+    });
+  });
+
+  describe('urlToBuffer', () => {
+    it('should pass the signal to the download and raise an abort error', async () => {
+      lookup.mockResolvedValue({ address: '8.8.8.8', family: 4 });
+      const controller = new AbortController();
+      const get = vi.spyOn(axios, 'get').mockRejectedValue(new axios.CanceledError());
+
+      await expect(urlToBuffer('https://example.com/image.png', controller.signal))
+        .rejects.toBeInstanceOf(StabilityAbortError);
+      expect(get.mock.calls[0][1].signal).toBe(controller.signal);
+
+      get.mockRestore();
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse delta-seconds', () => {
+      expect(parseRetryAfter('3')).toBe(3000);
+      expect(parseRetryAfter(0)).toBe(0);
+    });
+
+    it('should parse HTTP dates relative to now', () => {
+      const future = new Date(Date.now() + 5000).toUTCString();
+      const delay = parseRetryAfter(future);
+      expect(delay).toBeGreaterThan(3000);
+      expect(delay).toBeLessThanOrEqual(5000);
+    });
+
+    it('should clamp past dates to zero', () => {
+      expect(parseRetryAfter(new Date(Date.now() - 60000).toUTCString())).toBe(0);
+    });
+
+    it('should return null for missing or invalid values', () => {
+      expect(parseRetryAfter(undefined)).toBeNull();
+      expect(parseRetryAfter('')).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+      expect(parseRetryAfter('-5')).toBeNull();
+    });
+  });
+
+  describe('computeRetryDelay', () => {
+    const policy = { baseDelayMs: 1000, maxDelayMs: 5000, jitter: false };
+
+    it('should back off exponentially', () => {
+      expect(computeRetryDelay(1, policy)).toBe(1000);
+      expect(computeRetryDelay(2, policy)).toBe(2000);
+      expect(computeRetryDelay(3, policy)).toBe(4000);
+    });
+
+    it('should cap delays at maxDelayMs', () => {
+      expect(computeRetryDelay(10, policy)).toBe(5000);
+      expect(computeRetryDelay(1, policy, 60000)).toBe(5000);
+    });
+
+    it('should prefer Retry-After over backoff', () => {
+      expect(computeRetryDelay(3, policy, 1500)).toBe(1500);
+    });
+
+    it('should keep jittered delays between half and full backoff', () => {
+      for (let i = 0; i < 50; i++) {
+        const delay = computeRetryDelay(2, { ...policy, jitter: true });
+        expect(delay).toBeGreaterThanOrEqual(1000);
+        expect(delay).toBeLessThanOrEqual(2000);
+      }
+    });
   });
 
   describe('randomNumber', () => {